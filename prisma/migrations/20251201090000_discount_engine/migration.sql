@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "discount_code" ADD COLUMN     "target_skus" VARCHAR(50)[] DEFAULT ARRAY[]::VARCHAR(50)[],
+ADD COLUMN     "target_categories" VARCHAR(100)[] DEFAULT ARRAY[]::VARCHAR(100)[],
+ADD COLUMN     "target_room_types" "room_type"[] DEFAULT ARRAY[]::"room_type"[],
+ADD COLUMN     "target_session_ids" UUID[] DEFAULT ARRAY[]::UUID[];
+
+-- CreateTable
+CREATE TABLE "sale_discount_allocation" (
+    "id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "code" VARCHAR(50) NOT NULL,
+    "sale_item_id" UUID NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "sale_discount_allocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sale_discount_allocation_company_id_idx" ON "sale_discount_allocation"("company_id");
+
+-- CreateIndex
+CREATE INDEX "sale_discount_allocation_sale_item_id_idx" ON "sale_discount_allocation"("sale_item_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sale_discount_allocation_sale_id_code_sale_item_id_key" ON "sale_discount_allocation"("sale_id", "code", "sale_item_id");
+
+-- AddForeignKey
+ALTER TABLE "sale_discount_allocation" ADD CONSTRAINT "sale_discount_allocation_sale_id_company_id_code_fkey" FOREIGN KEY ("sale_id", "company_id", "code") REFERENCES "sale_discount"("sale_id", "company_id", "code") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale_discount_allocation" ADD CONSTRAINT "sale_discount_allocation_sale_item_id_fkey" FOREIGN KEY ("sale_item_id") REFERENCES "sale_item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
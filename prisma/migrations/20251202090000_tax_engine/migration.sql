@@ -0,0 +1,26 @@
+-- CreateEnum
+CREATE TYPE "tax_item_class" AS ENUM ('TICKET', 'FOOD', 'COLLECTABLE');
+
+-- CreateEnum
+CREATE TYPE "tax_type" AS ENUM ('ISS', 'ICMS');
+
+-- AlterTable
+ALTER TABLE "sale_item" ADD COLUMN     "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_included" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "tax_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "tax_type" "tax_type";
+
+-- CreateTable
+CREATE TABLE "tax_rate" (
+    "company_id" UUID NOT NULL,
+    "item_class" "tax_item_class" NOT NULL,
+    "tax_type" "tax_type" NOT NULL,
+    "rate" DECIMAL(5,2) NOT NULL,
+    "is_inclusive" BOOLEAN NOT NULL DEFAULT true,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tax_rate_pkey" PRIMARY KEY ("company_id","item_class")
+);
+
+-- AddForeignKey
+ALTER TABLE "tax_rate" ADD CONSTRAINT "tax_rate_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,100 @@
+-- AlterEnum
+ALTER TYPE "sale_status" ADD VALUE 'PARTIALLY_REFUNDED';
+
+-- DropIndex
+DROP INDEX "ticket_company_id_session_id_seat_map_id_seat_id_key";
+
+-- AlterTable
+ALTER TABLE "sale" ADD COLUMN     "refund_total" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "sale_item" ADD COLUMN     "refunded_quantity" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ticket" ADD COLUMN     "seat_hold" BOOLEAN DEFAULT true;
+
+-- Release the seats of tickets refunded before seat_hold existed
+UPDATE "ticket" SET "seat_hold" = NULL WHERE "status" = 'REFUNDED';
+
+-- CreateTable
+CREATE TABLE "refund" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "actor_cpf" VARCHAR(11) NOT NULL,
+    "reason" VARCHAR(500) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "refund_item" (
+    "id" UUID NOT NULL,
+    "refund_id" UUID NOT NULL,
+    "sale_item_id" UUID NOT NULL,
+    "ticket_id" UUID,
+    "quantity" INTEGER NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "refund_item_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "refund_payment" (
+    "id" UUID NOT NULL,
+    "refund_id" UUID NOT NULL,
+    "payment_id" UUID NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "refund_payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "refund_company_id_idx" ON "refund"("company_id");
+
+-- CreateIndex
+CREATE INDEX "refund_company_id_sale_id_idx" ON "refund"("company_id", "sale_id");
+
+-- CreateIndex
+CREATE INDEX "refund_company_id_created_at_idx" ON "refund"("company_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "refund_item_refund_id_idx" ON "refund_item"("refund_id");
+
+-- CreateIndex
+CREATE INDEX "refund_item_sale_item_id_idx" ON "refund_item"("sale_item_id");
+
+-- CreateIndex
+CREATE INDEX "refund_payment_refund_id_idx" ON "refund_payment"("refund_id");
+
+-- CreateIndex
+CREATE INDEX "refund_payment_payment_id_idx" ON "refund_payment"("payment_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ticket_company_id_session_id_seat_map_id_seat_id_seat_hold_key" ON "ticket"("company_id", "session_id", "seat_map_id", "seat_id", "seat_hold");
+
+-- AddForeignKey
+ALTER TABLE "refund" ADD CONSTRAINT "refund_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund" ADD CONSTRAINT "refund_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund" ADD CONSTRAINT "refund_actor_cpf_company_id_fkey" FOREIGN KEY ("actor_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_item" ADD CONSTRAINT "refund_item_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "refund"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_item" ADD CONSTRAINT "refund_item_sale_item_id_fkey" FOREIGN KEY ("sale_item_id") REFERENCES "sale_item"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_item" ADD CONSTRAINT "refund_item_ticket_id_fkey" FOREIGN KEY ("ticket_id") REFERENCES "ticket"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_payment" ADD CONSTRAINT "refund_payment_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "refund"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund_payment" ADD CONSTRAINT "refund_payment_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
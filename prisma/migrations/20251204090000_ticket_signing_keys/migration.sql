@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "ticket" ALTER COLUMN "qr_code" SET DATA TYPE VARCHAR(255);
+
+-- CreateTable
+CREATE TABLE "ticket_signing_key" (
+    "company_id" UUID NOT NULL,
+    "version" INTEGER NOT NULL,
+    "public_key" VARCHAR(64) NOT NULL,
+    "private_key" TEXT NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "retired_at" TIMESTAMP(6),
+
+    CONSTRAINT "ticket_signing_key_pkey" PRIMARY KEY ("company_id","version")
+);
+
+-- CreateIndex
+CREATE INDEX "ticket_signing_key_company_id_is_active_idx" ON "ticket_signing_key"("company_id", "is_active");
+
+-- AddForeignKey
+ALTER TABLE "ticket_signing_key" ADD CONSTRAINT "ticket_signing_key_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "scan_result" AS ENUM ('ADMITTED', 'REENTRY', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "company_settings" (
+    "company_id" UUID NOT NULL,
+    "check_in_opens_minutes" INTEGER NOT NULL DEFAULT 60,
+    "check_in_closes_minutes" INTEGER NOT NULL DEFAULT 30,
+    "allow_reentry" BOOLEAN NOT NULL DEFAULT false,
+    "max_reentries" INTEGER NOT NULL DEFAULT 1,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "company_settings_pkey" PRIMARY KEY ("company_id")
+);
+
+-- CreateTable
+CREATE TABLE "ticket_scan" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "ticket_id" UUID,
+    "session_id" UUID,
+    "room_id" UUID NOT NULL,
+    "device_id" VARCHAR(100),
+    "scanned_by_cpf" VARCHAR(11) NOT NULL,
+    "result" "scan_result" NOT NULL,
+    "reason" VARCHAR(50),
+    "scanned_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ticket_scan_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ticket_scan_company_id_idx" ON "ticket_scan"("company_id");
+
+-- CreateIndex
+CREATE INDEX "ticket_scan_company_id_session_id_idx" ON "ticket_scan"("company_id", "session_id");
+
+-- CreateIndex
+CREATE INDEX "ticket_scan_company_id_scanned_at_idx" ON "ticket_scan"("company_id", "scanned_at");
+
+-- CreateIndex
+CREATE INDEX "ticket_scan_ticket_id_idx" ON "ticket_scan"("ticket_id");
+
+-- AddForeignKey
+ALTER TABLE "company_settings" ADD CONSTRAINT "company_settings_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_scan" ADD CONSTRAINT "ticket_scan_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_scan" ADD CONSTRAINT "ticket_scan_ticket_id_fkey" FOREIGN KEY ("ticket_id") REFERENCES "ticket"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_scan" ADD CONSTRAINT "ticket_scan_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_scan" ADD CONSTRAINT "ticket_scan_room_id_fkey" FOREIGN KEY ("room_id") REFERENCES "room"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_scan" ADD CONSTRAINT "ticket_scan_scanned_by_cpf_company_id_fkey" FOREIGN KEY ("scanned_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- DropIndex
+DROP INDEX "seat_reservation_reservation_token_key";
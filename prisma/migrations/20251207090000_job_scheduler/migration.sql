@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "job_run_status" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "job_trigger" AS ENUM ('SCHEDULE', 'MANUAL');
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN     "abandoned_sale_minutes" INTEGER NOT NULL DEFAULT 15,
+ADD COLUMN     "reservation_hold_minutes" INTEGER NOT NULL DEFAULT 15,
+ADD COLUMN     "session_start_lead_minutes" INTEGER NOT NULL DEFAULT 15;
+
+-- CreateTable
+CREATE TABLE "scheduled_job" (
+    "name" VARCHAR(50) NOT NULL,
+    "is_enabled" BOOLEAN NOT NULL DEFAULT true,
+    "next_run_at" TIMESTAMP(6) NOT NULL,
+    "last_run_at" TIMESTAMP(6),
+    "locked_by" VARCHAR(100),
+    "locked_until" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "scheduled_job_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "job_run" (
+    "id" UUID NOT NULL,
+    "job_name" VARCHAR(50) NOT NULL,
+    "trigger" "job_trigger" NOT NULL,
+    "triggered_by" VARCHAR(50),
+    "instance_id" VARCHAR(100) NOT NULL,
+    "status" "job_run_status" NOT NULL DEFAULT 'RUNNING',
+    "started_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(6),
+    "result_json" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "job_run_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_run_job_name_started_at_idx" ON "job_run"("job_name", "started_at");
+
+-- CreateIndex
+CREATE INDEX "job_run_started_at_idx" ON "job_run"("started_at");
+
+-- AddForeignKey
+ALTER TABLE "job_run" ADD CONSTRAINT "job_run_job_name_fkey" FOREIGN KEY ("job_name") REFERENCES "scheduled_job"("name") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "ticket_status" ADD VALUE 'NO_SHOW';
+
+-- AlterTable
+ALTER TABLE "audit_log" ALTER COLUMN "actor_cpf" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN     "sales_cutoff_minutes" INTEGER NOT NULL DEFAULT 0;
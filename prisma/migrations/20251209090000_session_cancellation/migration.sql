@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "cancellation_policy" AS ENUM ('FULL_REFUND', 'STORE_CREDIT', 'EXCHANGE');
+
+-- CreateEnum
+CREATE TYPE "cancellation_status" AS ENUM ('RUNNING', 'COMPLETED');
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN     "cancellation_policy" "cancellation_policy" NOT NULL DEFAULT 'FULL_REFUND';
+
+-- CreateTable
+CREATE TABLE "session_cancellation" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "session_id" UUID NOT NULL,
+    "policy" "cancellation_policy" NOT NULL,
+    "status" "cancellation_status" NOT NULL DEFAULT 'RUNNING',
+    "reason" VARCHAR(500),
+    "actor_cpf" VARCHAR(11) NOT NULL,
+    "total_tickets" INTEGER NOT NULL,
+    "processed_tickets" INTEGER NOT NULL DEFAULT 0,
+    "refunded_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "credited_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "removed_open_items" INTEGER NOT NULL DEFAULT 0,
+    "last_error" TEXT,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(6),
+
+    CONSTRAINT "session_cancellation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "store_credit" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "code" VARCHAR(20) NOT NULL,
+    "customer_cpf" VARCHAR(11),
+    "refund_id" UUID NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "balance" DECIMAL(10,2) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "store_credit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "session_cancellation_session_id_key" ON "session_cancellation"("session_id");
+
+-- CreateIndex
+CREATE INDEX "session_cancellation_company_id_idx" ON "session_cancellation"("company_id");
+
+-- CreateIndex
+CREATE INDEX "session_cancellation_status_idx" ON "session_cancellation"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "store_credit_refund_id_key" ON "store_credit"("refund_id");
+
+-- CreateIndex
+CREATE INDEX "store_credit_company_id_customer_cpf_idx" ON "store_credit"("company_id", "customer_cpf");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "store_credit_company_id_code_key" ON "store_credit"("company_id", "code");
+
+-- AddForeignKey
+ALTER TABLE "session_cancellation" ADD CONSTRAINT "session_cancellation_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_cancellation" ADD CONSTRAINT "session_cancellation_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "session"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_cancellation" ADD CONSTRAINT "session_cancellation_actor_cpf_company_id_fkey" FOREIGN KEY ("actor_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "store_credit" ADD CONSTRAINT "store_credit_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "store_credit" ADD CONSTRAINT "store_credit_customer_cpf_company_id_fkey" FOREIGN KEY ("customer_cpf", "company_id") REFERENCES "customer"("cpf", "company_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "store_credit" ADD CONSTRAINT "store_credit_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "refund"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
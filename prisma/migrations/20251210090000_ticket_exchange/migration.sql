@@ -0,0 +1,52 @@
+-- AlterEnum
+ALTER TYPE "ticket_status" ADD VALUE 'EXCHANGED';
+
+-- CreateTable
+CREATE TABLE "ticket_exchange" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "old_ticket_id" UUID NOT NULL,
+    "new_ticket_id" UUID NOT NULL,
+    "old_price" DECIMAL(10,2) NOT NULL,
+    "new_price" DECIMAL(10,2) NOT NULL,
+    "difference_sale_id" UUID,
+    "refund_id" UUID,
+    "reason" VARCHAR(500),
+    "actor_cpf" VARCHAR(11) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ticket_exchange_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ticket_exchange_old_ticket_id_key" ON "ticket_exchange"("old_ticket_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ticket_exchange_new_ticket_id_key" ON "ticket_exchange"("new_ticket_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ticket_exchange_difference_sale_id_key" ON "ticket_exchange"("difference_sale_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ticket_exchange_refund_id_key" ON "ticket_exchange"("refund_id");
+
+-- CreateIndex
+CREATE INDEX "ticket_exchange_company_id_idx" ON "ticket_exchange"("company_id");
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_old_ticket_id_fkey" FOREIGN KEY ("old_ticket_id") REFERENCES "ticket"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_new_ticket_id_fkey" FOREIGN KEY ("new_ticket_id") REFERENCES "ticket"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_difference_sale_id_fkey" FOREIGN KEY ("difference_sale_id") REFERENCES "sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_refund_id_fkey" FOREIGN KEY ("refund_id") REFERENCES "refund"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ticket_exchange" ADD CONSTRAINT "ticket_exchange_actor_cpf_company_id_fkey" FOREIGN KEY ("actor_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "pricing_rule_type" AS ENUM ('TIME_WINDOW', 'CATEGORY', 'MOVIE_PREMIUM', 'OCCUPANCY');
+
+-- CreateEnum
+CREATE TYPE "price_adjustment" AS ENUM ('PERCENT', 'AMOUNT', 'FIXED_PRICE');
+
+-- CreateEnum
+CREATE TYPE "ticket_category" AS ENUM ('REGULAR', 'STUDENT', 'SENIOR', 'TEACHER');
+
+-- CreateTable
+CREATE TABLE "pricing_rule" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "rule_key" VARCHAR(50) NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "type" "pricing_rule_type" NOT NULL,
+    "adjustment" "price_adjustment" NOT NULL,
+    "value" DECIMAL(10,2) NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 100,
+    "weekdays" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+    "time_from" VARCHAR(5),
+    "time_to" VARCHAR(5),
+    "categories" "ticket_category"[] DEFAULT ARRAY[]::"ticket_category"[],
+    "movie_ids" UUID[] DEFAULT ARRAY[]::UUID[],
+    "room_types" "room_type"[] DEFAULT ARRAY[]::"room_type"[],
+    "min_occupancy" DECIMAL(5,2),
+    "max_occupancy" DECIMAL(5,2),
+    "effective_from" TIMESTAMP(6) NOT NULL,
+    "effective_to" TIMESTAMP(6),
+    "created_by_cpf" VARCHAR(11) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pricing_rule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "pricing_rule_company_id_effective_from_idx" ON "pricing_rule"("company_id", "effective_from");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pricing_rule_company_id_rule_key_version_key" ON "pricing_rule"("company_id", "rule_key", "version");
+
+-- AddForeignKey
+ALTER TABLE "pricing_rule" ADD CONSTRAINT "pricing_rule_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pricing_rule" ADD CONSTRAINT "pricing_rule_created_by_cpf_company_id_fkey" FOREIGN KEY ("created_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
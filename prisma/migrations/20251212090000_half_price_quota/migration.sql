@@ -0,0 +1,23 @@
+-- AlterEnum
+ALTER TYPE "ticket_category" ADD VALUE 'DISABLED';
+ALTER TYPE "ticket_category" ADD VALUE 'LOW_INCOME_YOUTH';
+ALTER TYPE "ticket_category" ADD VALUE 'COURTESY';
+
+-- CreateEnum
+CREATE TYPE "proof_type" AS ENUM ('STUDENT_ID', 'ID_DOCUMENT', 'TEACHER_ID', 'DISABILITY_ID', 'ID_JOVEM');
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN     "half_price_quota_percent" INTEGER NOT NULL DEFAULT 40;
+
+-- AlterTable
+ALTER TABLE "ticket" ADD COLUMN     "category" "ticket_category" NOT NULL DEFAULT 'REGULAR',
+ADD COLUMN     "proof_number" VARCHAR(50),
+ADD COLUMN     "proof_type" "proof_type";
+
+-- AlterTable
+ALTER TABLE "sale_item" ADD COLUMN     "proof_number" VARCHAR(50),
+ADD COLUMN     "proof_type" "proof_type",
+ADD COLUMN     "ticket_category" "ticket_category";
+
+-- CreateIndex
+CREATE INDEX "ticket_session_id_category_idx" ON "ticket"("session_id", "category");
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "sale_item" ADD COLUMN     "list_price" DECIMAL(10,2),
+ADD COLUMN     "override_approved_by_cpf" VARCHAR(11),
+ADD COLUMN     "override_reason" VARCHAR(500),
+ADD COLUMN     "price_overridden" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "sale_item_company_id_price_overridden_idx" ON "sale_item"("company_id", "price_overridden");
+
+-- AddForeignKey
+ALTER TABLE "sale_item" ADD CONSTRAINT "sale_item_override_approved_by_cpf_company_id_fkey" FOREIGN KEY ("override_approved_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "bundle" (
+    "company_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "includes_ticket" BOOLEAN NOT NULL DEFAULT false,
+    "ticket_price" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bundle_pkey" PRIMARY KEY ("company_id","sku")
+);
+
+-- CreateTable
+CREATE TABLE "bundle_component" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "bundle_sku" VARCHAR(50) NOT NULL,
+    "component_sku" VARCHAR(50) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "choice_group" VARCHAR(50),
+
+    CONSTRAINT "bundle_component_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "sale_item_component" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "sale_item_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "sale_item_component_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bundle_component_company_id_bundle_sku_component_sku_key" ON "bundle_component"("company_id", "bundle_sku", "component_sku");
+
+-- CreateIndex
+CREATE INDEX "sale_item_component_sale_item_id_idx" ON "sale_item_component"("sale_item_id");
+
+-- AddForeignKey
+ALTER TABLE "bundle" ADD CONSTRAINT "bundle_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bundle" ADD CONSTRAINT "bundle_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bundle_component" ADD CONSTRAINT "bundle_component_company_id_bundle_sku_fkey" FOREIGN KEY ("company_id", "bundle_sku") REFERENCES "bundle"("company_id", "sku") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bundle_component" ADD CONSTRAINT "bundle_component_company_id_component_sku_fkey" FOREIGN KEY ("company_id", "component_sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale_item_component" ADD CONSTRAINT "sale_item_component_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale_item_component" ADD CONSTRAINT "sale_item_component_sale_item_id_fkey" FOREIGN KEY ("sale_item_id") REFERENCES "sale_item"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale_item_component" ADD CONSTRAINT "sale_item_component_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,176 @@
+-- CreateEnum
+CREATE TYPE "purchase_order_status" AS ENUM ('DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELED');
+
+-- AlterTable
+ALTER TABLE "inventory_item" ADD COLUMN     "preferred_supplier_id" UUID;
+
+-- CreateTable
+CREATE TABLE "supplier" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(200) NOT NULL,
+    "tax_id" VARCHAR(14),
+    "contact_name" VARCHAR(200),
+    "email" VARCHAR(255),
+    "phone" VARCHAR(20),
+    "lead_time_days" INTEGER,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "supplier_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "supplier_item" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "supplier_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "supplier_sku" VARCHAR(50),
+    "unit_cost" DECIMAL(10,2) NOT NULL,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "supplier_item_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_order" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "supplier_id" UUID NOT NULL,
+    "status" "purchase_order_status" NOT NULL DEFAULT 'DRAFT',
+    "notes" VARCHAR(500),
+    "expected_at" DATE,
+    "created_by_cpf" VARCHAR(11) NOT NULL,
+    "submitted_at" TIMESTAMP(6),
+    "closed_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_order_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_order_line" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "purchase_order_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "quantity_ordered" INTEGER NOT NULL,
+    "quantity_received" INTEGER NOT NULL DEFAULT 0,
+    "unit_cost" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "purchase_order_line_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_receipt" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "purchase_order_id" UUID NOT NULL,
+    "received_by_cpf" VARCHAR(11) NOT NULL,
+    "invoice_number" VARCHAR(50),
+    "notes" VARCHAR(500),
+    "received_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_receipt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_receipt_line" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "receipt_id" UUID NOT NULL,
+    "line_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unit_cost" DECIMAL(10,2) NOT NULL,
+    "adjustment_id" UUID NOT NULL,
+
+    CONSTRAINT "purchase_receipt_line_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "supplier_company_id_is_active_idx" ON "supplier"("company_id", "is_active");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supplier_company_id_tax_id_key" ON "supplier"("company_id", "tax_id");
+
+-- CreateIndex
+CREATE INDEX "supplier_item_company_id_sku_idx" ON "supplier_item"("company_id", "sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "supplier_item_supplier_id_sku_key" ON "supplier_item"("supplier_id", "sku");
+
+-- CreateIndex
+CREATE INDEX "purchase_order_company_id_status_idx" ON "purchase_order"("company_id", "status");
+
+-- CreateIndex
+CREATE INDEX "purchase_order_supplier_id_idx" ON "purchase_order"("supplier_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_order_line_purchase_order_id_sku_key" ON "purchase_order_line"("purchase_order_id", "sku");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_purchase_order_id_idx" ON "purchase_receipt"("purchase_order_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_company_id_received_at_idx" ON "purchase_receipt"("company_id", "received_at");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_receipt_line_adjustment_id_key" ON "purchase_receipt_line"("adjustment_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_line_receipt_id_idx" ON "purchase_receipt_line"("receipt_id");
+
+-- CreateIndex
+CREATE INDEX "purchase_receipt_line_company_id_sku_idx" ON "purchase_receipt_line"("company_id", "sku");
+
+-- AddForeignKey
+ALTER TABLE "inventory_item" ADD CONSTRAINT "inventory_item_preferred_supplier_id_fkey" FOREIGN KEY ("preferred_supplier_id") REFERENCES "supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier" ADD CONSTRAINT "supplier_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_item" ADD CONSTRAINT "supplier_item_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "supplier"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "supplier_item" ADD CONSTRAINT "supplier_item_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order" ADD CONSTRAINT "purchase_order_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order" ADD CONSTRAINT "purchase_order_supplier_id_fkey" FOREIGN KEY ("supplier_id") REFERENCES "supplier"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order" ADD CONSTRAINT "purchase_order_created_by_cpf_company_id_fkey" FOREIGN KEY ("created_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_line" ADD CONSTRAINT "purchase_order_line_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "purchase_order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_order_line" ADD CONSTRAINT "purchase_order_line_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt" ADD CONSTRAINT "purchase_receipt_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt" ADD CONSTRAINT "purchase_receipt_purchase_order_id_fkey" FOREIGN KEY ("purchase_order_id") REFERENCES "purchase_order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt" ADD CONSTRAINT "purchase_receipt_received_by_cpf_company_id_fkey" FOREIGN KEY ("received_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_line" ADD CONSTRAINT "purchase_receipt_line_receipt_id_fkey" FOREIGN KEY ("receipt_id") REFERENCES "purchase_receipt"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_line" ADD CONSTRAINT "purchase_receipt_line_line_id_fkey" FOREIGN KEY ("line_id") REFERENCES "purchase_order_line"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_line" ADD CONSTRAINT "purchase_receipt_line_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_receipt_line" ADD CONSTRAINT "purchase_receipt_line_adjustment_id_fkey" FOREIGN KEY ("adjustment_id") REFERENCES "inventory_adjustment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
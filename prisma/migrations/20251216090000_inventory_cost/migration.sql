@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "inventory_item" ADD COLUMN     "unit_cost" DECIMAL(10,4);
+
+-- AlterTable
+ALTER TABLE "inventory_adjustment" ADD COLUMN     "unit_cost" DECIMAL(10,4);
+
+-- AlterTable
+ALTER TABLE "sale_item" ADD COLUMN     "unit_cost" DECIMAL(10,4);
@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "inventory_adjustment" ADD COLUMN     "lot_id" UUID;
+
+-- CreateTable
+CREATE TABLE "inventory_lot" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "lot_code" VARCHAR(50),
+    "expiry_date" DATE,
+    "received_quantity" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unit_cost" DECIMAL(10,4),
+    "received_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_lot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inventory_lot_company_id_sku_idx" ON "inventory_lot"("company_id", "sku");
+
+-- CreateIndex
+CREATE INDEX "inventory_lot_company_id_expiry_date_idx" ON "inventory_lot"("company_id", "expiry_date");
+
+-- AddForeignKey
+ALTER TABLE "inventory_adjustment" ADD CONSTRAINT "inventory_adjustment_lot_id_fkey" FOREIGN KEY ("lot_id") REFERENCES "inventory_lot"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_lot" ADD CONSTRAINT "inventory_lot_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_lot" ADD CONSTRAINT "inventory_lot_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing dated food stock becomes one lot per item, so the expiring report keeps seeing it
+INSERT INTO "inventory_lot" ("id", "company_id", "sku", "expiry_date", "received_quantity", "quantity", "unit_cost")
+SELECT gen_random_uuid(), i."company_id", i."sku", f."expiry_date", i."qty_on_hand", i."qty_on_hand", i."unit_cost"
+FROM "inventory_item" i
+JOIN "food" f ON f."company_id" = i."company_id" AND f."sku" = i."sku"
+WHERE f."expiry_date" IS NOT NULL AND i."qty_on_hand" > 0;
@@ -0,0 +1,82 @@
+-- CreateEnum
+CREATE TYPE "stock_take_status" AS ENUM ('OPEN', 'APPROVED', 'CANCELED');
+
+-- CreateTable
+CREATE TABLE "stock_take" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "notes" VARCHAR(500),
+    "status" "stock_take_status" NOT NULL DEFAULT 'OPEN',
+    "opened_by_cpf" VARCHAR(11) NOT NULL,
+    "opened_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closed_by_cpf" VARCHAR(11),
+    "closed_at" TIMESTAMP(6),
+
+    CONSTRAINT "stock_take_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_take_line" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "stock_take_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "snapshot_qty" INTEGER NOT NULL,
+    "snapshot_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "posted_delta" INTEGER,
+
+    CONSTRAINT "stock_take_line_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_take_count" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "stock_take_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "counted_by_cpf" VARCHAR(11) NOT NULL,
+    "counted_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_take_count_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_take_company_id_status_idx" ON "stock_take"("company_id", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_take_line_stock_take_id_sku_key" ON "stock_take_line"("stock_take_id", "sku");
+
+-- CreateIndex
+CREATE INDEX "stock_take_count_stock_take_id_sku_idx" ON "stock_take_count"("stock_take_id", "sku");
+
+-- AddForeignKey
+ALTER TABLE "stock_take" ADD CONSTRAINT "stock_take_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take" ADD CONSTRAINT "stock_take_opened_by_cpf_company_id_fkey" FOREIGN KEY ("opened_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take" ADD CONSTRAINT "stock_take_closed_by_cpf_company_id_fkey" FOREIGN KEY ("closed_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_line" ADD CONSTRAINT "stock_take_line_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_line" ADD CONSTRAINT "stock_take_line_stock_take_id_fkey" FOREIGN KEY ("stock_take_id") REFERENCES "stock_take"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_line" ADD CONSTRAINT "stock_take_line_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_count" ADD CONSTRAINT "stock_take_count_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_count" ADD CONSTRAINT "stock_take_count_stock_take_id_fkey" FOREIGN KEY ("stock_take_id") REFERENCES "stock_take"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_count" ADD CONSTRAINT "stock_take_count_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take_count" ADD CONSTRAINT "stock_take_count_counted_by_cpf_company_id_fkey" FOREIGN KEY ("counted_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
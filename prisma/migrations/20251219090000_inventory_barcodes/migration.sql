@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "inventory_barcode" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "barcode" VARCHAR(50) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "inventory_barcode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "inventory_barcode_company_id_sku_idx" ON "inventory_barcode"("company_id", "sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "inventory_barcode_company_id_barcode_key" ON "inventory_barcode"("company_id", "barcode");
+
+-- AddForeignKey
+ALTER TABLE "inventory_barcode" ADD CONSTRAINT "inventory_barcode_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_barcode" ADD CONSTRAINT "inventory_barcode_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Existing barcodes become the items' first barcode. Where two items shared one,
+-- the first SKU keeps it; the other item's barcode has to be fixed by hand.
+INSERT INTO "inventory_barcode" ("id", "company_id", "sku", "barcode")
+SELECT DISTINCT ON (i."company_id", TRIM(i."barcode")) gen_random_uuid(), i."company_id", i."sku", TRIM(i."barcode")
+FROM "inventory_item" i
+WHERE i."barcode" IS NOT NULL AND TRIM(i."barcode") <> ''
+ORDER BY i."company_id", TRIM(i."barcode"), i."sku";
@@ -0,0 +1,152 @@
+-- AlterTable
+ALTER TABLE "inventory_adjustment" ADD COLUMN     "location_id" UUID,
+ADD COLUMN     "transfer_id" UUID;
+
+-- AlterTable
+ALTER TABLE "inventory_lot" ADD COLUMN     "location_id" UUID;
+
+-- AlterTable
+ALTER TABLE "sale" ADD COLUMN     "location_id" UUID,
+ADD COLUMN     "station_id" UUID;
+
+-- AlterTable
+ALTER TABLE "stock_take" ADD COLUMN     "location_id" UUID;
+
+-- CreateTable
+CREATE TABLE "stock_location" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "location_stock" (
+    "company_id" UUID NOT NULL,
+    "location_id" UUID NOT NULL,
+    "sku" VARCHAR(50) NOT NULL,
+    "qty_on_hand" INTEGER NOT NULL DEFAULT 0,
+    "reorder_level" INTEGER,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "location_stock_pkey" PRIMARY KEY ("location_id","sku")
+);
+
+-- CreateTable
+CREATE TABLE "pos_station" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "location_id" UUID NOT NULL,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pos_station_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "stock_transfer" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "from_location_id" UUID NOT NULL,
+    "to_location_id" UUID NOT NULL,
+    "actor_cpf" VARCHAR(11) NOT NULL,
+    "notes" VARCHAR(500),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stock_transfer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stock_location_company_id_name_key" ON "stock_location"("company_id", "name");
+
+-- CreateIndex
+CREATE INDEX "location_stock_company_id_sku_idx" ON "location_stock"("company_id", "sku");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pos_station_company_id_name_key" ON "pos_station"("company_id", "name");
+
+-- CreateIndex
+CREATE INDEX "stock_transfer_company_id_created_at_idx" ON "stock_transfer"("company_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "inventory_adjustment_transfer_id_idx" ON "inventory_adjustment"("transfer_id");
+
+-- Every company starts with one default location holding all of its stock and lots
+INSERT INTO "stock_location" ("id", "company_id", "name", "is_default")
+SELECT gen_random_uuid(), c."id", 'Main stock', true
+FROM "company" c;
+
+INSERT INTO "location_stock" ("company_id", "location_id", "sku", "qty_on_hand")
+SELECT i."company_id", l."id", i."sku", i."qty_on_hand"
+FROM "inventory_item" i
+JOIN "stock_location" l ON l."company_id" = i."company_id" AND l."is_default"
+WHERE i."qty_on_hand" <> 0;
+
+UPDATE "inventory_lot" lot SET "location_id" = l."id"
+FROM "stock_location" l
+WHERE l."company_id" = lot."company_id" AND l."is_default";
+
+UPDATE "stock_take" st SET "location_id" = l."id"
+FROM "stock_location" l
+WHERE l."company_id" = st."company_id" AND l."is_default";
+
+-- AlterTable
+ALTER TABLE "inventory_lot" ALTER COLUMN "location_id" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "stock_take" ALTER COLUMN "location_id" SET NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "inventory_adjustment" ADD CONSTRAINT "inventory_adjustment_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_adjustment" ADD CONSTRAINT "inventory_adjustment_transfer_id_fkey" FOREIGN KEY ("transfer_id") REFERENCES "stock_transfer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_location" ADD CONSTRAINT "stock_location_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "location_stock" ADD CONSTRAINT "location_stock_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "location_stock" ADD CONSTRAINT "location_stock_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "location_stock" ADD CONSTRAINT "location_stock_company_id_sku_fkey" FOREIGN KEY ("company_id", "sku") REFERENCES "inventory_item"("company_id", "sku") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pos_station" ADD CONSTRAINT "pos_station_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pos_station" ADD CONSTRAINT "pos_station_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer" ADD CONSTRAINT "stock_transfer_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer" ADD CONSTRAINT "stock_transfer_from_location_id_fkey" FOREIGN KEY ("from_location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer" ADD CONSTRAINT "stock_transfer_to_location_id_fkey" FOREIGN KEY ("to_location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_transfer" ADD CONSTRAINT "stock_transfer_actor_cpf_company_id_fkey" FOREIGN KEY ("actor_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "inventory_lot" ADD CONSTRAINT "inventory_lot_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stock_take" ADD CONSTRAINT "stock_take_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale" ADD CONSTRAINT "sale_station_id_fkey" FOREIGN KEY ("station_id") REFERENCES "pos_station"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sale" ADD CONSTRAINT "sale_location_id_fkey" FOREIGN KEY ("location_id") REFERENCES "stock_location"("id") ON DELETE SET NULL ON UPDATE CASCADE;
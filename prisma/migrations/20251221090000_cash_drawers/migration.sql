@@ -0,0 +1,98 @@
+-- CreateEnum
+CREATE TYPE "cash_drawer_status" AS ENUM ('OPEN', 'CLOSED', 'APPROVED');
+
+-- CreateEnum
+CREATE TYPE "cash_movement_type" AS ENUM ('DROP', 'PAID_OUT');
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN "require_cash_drawer" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "sale" ADD COLUMN "drawer_session_id" UUID;
+
+-- AlterTable
+ALTER TABLE "refund" ADD COLUMN "drawer_session_id" UUID;
+
+-- CreateTable
+CREATE TABLE "cash_drawer_session" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "employee_cpf" VARCHAR(11) NOT NULL,
+    "time_entry_id" UUID NOT NULL,
+    "station_id" UUID,
+    "status" "cash_drawer_status" NOT NULL DEFAULT 'OPEN',
+    "opening_float" DECIMAL(10,2) NOT NULL,
+    "opened_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closed_at" TIMESTAMP(6),
+    "counted_cash" DECIMAL(10,2),
+    "expected_cash" DECIMAL(10,2),
+    "over_short" DECIMAL(10,2),
+    "close_notes" VARCHAR(500),
+    "reviewed_by_cpf" VARCHAR(11),
+    "reviewed_at" TIMESTAMP(6),
+    "review_notes" VARCHAR(500),
+
+    CONSTRAINT "cash_drawer_session_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cash_movement" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "session_id" UUID NOT NULL,
+    "type" "cash_movement_type" NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "reason" VARCHAR(200),
+    "actor_cpf" VARCHAR(11) NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cash_movement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sale_drawer_session_id_idx" ON "sale"("drawer_session_id");
+
+-- CreateIndex
+CREATE INDEX "refund_drawer_session_id_idx" ON "refund"("drawer_session_id");
+
+-- CreateIndex
+CREATE INDEX "cash_drawer_session_company_id_status_idx" ON "cash_drawer_session"("company_id", "status");
+
+-- CreateIndex
+CREATE INDEX "cash_drawer_session_company_id_employee_cpf_idx" ON "cash_drawer_session"("company_id", "employee_cpf");
+
+-- CreateIndex
+CREATE INDEX "cash_drawer_session_company_id_opened_at_idx" ON "cash_drawer_session"("company_id", "opened_at");
+
+-- CreateIndex
+CREATE INDEX "cash_movement_session_id_idx" ON "cash_movement"("session_id");
+
+-- AddForeignKey
+ALTER TABLE "sale" ADD CONSTRAINT "sale_drawer_session_id_fkey" FOREIGN KEY ("drawer_session_id") REFERENCES "cash_drawer_session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refund" ADD CONSTRAINT "refund_drawer_session_id_fkey" FOREIGN KEY ("drawer_session_id") REFERENCES "cash_drawer_session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_drawer_session" ADD CONSTRAINT "cash_drawer_session_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_drawer_session" ADD CONSTRAINT "cash_drawer_session_employee_cpf_company_id_fkey" FOREIGN KEY ("employee_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_drawer_session" ADD CONSTRAINT "cash_drawer_session_reviewed_by_cpf_company_id_fkey" FOREIGN KEY ("reviewed_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_drawer_session" ADD CONSTRAINT "cash_drawer_session_time_entry_id_fkey" FOREIGN KEY ("time_entry_id") REFERENCES "time_entry"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_drawer_session" ADD CONSTRAINT "cash_drawer_session_station_id_fkey" FOREIGN KEY ("station_id") REFERENCES "pos_station"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_movement" ADD CONSTRAINT "cash_movement_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_movement" ADD CONSTRAINT "cash_movement_session_id_fkey" FOREIGN KEY ("session_id") REFERENCES "cash_drawer_session"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_movement" ADD CONSTRAINT "cash_movement_actor_cpf_company_id_fkey" FOREIGN KEY ("actor_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterEnum
+ALTER TYPE "cash_movement_type" ADD VALUE 'CHANGE';
+
+-- AlterTable
+ALTER TABLE "sale" ADD COLUMN "change_given" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "payment" ADD COLUMN "voided_at" TIMESTAMP(6),
+ADD COLUMN "voided_by_cpf" VARCHAR(11),
+ADD COLUMN "void_reason" VARCHAR(500);
+
+-- AlterTable
+ALTER TABLE "cash_movement" ADD COLUMN "sale_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "cash_movement_sale_id_idx" ON "cash_movement"("sale_id");
+
+-- AddForeignKey
+ALTER TABLE "payment" ADD CONSTRAINT "payment_voided_by_cpf_company_id_fkey" FOREIGN KEY ("voided_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cash_movement" ADD CONSTRAINT "cash_movement_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "sale"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Record the change of sales finalized before it was stored: whatever was paid
+-- over the total, out of the cash tendered
+UPDATE "sale" s SET "change_given" = LEAST(p."cash", GREATEST(0, p."paid" - s."grand_total"))
+FROM (
+    SELECT "sale_id",
+           SUM("amount") AS "paid",
+           SUM(CASE WHEN "method" = 'CASH' THEN "amount" ELSE 0 END) AS "cash"
+    FROM "payment"
+    GROUP BY "sale_id"
+) p
+WHERE p."sale_id" = s."id" AND s."status" <> 'OPEN';
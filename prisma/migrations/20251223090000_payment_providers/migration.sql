@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "payment" ADD COLUMN "provider" VARCHAR(30),
+ADD COLUMN "provider_ref" VARCHAR(100),
+ADD COLUMN "captured_at" TIMESTAMP(6);
+
+-- AlterTable
+ALTER TABLE "refund_payment" ADD COLUMN "provider_ref" VARCHAR(100);
+
+-- Payments taken before providers were settled when they were recorded
+UPDATE "payment" SET "captured_at" = "paid_at";
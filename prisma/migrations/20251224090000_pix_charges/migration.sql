@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "pix_charge_status" AS ENUM ('ACTIVE', 'COMPLETED', 'EXPIRED', 'CANCELED');
+
+-- AlterTable
+ALTER TABLE "company_settings" ADD COLUMN "pix_key" VARCHAR(77),
+ADD COLUMN "pix_charge_minutes" INTEGER NOT NULL DEFAULT 15;
+
+-- CreateTable
+CREATE TABLE "pix_charge" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "txid" VARCHAR(35) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "status" "pix_charge_status" NOT NULL DEFAULT 'ACTIVE',
+    "provider" VARCHAR(30) NOT NULL,
+    "br_code" VARCHAR(512) NOT NULL,
+    "location" VARCHAR(200),
+    "expires_at" TIMESTAMP(6) NOT NULL,
+    "created_by_cpf" VARCHAR(11) NOT NULL,
+    "end_to_end_id" VARCHAR(32),
+    "payment_id" UUID,
+    "paid_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "pix_charge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pix_charge_txid_key" ON "pix_charge"("txid");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "pix_charge_payment_id_key" ON "pix_charge"("payment_id");
+
+-- CreateIndex
+CREATE INDEX "pix_charge_company_id_sale_id_idx" ON "pix_charge"("company_id", "sale_id");
+
+-- CreateIndex
+CREATE INDEX "pix_charge_status_expires_at_idx" ON "pix_charge"("status", "expires_at");
+
+-- AddForeignKey
+ALTER TABLE "pix_charge" ADD CONSTRAINT "pix_charge_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pix_charge" ADD CONSTRAINT "pix_charge_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pix_charge" ADD CONSTRAINT "pix_charge_created_by_cpf_company_id_fkey" FOREIGN KEY ("created_by_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "pix_charge" ADD CONSTRAINT "pix_charge_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
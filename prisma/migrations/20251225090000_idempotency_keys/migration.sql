@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "idempotency_key" (
+    "id" UUID NOT NULL,
+    "company_id" UUID NOT NULL,
+    "employee_cpf" VARCHAR(11) NOT NULL,
+    "key" VARCHAR(255) NOT NULL,
+    "method" VARCHAR(10) NOT NULL,
+    "path" VARCHAR(500) NOT NULL,
+    "request_hash" VARCHAR(64) NOT NULL,
+    "response_status" INTEGER,
+    "response_body" JSONB,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completed_at" TIMESTAMP(6),
+    "expires_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "idempotency_key_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "idempotency_key_company_id_employee_cpf_key_key" ON "idempotency_key"("company_id", "employee_cpf", "key");
+
+-- CreateIndex
+CREATE INDEX "idempotency_key_expires_at_idx" ON "idempotency_key"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "idempotency_key" ADD CONSTRAINT "idempotency_key_company_id_fkey" FOREIGN KEY ("company_id") REFERENCES "company"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "idempotency_key" ADD CONSTRAINT "idempotency_key_employee_cpf_company_id_fkey" FOREIGN KEY ("employee_cpf", "company_id") REFERENCES "employee"("cpf", "company_id") ON DELETE RESTRICT ON UPDATE CASCADE;
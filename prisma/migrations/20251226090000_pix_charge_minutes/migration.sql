@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "company_settings" ALTER COLUMN "pix_charge_minutes" SET DEFAULT 10;
+
+-- A PIX charge has to expire before its sale counts as abandoned
+UPDATE "company_settings"
+SET "pix_charge_minutes" = "abandoned_sale_minutes" - 1
+WHERE "pix_charge_minutes" >= "abandoned_sale_minutes" AND "abandoned_sale_minutes" > 1;
@@ -0,0 +1,10 @@
+-- CreateEnum
+CREATE TYPE "refund_payment_status" AS ENUM ('PENDING', 'COMPLETED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "refund_payment" ADD COLUMN "status" "refund_payment_status" NOT NULL DEFAULT 'COMPLETED',
+ADD COLUMN "failure_reason" VARCHAR(500),
+ADD COLUMN "settled_at" TIMESTAMP(6);
+
+-- CreateIndex
+CREATE INDEX "refund_payment_status_idx" ON "refund_payment"("status");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "payment" ADD COLUMN "void_failed_at" TIMESTAMP(6),
+ADD COLUMN "void_error" VARCHAR(500);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "pix_charge" ADD COLUMN "received_amount" DECIMAL(10,2),
+ADD COLUMN "return_reason" VARCHAR(500),
+ADD COLUMN "returned_at" TIMESTAMP(6),
+ADD COLUMN "return_error" VARCHAR(500);
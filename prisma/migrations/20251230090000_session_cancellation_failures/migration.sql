@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE "session_cancellation" ADD COLUMN "failed_runs" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "next_run_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "session_cancellation_failure" (
+    "id" UUID NOT NULL,
+    "cancellation_id" UUID NOT NULL,
+    "sale_id" UUID NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "last_error" TEXT NOT NULL,
+    "next_attempt_at" TIMESTAMP(6),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "session_cancellation_failure_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "session_cancellation_failure_cancellation_id_sale_id_key" ON "session_cancellation_failure"("cancellation_id", "sale_id");
+
+-- AddForeignKey
+ALTER TABLE "session_cancellation_failure" ADD CONSTRAINT "session_cancellation_failure_cancellation_id_fkey" FOREIGN KEY ("cancellation_id") REFERENCES "session_cancellation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "session_cancellation_failure" ADD CONSTRAINT "session_cancellation_failure_sale_id_fkey" FOREIGN KEY ("sale_id") REFERENCES "sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
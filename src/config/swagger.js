@@ -120,6 +120,18 @@ curl -H "Authorization: Bearer [SYSADMIN_TOKEN]" http://localhost:3000/api/syste
           description: 'System Administrator JWT token - Use ONLY for /api/system-admin/* endpoints (cross-tenant access). Obtain from /api/system-admin/login'
         }
       },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Unique key (e.g. a UUID) to retry this request safely. A retry with the same key and body gets the original response back with Idempotent-Replayed: true; the same key with a different request is refused with 422, and 409 while the first request is still running. Keys are kept per employee for IDEMPOTENCY_KEY_TTL_HOURS (24 by default).'
+        }
+      },
       schemas: {
         Movie: {
           type: 'object',
@@ -0,0 +1,662 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const CashDrawerService = require('../services/cashDrawerService');
+
+const STATUSES = ['OPEN', 'CLOSED', 'APPROVED'];
+
+const personName = {
+  select: {
+    person: {
+      select: { fullName: true }
+    }
+  }
+};
+
+const drawerInclude = {
+  employee: personName,
+  reviewedBy: personName,
+  station: {
+    select: { id: true, name: true }
+  },
+  movements: {
+    orderBy: { createdAt: 'asc' }
+  }
+};
+
+const findDrawer = (client, companyId, id) => client.cashDrawerSession.findFirst({
+  where: { id, companyId },
+  include: drawerInclude
+});
+
+const isManager = (employee) => employee.role === 'MANAGER' || employee.role === 'ADMIN';
+
+// The count is blind: a cashier never sees what the drawer should hold, nor
+// the over/short, until a manager signs it off
+const revealsTotals = (drawer, employee) => isManager(employee) || drawer.status === 'APPROVED';
+
+const withoutTotals = ({ expectedCash: _expected, overShort: _overShort, ...rest }) => rest;
+
+/**
+ * Drawer with its totals, as the employee asking may see it
+ */
+const describeDrawer = async (client, drawer, employee) => {
+  const summary = CashDrawerService.summarize(drawer, await CashDrawerService.activity(client, drawer.id));
+
+  return revealsTotals(drawer, employee)
+    ? { ...drawer, summary }
+    : { ...withoutTotals(drawer), summary: withoutTotals(summary) };
+};
+
+/**
+ * Whether an employee may work a drawer: its cashier, or a manager
+ */
+const canOperate = (drawer, employee) => drawer.employeeCpf === employee.cpf || isManager(employee);
+
+class CashDrawerController {
+  /**
+   * Get cash drawers with filtering and pagination. Cashiers only see their own.
+   */
+  async getDrawers(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        status: Joi.string().valid(...STATUSES).optional(),
+        employeeCpf: Joi.string().length(11).optional(),
+        startDate: Joi.date().optional(),
+        endDate: Joi.date().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { status, startDate, endDate, page, limit } = value;
+      const employeeCpf = isManager(req.employee) ? value.employeeCpf : req.employee.cpf;
+      const where = {
+        companyId,
+        ...(status && { status }),
+        ...(employeeCpf && { employeeCpf }),
+        ...((startDate || endDate) && {
+          openedAt: {
+            ...(startDate && { gte: new Date(startDate) }),
+            ...(endDate && { lte: new Date(endDate) })
+          }
+        })
+      };
+
+      const [drawers, totalCount] = await Promise.all([
+        db.cashDrawerSession.findMany({
+          where,
+          include: {
+            employee: personName,
+            station: {
+              select: { id: true, name: true }
+            }
+          },
+          orderBy: { openedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        db.cashDrawerSession.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: drawers.map(drawer => (revealsTotals(drawer, req.employee) ? drawer : withoutTotals(drawer))),
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching cash drawers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cash drawers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the caller's open cash drawer
+   */
+  async getCurrentDrawer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const open = await CashDrawerService.openSession(db, companyId, req.employee.cpf);
+
+      if (!open) {
+        return res.status(404).json({
+          success: false,
+          message: 'No open cash drawer'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await describeDrawer(db, await findDrawer(db, companyId, open.id), req.employee)
+      });
+    } catch (error) {
+      console.error('Error fetching cash drawer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cash drawer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a cash drawer with its movements and totals
+   */
+  async getDrawer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const drawer = await findDrawer(db, companyId, req.params.id);
+
+      if (!drawer || !canOperate(drawer, req.employee)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await describeDrawer(db, drawer, req.employee)
+      });
+    } catch (error) {
+      console.error('Error fetching cash drawer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cash drawer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open a cash drawer with its float. The cashier must be clocked in; the
+   * drawer belongs to that shift and has to be closed before clocking out.
+   */
+  async openDrawer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const employeeCpf = req.employee.cpf;
+
+      const schema = Joi.object({
+        openingFloat: Joi.number().min(0).precision(2).required(),
+        stationId: Joi.string().uuid().optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const clockIn = await CashDrawerService.currentClockIn(db, companyId, employeeCpf);
+      if (!clockIn) {
+        return res.status(409).json({
+          success: false,
+          message: 'Clock in before opening a cash drawer'
+        });
+      }
+
+      if (value.stationId) {
+        const station = await db.posStation.findFirst({
+          where: { id: value.stationId, companyId, isActive: true }
+        });
+
+        if (!station) {
+          return res.status(404).json({
+            success: false,
+            message: 'Station not found'
+          });
+        }
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        // One drawer at a time per cashier and per station
+        await tx.$queryRaw`SELECT cpf FROM "employee" WHERE cpf = ${employeeCpf} AND company_id = ${companyId}::uuid FOR UPDATE`;
+        if (value.stationId) {
+          await tx.$queryRaw`SELECT id FROM "pos_station" WHERE id = ${value.stationId}::uuid FOR UPDATE`;
+        }
+
+        const open = await tx.cashDrawerSession.findFirst({
+          where: {
+            companyId,
+            status: 'OPEN',
+            OR: [
+              { employeeCpf },
+              ...(value.stationId ? [{ stationId: value.stationId }] : [])
+            ]
+          },
+          select: { id: true, employeeCpf: true, stationId: true }
+        });
+
+        if (open) {
+          return {
+            conflict: open.employeeCpf === employeeCpf
+              ? 'You already have an open cash drawer'
+              : 'Another cash drawer is open at this station',
+            drawerId: open.id
+          };
+        }
+
+        const drawer = await tx.cashDrawerSession.create({
+          data: {
+            companyId,
+            employeeCpf,
+            timeEntryId: clockIn.id,
+            stationId: value.stationId || null,
+            openingFloat: value.openingFloat
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: employeeCpf,
+            action: 'OPEN_CASH_DRAWER',
+            targetType: 'CASH_DRAWER',
+            targetId: drawer.id,
+            metadataJson: {
+              openingFloat: value.openingFloat,
+              stationId: value.stationId || null
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { drawer: await findDrawer(tx, companyId, drawer.id) };
+      });
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict,
+          drawerId: result.drawerId
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await describeDrawer(db, result.drawer, req.employee),
+        message: 'Cash drawer opened successfully'
+      });
+    } catch (error) {
+      console.error('Error opening cash drawer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error opening cash drawer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Record a drop to the safe or a paid-out. Neither can take more cash than
+   * the drawer should hold.
+   */
+  async addMovement(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        type: Joi.string().valid('DROP', 'PAID_OUT').required(),
+        amount: Joi.number().min(0.01).precision(2).required(),
+        reason: Joi.string().max(200).when('type', {
+          is: 'PAID_OUT',
+          then: Joi.required(),
+          otherwise: Joi.optional()
+        })
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const existing = await db.cashDrawerSession.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!existing || !canOperate(existing, req.employee)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found'
+        });
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        const drawer = await CashDrawerService.lockOpen(tx, id);
+        if (!drawer) {
+          return { conflict: 'Cash drawer is not open' };
+        }
+
+        const { expectedCash } = CashDrawerService.summarize(drawer, await CashDrawerService.activity(tx, id));
+        if (value.amount > expectedCash) {
+          return { conflict: 'Not enough cash in the drawer' };
+        }
+
+        const movement = await tx.cashMovement.create({
+          data: {
+            companyId,
+            sessionId: id,
+            type: value.type,
+            amount: value.amount,
+            reason: value.reason || null,
+            actorCpf: req.employee.cpf
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: value.type === 'DROP' ? 'CASH_DROP' : 'CASH_PAID_OUT',
+            targetType: 'CASH_DRAWER',
+            targetId: id,
+            metadataJson: {
+              movementId: movement.id,
+              amount: value.amount,
+              reason: value.reason || null
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { movement };
+      });
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.movement,
+        message: value.type === 'DROP' ? 'Cash drop recorded' : 'Paid-out recorded'
+      });
+    } catch (error) {
+      console.error('Error recording cash movement:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording cash movement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close a drawer with its blind count. What it should have held and the
+   * over/short are worked out and kept for the manager's sign-off.
+   */
+  async closeDrawer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        countedCash: Joi.number().min(0).precision(2).required(),
+        notes: Joi.string().max(500).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const existing = await db.cashDrawerSession.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!existing || !canOperate(existing, req.employee)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found'
+        });
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        // Sales finalized into this drawer wait for the lock, so the total is final
+        const drawer = await CashDrawerService.lockOpen(tx, id);
+        if (!drawer) {
+          return { conflict: 'Cash drawer is not open' };
+        }
+
+        const { expectedCash } = CashDrawerService.summarize(drawer, await CashDrawerService.activity(tx, id));
+        const overShort = CashDrawerService.overShort(value.countedCash, expectedCash);
+
+        await tx.cashDrawerSession.update({
+          where: { id },
+          data: {
+            status: 'CLOSED',
+            closedAt: new Date(),
+            countedCash: value.countedCash,
+            expectedCash,
+            overShort,
+            closeNotes: value.notes || null
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'CLOSE_CASH_DRAWER',
+            targetType: 'CASH_DRAWER',
+            targetId: id,
+            metadataJson: {
+              countedCash: value.countedCash,
+              expectedCash,
+              overShort
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { drawer: await findDrawer(tx, companyId, id) };
+      });
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await describeDrawer(db, result.drawer, req.employee),
+        message: 'Cash drawer closed; awaiting sign-off'
+      });
+    } catch (error) {
+      console.error('Error closing cash drawer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error closing cash drawer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Sign off a closed drawer. Nobody signs off a drawer they ran.
+   */
+  async approveDrawer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        notes: Joi.string().max(500).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const drawer = await db.cashDrawerSession.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!drawer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found'
+        });
+      }
+
+      if (drawer.employeeCpf === req.employee.cpf) {
+        return res.status(403).json({
+          success: false,
+          message: 'A cash drawer must be signed off by someone other than its cashier'
+        });
+      }
+
+      const { count } = await db.cashDrawerSession.updateMany({
+        where: { id, status: 'CLOSED' },
+        data: {
+          status: 'APPROVED',
+          reviewedByCpf: req.employee.cpf,
+          reviewedAt: new Date(),
+          reviewNotes: value.notes || null
+        }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Cash drawer is ${drawer.status}`
+        });
+      }
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'APPROVE_CASH_DRAWER',
+          targetType: 'CASH_DRAWER',
+          targetId: id,
+          metadataJson: {
+            overShort: drawer.overShort,
+            notes: value.notes || null
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: await describeDrawer(db, await findDrawer(db, companyId, id), req.employee),
+        message: 'Cash drawer signed off successfully'
+      });
+    } catch (error) {
+      console.error('Error signing off cash drawer:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error signing off cash drawer',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Z-report of a closed drawer, as JSON or as printable text
+   */
+  async getZReport(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        format: Joi.string().valid('json', 'text').default('json')
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const drawer = await findDrawer(db, companyId, req.params.id);
+      if (!drawer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cash drawer not found'
+        });
+      }
+
+      if (drawer.status === 'OPEN') {
+        return res.status(409).json({
+          success: false,
+          message: 'Cash drawer is still open'
+        });
+      }
+
+      const summary = CashDrawerService.summarize(drawer, await CashDrawerService.activity(db, drawer.id));
+      const text = CashDrawerService.zReport(drawer, summary);
+
+      if (value.format === 'text') {
+        return res.type('text/plain').send(text);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          drawer,
+          summary,
+          text
+        }
+      });
+    } catch (error) {
+      console.error('Error generating Z-report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating Z-report',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CashDrawerController();
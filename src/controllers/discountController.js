@@ -1,5 +1,16 @@
 const Joi = require('joi');
 const { db } = require('../database/prisma');
+const DiscountEngine = require('../services/discountEngine');
+
+const ROOM_TYPES = ['TWO_D', 'THREE_D', 'IMAX', 'EXTREME', 'VIP'];
+
+// Line targeting shared by create and update
+const targetingSchema = {
+  targetSkus: Joi.array().items(Joi.string().max(50)).unique(),
+  targetCategories: Joi.array().items(Joi.string().max(100)).unique(),
+  targetRoomTypes: Joi.array().items(Joi.string().valid(...ROOM_TYPES)).unique(),
+  targetSessionIds: Joi.array().items(Joi.string().uuid()).unique()
+};
 
 class DiscountController {
   /**
@@ -18,7 +29,8 @@ class DiscountController {
         validTo: Joi.date().greater(Joi.ref('validFrom')).required(),
         cpfRangeStart: Joi.string().length(11).pattern(/^\d+$/).optional(),
         cpfRangeEnd: Joi.string().length(11).pattern(/^\d+$/).optional(),
-        maxUses: Joi.number().integer().min(1).optional()
+        maxUses: Joi.number().integer().min(1).optional(),
+        ...targetingSchema
       });
 
       const { error, value } = schema.validate(req.body);
@@ -55,6 +67,14 @@ class DiscountController {
         });
       }
 
+      // BOGO value is the percent taken off the free unit
+      if (value.type === 'BOGO' && value.value > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'BOGO discount cannot exceed 100% of the free item'
+        });
+      }
+
       // Create discount code
       const discountCode = await db.discountCode.create({
         data: {
@@ -69,7 +89,11 @@ class DiscountController {
           cpfRangeEnd: value.cpfRangeEnd || null,
           maxUses: value.maxUses || null,
           currentUses: 0,
-          isActive: true
+          isActive: true,
+          targetSkus: value.targetSkus || [],
+          targetCategories: value.targetCategories || [],
+          targetRoomTypes: value.targetRoomTypes || [],
+          targetSessionIds: value.targetSessionIds || []
         }
       });
 
@@ -251,7 +275,8 @@ class DiscountController {
         validFrom: Joi.date().optional(),
         validTo: Joi.date().optional(),
         maxUses: Joi.number().integer().min(1).optional().allow(null),
-        isActive: Joi.boolean().optional()
+        isActive: Joi.boolean().optional(),
+        ...targetingSchema
       });
 
       const { error, value } = schema.validate(req.body);
@@ -304,7 +329,11 @@ class DiscountController {
           ...(value.validFrom && { validFrom: new Date(value.validFrom) }),
           ...(value.validTo && { validTo: new Date(value.validTo) }),
           ...(value.maxUses !== undefined && { maxUses: value.maxUses }),
-          ...(value.isActive !== undefined && { isActive: value.isActive })
+          ...(value.isActive !== undefined && { isActive: value.isActive }),
+          ...(value.targetSkus && { targetSkus: value.targetSkus }),
+          ...(value.targetCategories && { targetCategories: value.targetCategories }),
+          ...(value.targetRoomTypes && { targetRoomTypes: value.targetRoomTypes }),
+          ...(value.targetSessionIds && { targetSessionIds: value.targetSessionIds })
         }
       });
 
@@ -383,7 +412,9 @@ class DiscountController {
       const { code } = req.params;
 
       const schema = Joi.object({
-        customerCpf: Joi.string().length(11).pattern(/^\d+$/).optional()
+        customerCpf: Joi.string().length(11).pattern(/^\d+$/).optional(),
+        saleId: Joi.string().uuid().optional(),
+        subtotal: Joi.number().min(0).optional()
       });
 
       const { error, value } = schema.validate(req.query);
@@ -412,35 +443,15 @@ class DiscountController {
         });
       }
 
-      const now = new Date();
-      const validationErrors = [];
-
-      // Check if active
-      if (!discountCode.isActive) {
-        validationErrors.push('Discount code is inactive');
-      }
-
-      // Check date validity
-      if (now < discountCode.validFrom) {
-        validationErrors.push('Discount code not yet valid');
-      }
-      if (now > discountCode.validTo) {
-        validationErrors.push('Discount code has expired');
-      }
-
-      // Check max uses
-      if (discountCode.maxUses && discountCode.currentUses >= discountCode.maxUses) {
-        validationErrors.push('Discount code usage limit reached');
-      }
-
-      // Check CPF range if specified
-      if (value.customerCpf && discountCode.cpfRangeStart && discountCode.cpfRangeEnd) {
-        if (value.customerCpf < discountCode.cpfRangeStart || value.customerCpf > discountCode.cpfRangeEnd) {
-          validationErrors.push('Customer CPF not eligible for this discount');
-        }
-      }
+      // Same checks and preview as POST /sales/discount/validate
+      const { errors: validationErrors, preview } = await DiscountEngine.validate(companyId, discountCode, {
+        saleId: value.saleId,
+        subtotal: value.subtotal,
+        customerCpf: value.customerCpf
+      });
 
       const isValid = validationErrors.length === 0;
+      const hasPreview = Boolean(value.saleId) || value.subtotal !== undefined;
 
       res.json({
         success: true,
@@ -455,11 +466,20 @@ class DiscountController {
             description: discountCode.description
           }
         }),
+        ...(isValid && hasPreview && { preview }),
         ...(!isValid && {
           errors: validationErrors
         })
       });
     } catch (error) {
+      if (error.message === 'Sale not found') {
+        return res.status(404).json({
+          success: false,
+          valid: false,
+          message: error.message
+        });
+      }
+
       console.error('Error validating discount code:', error);
       res.status(500).json({
         success: false,
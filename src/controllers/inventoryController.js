@@ -1,5 +1,79 @@
 const Joi = require('joi');
 const { db } = require('../database/prisma');
+const BundleService = require('../services/bundleService');
+const BarcodeService = require('../services/barcodeService');
+const CostingService = require('../services/costingService');
+const LotService = require('../services/lotService');
+const LocationService = require('../services/locationService');
+const { toCents, fromCents } = require('../utils/money');
+
+const bundleInclude = {
+  include: {
+    components: {
+      include: { component: true },
+      orderBy: { componentSku: 'asc' }
+    }
+  }
+};
+
+// Units that can be sold: a bundle is limited by the stock of its components
+const availableQty = (item) => item.bundle ? BundleService.availability(item.bundle).available : item.qtyOnHand;
+
+const findSupplier = (companyId, id) => db.supplier.findFirst({
+  where: { id, companyId }
+});
+
+// Stock figures shown with a single item
+const describeStock = (item) => ({
+  availableQty: availableQty(item),
+  isLowStock: availableQty(item) <= item.reorderLevel,
+  stockStatus: availableQty(item) === 0 ? 'OUT_OF_STOCK'
+    : availableQty(item) <= item.reorderLevel ? 'LOW_STOCK'
+      : 'IN_STOCK',
+  itemType: item.food ? 'FOOD' : item.collectable ? 'COLLECTABLE' : 'GENERAL'
+});
+
+// Every barcode of an item, the primary one first
+const itemBarcodes = (primary, others = []) => [...new Set([primary, ...others]
+  .filter(Boolean)
+  .map(barcode => BarcodeService.normalize(barcode)))];
+
+/**
+ * Check the barcodes an item is given: valid, not listed twice and not
+ * already another item's
+ * @returns {Object} { errors, conflicts: [{ barcode, sku, name }] }
+ */
+const checkBarcodes = async (companyId, sku, barcodes) => {
+  const errors = [
+    ...barcodes.map(barcode => BarcodeService.validate(barcode)).filter(Boolean),
+    ...BarcodeService.duplicates(barcodes).map(barcode => `Barcode ${barcode} is listed more than once`)
+  ];
+  if (errors.length > 0) {
+    return { errors, conflicts: [] };
+  }
+
+  const found = await BarcodeService.findItems(db, companyId, barcodes);
+  const conflicts = barcodes.flatMap(barcode => found.get(barcode)
+    .filter(item => item.sku !== sku)
+    .map(item => ({ barcode, sku: item.sku, name: item.name })));
+
+  return { errors, conflicts };
+};
+
+// Make an item's barcodes exactly the ones given
+const syncBarcodes = async (tx, companyId, sku, barcodes) => {
+  const current = await tx.inventoryBarcode.findMany({
+    where: { companyId, sku }
+  });
+  const { add, remove } = BarcodeService.diff(current, barcodes);
+
+  await tx.inventoryBarcode.deleteMany({
+    where: { id: { in: remove } }
+  });
+  await tx.inventoryBarcode.createMany({
+    data: add.map(barcode => ({ companyId, sku, barcode }))
+  });
+};
 
 class InventoryController {
   /**
@@ -38,7 +112,7 @@ class InventoryController {
           OR: [
             { name: { contains: search, mode: 'insensitive' } },
             { sku: { contains: search, mode: 'insensitive' } },
-            { barcode: { contains: search, mode: 'insensitive' } }
+            { barcodes: { some: { barcode: { contains: search, mode: 'insensitive' } } } }
           ]
         })
       };
@@ -63,7 +137,8 @@ class InventoryController {
           where,
           include: {
             food: true,
-            collectable: true
+            collectable: true,
+            bundle: bundleInclude
           },
           orderBy: {
             name: 'asc'
@@ -77,22 +152,23 @@ class InventoryController {
       // Filter low stock items if requested
       let filteredItems = items;
       if (lowStock === true) {
-        filteredItems = items.filter(item => item.qtyOnHand <= item.reorderLevel);
+        filteredItems = items.filter(item => availableQty(item) <= item.reorderLevel);
       }
 
       // Add low stock alerts
       const itemsWithAlerts = filteredItems.map(item => ({
         ...item,
-        isLowStock: item.qtyOnHand <= item.reorderLevel,
-        stockStatus: item.qtyOnHand === 0 ? 'OUT_OF_STOCK'
-          : item.qtyOnHand <= item.reorderLevel ? 'LOW_STOCK'
+        availableQty: availableQty(item),
+        isLowStock: availableQty(item) <= item.reorderLevel,
+        stockStatus: availableQty(item) === 0 ? 'OUT_OF_STOCK'
+          : availableQty(item) <= item.reorderLevel ? 'LOW_STOCK'
             : 'IN_STOCK',
         itemType: item.food ? 'FOOD' : item.collectable ? 'COLLECTABLE' : 'GENERAL'
       }));
 
       // Calculate summary
-      const lowStockCount = items.filter(item => item.qtyOnHand <= item.reorderLevel).length;
-      const outOfStockCount = items.filter(item => item.qtyOnHand === 0).length;
+      const lowStockCount = items.filter(item => availableQty(item) <= item.reorderLevel).length;
+      const outOfStockCount = items.filter(item => availableQty(item) === 0).length;
 
       res.json({
         success: true,
@@ -127,14 +203,33 @@ class InventoryController {
     try {
       const companyId = req.employee.companyId;
 
+      const schema = Joi.object({
+        // Only this location's alerts in locationAlerts
+        locationId: Joi.string().uuid().optional()
+      });
+
+      const { error, value } = schema.validate(req.query, { allowUnknown: true });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      // Bundles are restocked through their components
       const items = await db.inventoryItem.findMany({
         where: {
           companyId,
-          isActive: true
+          isActive: true,
+          bundle: { is: null }
         },
         include: {
           food: true,
-          collectable: true
+          collectable: true,
+          preferredSupplier: {
+            select: { id: true, name: true }
+          }
         }
       });
 
@@ -151,13 +246,40 @@ class InventoryController {
         }))
         .sort((a, b) => a.qtyOnHand - b.qtyOnHand);
 
+      // Locations alert against their own reorder levels, e.g. the bar running out while the stockroom is full
+      const locationStock = await db.locationStock.findMany({
+        where: {
+          companyId,
+          reorderLevel: { not: null },
+          ...(value.locationId && { locationId: value.locationId }),
+          location: { isActive: true },
+          item: { isActive: true }
+        },
+        include: {
+          location: {
+            select: { name: true }
+          },
+          item: {
+            select: { name: true }
+          }
+        }
+      });
+
+      const locationAlerts = LocationService.lowStock(locationStock).map(({ location, item, ...row }) => ({
+        ...row,
+        location: location.name,
+        name: item.name
+      }));
+
       res.json({
         success: true,
         data: lowStockItems,
+        locationAlerts,
         summary: {
           critical: lowStockItems.filter(i => i.priority === 'CRITICAL').length,
           high: lowStockItems.filter(i => i.priority === 'HIGH').length,
-          medium: lowStockItems.filter(i => i.priority === 'MEDIUM').length
+          medium: lowStockItems.filter(i => i.priority === 'MEDIUM').length,
+          locationAlerts: locationAlerts.length
         }
       });
     } catch (error) {
@@ -186,6 +308,18 @@ class InventoryController {
         include: {
           food: true,
           collectable: true,
+          bundle: bundleInclude,
+          barcodes: {
+            select: { barcode: true },
+            orderBy: { createdAt: 'asc' }
+          },
+          locationStock: {
+            include: {
+              location: {
+                select: { name: true, isActive: true }
+              }
+            }
+          },
           adjustments: {
             include: {
               actor: {
@@ -234,11 +368,7 @@ class InventoryController {
         success: true,
         data: {
           ...item,
-          isLowStock: item.qtyOnHand <= item.reorderLevel,
-          stockStatus: item.qtyOnHand === 0 ? 'OUT_OF_STOCK'
-            : item.qtyOnHand <= item.reorderLevel ? 'LOW_STOCK'
-              : 'IN_STOCK',
-          itemType: item.food ? 'FOOD' : item.collectable ? 'COLLECTABLE' : 'GENERAL'
+          ...describeStock(item)
         }
       });
     } catch (error) {
@@ -251,6 +381,74 @@ class InventoryController {
     }
   }
 
+  /**
+   * Look up the item a barcode is printed on, for the POS
+   */
+  async getItemByBarcode(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const barcode = BarcodeService.normalize(req.params.barcode);
+
+      // A bad check digit is a misread, not an unknown item
+      const invalid = BarcodeService.validate(barcode);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+
+      const matches = (await BarcodeService.findItems(db, companyId, [barcode])).get(barcode);
+
+      if (matches.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No item with this barcode'
+        });
+      }
+
+      if (matches.length > 1) {
+        return res.status(409).json({
+          success: false,
+          message: 'Barcode matches more than one item',
+          items: matches.map(item => ({ sku: item.sku, name: item.name }))
+        });
+      }
+
+      const item = await db.inventoryItem.findFirst({
+        where: {
+          companyId,
+          sku: matches[0].sku
+        },
+        include: {
+          food: true,
+          collectable: true,
+          bundle: bundleInclude,
+          barcodes: {
+            select: { barcode: true },
+            orderBy: { createdAt: 'asc' }
+          }
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...item,
+          ...describeStock(item),
+          scannedBarcode: barcode
+        }
+      });
+    } catch (error) {
+      console.error('Error looking up barcode:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error looking up barcode',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * US-020: Create new inventory item
    */
@@ -262,9 +460,16 @@ class InventoryController {
         sku: Joi.string().max(50).required(),
         name: Joi.string().max(200).required(),
         unitPrice: Joi.number().min(0).required(),
+        // Opening cost of the initial stock; later receipts average into it
+        unitCost: Joi.number().min(0).precision(4).optional(),
         qtyOnHand: Joi.number().integer().min(0).default(0),
+        // Where the initial stock is; the default location when omitted
+        locationId: Joi.string().uuid().optional(),
         reorderLevel: Joi.number().integer().min(0).required(),
         barcode: Joi.string().max(50).optional(),
+        // Further barcodes the item is scanned by
+        barcodes: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+        preferredSupplierId: Joi.string().uuid().optional(),
         itemType: Joi.string().valid('food', 'collectable', 'general').required(),
         // Food specific fields
         expiryDate: Joi.date().optional(),
@@ -299,6 +504,39 @@ class InventoryController {
         });
       }
 
+      if (value.preferredSupplierId && !(await findSupplier(companyId, value.preferredSupplierId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      const location = await LocationService.resolve(db, companyId, value.locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const barcodes = itemBarcodes(value.barcode, value.barcodes);
+      const { errors: barcodeErrors, conflicts } = await checkBarcodes(companyId, value.sku, barcodes);
+      if (barcodeErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid barcodes',
+          errors: barcodeErrors
+        });
+      }
+
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Barcode already assigned to another item',
+          conflicts
+        });
+      }
+
       // Create item with type-specific data
       const item = await db.inventoryItem.create({
         data: {
@@ -306,9 +544,11 @@ class InventoryController {
           companyId,
           name: value.name,
           unitPrice: value.unitPrice,
+          unitCost: value.unitCost !== undefined ? value.unitCost : null,
           qtyOnHand: value.qtyOnHand,
           reorderLevel: value.reorderLevel,
-          barcode: value.barcode || null,
+          barcode: barcodes[0] || null,
+          preferredSupplierId: value.preferredSupplierId || null,
           isActive: true,
           ...(value.itemType === 'food' && {
             food: {
@@ -334,6 +574,29 @@ class InventoryController {
         }
       });
 
+      await db.inventoryBarcode.createMany({
+        data: barcodes.map(barcode => ({ companyId, sku: value.sku, barcode }))
+      });
+
+      if (value.qtyOnHand > 0) {
+        await LocationService.adjustLocation(db, companyId, location.id, value.sku, value.qtyOnHand);
+      }
+
+      // Dated food stock starts out as its first lot
+      const initialLot = value.qtyOnHand > 0 && value.itemType === 'food' && value.expiryDate
+        ? await db.inventoryLot.create({
+          data: {
+            companyId,
+            sku: value.sku,
+            locationId: location.id,
+            expiryDate: value.expiryDate,
+            receivedQuantity: value.qtyOnHand,
+            quantity: value.qtyOnHand,
+            unitCost: value.unitCost !== undefined ? value.unitCost : null
+          }
+        })
+        : null;
+
       // Log initial stock if any
       if (value.qtyOnHand > 0) {
         await db.inventoryAdjustment.create({
@@ -343,17 +606,29 @@ class InventoryController {
             delta: value.qtyOnHand,
             reason: 'INITIAL_STOCK',
             actorCpf: req.employee.cpf,
-            notes: 'Initial inventory creation'
+            notes: 'Initial inventory creation',
+            unitCost: value.unitCost !== undefined ? value.unitCost : null,
+            lotId: initialLot ? initialLot.id : null,
+            locationId: location.id
           }
         });
       }
 
       res.status(201).json({
         success: true,
-        data: item,
+        data: {
+          ...item,
+          barcodes: barcodes.map(barcode => ({ barcode }))
+        },
         message: 'Inventory item created successfully'
       });
     } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'Item with this SKU or barcode already exists'
+        });
+      }
       console.error('Error creating inventory item:', error);
       res.status(500).json({
         success: false,
@@ -374,8 +649,13 @@ class InventoryController {
       const schema = Joi.object({
         name: Joi.string().max(200).optional(),
         unitPrice: Joi.number().min(0).optional(),
+        // Revalues the stock on hand; receipts normally maintain it
+        unitCost: Joi.number().min(0).precision(4).optional().allow(null),
         reorderLevel: Joi.number().integer().min(0).optional(),
         barcode: Joi.string().max(50).optional().allow(null),
+        // Replaces the item's other barcodes
+        barcodes: Joi.array().items(Joi.string().max(50)).max(20).optional(),
+        preferredSupplierId: Joi.string().uuid().optional().allow(null),
         // Food specific updates
         expiryDate: Joi.date().optional().allow(null),
         isCombo: Joi.boolean().optional(),
@@ -412,12 +692,58 @@ class InventoryController {
         });
       }
 
+      if (value.preferredSupplierId && !(await findSupplier(companyId, value.preferredSupplierId))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      const changesBarcodes = value.barcode !== undefined || value.barcodes !== undefined;
+      let barcodes = [];
+      let primaryBarcode = existingItem.barcode;
+
+      if (changesBarcodes) {
+        const current = await db.inventoryBarcode.findMany({
+          where: { companyId, sku },
+          orderBy: { createdAt: 'asc' }
+        });
+        const others = value.barcodes !== undefined
+          ? value.barcodes
+          : current.map(row => row.barcode).filter(barcode => barcode !== existingItem.barcode);
+        if (value.barcode !== undefined) {
+          primaryBarcode = value.barcode && BarcodeService.normalize(value.barcode);
+        } else if (!primaryBarcode && others.length > 0) {
+          primaryBarcode = BarcodeService.normalize(others[0]);
+        }
+
+        barcodes = itemBarcodes(primaryBarcode, others);
+        const { errors: barcodeErrors, conflicts } = await checkBarcodes(companyId, sku, barcodes);
+        if (barcodeErrors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid barcodes',
+            errors: barcodeErrors
+          });
+        }
+
+        if (conflicts.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Barcode already assigned to another item',
+            conflicts
+          });
+        }
+      }
+
       // Update base item
       const updateData = {
         ...(value.name && { name: value.name }),
         ...(value.unitPrice !== undefined && { unitPrice: value.unitPrice }),
+        ...(value.unitCost !== undefined && { unitCost: value.unitCost }),
         ...(value.reorderLevel !== undefined && { reorderLevel: value.reorderLevel }),
-        ...(value.barcode !== undefined && { barcode: value.barcode })
+        ...(changesBarcodes && { barcode: primaryBarcode || null }),
+        ...(value.preferredSupplierId !== undefined && { preferredSupplierId: value.preferredSupplierId })
       };
 
       const _item = await db.inventoryItem.update({
@@ -434,6 +760,10 @@ class InventoryController {
         }
       });
 
+      if (changesBarcodes) {
+        await db.$transaction(tx => syncBarcodes(tx, companyId, sku, barcodes));
+      }
+
       // Update food-specific fields
       if (existingItem.food && (value.expiryDate !== undefined || value.isCombo !== undefined || value.foodCategory !== undefined)) {
         await db.food.update({
@@ -475,7 +805,11 @@ class InventoryController {
         },
         include: {
           food: true,
-          collectable: true
+          collectable: true,
+          barcodes: {
+            select: { barcode: true },
+            orderBy: { createdAt: 'asc' }
+          }
         }
       });
 
@@ -485,6 +819,12 @@ class InventoryController {
         message: 'Inventory item updated successfully'
       });
     } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'Barcode already assigned to another item'
+        });
+      }
       console.error('Error updating inventory item:', error);
       res.status(500).json({
         success: false,
@@ -611,7 +951,32 @@ class InventoryController {
           'COUNT_CORRECTION',
           'OTHER'
         ).required(),
-        notes: Joi.string().max(500).optional()
+        notes: Joi.string().max(500).optional(),
+        // Cost of the units added; only stock coming in can carry one
+        unitCost: Joi.number().min(0).precision(4).when('delta', {
+          is: Joi.number().greater(0),
+          then: Joi.optional(),
+          otherwise: Joi.forbidden()
+        }),
+        // Units added with an expiry or batch number go into a new lot
+        expiryDate: Joi.date().when('delta', {
+          is: Joi.number().greater(0),
+          then: Joi.optional(),
+          otherwise: Joi.forbidden()
+        }),
+        lotCode: Joi.string().max(50).when('delta', {
+          is: Joi.number().greater(0),
+          then: Joi.optional(),
+          otherwise: Joi.forbidden()
+        }),
+        // Units removed come out of this lot instead of first-expired-first-out
+        lotId: Joi.string().uuid().when('delta', {
+          is: Joi.number().less(0),
+          then: Joi.optional(),
+          otherwise: Joi.forbidden()
+        }),
+        // Location whose stock changes: the lot's, else the default location
+        locationId: Joi.string().uuid().optional()
       });
 
       const { error, value } = schema.validate(req.body);
@@ -637,53 +1002,132 @@ class InventoryController {
         });
       }
 
-      // Check if adjustment would result in negative stock
-      const newQty = item.qtyOnHand + value.delta;
-      if (newQty < 0) {
+      let lot = null;
+      if (value.lotId) {
+        lot = await db.inventoryLot.findFirst({
+          where: {
+            id: value.lotId,
+            companyId,
+            sku
+          }
+        });
+
+        if (!lot) {
+          return res.status(404).json({
+            success: false,
+            message: 'Lot not found'
+          });
+        }
+
+        if (lot.quantity < -value.delta) {
+          return res.status(400).json({
+            success: false,
+            message: 'Adjustment exceeds the quantity left in the lot',
+            lotQuantity: lot.quantity,
+            requestedChange: value.delta
+          });
+        }
+
+        if (value.locationId && value.locationId !== lot.locationId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Lot is at another location'
+          });
+        }
+      }
+
+      const location = await LocationService.resolve(db, companyId, lot ? lot.locationId : value.locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      // Check if adjustment would result in negative stock at the location
+      const locationQty = (await LocationService.quantities(db, location.id, [sku])).get(sku);
+      if (locationQty + value.delta < 0) {
         return res.status(400).json({
           success: false,
           message: 'Adjustment would result in negative stock',
-          currentStock: item.qtyOnHand,
+          location: location.name,
+          currentStock: locationQty,
           requestedChange: value.delta,
-          resultingStock: newQty
+          resultingStock: locationQty + value.delta
         });
       }
 
-      // Create adjustment record
-      const adjustment = await db.inventoryAdjustment.create({
-        data: {
-          companyId,
-          sku,
-          delta: value.delta,
-          reason: value.reason,
-          actorCpf: req.employee.cpf,
-          notes: value.notes || null
-        },
-        include: {
-          actor: {
-            include: {
-              person: {
-                select: {
-                  fullName: true
-                }
-              }
+      const newQty = item.qtyOnHand + value.delta;
+
+      const { adjustment, updatedItem } = await db.$transaction(async (tx) => {
+        if (value.delta > 0 && (value.expiryDate || value.lotCode)) {
+          lot = await tx.inventoryLot.create({
+            data: {
+              companyId,
+              sku,
+              locationId: location.id,
+              lotCode: value.lotCode || null,
+              expiryDate: value.expiryDate || null,
+              receivedQuantity: value.delta,
+              quantity: value.delta,
+              unitCost: value.unitCost !== undefined ? value.unitCost : null
             }
-          },
-          item: true
+          });
+        } else if (lot) {
+          await tx.inventoryLot.update({
+            where: { id: lot.id },
+            data: {
+              quantity: { decrement: -value.delta }
+            }
+          });
+        } else if (value.delta < 0) {
+          await LotService.consume(tx, companyId, sku, -value.delta, location.id);
         }
-      });
 
-      // Update inventory quantity
-      const updatedItem = await db.inventoryItem.update({
-        where: {
-          companyId_sku: {
+        // Create adjustment record
+        const adjustment = await tx.inventoryAdjustment.create({
+          data: {
             companyId,
-            sku
+            sku,
+            delta: value.delta,
+            reason: value.reason,
+            actorCpf: req.employee.cpf,
+            notes: value.notes || null,
+            unitCost: value.unitCost !== undefined ? value.unitCost : null,
+            lotId: lot ? lot.id : null,
+            locationId: location.id
+          },
+          include: {
+            actor: {
+              include: {
+                person: {
+                  select: {
+                    fullName: true
+                  }
+                }
+              }
+            },
+            item: true,
+            lot: true
           }
-        },
-        data: {
-          qtyOnHand: newQty
-        }
+        });
+
+        // Update inventory quantity
+        await LocationService.adjustLocation(tx, companyId, location.id, sku, value.delta);
+        const updatedItem = await tx.inventoryItem.update({
+          where: {
+            companyId_sku: {
+              companyId,
+              sku
+            }
+          },
+          data: {
+            qtyOnHand: newQty,
+            unitCost: CostingService.weightedAverage(item.qtyOnHand, item.unitCost, value.delta, value.unitCost)
+          }
+        });
+
+        return { adjustment, updatedItem };
       });
 
       res.status(201).json({
@@ -695,7 +1139,14 @@ class InventoryController {
             name: updatedItem.name,
             previousQty: item.qtyOnHand,
             newQty: updatedItem.qtyOnHand,
+            unitCost: updatedItem.unitCost,
             isLowStock: updatedItem.qtyOnHand <= updatedItem.reorderLevel
+          },
+          location: {
+            id: location.id,
+            name: location.name,
+            previousQty: locationQty,
+            newQty: locationQty + value.delta
           }
         },
         message: 'Inventory adjustment recorded successfully'
@@ -720,6 +1171,7 @@ class InventoryController {
       const schema = Joi.object({
         sku: Joi.string().max(50).optional(),
         reason: Joi.string().optional(),
+        locationId: Joi.string().uuid().optional(),
         actorCpf: Joi.string().length(11).optional(),
         startDate: Joi.date().optional(),
         endDate: Joi.date().optional(),
@@ -736,13 +1188,14 @@ class InventoryController {
         });
       }
 
-      const { sku, reason, actorCpf, startDate, endDate, page, limit } = value;
+      const { sku, reason, locationId, actorCpf, startDate, endDate, page, limit } = value;
       const skip = (page - 1) * limit;
 
       const where = {
         companyId,
         ...(sku && { sku }),
         ...(reason && { reason }),
+        ...(locationId && { locationId }),
         ...(actorCpf && { actorCpf }),
         ...((startDate || endDate) && {
           timestamp: {
@@ -763,6 +1216,9 @@ class InventoryController {
                 qtyOnHand: true
               }
             },
+            location: {
+              select: { id: true, name: true }
+            },
             actor: {
               include: {
                 person: {
@@ -891,7 +1347,7 @@ class InventoryController {
   }
 
   /**
-   * US-021: Get items expiring soon
+   * US-021: Get lots expiring soon, with the stock value at risk
    */
   async getExpiringItems(req, res) {
     try {
@@ -911,80 +1367,509 @@ class InventoryController {
       }
 
       const { days } = value;
-      const futureDate = new Date();
-      futureDate.setDate(futureDate.getDate() + days);
+      const now = new Date();
+      const horizon = LotService.today(now);
+      horizon.setUTCDate(horizon.getUTCDate() + days);
 
-      const expiringItems = await db.inventoryItem.findMany({
+      // Lots past their expiry that were not written off yet are included as expired
+      const lots = await db.inventoryLot.findMany({
         where: {
           companyId,
-          isActive: true,
-          food: {
-            expiryDate: {
-              lte: futureDate,
-              gte: new Date()
+          quantity: { gt: 0 },
+          expiryDate: {
+            not: null,
+            lte: horizon
+          },
+          item: { isActive: true }
+        },
+        include: {
+          item: {
+            select: {
+              name: true,
+              unitCost: true
             }
+          },
+          location: {
+            select: { name: true }
           }
         },
-        include: {
-          food: true
+        orderBy: [
+          { expiryDate: 'asc' },
+          { receivedAt: 'asc' }
+        ]
+      });
+
+      const entries = lots.map(lot => LotService.describe(lot, now));
+      const expiringItems = entries.filter(l => l.daysRemaining >= 0);
+      const expiredItems = entries.filter(l => l.daysRemaining < 0);
+      const valueOf = (list) => fromCents(list.reduce((sum, l) => sum + toCents(l.valueAtRisk), 0));
+
+      res.json({
+        success: true,
+        // One entry per lot, so an item can appear once per expiry date
+        data: {
+          expiringItems,
+          expiredItems
         },
-        orderBy: {
-          food: {
-            expiryDate: 'asc'
-          }
+        summary: {
+          expiringInNext7Days: expiringItems.filter(l => l.daysRemaining <= 7).length,
+          expiringInNext30Days: expiringItems.length,
+          expired: expiredItems.length,
+          criticalAction: expiringItems.filter(l => l.priority === 'CRITICAL').length,
+          valueAtRisk: valueOf(expiringItems),
+          expiredValue: valueOf(expiredItems),
+          // Lots whose item has no cost yet are left out of the values above
+          uncostedLots: entries.filter(l => l.valueAtRisk === null).length
         }
       });
+    } catch (error) {
+      console.error('Error fetching expiring items:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching expiring items',
+        error: error.message
+      });
+    }
+  }
 
-      const expiredItems = await db.inventoryItem.findMany({
-        where: {
-          companyId,
-          isActive: true,
-          food: {
-            expiryDate: {
-              lt: new Date()
+  /**
+   * Lots of an item still holding stock, in the order they will be used
+   */
+  async getLots(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { sku } = req.params;
+
+      const item = await db.inventoryItem.findFirst({
+        where: { sku, companyId },
+        include: {
+          lots: {
+            where: { quantity: { gt: 0 } },
+            include: {
+              location: {
+                select: { id: true, name: true }
+              }
+            }
+          },
+          locationStock: {
+            include: {
+              location: {
+                select: { name: true }
+              }
             }
           }
+        }
+      });
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory item not found'
+        });
+      }
+
+      const lotted = item.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+      res.json({
+        success: true,
+        data: {
+          sku,
+          qtyOnHand: item.qtyOnHand,
+          // Stock received without an expiry or batch number, used after the lots
+          unlottedQty: Math.max(0, item.qtyOnHand - lotted),
+          locations: item.locationStock.map(stock => ({
+            locationId: stock.locationId,
+            name: stock.location.name,
+            qtyOnHand: stock.qtyOnHand,
+            unlottedQty: Math.max(0, stock.qtyOnHand - item.lots
+              .filter(lot => lot.locationId === stock.locationId)
+              .reduce((sum, lot) => sum + lot.quantity, 0))
+          })),
+          lots: LotService.fefo(item.lots).map(lot => ({
+            ...lot,
+            daysRemaining: lot.expiryDate ? LotService.daysRemaining(lot.expiryDate) : null
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching lots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching lots',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Write off every lot past its expiry date through EXPIRY adjustments
+   */
+  async writeOffExpiredLots(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const today = LotService.today();
+
+      const writtenOff = await db.$transaction(async (tx) => {
+        // A sale finalized meanwhile must not take units we are writing off
+        await tx.$queryRaw`SELECT id FROM "inventory_lot" WHERE company_id = ${companyId}::uuid AND quantity > 0 AND expiry_date < ${today} FOR UPDATE`;
+
+        const lots = await tx.inventoryLot.findMany({
+          where: {
+            companyId,
+            quantity: { gt: 0 },
+            expiryDate: { lt: today }
+          },
+          include: {
+            item: {
+              select: {
+                name: true,
+                unitCost: true
+              }
+            },
+            location: {
+              select: { name: true }
+            }
+          },
+          orderBy: [
+            { sku: 'asc' },
+            { expiryDate: 'asc' }
+          ]
+        });
+
+        for (const lot of lots) {
+          await tx.inventoryAdjustment.create({
+            data: {
+              companyId,
+              sku: lot.sku,
+              delta: -lot.quantity,
+              reason: 'EXPIRY',
+              actorCpf: req.employee.cpf,
+              notes: `Lot ${lot.lotCode || lot.id} expired on ${lot.expiryDate.toISOString().split('T')[0]}`,
+              lotId: lot.id,
+              locationId: lot.locationId
+            }
+          });
+
+          await LocationService.move(tx, companyId, lot.locationId, lot.sku, -lot.quantity);
+
+          await tx.inventoryLot.update({
+            where: { id: lot.id },
+            data: { quantity: 0 }
+          });
+        }
+
+        const entries = lots.map(lot => LotService.describe(lot));
+
+        if (entries.length > 0) {
+          await tx.auditLog.create({
+            data: {
+              companyId,
+              actorCpf: req.employee.cpf,
+              action: 'WRITE_OFF_EXPIRED_LOTS',
+              targetType: 'INVENTORY',
+              metadataJson: {
+                lots: entries.map(l => ({ lotId: l.lotId, sku: l.sku, quantity: l.quantity, value: l.valueAtRisk }))
+              },
+              ipAddress: req.ip,
+              userAgent: req.get('user-agent')
+            }
+          });
+        }
+
+        return entries;
+      });
+
+      res.json({
+        success: true,
+        data: {
+          writtenOff,
+          totalQuantity: writtenOff.reduce((sum, l) => sum + l.quantity, 0),
+          totalValue: fromCents(writtenOff.reduce((sum, l) => sum + toCents(l.valueAtRisk), 0))
+        },
+        message: `${writtenOff.length} expired lot(s) written off`
+      });
+    } catch (error) {
+      console.error('Error writing off expired lots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error writing off expired lots',
+        error: error.message
+      });
+    }
+  }
+
+
+  /**
+   * Get the bundle recipe of an item with its availability from component stock
+   */
+  async getBundle(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { sku } = req.params;
+
+      const bundle = await BundleService.loadBundle(db, companyId, sku);
+
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bundle not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...bundle,
+          ...BundleService.availability(bundle)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching bundle:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching bundle',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Make an item a bundle, or replace its recipe. Open sales keep the
+   * components their lines were added with.
+   */
+  async setBundle(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { sku } = req.params;
+
+      const schema = Joi.object({
+        includesTicket: Joi.boolean().default(false),
+        ticketPrice: Joi.number().min(0).precision(2).default(0),
+        components: Joi.array().items(Joi.object({
+          sku: Joi.string().max(50).required(),
+          quantity: Joi.number().integer().min(1).default(1),
+          choiceGroup: Joi.string().max(50).optional()
+        })).min(1).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const item = await db.inventoryItem.findFirst({
+        where: {
+          sku,
+          companyId
         },
         include: {
           food: true
         }
       });
 
-      const itemsWithDaysRemaining = expiringItems.map(item => {
-        const daysRemaining = Math.ceil(
-          (new Date(item.food.expiryDate) - new Date()) / (1000 * 60 * 60 * 24)
-        );
-        return {
-          ...item,
-          daysRemaining,
-          priority: daysRemaining <= 3 ? 'CRITICAL'
-            : daysRemaining <= 7 ? 'HIGH'
-              : daysRemaining <= 14 ? 'MEDIUM'
-                : 'LOW',
-          action: daysRemaining <= 3 ? 'REMOVE_IMMEDIATELY'
-            : daysRemaining <= 7 ? 'DISCOUNT_OR_REMOVE'
-              : 'MONITOR'
-        };
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory item not found'
+        });
+      }
+
+      if (value.ticketPrice > 0 && !value.includesTicket) {
+        return res.status(400).json({
+          success: false,
+          message: 'ticketPrice only applies to bundles that include a ticket'
+        });
+      }
+
+      if (value.ticketPrice > parseFloat(item.unitPrice)) {
+        return res.status(400).json({
+          success: false,
+          message: 'ticketPrice cannot exceed the bundle price'
+        });
+      }
+
+      const usedAsComponent = await db.bundleComponent.count({
+        where: {
+          companyId,
+          componentSku: sku
+        }
+      });
+
+      if (usedAsComponent > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Item is a component of another bundle; bundles cannot be nested'
+        });
+      }
+
+      const componentItems = await db.inventoryItem.findMany({
+        where: {
+          companyId,
+          sku: { in: value.components.map(c => c.sku) }
+        },
+        include: {
+          bundle: true
+        }
+      });
+
+      const componentErrors = BundleService.validateComponents(sku, value.components, componentItems);
+      if (componentErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid bundle',
+          errors: componentErrors
+        });
+      }
+
+      await db.$transaction(async (tx) => {
+        await tx.bundle.upsert({
+          where: {
+            companyId_sku: { companyId, sku }
+          },
+          create: {
+            companyId,
+            sku,
+            includesTicket: value.includesTicket,
+            ticketPrice: value.ticketPrice
+          },
+          update: {
+            includesTicket: value.includesTicket,
+            ticketPrice: value.ticketPrice
+          }
+        });
+
+        await tx.bundleComponent.deleteMany({
+          where: { companyId, bundleSku: sku }
+        });
+
+        await tx.bundleComponent.createMany({
+          data: value.components.map(c => ({
+            companyId,
+            bundleSku: sku,
+            componentSku: c.sku,
+            quantity: c.quantity,
+            choiceGroup: c.choiceGroup || null
+          }))
+        });
+
+        if (item.food) {
+          await tx.food.update({
+            where: {
+              companyId_sku: { companyId, sku }
+            },
+            data: { isCombo: true }
+          });
+        }
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'SET_BUNDLE',
+            targetType: 'INVENTORY',
+            targetId: sku,
+            metadataJson: {
+              sku,
+              includesTicket: value.includesTicket,
+              ticketPrice: value.ticketPrice,
+              components: value.components
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
       });
 
+      const bundle = await BundleService.loadBundle(db, companyId, sku);
+
       res.json({
         success: true,
         data: {
-          expiringItems: itemsWithDaysRemaining,
-          expiredItems
+          ...bundle,
+          ...BundleService.availability(bundle)
         },
-        summary: {
-          expiringInNext7Days: itemsWithDaysRemaining.filter(i => i.daysRemaining <= 7).length,
-          expiringInNext30Days: itemsWithDaysRemaining.length,
-          expired: expiredItems.length,
-          criticalAction: itemsWithDaysRemaining.filter(i => i.priority === 'CRITICAL').length
+        message: 'Bundle saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving bundle:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error saving bundle',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Turn a bundle back into a plain item. Sales already made keep their components.
+   */
+  async removeBundle(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { sku } = req.params;
+
+      const bundle = await db.bundle.findUnique({
+        where: {
+          companyId_sku: { companyId, sku }
+        },
+        include: {
+          item: {
+            include: { food: true }
+          }
+        }
+      });
+
+      if (!bundle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Bundle not found'
+        });
+      }
+
+      await db.$transaction(async (tx) => {
+        // Components go with the bundle
+        await tx.bundle.delete({
+          where: {
+            companyId_sku: { companyId, sku }
+          }
+        });
+
+        if (bundle.item.food) {
+          await tx.food.update({
+            where: {
+              companyId_sku: { companyId, sku }
+            },
+            data: { isCombo: false }
+          });
         }
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'REMOVE_BUNDLE',
+            targetType: 'INVENTORY',
+            targetId: sku,
+            metadataJson: { sku },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+      });
+
+      res.json({
+        success: true,
+        message: 'Bundle removed successfully'
       });
     } catch (error) {
-      console.error('Error fetching expiring items:', error);
+      console.error('Error removing bundle:', error);
       res.status(500).json({
         success: false,
-        message: 'Error fetching expiring items',
+        message: 'Error removing bundle',
         error: error.message
       });
     }
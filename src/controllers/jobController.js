@@ -0,0 +1,215 @@
+/**
+ * Job Controller
+ * Platform-wide background jobs: status, run history and manual triggers (System Admin)
+ */
+
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const JobScheduler = require('../services/jobScheduler');
+
+class JobController {
+  /**
+   * List jobs with their schedule, lock and last run
+   */
+  async getAllJobs(req, res) {
+    try {
+      await JobScheduler.register(db);
+
+      const rows = await db.scheduledJob.findMany({
+        include: {
+          runs: {
+            orderBy: { startedAt: 'desc' },
+            take: 1
+          }
+        }
+      });
+
+      const jobs = Object.entries(JobScheduler.jobs).map(([name, definition]) => {
+        const row = rows.find(r => r.name === name);
+        return {
+          name,
+          description: definition.description,
+          schedule: definition.dailyAt ? `daily at ${definition.dailyAt}` : `every ${definition.everySeconds}s`,
+          isEnabled: row.isEnabled,
+          nextRunAt: row.nextRunAt,
+          lastRunAt: row.lastRunAt,
+          running: Boolean(row.lockedUntil && row.lockedUntil > new Date()),
+          lockedBy: row.lockedBy,
+          lastRun: row.runs[0] || null
+        };
+      });
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run history of a job
+   */
+  async getJobRuns(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (!JobScheduler.jobs[name]) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const schema = Joi.object({
+        status: Joi.string().valid('RUNNING', 'SUCCEEDED', 'FAILED').optional(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(50)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { status, page, limit } = value;
+      const where = {
+        jobName: name,
+        ...(status && { status })
+      };
+
+      const [runs, total] = await Promise.all([
+        db.jobRun.findMany({
+          where,
+          orderBy: { startedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        db.jobRun.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching job runs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching job runs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run a job now, on this instance
+   */
+  async triggerJob(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (!JobScheduler.jobs[name]) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      await JobScheduler.register(db);
+
+      const claimed = await JobScheduler.claim(db, name, { manual: true });
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'Job is already running'
+        });
+      }
+
+      const run = await JobScheduler.execute(db, name, {
+        trigger: 'MANUAL',
+        triggeredBy: req.systemAdmin.username
+      });
+
+      res.json({
+        success: run.status === 'SUCCEEDED',
+        data: run,
+        message: run.status === 'SUCCEEDED' ? 'Job completed successfully' : 'Job failed'
+      });
+    } catch (error) {
+      console.error('Error triggering job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error triggering job',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Enable or disable a job's schedule
+   */
+  async updateJob(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (!JobScheduler.jobs[name]) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const schema = Joi.object({
+        isEnabled: Joi.boolean().required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      await JobScheduler.register(db);
+
+      const job = await db.scheduledJob.update({
+        where: { name },
+        data: { isEnabled: value.isEnabled }
+      });
+
+      res.json({
+        success: true,
+        data: job,
+        message: `Job ${value.isEnabled ? 'enabled' : 'disabled'} successfully`
+      });
+    } catch (error) {
+      console.error('Error updating job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating job',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
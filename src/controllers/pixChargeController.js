@@ -0,0 +1,253 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const PixChargeService = require('../services/pixChargeService');
+const PaymentGateway = require('../services/paymentGateway');
+const { PaymentError } = PaymentGateway;
+
+// Items of the API Pix webhook: { pix: [{ endToEndId, txid, valor, horario, ... }] }
+const webhookSchema = Joi.object({
+  pix: Joi.array().items(Joi.object({
+    endToEndId: Joi.string().max(32).required(),
+    txid: Joi.string().max(35).required(),
+    valor: Joi.string().pattern(/^\d+\.\d{2}$/).required(),
+    horario: Joi.string().optional()
+  }).unknown(true)).min(1).required()
+}).unknown(true);
+
+const findCharge = (client, companyId, saleId, id) => client.pixCharge.findFirst({
+  where: { id, saleId, companyId }
+});
+
+class PixChargeController {
+  /**
+   * Charge the balance left on a sale by PIX QR code
+   */
+  async createCharge(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId } = req.params;
+
+      if (!PaymentGateway.providerName('PIX')) {
+        return res.status(409).json({
+          success: false,
+          message: 'PIX charges need a PIX payment provider'
+        });
+      }
+
+      const result = await PixChargeService.create(db, {
+        companyId,
+        saleId,
+        actorCpf: req.employee.cpf
+      });
+
+      if (result.noPixKey) {
+        return res.status(409).json({
+          success: false,
+          message: 'Set the company PIX key in the settings first'
+        });
+      }
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found'
+        });
+      }
+
+      if (result.closed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot charge a closed sale'
+        });
+      }
+
+      if (result.paid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Sale is already fully paid'
+        });
+      }
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'CREATE_PIX_CHARGE',
+          targetType: 'SALE',
+          targetId: saleId,
+          metadataJson: {
+            chargeId: result.charge.id,
+            txid: result.charge.txid,
+            amount: result.charge.amount.toString(),
+            provider: result.charge.provider,
+            replaced: result.replaced
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result.charge,
+        message: 'PIX charge created successfully'
+      });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error creating PIX charge:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating PIX charge',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PIX charge of a sale, to poll while the customer pays
+   */
+  async getCharge(req, res) {
+    try {
+      const { saleId, chargeId } = req.params;
+
+      const charge = await findCharge(db, req.employee.companyId, saleId, chargeId);
+
+      if (!charge) {
+        return res.status(404).json({
+          success: false,
+          message: 'PIX charge not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: charge
+      });
+    } catch (error) {
+      console.error('Error fetching PIX charge:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching PIX charge',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Pay a simulator charge as if the customer had scanned it, for local testing
+   * Goes through the same confirmation as the PSP webhook.
+   */
+  async simulatePayment(req, res) {
+    try {
+      const { saleId, chargeId } = req.params;
+
+      const charge = await findCharge(db, req.employee.companyId, saleId, chargeId);
+
+      if (!charge) {
+        return res.status(404).json({
+          success: false,
+          message: 'PIX charge not found'
+        });
+      }
+
+      if (charge.provider !== 'simulator') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only simulator charges can be paid this way'
+        });
+      }
+
+      if (charge.status !== 'ACTIVE') {
+        return res.status(409).json({
+          success: false,
+          message: `PIX charge is ${charge.status.toLowerCase()}`
+        });
+      }
+
+      const result = await PixChargeService.confirm(db, {
+        txid: charge.txid,
+        endToEndId: `E${Date.now()}${charge.txid.slice(0, 18)}`,
+        valor: parseFloat(charge.amount).toFixed(2)
+      });
+
+      if (result.status === 'DUPLICATE') {
+        return res.status(409).json({
+          success: false,
+          message: 'PIX charge is already paid'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          charge: await findCharge(db, req.employee.companyId, saleId, chargeId),
+          payment: result.payment || null,
+          finalized: Boolean(result.finalized),
+          returned: result.status === 'RETURNED'
+        },
+        message: result.status === 'RETURNED' ? 'PIX received for a sale that no longer takes it was returned' : 'PIX payment simulated successfully'
+      });
+    } catch (error) {
+      console.error('Error simulating PIX payment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error simulating PIX payment',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Webhook the PSP calls when PIX charges are paid
+   * Signed with PIX_WEBHOOK_SECRET; every PIX in it is confirmed on its own.
+   */
+  async receiveWebhook(req, res) {
+    try {
+      if (!PixChargeService.verifySignature(req.rawBody, req.get('x-webhook-signature'))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      const { error, value } = webhookSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const results = [];
+      for (const pix of value.pix) {
+        const result = await PixChargeService.confirm(db, pix);
+        results.push({
+          endToEndId: pix.endToEndId,
+          status: result.status
+        });
+      }
+
+      res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      console.error('Error processing PIX webhook:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing PIX webhook',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PixChargeController();
@@ -0,0 +1,458 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const PricingEngine = require('../services/pricingEngine');
+
+const ROOM_TYPES = ['TWO_D', 'THREE_D', 'IMAX', 'EXTREME', 'VIP'];
+const RULE_TYPES = ['TIME_WINDOW', 'CATEGORY', 'MOVIE_PREMIUM', 'OCCUPANCY'];
+const ADJUSTMENTS = ['PERCENT', 'AMOUNT', 'FIXED_PRICE'];
+const TICKET_CATEGORIES = ['REGULAR', 'STUDENT', 'SENIOR', 'TEACHER', 'DISABLED', 'LOW_INCOME_YOUTH', 'COURTESY'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Rule fields shared by create and new versions
+const ruleSchema = {
+  name: Joi.string().max(100).required(),
+  type: Joi.string().valid(...RULE_TYPES).required(),
+  adjustment: Joi.string().valid(...ADJUSTMENTS).required(),
+  value: Joi.number().precision(2).required(),
+  priority: Joi.number().integer().min(0).max(1000).default(100),
+  weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().default([]),
+  timeFrom: Joi.string().pattern(TIME_PATTERN).allow(null).default(null),
+  timeTo: Joi.string().pattern(TIME_PATTERN).allow(null).default(null),
+  categories: Joi.array().items(Joi.string().valid(...TICKET_CATEGORIES)).unique().default([]),
+  movieIds: Joi.array().items(Joi.string().uuid()).unique().default([]),
+  roomTypes: Joi.array().items(Joi.string().valid(...ROOM_TYPES)).unique().default([]),
+  minOccupancy: Joi.number().min(0).max(100).allow(null).default(null),
+  maxOccupancy: Joi.number().min(0).max(100).allow(null).default(null),
+  effectiveFrom: Joi.date().optional()
+};
+
+// Fields of a validated body that are stored on the rule
+const ruleData = (value) => ({
+  name: value.name,
+  type: value.type,
+  adjustment: value.adjustment,
+  value: value.value,
+  priority: value.priority,
+  weekdays: value.weekdays,
+  timeFrom: value.timeFrom,
+  timeTo: value.timeTo,
+  categories: value.categories,
+  movieIds: value.movieIds,
+  roomTypes: value.roomTypes,
+  minOccupancy: value.minOccupancy,
+  maxOccupancy: value.maxOccupancy
+});
+
+// Most recent version of a rule
+const findLatestVersion = (companyId, ruleKey) => db.pricingRule.findFirst({
+  where: { companyId, ruleKey },
+  orderBy: { version: 'desc' }
+});
+
+class PricingController {
+  /**
+   * Get the pricing rules in effect (now, or at a given time)
+   */
+  async getRules(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        at: Joi.date().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const rules = await PricingEngine.loadRules(db, companyId, value.at || new Date());
+
+      res.json({
+        success: true,
+        data: rules
+      });
+    } catch (error) {
+      console.error('Error fetching pricing rules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching pricing rules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get every version of a pricing rule, newest first
+   */
+  async getRuleVersions(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { ruleKey } = req.params;
+
+      const versions = await db.pricingRule.findMany({
+        where: { companyId, ruleKey },
+        orderBy: { version: 'desc' }
+      });
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pricing rule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: versions
+      });
+    } catch (error) {
+      console.error('Error fetching pricing rule versions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching pricing rule versions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a pricing rule (version 1)
+   */
+  async createRule(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        ruleKey: Joi.string().max(50).pattern(/^[a-z0-9_-]+$/).lowercase().required(),
+        ...ruleSchema
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const ruleErrors = PricingEngine.validateRule(value);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pricing rule',
+          errors: ruleErrors
+        });
+      }
+
+      const existing = await findLatestVersion(companyId, value.ruleKey);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'Pricing rule already exists, create a new version instead'
+        });
+      }
+
+      const rule = await db.pricingRule.create({
+        data: {
+          companyId,
+          ruleKey: value.ruleKey,
+          version: 1,
+          ...ruleData(value),
+          effectiveFrom: value.effectiveFrom ? new Date(value.effectiveFrom) : new Date(),
+          createdByCpf: req.employee.cpf
+        }
+      });
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'CREATE_PRICING_RULE',
+          targetType: 'PRICING_RULE',
+          targetId: rule.id,
+          metadataJson: { ruleKey: rule.ruleKey, version: rule.version },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        message: 'Pricing rule created successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'Pricing rule already exists, create a new version instead'
+        });
+      }
+      console.error('Error creating pricing rule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating pricing rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Change a pricing rule by creating its next version. The previous version
+   * stays on record and stops applying when the new one takes effect.
+   */
+  async updateRule(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { ruleKey } = req.params;
+
+      const { error, value } = Joi.object(ruleSchema).validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const ruleErrors = PricingEngine.validateRule(value);
+      if (ruleErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid pricing rule',
+          errors: ruleErrors
+        });
+      }
+
+      const latest = await findLatestVersion(companyId, ruleKey);
+      if (!latest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pricing rule not found'
+        });
+      }
+
+      const effectiveFrom = value.effectiveFrom ? new Date(value.effectiveFrom) : new Date();
+      if (effectiveFrom < latest.effectiveFrom) {
+        return res.status(400).json({
+          success: false,
+          message: `New version cannot take effect before version ${latest.version} (${latest.effectiveFrom.toISOString()})`
+        });
+      }
+
+      const rule = await db.$transaction(async (tx) => {
+        // Close the previous version where the new one starts
+        if (!latest.effectiveTo || latest.effectiveTo > effectiveFrom) {
+          await tx.pricingRule.update({
+            where: { id: latest.id },
+            data: { effectiveTo: effectiveFrom }
+          });
+        }
+
+        const created = await tx.pricingRule.create({
+          data: {
+            companyId,
+            ruleKey,
+            version: latest.version + 1,
+            ...ruleData(value),
+            effectiveFrom,
+            createdByCpf: req.employee.cpf
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'UPDATE_PRICING_RULE',
+            targetType: 'PRICING_RULE',
+            targetId: created.id,
+            metadataJson: {
+              ruleKey,
+              version: created.version,
+              previousVersionId: latest.id,
+              effectiveFrom
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return created;
+      });
+
+      res.json({
+        success: true,
+        data: rule,
+        message: `Pricing rule version ${rule.version} created successfully`
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'Pricing rule was changed by another request, try again'
+        });
+      }
+      console.error('Error updating pricing rule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating pricing rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retire a pricing rule: its latest version stops applying (now, or at a given time)
+   */
+  async retireRule(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { ruleKey } = req.params;
+
+      const schema = Joi.object({
+        effectiveTo: Joi.date().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const latest = await findLatestVersion(companyId, ruleKey);
+      if (!latest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pricing rule not found'
+        });
+      }
+
+      const now = new Date();
+      if (latest.effectiveTo && latest.effectiveTo <= now) {
+        return res.status(409).json({
+          success: false,
+          message: 'Pricing rule is already retired'
+        });
+      }
+
+      // A version scheduled for the future is retired before it ever applies
+      let effectiveTo = value.effectiveTo ? new Date(value.effectiveTo) : now;
+      if (effectiveTo < latest.effectiveFrom) {
+        effectiveTo = latest.effectiveFrom;
+      }
+
+      const rule = await db.pricingRule.update({
+        where: { id: latest.id },
+        data: { effectiveTo }
+      });
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'RETIRE_PRICING_RULE',
+          targetType: 'PRICING_RULE',
+          targetId: rule.id,
+          metadataJson: { ruleKey, version: rule.version, effectiveTo },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: rule,
+        message: 'Pricing rule retired successfully'
+      });
+    } catch (error) {
+      console.error('Error retiring pricing rule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error retiring pricing rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Quote a ticket price for a session and category, listing the rules applied
+   */
+  async getQuote(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        sessionId: Joi.string().uuid().required(),
+        category: Joi.string().valid(...TICKET_CATEGORIES).default('REGULAR'),
+        at: Joi.date().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const session = await db.session.findFirst({
+        where: {
+          id: value.sessionId,
+          companyId,
+          deletedAt: null
+        },
+        include: {
+          room: true
+        }
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      const quote = await PricingEngine.quote(db, session, {
+        category: value.category,
+        at: value.at || new Date()
+      });
+
+      if (!quote) {
+        return res.status(409).json({
+          success: false,
+          message: 'No price configured for this session or its room type'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          sessionId: session.id,
+          ...quote
+        }
+      });
+    } catch (error) {
+      console.error('Error quoting ticket price:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error quoting ticket price',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PricingController();
@@ -0,0 +1,776 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const PurchasingService = require('../services/purchasingService');
+const CostingService = require('../services/costingService');
+const LocationService = require('../services/locationService');
+
+const STATUSES = ['DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED', 'RECEIVED', 'CANCELED'];
+
+// Line fields of a new or edited order; unitCost defaults to the supplier's catalog cost
+const lineSchema = Joi.object({
+  sku: Joi.string().max(50).required(),
+  quantity: Joi.number().integer().min(1).required(),
+  unitCost: Joi.number().min(0).precision(2).optional()
+});
+
+const orderInclude = {
+  supplier: {
+    select: {
+      id: true,
+      name: true,
+      taxId: true
+    }
+  },
+  lines: {
+    include: {
+      item: {
+        select: { name: true }
+      }
+    },
+    orderBy: { sku: 'asc' }
+  },
+  receipts: {
+    include: {
+      lines: true
+    },
+    orderBy: { receivedAt: 'asc' }
+  }
+};
+
+// Order with its outstanding units and ordered/received value
+const describeOrder = (order) => ({
+  ...order,
+  lines: order.lines.map(line => ({
+    ...line,
+    outstanding: PurchasingService.outstanding(line)
+  })),
+  ...PurchasingService.totals(order)
+});
+
+const findOrder = (client, companyId, id) => client.purchaseOrder.findFirst({
+  where: { id, companyId },
+  include: orderInclude
+});
+
+/**
+ * Build order lines: check the SKUs exist and fill in missing costs from the
+ * supplier's catalog
+ * @returns {Object} { errors, lines }
+ */
+const buildLines = async (companyId, supplierId, requested) => {
+  const skus = requested.map(l => l.sku);
+  const repeated = [...new Set(skus.filter((sku, i) => skus.indexOf(sku) !== i))];
+  if (repeated.length > 0) {
+    return { errors: [`SKUs listed more than once: ${repeated.join(', ')}`] };
+  }
+
+  const [items, supplierItems] = await Promise.all([
+    db.inventoryItem.findMany({
+      where: { companyId, sku: { in: skus } },
+      include: { bundle: true }
+    }),
+    db.supplierItem.findMany({
+      where: { supplierId, sku: { in: skus } }
+    })
+  ]);
+
+  const itemsBySku = new Map(items.map(item => [item.sku, item]));
+  const costs = new Map(supplierItems.map(si => [si.sku, parseFloat(si.unitCost)]));
+  const errors = [];
+
+  for (const sku of skus) {
+    const item = itemsBySku.get(sku);
+    if (!item) {
+      errors.push(`Inventory item ${sku} not found`);
+    } else if (item.bundle) {
+      errors.push(`${sku} is a bundle; order its components instead`);
+    }
+  }
+
+  return {
+    errors,
+    lines: requested.map(l => ({
+      companyId,
+      sku: l.sku,
+      quantityOrdered: l.quantity,
+      unitCost: l.unitCost !== undefined ? l.unitCost : (costs.get(l.sku) || 0)
+    }))
+  };
+};
+
+class PurchaseOrderController {
+  /**
+   * Get purchase orders with filtering and pagination
+   */
+  async getPurchaseOrders(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        status: Joi.string().valid(...STATUSES).optional(),
+        supplierId: Joi.string().uuid().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { status, supplierId, page, limit } = value;
+      const where = {
+        companyId,
+        ...(status && { status }),
+        ...(supplierId && { supplierId })
+      };
+
+      const [orders, totalCount] = await Promise.all([
+        db.purchaseOrder.findMany({
+          where,
+          include: orderInclude,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        db.purchaseOrder.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: orders.map(describeOrder),
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching purchase orders',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a purchase order with its lines and receipts
+   */
+  async getPurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const order = await findOrder(db, companyId, req.params.id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: describeOrder(order)
+      });
+    } catch (error) {
+      console.error('Error fetching purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a draft purchase order
+   */
+  async createPurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        supplierId: Joi.string().uuid().required(),
+        lines: Joi.array().items(lineSchema).min(1).required(),
+        notes: Joi.string().max(500).optional(),
+        expectedAt: Joi.date().optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const supplier = await db.supplier.findFirst({
+        where: { id: value.supplierId, companyId, isActive: true }
+      });
+
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found or inactive'
+        });
+      }
+
+      const built = await buildLines(companyId, supplier.id, value.lines);
+      if (built.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid purchase order lines',
+          errors: built.errors
+        });
+      }
+
+      const created = await db.purchaseOrder.create({
+        data: {
+          companyId,
+          supplierId: supplier.id,
+          notes: value.notes || null,
+          expectedAt: value.expectedAt || null,
+          createdByCpf: req.employee.cpf,
+          lines: {
+            create: built.lines
+          }
+        }
+      });
+
+      const order = await findOrder(db, companyId, created.id);
+
+      res.status(201).json({
+        success: true,
+        data: describeOrder(order),
+        message: 'Purchase order created successfully'
+      });
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Edit a draft purchase order; lines, when sent, replace the current ones
+   */
+  async updatePurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        lines: Joi.array().items(lineSchema).min(1).optional(),
+        notes: Joi.string().max(500).allow(null).optional(),
+        expectedAt: Joi.date().allow(null).optional()
+      }).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const order = await findOrder(db, companyId, id);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      if (order.status !== 'DRAFT') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only draft purchase orders can be edited'
+        });
+      }
+
+      let lines = null;
+      if (value.lines) {
+        const built = await buildLines(companyId, order.supplierId, value.lines);
+        if (built.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid purchase order lines',
+            errors: built.errors
+          });
+        }
+        lines = built.lines;
+      }
+
+      await db.$transaction(async (tx) => {
+        if (lines) {
+          await tx.purchaseOrderLine.deleteMany({
+            where: { purchaseOrderId: id }
+          });
+        }
+
+        await tx.purchaseOrder.update({
+          where: { id },
+          data: {
+            ...(value.notes !== undefined && { notes: value.notes }),
+            ...(value.expectedAt !== undefined && { expectedAt: value.expectedAt }),
+            ...(lines && { lines: { create: lines } })
+          }
+        });
+      });
+
+      res.json({
+        success: true,
+        data: describeOrder(await findOrder(db, companyId, id)),
+        message: 'Purchase order updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Submit a draft purchase order to its supplier
+   */
+  async submitPurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const { count } = await db.purchaseOrder.updateMany({
+        where: { id, companyId, status: 'DRAFT' },
+        data: {
+          status: 'SUBMITTED',
+          submittedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Purchase order not found or is not a draft'
+        });
+      }
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'SUBMIT_PURCHASE_ORDER',
+          targetType: 'PURCHASE_ORDER',
+          targetId: id,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: describeOrder(await findOrder(db, companyId, id)),
+        message: 'Purchase order submitted successfully'
+      });
+    } catch (error) {
+      console.error('Error submitting purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error submitting purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a purchase order. Units already received stay in stock; the rest
+   * is no longer expected.
+   */
+  async cancelPurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        reason: Joi.string().max(500).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { count } = await db.purchaseOrder.updateMany({
+        where: {
+          id,
+          companyId,
+          status: { in: PurchasingService.openStatuses }
+        },
+        data: {
+          status: 'CANCELED',
+          closedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Purchase order not found or already closed'
+        });
+      }
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'CANCEL_PURCHASE_ORDER',
+          targetType: 'PURCHASE_ORDER',
+          targetId: id,
+          metadataJson: { reason: value.reason },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: describeOrder(await findOrder(db, companyId, id)),
+        message: 'Purchase order canceled successfully'
+      });
+    } catch (error) {
+      console.error('Error canceling purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error canceling purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Receive a (partial) delivery: restocks each SKU through a RESTOCK
+   * adjustment and records the cost paid, which also becomes the supplier's
+   * current cost for the item
+   */
+  async receivePurchaseOrder(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        lines: Joi.array().items(Joi.object({
+          sku: Joi.string().max(50).required(),
+          quantity: Joi.number().integer().min(1).required(),
+          unitCost: Joi.number().min(0).precision(2).optional(),
+          // Delivered units with an expiry or batch number are stocked as a lot
+          expiryDate: Joi.date().optional(),
+          lotCode: Joi.string().max(50).optional()
+        })).min(1).required(),
+        invoiceNumber: Joi.string().max(50).optional(),
+        notes: Joi.string().max(500).optional(),
+        // Where the delivery is put away; the default location when omitted
+        locationId: Joi.string().uuid().optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const exists = await db.purchaseOrder.findFirst({
+        where: { id, companyId },
+        select: { id: true }
+      });
+
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      const location = await LocationService.resolve(db, companyId, value.locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        // Two deliveries recorded at once must not both take the outstanding units
+        await tx.$queryRaw`SELECT id FROM "purchase_order" WHERE id = ${id}::uuid FOR UPDATE`;
+
+        const order = await findOrder(tx, companyId, id);
+        const plan = PurchasingService.planReceipt(order, value.lines);
+        if (plan.errors.length > 0) {
+          return { errors: plan.errors };
+        }
+
+        const receipt = await tx.purchaseReceipt.create({
+          data: {
+            companyId,
+            purchaseOrderId: id,
+            receivedByCpf: req.employee.cpf,
+            invoiceNumber: value.invoiceNumber || null,
+            notes: value.notes || null
+          }
+        });
+
+        for (const received of plan.lines) {
+          const lot = received.expiryDate || received.lotCode
+            ? await tx.inventoryLot.create({
+              data: {
+                companyId,
+                sku: received.line.sku,
+                locationId: location.id,
+                lotCode: received.lotCode,
+                expiryDate: received.expiryDate,
+                receivedQuantity: received.quantity,
+                quantity: received.quantity,
+                unitCost: received.unitCost
+              }
+            })
+            : null;
+
+          const adjustment = await tx.inventoryAdjustment.create({
+            data: {
+              companyId,
+              sku: received.line.sku,
+              delta: received.quantity,
+              reason: 'RESTOCK',
+              actorCpf: req.employee.cpf,
+              notes: `Purchase order ${id}${value.invoiceNumber ? ` (NF-e ${value.invoiceNumber})` : ''}`,
+              unitCost: received.unitCost,
+              lotId: lot ? lot.id : null,
+              locationId: location.id
+            }
+          });
+
+          // The cost paid averages into the cost of the stock already on hand
+          const item = await tx.inventoryItem.findUnique({
+            where: {
+              companyId_sku: { companyId, sku: received.line.sku }
+            }
+          });
+
+          await LocationService.adjustLocation(tx, companyId, location.id, received.line.sku, received.quantity);
+          await tx.inventoryItem.update({
+            where: {
+              companyId_sku: { companyId, sku: received.line.sku }
+            },
+            data: {
+              qtyOnHand: { increment: received.quantity },
+              unitCost: CostingService.weightedAverage(item.qtyOnHand, item.unitCost, received.quantity, received.unitCost)
+            }
+          });
+
+          await tx.purchaseOrderLine.update({
+            where: { id: received.line.id },
+            data: {
+              quantityReceived: { increment: received.quantity }
+            }
+          });
+
+          await tx.purchaseReceiptLine.create({
+            data: {
+              companyId,
+              receiptId: receipt.id,
+              lineId: received.line.id,
+              sku: received.line.sku,
+              quantity: received.quantity,
+              unitCost: received.unitCost,
+              adjustmentId: adjustment.id
+            }
+          });
+
+          await tx.supplierItem.upsert({
+            where: {
+              supplierId_sku: { supplierId: order.supplierId, sku: received.line.sku }
+            },
+            create: {
+              companyId,
+              supplierId: order.supplierId,
+              sku: received.line.sku,
+              unitCost: received.unitCost
+            },
+            update: {
+              unitCost: received.unitCost
+            }
+          });
+        }
+
+        const status = PurchasingService.statusAfterReceipt(order, plan.lines);
+        await tx.purchaseOrder.update({
+          where: { id },
+          data: {
+            status,
+            ...(status === 'RECEIVED' && { closedAt: new Date() })
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'RECEIVE_PURCHASE_ORDER',
+            targetType: 'PURCHASE_ORDER',
+            targetId: id,
+            metadataJson: {
+              receiptId: receipt.id,
+              invoiceNumber: value.invoiceNumber || null,
+              locationId: location.id,
+              lines: plan.lines.map(l => ({ sku: l.line.sku, quantity: l.quantity, unitCost: l.unitCost, expiryDate: l.expiryDate, lotCode: l.lotCode }))
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { receipt, order: await findOrder(tx, companyId, id) };
+      });
+
+      if (result.errors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid receipt',
+          errors: result.errors
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: {
+          receipt: result.receipt,
+          purchaseOrder: describeOrder(result.order)
+        },
+        message: 'Delivery received successfully'
+      });
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error receiving purchase order',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create one draft purchase order per preferred supplier from the low-stock
+   * list, ordering each item back up to its reorder level less what is
+   * already on order
+   */
+  async createReorderDrafts(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      // Same list as the low-stock alerts; bundles are restocked through their components
+      const items = (await db.inventoryItem.findMany({
+        where: {
+          companyId,
+          isActive: true,
+          bundle: { is: null }
+        }
+      })).filter(item => item.qtyOnHand <= item.reorderLevel);
+
+      const skus = items.map(item => item.sku);
+      const [openLines, supplierItems] = await Promise.all([
+        db.purchaseOrderLine.findMany({
+          where: {
+            companyId,
+            sku: { in: skus },
+            purchaseOrder: {
+              status: { in: PurchasingService.openStatuses }
+            }
+          }
+        }),
+        db.supplierItem.findMany({
+          where: { companyId, sku: { in: skus } }
+        })
+      ]);
+
+      const plan = PurchasingService.planReorder(items, supplierItems, PurchasingService.onOrder(openLines));
+
+      // Inactive suppliers get no drafts; their items are reported as unassigned
+      const activeSuppliers = await db.supplier.findMany({
+        where: {
+          companyId,
+          isActive: true,
+          id: { in: plan.drafts.map(d => d.supplierId) }
+        },
+        select: { id: true }
+      });
+      const activeIds = new Set(activeSuppliers.map(s => s.id));
+      const itemsBySku = new Map(items.map(item => [item.sku, item]));
+      const unassigned = [
+        ...plan.unassigned,
+        ...plan.drafts
+          .filter(d => !activeIds.has(d.supplierId))
+          .flatMap(d => d.lines.map(l => ({ sku: l.sku, name: itemsBySku.get(l.sku).name, quantity: l.quantityOrdered })))
+      ];
+
+      const created = await db.$transaction(async (tx) => {
+        const orders = [];
+        for (const draft of plan.drafts.filter(d => activeIds.has(d.supplierId))) {
+          orders.push(await tx.purchaseOrder.create({
+            data: {
+              companyId,
+              supplierId: draft.supplierId,
+              notes: 'Generated from low-stock alerts',
+              createdByCpf: req.employee.cpf,
+              lines: {
+                create: draft.lines.map(line => ({ companyId, ...line }))
+              }
+            }
+          }));
+        }
+        return orders;
+      });
+
+      const orders = await db.purchaseOrder.findMany({
+        where: { id: { in: created.map(o => o.id) } },
+        include: orderInclude
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          purchaseOrders: orders.map(describeOrder),
+          unassigned
+        },
+        message: `${orders.length} draft purchase order(s) created`
+      });
+    } catch (error) {
+      console.error('Error creating reorder drafts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating reorder drafts',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PurchaseOrderController();
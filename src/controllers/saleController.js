@@ -1,5 +1,63 @@
 const Joi = require('joi');
 const { db } = require('../database/prisma');
+const DiscountEngine = require('../services/discountEngine');
+const TaxEngine = require('../services/taxEngine');
+const SaleTotals = require('../services/saleTotals');
+const RefundService = require('../services/refundService');
+const HousekeepingService = require('../services/housekeepingService');
+const SettingsService = require('../services/settingsService');
+const SessionLifecycleService = require('../services/sessionLifecycleService');
+const HalfPriceService = require('../services/halfPriceService');
+const SalePricingService = require('../services/salePricingService');
+const BundleService = require('../services/bundleService');
+const CostingService = require('../services/costingService');
+const BarcodeService = require('../services/barcodeService');
+const LocationService = require('../services/locationService');
+const TenderService = require('../services/tenderService');
+const SaleFinalizationService = require('../services/saleFinalizationService');
+const PaymentGateway = require('../services/paymentGateway');
+const { PaymentError } = PaymentGateway;
+const { toCents, fromCents } = require('../utils/money');
+
+// Sales that count towards revenue; partially refunded ones count net of refunds
+const REVENUE_STATUSES = ['FINALIZED', 'PARTIALLY_REFUNDED'];
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+const TICKET_CATEGORIES = ['REGULAR', 'STUDENT', 'SENIOR', 'TEACHER', 'DISABLED', 'LOW_INCOME_YOUTH', 'COURTESY'];
+const PROOF_TYPES = ['STUDENT_ID', 'ID_DOCUMENT', 'TEACHER_ID', 'DISABILITY_ID', 'ID_JOVEM'];
+const netTotal = (sale) => parseFloat(sale.grandTotal) - parseFloat(sale.refundTotal || 0);
+// Sale line fields concession margins are worked out from
+const MARGIN_LINE_SELECT = {
+  sku: true,
+  quantity: true,
+  refundedQuantity: true,
+  lineTotal: true,
+  taxAmount: true,
+  taxIncluded: true,
+  unitCost: true,
+  discountAllocations: {
+    select: { amount: true }
+  }
+};
+// Margin of the concession (inventory) lines of some sales; tickets carry no cost of goods
+const concessionMargin = (sales) => CostingService.summarize(sales.flatMap(s => s.items).filter(item => item.sku));
+// Lock an open sale, refresh its totals and check a new payment against the balance left
+const checkTender = async (tx, companyId, saleId, payment) => {
+  await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+  const sale = await SaleTotals.recalculate(tx, companyId, saleId);
+  const payments = await tx.payment.findMany({
+    where: { saleId, voidedAt: null }
+  });
+  const { remainingCents } = TenderService.balance(sale.grandTotal, payments);
+
+  return {
+    grandTotal: sale.grandTotal,
+    payments,
+    remainingCents,
+    refusal: TenderService.refusal(remainingCents, payment)
+  };
+};
 
 class SaleController {
   /**
@@ -10,7 +68,7 @@ class SaleController {
       const companyId = req.employee.companyId;
 
       const schema = Joi.object({
-        status: Joi.string().valid('OPEN', 'FINALIZED', 'CANCELED', 'REFUNDED').optional(),
+        status: Joi.string().valid('OPEN', 'FINALIZED', 'PARTIALLY_REFUNDED', 'CANCELED', 'REFUNDED').optional(),
         cashierCpf: Joi.string().length(11).optional(),
         buyerCpf: Joi.string().length(11).optional(),
         startDate: Joi.date().optional(),
@@ -140,7 +198,8 @@ class SaleController {
           },
           items: {
             include: {
-              item: true
+              item: true,
+              discountAllocations: true
             }
           },
           payments: true,
@@ -171,7 +230,10 @@ class SaleController {
 
       res.json({
         success: true,
-        data: sale
+        data: {
+          ...sale,
+          taxBreakdown: TaxEngine.summarize(sale.items)
+        }
       });
     } catch (error) {
       console.error('Error fetching sale:', error);
@@ -192,7 +254,9 @@ class SaleController {
       const cashierCpf = req.employee.cpf;
 
       const schema = Joi.object({
-        buyerCpf: Joi.string().length(11).optional()
+        buyerCpf: Joi.string().length(11).optional(),
+        // Till the sale is rung up at; its goods come from the station's location
+        stationId: Joi.string().uuid().optional()
       });
 
       const { error, value } = schema.validate(req.body);
@@ -221,11 +285,32 @@ class SaleController {
         }
       }
 
+      let station = null;
+      if (value.stationId) {
+        station = await db.posStation.findFirst({
+          where: {
+            id: value.stationId,
+            companyId,
+            isActive: true,
+            location: { isActive: true }
+          }
+        });
+
+        if (!station) {
+          return res.status(404).json({
+            success: false,
+            message: 'Station not found'
+          });
+        }
+      }
+
       const sale = await db.sale.create({
         data: {
           companyId,
           cashierCpf,
           buyerCpf: value.buyerCpf || null,
+          stationId: station ? station.id : null,
+          locationId: station ? station.locationId : null,
           subTotal: 0,
           discountTotal: 0,
           taxTotal: 0,
@@ -273,10 +358,22 @@ class SaleController {
         sku: Joi.string().max(50).optional(),
         sessionId: Joi.string().uuid().optional(),
         seatId: Joi.string().max(10).optional(),
-        description: Joi.string().max(200).required(),
+        // Accepted from older clients but ignored: the server prices and describes lines
+        description: Joi.string().max(200).optional(),
+        unitPrice: Joi.number().min(0).optional(),
         quantity: Joi.number().integer().min(1).required(),
-        unitPrice: Joi.number().min(0).required()
-      });
+        category: Joi.string().valid(...TICKET_CATEGORIES).optional(),
+        proofType: Joi.string().valid(...PROOF_TYPES).optional(),
+        proofNumber: Joi.string().max(50).optional(),
+        // Bundle choice group -> chosen component SKU
+        choices: Joi.object().pattern(Joi.string().max(50), Joi.string().max(50)).optional(),
+        priceOverride: Joi.object({
+          unitPrice: Joi.number().min(0).precision(2).required(),
+          reason: Joi.string().min(3).max(500).required(),
+          approverEmployeeId: Joi.string().max(20).optional(),
+          approverPassword: Joi.string().optional()
+        }).and('approverEmployeeId', 'approverPassword').optional()
+      }).or('sku', 'sessionId').and('sessionId', 'seatId');
 
       const { error, value } = schema.validate(req.body);
       if (error) {
@@ -305,21 +402,90 @@ class SaleController {
 
       // Check if this is a ticket item (has sessionId and seatId)
       const isTicket = value.sessionId && value.seatId;
+      const ticketCategory = isTicket ? (value.category || 'REGULAR') : null;
+
+      if (!isTicket && (value.category || value.proofType || value.proofNumber)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ticket category and proof only apply to ticket items'
+        });
+      }
+
+      let item = null;
+      let bundle = null;
+
+      // If SKU provided, verify inventory item exists
+      if (value.sku) {
+        item = await db.inventoryItem.findFirst({
+          where: {
+            sku: value.sku,
+            companyId,
+            isActive: true
+          }
+        });
+
+        if (!item) {
+          return res.status(404).json({
+            success: false,
+            message: 'Inventory item not found'
+          });
+        }
+
+        bundle = await BundleService.loadBundle(db, companyId, item.sku);
+      }
+
+      if (value.choices && !bundle) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choices only apply to bundles'
+        });
+      }
+
+      // A SKU together with a seat is a bundle that includes a ticket
+      if (item && isTicket !== Boolean(bundle && bundle.includesTicket)) {
+        return res.status(400).json({
+          success: false,
+          message: isTicket
+            ? 'Only bundles that include a ticket take a session and seat'
+            : 'This bundle includes a ticket: sessionId and seatId are required'
+        });
+      }
+
+      if (item && isTicket && (value.quantity !== 1 || ticketCategory !== 'REGULAR')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Bundles with a ticket are sold one per seat, with a REGULAR ticket'
+        });
+      }
+
+      if (isTicket) {
+        const proofError = HalfPriceService.checkProof({ ...value, category: ticketCategory });
+        if (proofError) {
+          return res.status(400).json({
+            success: false,
+            message: proofError
+          });
+        }
+      }
+
+      let session = null;
+      let settings = null;
 
       // If ticket item, verify seat is available
       if (isTicket) {
         // Get session to find room's seatMapId
-        const session = await db.session.findFirst({
+        session = await db.session.findFirst({
           where: {
             id: value.sessionId,
             companyId
           },
           include: {
-            room: {
+            movie: {
               select: {
-                seatMapId: true
+                title: true
               }
-            }
+            },
+            room: true
           }
         });
 
@@ -330,13 +496,23 @@ class SaleController {
           });
         }
 
+        settings = await SettingsService.get(db, companyId);
+        const salesClosed = SessionLifecycleService.salesClosedReason(session, settings);
+        if (salesClosed) {
+          return res.status(409).json({
+            success: false,
+            message: salesClosed
+          });
+        }
+
         // Check if ticket already exists for this seat/session
         const existingTicket = await db.ticket.findFirst({
           where: {
             companyId,
             sessionId: value.sessionId,
             seatMapId: session.room.seatMapId,
-            seatId: value.seatId
+            seatId: value.seatId,
+            status: { notIn: RELEASED_TICKET_STATUSES }
           }
         });
 
@@ -351,65 +527,171 @@ class SaleController {
         // before adding items to sale, so we don't need to check here
       }
 
-      // If SKU provided and NOT a ticket, verify inventory item exists
-      if (value.sku && !isTicket) {
-        const item = await db.inventoryItem.findFirst({
-          where: {
-            sku: value.sku,
-            companyId,
-            isActive: true
-          }
-        });
+      let components = [];
+      let chosen = [];
+      // Stock is checked at the location the sale takes its goods from
+      const locationId = item ? await LocationService.saleLocationId(db, sale) : null;
 
-        if (!item) {
-          return res.status(404).json({
+      if (bundle) {
+        // Bundles hold no stock of their own: check the components they take
+        const resolved = BundleService.resolveChoices(bundle, value.choices);
+        if (resolved.error) {
+          return res.status(400).json({
             success: false,
-            message: 'Inventory item not found'
+            message: resolved.error
+          });
+        }
+
+        const componentItems = bundle.components.map(c => c.component);
+        const stock = await LocationService.quantities(db, locationId, componentItems.map(c => c.sku));
+        const shortages = BundleService.shortages(resolved.components, LocationService.atLocation(componentItems, stock), value.quantity);
+        if (shortages.length > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Estoque insuficiente',
+            shortages
           });
         }
 
+        components = resolved.components;
+        chosen = resolved.chosen;
+      } else if (item) {
         // Check stock availability
-        if (item.qtyOnHand < value.quantity) {
+        const available = (await LocationService.quantities(db, locationId, [item.sku])).get(item.sku);
+        if (available < value.quantity) {
           return res.status(409).json({
             success: false,
             message: 'Estoque insuficiente',
-            available: item.qtyOnHand,
+            available,
             requested: value.quantity
           });
         }
       }
 
-      const lineTotal = value.quantity * value.unitPrice;
+      // List price from the catalog or the pricing engine
+      let line;
+      if (bundle) {
+        line = SalePricingService.resolveBundleLine(item, chosen, isTicket ? { session, seatId: value.seatId } : null);
+      } else if (isTicket) {
+        line = await SalePricingService.resolveTicketLine(db, session, { seatId: value.seatId, category: ticketCategory });
+        if (!line) {
+          return res.status(409).json({
+            success: false,
+            message: 'No ticket price configured for this session or its room type'
+          });
+        }
+      } else {
+        line = SalePricingService.resolveItemLine(item);
+      }
+
+      let unitPrice = line.unitPrice;
+      let approverCpf = null;
 
-      const saleItem = await db.saleItem.create({
-        data: {
-          saleId,
-          companyId,
-          sku: isTicket ? null : (value.sku || null),
-          sessionId: value.sessionId || null,
-          seatId: value.seatId || null,
-          description: value.description,
-          quantity: value.quantity,
-          unitPrice: value.unitPrice,
-          lineTotal
+      if (value.priceOverride) {
+        const approval = await SalePricingService.approveOverride(db, req.employee, value.priceOverride);
+        if (approval.error) {
+          return res.status(403).json({
+            success: false,
+            message: approval.error
+          });
         }
-      });
 
-      // Update sale totals
-      const newSubTotal = parseFloat(sale.subTotal) + lineTotal;
-      const newGrandTotal = newSubTotal - parseFloat(sale.discountTotal) + parseFloat(sale.taxTotal);
+        if (toCents(value.priceOverride.unitPrice) === toCents(line.unitPrice)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Override price is the same as the list price'
+          });
+        }
 
-      await db.sale.update({
-        where: { id: saleId },
-        data: {
-          subTotal: newSubTotal,
-          grandTotal: newGrandTotal
+        unitPrice = value.priceOverride.unitPrice;
+        approverCpf = approval.approverCpf;
+      }
+
+      const lineTotal = fromCents(toCents(unitPrice) * value.quantity);
+
+      const result = await db.$transaction(async (tx) => {
+        // Lines of open sales hold their meia-entrada quota seats until finalized
+        if (isTicket && HalfPriceService.countsTowardQuota(ticketCategory)) {
+          const quotaError = await HalfPriceService.reserveQuota(tx, session, value.quantity, settings);
+          if (quotaError) {
+            return { conflict: quotaError };
+          }
+        }
+
+        const createdItem = await tx.saleItem.create({
+          data: {
+            saleId,
+            companyId,
+            sku: item ? item.sku : null,
+            sessionId: value.sessionId || null,
+            seatId: value.seatId || null,
+            description: line.description,
+            quantity: value.quantity,
+            unitPrice,
+            lineTotal,
+            ticketCategory,
+            proofType: value.proofType || null,
+            proofNumber: value.proofNumber || null,
+            listPrice: line.unitPrice,
+            priceOverridden: Boolean(approverCpf),
+            overrideReason: approverCpf ? value.priceOverride.reason : null,
+            overrideApprovedByCpf: approverCpf,
+            components: {
+              create: components.map(c => ({
+                companyId,
+                sku: c.sku,
+                quantity: c.quantity
+              }))
+            }
+          }
+        });
+
+        if (approverCpf) {
+          await tx.auditLog.create({
+            data: {
+              companyId,
+              actorCpf: approverCpf,
+              action: 'OVERRIDE_ITEM_PRICE',
+              targetType: 'SALE_ITEM',
+              targetId: createdItem.id,
+              metadataJson: {
+                saleId,
+                sku: createdItem.sku,
+                sessionId: createdItem.sessionId,
+                seatId: createdItem.seatId,
+                quantity: value.quantity,
+                listPrice: line.unitPrice,
+                unitPrice,
+                reason: value.priceOverride.reason,
+                requestedByCpf: req.employee.cpf
+              },
+              ipAddress: req.ip,
+              userAgent: req.get('user-agent')
+            }
+          });
         }
+
+        // Applied discounts may now cover the new line, and it must be taxed
+        await SaleTotals.recalculate(tx, companyId, saleId);
+
+        return {
+          saleItem: await tx.saleItem.findUnique({
+            where: { id: createdItem.id },
+            include: { components: true }
+          })
+        };
       });
 
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
       res.status(201).json({
         success: true,
-        data: saleItem,
+        data: result.saleItem,
         message: 'Item added to sale successfully'
       });
     } catch (error) {
@@ -422,6 +704,191 @@ class SaleController {
     }
   }
 
+  /**
+   * Scan an item into a sale by barcode: a line of the same item at the same
+   * price gets its quantity increased, otherwise a line is added
+   */
+  async scanItem(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId } = req.params;
+
+      const schema = Joi.object({
+        barcode: Joi.string().max(50).required(),
+        quantity: Joi.number().integer().min(1).default(1)
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
+      const barcode = BarcodeService.normalize(value.barcode);
+      const invalid = BarcodeService.validate(barcode);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+
+      const matches = (await BarcodeService.findItems(db, companyId, [barcode])).get(barcode)
+        .filter(item => item.isActive);
+
+      if (matches.length !== 1) {
+        return res.status(matches.length === 0 ? 404 : 409).json({
+          success: false,
+          message: matches.length === 0 ? 'No active item with this barcode' : 'Barcode matches more than one item',
+          ...(matches.length > 1 && { items: matches.map(item => ({ sku: item.sku, name: item.name })) })
+        });
+      }
+
+      const item = matches[0];
+      const bundle = item.bundle ? await BundleService.loadBundle(db, companyId, item.sku) : null;
+      let components = [];
+      let chosen = [];
+
+      // Scanning cannot pick a seat or a flavor: those go through POST /items
+      if (bundle) {
+        if (bundle.includesTicket) {
+          return res.status(400).json({
+            success: false,
+            message: 'This bundle includes a ticket: add it with a session and seat'
+          });
+        }
+
+        const resolved = BundleService.resolveChoices(bundle);
+        if (resolved.error) {
+          return res.status(400).json({
+            success: false,
+            message: resolved.error
+          });
+        }
+
+        components = resolved.components;
+        chosen = resolved.chosen;
+      }
+
+      const line = bundle ? SalePricingService.resolveBundleLine(item, chosen) : SalePricingService.resolveItemLine(item);
+
+      const result = await db.$transaction(async (tx) => {
+        // Two scans of the same item at once must not both add a line
+        await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+        const sale = await tx.sale.findFirst({
+          where: {
+            id: saleId,
+            companyId,
+            status: 'OPEN'
+          },
+          include: {
+            items: {
+              where: { sku: item.sku, sessionId: null, priceOverridden: false },
+              include: { components: true }
+            }
+          }
+        });
+
+        if (!sale) {
+          return { notFound: true };
+        }
+
+        const locationId = await LocationService.saleLocationId(tx, sale);
+
+        // Lines priced before a catalog change, or of a bundle recipe since changed, stay as they are
+        const existing = sale.items.find(saleItem => toCents(saleItem.unitPrice) === toCents(line.unitPrice) &&
+          saleItem.components.length === components.length &&
+          components.every(c => saleItem.components.some(sc => sc.sku === c.sku && sc.quantity === c.quantity)));
+        const quantity = (existing ? existing.quantity : 0) + value.quantity;
+
+        if (bundle) {
+          const componentItems = bundle.components.map(c => c.component);
+          const stock = await LocationService.quantities(tx, locationId, componentItems.map(c => c.sku));
+          const shortages = BundleService.shortages(components, LocationService.atLocation(componentItems, stock), quantity);
+          if (shortages.length > 0) {
+            return { shortage: { shortages } };
+          }
+        } else {
+          const available = (await LocationService.quantities(tx, locationId, [item.sku])).get(item.sku);
+          if (available < quantity) {
+            return { shortage: { available, requested: quantity } };
+          }
+        }
+
+        const saleItem = existing
+          ? await tx.saleItem.update({
+            where: { id: existing.id },
+            data: {
+              quantity,
+              lineTotal: fromCents(toCents(existing.unitPrice) * quantity)
+            }
+          })
+          : await tx.saleItem.create({
+            data: {
+              saleId,
+              companyId,
+              sku: item.sku,
+              description: line.description,
+              quantity,
+              unitPrice: line.unitPrice,
+              lineTotal: fromCents(toCents(line.unitPrice) * quantity),
+              listPrice: line.unitPrice,
+              components: {
+                create: components.map(c => ({
+                  companyId,
+                  sku: c.sku,
+                  quantity: c.quantity
+                }))
+              }
+            }
+          });
+
+        // Discounts and tax follow the new quantity
+        await SaleTotals.recalculate(tx, companyId, saleId);
+
+        return {
+          added: !existing,
+          saleItem: await tx.saleItem.findUnique({
+            where: { id: saleItem.id },
+            include: { components: true }
+          })
+        };
+      });
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found or is not open'
+        });
+      }
+
+      if (result.shortage) {
+        return res.status(409).json({
+          success: false,
+          message: 'Estoque insuficiente',
+          ...result.shortage
+        });
+      }
+
+      res.status(result.added ? 201 : 200).json({
+        success: true,
+        data: result.saleItem,
+        message: result.added ? 'Item added to sale successfully' : 'Item quantity increased'
+      });
+    } catch (error) {
+      console.error('Error scanning item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error scanning item',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * US-011: Remove item from sale
    */
@@ -461,20 +928,13 @@ class SaleController {
         });
       }
 
-      await db.saleItem.delete({
-        where: { id: itemId }
-      });
-
-      // Update sale totals
-      const newSubTotal = parseFloat(sale.subTotal) - parseFloat(saleItem.lineTotal);
-      const newGrandTotal = newSubTotal - parseFloat(sale.discountTotal) + parseFloat(sale.taxTotal);
+      await db.$transaction(async (tx) => {
+        // Line discount allocations are removed along with the item
+        await tx.saleItem.delete({
+          where: { id: itemId }
+        });
 
-      await db.sale.update({
-        where: { id: saleId },
-        data: {
-          subTotal: Math.max(0, newSubTotal),
-          grandTotal: Math.max(0, newGrandTotal)
-        }
+        await SaleTotals.recalculate(tx, companyId, saleId);
       });
 
       res.json({
@@ -493,6 +953,7 @@ class SaleController {
 
   /**
    * Validate discount code (for local sales before finalization)
+   * Returns the same computed preview as GET /discounts/:code/validate
    */
   async validateDiscount(req, res) {
     try {
@@ -500,8 +961,10 @@ class SaleController {
 
       const schema = Joi.object({
         code: Joi.string().max(50).required(),
-        subtotal: Joi.number().min(0).required()
-      });
+        subtotal: Joi.number().min(0).optional(),
+        saleId: Joi.string().uuid().optional(),
+        customerCpf: Joi.string().length(11).pattern(/^\d+$/).optional()
+      }).or('subtotal', 'saleId');
 
       const { error, value } = schema.validate(req.body);
       if (error) {
@@ -527,50 +990,32 @@ class SaleController {
         });
       }
 
-      const now = new Date();
-      if (discountCode.validFrom > now || discountCode.validTo < now) {
+      const { errors, preview } = await DiscountEngine.validate(companyId, discountCode, {
+        saleId: value.saleId,
+        subtotal: value.subtotal,
+        customerCpf: value.customerCpf
+      });
+
+      if (errors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Código de desconto expirado ou ainda não válido'
+          message: errors[0],
+          errors
         });
       }
 
-      // Check max uses
-      if (discountCode.maxUses) {
-        const usageCount = await db.saleDiscount.count({
-          where: {
-            code: value.code,
-            companyId
-          }
-        });
-
-        if (usageCount >= discountCode.maxUses) {
-          return res.status(400).json({
-            success: false,
-            message: 'Limite de uso do código atingido'
-          });
-        }
-      }
-
-      // Calculate discount amount
-      let discountAmount = 0;
-      if (discountCode.type === 'PERCENT') {
-        discountAmount = (value.subtotal * parseFloat(discountCode.value)) / 100;
-      } else if (discountCode.type === 'AMOUNT') {
-        discountAmount = Math.min(parseFloat(discountCode.value), value.subtotal);
-      }
-
       res.json({
         success: true,
-        data: {
-          code: discountCode.code,
-          type: discountCode.type,
-          value: parseFloat(discountCode.value),
-          discountAmount,
-          newTotal: value.subtotal - discountAmount
-        }
+        data: preview
       });
     } catch (error) {
+      if (error.message === 'Sale not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       console.error('Error validating discount:', error);
       res.status(500).json({
         success: false,
@@ -645,83 +1090,72 @@ class SaleController {
         });
       }
 
-      const now = new Date();
-      if (discountCode.validFrom > now || discountCode.validTo < now) {
+      // Validity window, CPF range, usage limit and line targeting
+      const { errors, preview } = await DiscountEngine.validate(companyId, discountCode, {
+        saleId,
+        customerCpf: sale.buyerCpf
+      });
+
+      if (errors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Discount code is expired or not yet valid'
+          message: errors[0],
+          errors
         });
       }
 
-      // Check CPF range if applicable
-      if (discountCode.cpfRangeStart && discountCode.cpfRangeEnd) {
-        if (!sale.buyerCpf) {
-          return res.status(400).json({
-            success: false,
-            message: 'Buyer information required for this discount code'
-          });
-        }
+      if (preview.discountAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount code does not apply to any item in this sale'
+        });
+      }
 
-        if (sale.buyerCpf < discountCode.cpfRangeStart || sale.buyerCpf > discountCode.cpfRangeEnd) {
-          return res.status(400).json({
-            success: false,
-            message: 'Discount code not valid for this customer'
-          });
-        }
-      }
+      const { discountAmount, allocations } = preview;
 
-      // Check max uses
-      if (discountCode.maxUses) {
-        const usageCount = await db.saleDiscount.count({
-          where: {
+      const updatedSale = await db.$transaction(async (tx) => {
+        await tx.saleDiscount.create({
+          data: {
+            saleId,
+            companyId,
             code: value.code,
-            companyId
+            discountAmount,
+            allocations: {
+              createMany: {
+                data: allocations.map(a => ({
+                  saleItemId: a.saleItemId,
+                  amount: a.amount
+                }))
+              }
+            }
           }
         });
 
-        if (usageCount >= discountCode.maxUses) {
-          return res.status(400).json({
-            success: false,
-            message: 'Discount code usage limit reached'
-          });
-        }
-      }
-
-      // Calculate discount amount
-      let discountAmount = 0;
-      if (discountCode.type === 'PERCENTAGE') {
-        discountAmount = (parseFloat(sale.subTotal) * parseFloat(discountCode.value)) / 100;
-      } else if (discountCode.type === 'FIXED') {
-        discountAmount = Math.min(parseFloat(discountCode.value), parseFloat(sale.subTotal));
-      }
-
-      // Apply discount
-      await db.saleDiscount.create({
-        data: {
-          saleId,
-          companyId,
-          code: value.code,
-          discountAmount
-        }
-      });
-
-      // Update sale totals
-      const newDiscountTotal = parseFloat(sale.discountTotal) + discountAmount;
-      const newGrandTotal = parseFloat(sale.subTotal) - newDiscountTotal + parseFloat(sale.taxTotal);
+        await tx.discountCode.update({
+          where: {
+            companyId_code: {
+              companyId,
+              code: value.code
+            }
+          },
+          data: {
+            currentUses: {
+              increment: 1
+            }
+          }
+        });
 
-      await db.sale.update({
-        where: { id: saleId },
-        data: {
-          discountTotal: newDiscountTotal,
-          grandTotal: newGrandTotal
-        }
+        // Taxes are levied on the discounted line totals
+        return SaleTotals.recalculate(tx, companyId, saleId);
       });
 
       res.json({
         success: true,
         message: 'Discount applied successfully',
         discountAmount,
-        newGrandTotal
+        allocations,
+        newTaxTotal: parseFloat(updatedSale.taxTotal),
+        newGrandTotal: parseFloat(updatedSale.grandTotal)
       });
     } catch (error) {
       console.error('Error applying discount:', error);
@@ -760,9 +1194,6 @@ class SaleController {
         where: {
           id: saleId,
           companyId
-        },
-        include: {
-          payments: true
         }
       });
 
@@ -780,27 +1211,94 @@ class SaleController {
         });
       }
 
-      const payment = await db.payment.create({
-        data: {
-          companyId,
-          saleId,
-          method: value.method,
-          amount: value.amount,
-          authCode: value.authCode || null
-        }
+      // Check the tender before charging it - totals are refreshed so the
+      // balance reflects the current tax configuration
+      const check = await db.$transaction(tx => checkTender(tx, companyId, saleId, value));
+      if (check.refusal) {
+        return res.status(400).json({
+          success: false,
+          message: check.refusal,
+          remainingBalance: fromCents(check.remainingCents)
+        });
+      }
+
+      // Card and PIX go to their provider; a decline never reaches the sale
+      const authorization = await PaymentGateway.authorize(value.method, {
+        amount: value.amount,
+        reference: saleId,
+        authCode: value.authCode
       });
 
-      // Calculate total paid
-      const totalPaid = sale.payments.reduce((sum, p) => sum + parseFloat(p.amount), 0) + parseFloat(value.amount);
+      // An authorization that does not end up on the sale is handed back
+      const voidAuthorization = () => PaymentGateway.void({
+        ...authorization,
+        amount: value.amount,
+        capturedAt: authorization.captured ? new Date() : null
+      });
+
+      // Check again under the lock: another till may have paid meanwhile
+      let result;
+      try {
+        result = await db.$transaction(async (tx) => {
+          const recheck = await checkTender(tx, companyId, saleId, value);
+          if (recheck.refusal) {
+            return recheck;
+          }
+
+          const payment = await tx.payment.create({
+            data: {
+              companyId,
+              saleId,
+              method: value.method,
+              amount: value.amount,
+              authCode: (authorization && authorization.authCode) || value.authCode || null,
+              provider: authorization ? authorization.provider : null,
+              providerRef: authorization ? authorization.providerRef : null,
+              capturedAt: !authorization || authorization.captured ? new Date() : null
+            }
+          });
+
+          return { payment, balance: TenderService.balance(recheck.grandTotal, [...recheck.payments, payment]) };
+        });
+      } catch (error) {
+        // e.g. a lock timeout: the payment was not recorded, so the customer must not be charged
+        if (authorization) {
+          await voidAuthorization().catch(voidError =>
+            console.error(`Error voiding payment ${authorization.providerRef} that was not recorded:`, voidError.message)
+          );
+        }
+        throw error;
+      }
+
+      if (result.refusal) {
+        if (authorization) {
+          await voidAuthorization();
+        }
+
+        return res.status(400).json({
+          success: false,
+          message: result.refusal,
+          remainingBalance: fromCents(result.remainingCents)
+        });
+      }
 
       res.status(201).json({
         success: true,
-        data: payment,
-        totalPaid,
-        remainingBalance: Math.max(0, parseFloat(sale.grandTotal) - totalPaid),
+        data: result.payment,
+        totalPaid: fromCents(result.balance.paidCents),
+        remainingBalance: fromCents(result.balance.remainingCents),
+        change: fromCents(result.balance.changeCents),
         message: 'Payment added successfully'
       });
     } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
       console.error('Error adding payment:', error);
       res.status(500).json({
         success: false,
@@ -810,6 +1308,144 @@ class SaleController {
     }
   }
 
+  /**
+   * Void a payment of an open sale, e.g. a tender keyed in by mistake
+   * The payment is kept for the audit trail but no longer counts towards the sale
+   */
+  async voidPayment(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId, paymentId } = req.params;
+
+      const schema = Joi.object({
+        reason: Joi.string().max(500).optional()
+      });
+
+      const { error, value } = schema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const findVoidable = async (client) => {
+        const payment = await client.payment.findFirst({
+          where: {
+            id: paymentId,
+            saleId,
+            companyId
+          },
+          include: {
+            sale: {
+              select: { status: true, grandTotal: true }
+            }
+          }
+        });
+
+        if (!payment) return { notFound: true };
+        if (payment.sale.status !== 'OPEN') return { closed: true };
+        if (payment.voidedAt) return { conflict: true };
+        return { payment };
+      };
+
+      let result = await findVoidable(db);
+
+      if (result.payment) {
+        // Give the money back at the provider first; the payment only counts as voided once it has been
+        await PaymentGateway.void(result.payment);
+
+        result = await db.$transaction(async (tx) => {
+          await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+          const found = await findVoidable(tx);
+          if (!found.payment) {
+            return found;
+          }
+
+          const voided = await tx.payment.update({
+            where: { id: paymentId },
+            data: {
+              voidedAt: new Date(),
+              voidedByCpf: req.employee.cpf,
+              voidReason: value.reason || null
+            }
+          });
+
+          await tx.auditLog.create({
+            data: {
+              companyId,
+              actorCpf: req.employee.cpf,
+              action: 'VOID_PAYMENT',
+              targetType: 'PAYMENT',
+              targetId: paymentId,
+              metadataJson: {
+                saleId,
+                method: voided.method,
+                amount: voided.amount.toString(),
+                provider: voided.provider,
+                reason: value.reason || null
+              },
+              ipAddress: req.ip,
+              userAgent: req.get('user-agent')
+            }
+          });
+
+          const payments = await tx.payment.findMany({
+            where: { saleId, voidedAt: null }
+          });
+
+          return { payment: voided, balance: TenderService.balance(found.payment.sale.grandTotal, payments) };
+        });
+      }
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+
+      if (result.closed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot void a payment of a closed sale'
+        });
+      }
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment is already voided'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.payment,
+        totalPaid: fromCents(result.balance.paidCents),
+        remainingBalance: fromCents(result.balance.remainingCents),
+        message: 'Payment voided successfully'
+      });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error voiding payment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error voiding payment',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * US-013: Finalize sale with payment
    */
@@ -818,141 +1454,75 @@ class SaleController {
       const companyId = req.employee.companyId;
       const { saleId } = req.params;
 
-      const sale = await db.sale.findFirst({
-        where: {
-          id: saleId,
-          companyId,
-          status: 'OPEN'
-        },
-        include: {
-          payments: true,
-          items: true
-        }
+      const result = await SaleFinalizationService.finalize(db, {
+        companyId,
+        saleId,
+        actorCpf: req.employee.cpf
       });
 
-      if (!sale) {
+      if (result.notFound) {
         return res.status(404).json({
           success: false,
           message: 'Sale not found or is not open'
         });
       }
 
-      if (sale.items.length === 0) {
+      if (result.empty) {
         return res.status(400).json({
           success: false,
           message: 'Cannot finalize sale without items'
         });
       }
 
-      // Calculate total paid
-      const totalPaid = sale.payments.reduce((sum, p) => sum + parseFloat(p.amount), 0);
-
-      if (totalPaid < parseFloat(sale.grandTotal)) {
+      if (result.insufficient) {
         return res.status(400).json({
           success: false,
           message: 'Insufficient payment',
-          required: parseFloat(sale.grandTotal),
-          paid: totalPaid,
-          remaining: parseFloat(sale.grandTotal) - totalPaid
+          required: result.grandTotal,
+          paid: fromCents(result.balance.paidCents),
+          remaining: fromCents(result.balance.remainingCents)
         });
       }
 
-      // Use transaction to ensure atomicity - finalize sale first, then create tickets
-      const result = await db.$transaction(async (tx) => {
-        // Finalize sale first - if this fails, nothing else happens
-        const finalizedSale = await tx.sale.update({
-          where: { id: saleId },
-          data: {
-            status: 'FINALIZED'
-          },
-          include: {
-            cashier: {
-              include: {
-                person: true
-              }
-            },
-            buyer: {
-              include: {
-                person: true
-              }
-            },
-            items: true,
-            payments: true,
-            discounts: true
-          }
+      if (result.excess) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payments exceed the total by more than the cash tendered - void a payment first',
+          required: result.grandTotal,
+          paid: fromCents(result.balance.paidCents),
+          excess: fromCents(result.balance.excessCents)
         });
+      }
 
-        // Update inventory and create tickets ONLY after sale is finalized
-        for (const item of sale.items) {
-          if (item.sku) {
-            await tx.inventoryItem.update({
-              where: {
-                companyId_sku: {
-                  companyId,
-                  sku: item.sku
-                }
-              },
-              data: {
-                qtyOnHand: {
-                  decrement: item.quantity
-                }
-              }
-            });
-          } else if (item.sessionId && item.seatId) {
-            // This is a ticket item - create ticket record
-            const session = await tx.session.findFirst({
-              where: {
-                id: item.sessionId,
-                companyId
-              },
-              include: {
-                room: {
-                  select: {
-                    seatMapId: true
-                  }
-                }
-              }
-            });
-
-            if (session) {
-              // Generate QR code for ticket
-              const qrCode = `${companyId}-${item.sessionId}-${item.seatId}-${Date.now()}`;
-
-              await tx.ticket.create({
-                data: {
-                  companyId,
-                  sessionId: item.sessionId,
-                  seatMapId: session.room.seatMapId,
-                  seatId: item.seatId,
-                  saleId,
-                  price: item.unitPrice,
-                  status: 'ISSUED',
-                  qrCode
-                }
-              });
-
-              // Release seat reservation after ticket is created successfully
-              await tx.seatReservation.deleteMany({
-                where: {
-                  companyId,
-                  sessionId: item.sessionId,
-                  seatId: item.seatId
-                }
-              });
-            }
-          }
-        }
+      if (result.drawerRequired) {
+        return res.status(409).json({
+          success: false,
+          message: 'Open a cash drawer before taking cash'
+        });
+      }
 
-        return finalizedSale;
-      });
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
 
       res.json({
         success: true,
-        data: result,
-        change: totalPaid - parseFloat(sale.grandTotal),
+        data: result.sale,
+        change: fromCents(result.changeCents),
         message: 'Sale finalized successfully'
       });
     } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
       console.error('Error finalizing sale:', error);
       res.status(500).json({
         success: false,
@@ -987,6 +1557,11 @@ class SaleController {
         where: {
           id: saleId,
           companyId
+        },
+        include: {
+          payments: {
+            where: { voidedAt: null }
+          }
         }
       });
 
@@ -997,31 +1572,201 @@ class SaleController {
         });
       }
 
-      if (sale.status === 'CANCELED' || sale.status === 'REFUNDED') {
+      // Each provider call holds the sale lock until it answers or times out
+      const timeout = 5000 + (sale.payments.length + 1) * PaymentGateway.CALL_TIMEOUT_MS;
+
+      const result = await db.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+        const current = await tx.sale.findUnique({
+          where: { id: saleId },
+          include: {
+            payments: {
+              where: { voidedAt: null }
+            }
+          }
+        });
+
+        // A canceled sale still holding payments had their provider refuse to give
+        // them back; canceling it again retries those
+        const retry = current.status === 'CANCELED' && current.payments.length > 0;
+        if (current.status !== 'OPEN' && !retry) {
+          return { closed: current.status };
+        }
+
+        // Card holds released, captured card and PIX refunded, cash handed back.
+        // A provider refusal is recorded on the payment so the sale never ends up
+        // half given back.
+        const now = new Date();
+        const voided = [];
+        const failed = [];
+
+        for (const payment of current.payments) {
+          try {
+            await PaymentGateway.void(payment);
+          } catch (error) {
+            if (!(error instanceof PaymentError)) throw error;
+
+            await tx.payment.update({
+              where: { id: payment.id },
+              data: {
+                voidFailedAt: now,
+                voidError: error.message.slice(0, 500)
+              }
+            });
+            failed.push(payment);
+            continue;
+          }
+
+          await tx.payment.update({
+            where: { id: payment.id },
+            data: {
+              voidedAt: now,
+              voidedByCpf: req.employee.cpf,
+              voidReason: value.reason,
+              voidFailedAt: null,
+              voidError: null
+            }
+          });
+          voided.push(payment);
+        }
+
+        const canceled = retry ? current : await tx.sale.update({
+          where: { id: saleId },
+          data: {
+            status: 'CANCELED',
+            // The cash went back with its change, so the drawer expects neither
+            changeGiven: 0
+          }
+        });
+
+        // Its PIX QR codes are withdrawn; one paid anyway is given back by the webhook
+        await tx.pixCharge.updateMany({
+          where: { saleId, status: 'ACTIVE' },
+          data: { status: 'CANCELED' }
+        });
+
+        // Log cancellation
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'CANCEL_SALE',
+            targetType: 'SALE',
+            targetId: saleId,
+            metadataJson: {
+              reason: value.reason,
+              retry,
+              originalTotal: current.grandTotal.toString(),
+              voidedPayments: voided.map(p => ({
+                id: p.id,
+                method: p.method,
+                amount: p.amount.toString(),
+                provider: p.provider
+              })),
+              failedPayments: failed.map(p => p.id)
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { sale: canceled, failed: failed.length };
+      }, { timeout });
+
+      if (result.closed) {
         return res.status(400).json({
           success: false,
-          message: 'Sale is already canceled or refunded'
+          message: {
+            CANCELED: 'Sale is already canceled',
+            FINALIZED: 'Finalized sales cannot be canceled; refund them instead'
+          }[result.closed] || 'Sale is already refunded'
         });
       }
 
-      const canceledSale = await db.sale.update({
-        where: { id: saleId },
-        data: {
-          status: 'CANCELED'
-        }
+      res.json({
+        success: true,
+        data: result.sale,
+        failedPayments: result.failed,
+        message: result.failed > 0
+          ? `Sale canceled, but ${result.failed} payment(s) could not be given back through their provider yet; cancel it again to retry`
+          : 'Sale canceled successfully'
       });
+    } catch (error) {
+      console.error('Error canceling sale:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error canceling sale',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * US-015: Refund sale
+   * Refunds every line that has not been refunded yet
+   */
+  async refundSale(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId } = req.params;
+
+      const schema = Joi.object({
+        reason: Joi.string().max(500).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const sale = await RefundService.loadRefundableSale(db, companyId, saleId);
+
+      if (!sale) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found or cannot be refunded'
+        });
+      }
+
+      const remainingItems = sale.items
+        .filter(item => item.quantity > item.refundedQuantity)
+        .map(item => ({ saleItemId: item.id, quantity: item.quantity - item.refundedQuantity }));
 
-      // Log cancellation
+      const plan = RefundService.plan(sale, remainingItems);
+      if (plan.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: plan.errors[0],
+          errors: plan.errors
+        });
+      }
+
+      const result = await db.$transaction(tx => RefundService.execute(tx, {
+        companyId,
+        sale,
+        plan,
+        actorCpf: req.employee.cpf,
+        reason: value.reason
+      }));
+      const { failed } = await RefundService.settle(db, result.refund);
+
+      // Log refund
       await db.auditLog.create({
         data: {
           companyId,
           actorCpf: req.employee.cpf,
-          action: 'CANCEL_SALE',
+          action: 'REFUND_SALE',
           targetType: 'SALE',
           targetId: saleId,
           metadataJson: {
             reason: value.reason,
-            originalTotal: sale.grandTotal.toString()
+            refundId: result.refund.id,
+            refundAmount: result.refund.amount.toString()
           },
           ipAddress: req.ip,
           userAgent: req.get('user-agent')
@@ -1030,29 +1775,40 @@ class SaleController {
 
       res.json({
         success: true,
-        data: canceledSale,
-        message: 'Sale canceled successfully'
+        data: result.sale,
+        refund: result.refund,
+        refundAmount: result.refund.amount,
+        message: failed > 0
+          ? `Sale refunded, but ${failed} payment(s) could not be returned through their provider yet`
+          : 'Sale refunded successfully'
       });
     } catch (error) {
-      console.error('Error canceling sale:', error);
+      console.error('Error refunding sale:', error);
       res.status(500).json({
         success: false,
-        message: 'Error canceling sale',
+        message: 'Error refunding sale',
         error: error.message
       });
     }
   }
 
   /**
-   * US-015: Refund sale
+   * Partial refund of selected sale lines and quantities
+   * Tickets are flipped to REFUNDED (freeing their seats) and SKUs are restocked
    */
-  async refundSale(req, res) {
+  async refundSaleItems(req, res) {
     try {
       const companyId = req.employee.companyId;
       const { saleId } = req.params;
 
       const schema = Joi.object({
-        reason: Joi.string().max(500).required()
+        reason: Joi.string().max(500).required(),
+        items: Joi.array().items(
+          Joi.object({
+            saleItemId: Joi.string().uuid().required(),
+            quantity: Joi.number().integer().min(1).required()
+          })
+        ).min(1).unique('saleItemId').required()
       });
 
       const { error, value } = schema.validate(req.body);
@@ -1064,61 +1820,194 @@ class SaleController {
         });
       }
 
-      const sale = await db.sale.findFirst({
+      const sale = await RefundService.loadRefundableSale(db, companyId, saleId);
+
+      if (!sale) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found or cannot be refunded'
+        });
+      }
+
+      const plan = RefundService.plan(sale, value.items);
+      if (plan.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: plan.errors[0],
+          errors: plan.errors
+        });
+      }
+
+      const result = await db.$transaction(tx => RefundService.execute(tx, {
+        companyId,
+        sale,
+        plan,
+        actorCpf: req.employee.cpf,
+        reason: value.reason
+      }));
+      const { failed } = await RefundService.settle(db, result.refund);
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'PARTIAL_REFUND_SALE',
+          targetType: 'SALE',
+          targetId: saleId,
+          metadataJson: {
+            reason: value.reason,
+            refundId: result.refund.id,
+            refundAmount: result.refund.amount.toString(),
+            items: value.items,
+            saleStatus: result.sale.status
+          },
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: result.refund,
+        saleStatus: result.sale.status,
+        refundTotal: result.sale.refundTotal,
+        message: failed > 0
+          ? `Refund processed, but ${failed} payment(s) could not be returned through their provider yet`
+          : 'Refund processed successfully'
+      });
+    } catch (error) {
+      console.error('Error processing partial refund:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error processing partial refund',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List the refunds recorded for a sale
+   */
+  async getSaleRefunds(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId } = req.params;
+
+      const sale = await db.sale.findFirst({
+        where: {
+          id: saleId,
+          companyId
+        },
+        select: {
+          id: true
+        }
+      });
+
+      if (!sale) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sale not found'
+        });
+      }
+
+      const refunds = await db.refund.findMany({
+        where: {
+          saleId,
+          companyId
+        },
+        include: {
+          items: true,
+          payments: {
+            include: {
+              payment: {
+                select: {
+                  method: true,
+                  authCode: true
+                }
+              }
+            }
+          },
+          actor: {
+            include: {
+              person: {
+                select: {
+                  fullName: true
+                }
+              }
+            }
+          }
+        },
+        orderBy: {
+          createdAt: 'asc'
+        }
+      });
+
+      res.json({
+        success: true,
+        data: refunds
+      });
+    } catch (error) {
+      console.error('Error fetching sale refunds:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching sale refunds',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Retry returning a refund's payments the provider refused or never got to
+   */
+  async retryRefund(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { saleId, refundId } = req.params;
+
+      const refund = await db.refund.findFirst({
         where: {
-          id: saleId,
-          companyId,
-          status: 'FINALIZED'
+          id: refundId,
+          saleId,
+          companyId
         },
         include: {
-          items: true
+          payments: {
+            include: {
+              payment: {
+                select: {
+                  method: true,
+                  amount: true,
+                  authCode: true,
+                  provider: true,
+                  providerRef: true
+                }
+              }
+            }
+          }
         }
       });
 
-      if (!sale) {
+      if (!refund) {
         return res.status(404).json({
           success: false,
-          message: 'Sale not found or cannot be refunded'
+          message: 'Refund not found'
         });
       }
 
-      // Restore inventory for items with SKU
-      for (const item of sale.items) {
-        if (item.sku) {
-          await db.inventoryItem.update({
-            where: {
-              companyId_sku: {
-                companyId,
-                sku: item.sku
-              }
-            },
-            data: {
-              qtyOnHand: {
-                increment: item.quantity
-              }
-            }
-          });
-        }
-      }
-
-      const refundedSale = await db.sale.update({
-        where: { id: saleId },
-        data: {
-          status: 'REFUNDED'
-        }
-      });
+      const retried = refund.payments.filter(p => p.status !== 'COMPLETED').length;
+      const { failed } = await RefundService.settle(db, refund, { retryFailed: true });
 
-      // Log refund
       await db.auditLog.create({
         data: {
           companyId,
           actorCpf: req.employee.cpf,
-          action: 'REFUND_SALE',
+          action: 'RETRY_REFUND',
           targetType: 'SALE',
           targetId: saleId,
           metadataJson: {
-            reason: value.reason,
-            refundAmount: sale.grandTotal.toString()
+            refundId,
+            retried,
+            failed
           },
           ipAddress: req.ip,
           userAgent: req.get('user-agent')
@@ -1127,20 +2016,20 @@ class SaleController {
 
       res.json({
         success: true,
-        data: refundedSale,
-        refundAmount: sale.grandTotal,
-        message: 'Sale refunded successfully'
+        data: refund,
+        message: failed > 0
+          ? `${failed} payment(s) could still not be returned through their provider`
+          : 'Refund payments returned successfully'
       });
     } catch (error) {
-      console.error('Error refunding sale:', error);
+      console.error('Error retrying refund:', error);
       res.status(500).json({
         success: false,
-        message: 'Error refunding sale',
+        message: 'Error retrying refund',
         error: error.message
       });
     }
   }
-
   /**
    * US-014: Get detailed sales reports
    */
@@ -1168,7 +2057,7 @@ class SaleController {
 
       const where = {
         companyId,
-        status: 'FINALIZED',
+        status: { in: REVENUE_STATUSES },
         createdAt: {
           gte: new Date(startDate),
           lte: new Date(endDate)
@@ -1188,19 +2077,29 @@ class SaleController {
               }
             }
           },
-          payments: true,
-          items: true
+          payments: {
+            where: { voidedAt: null }
+          },
+          items: {
+            include: {
+              discountAllocations: true
+            }
+          }
         }
       });
 
       // Calculate summary
       const summary = {
         totalSales: sales.length,
-        totalRevenue: sales.reduce((sum, s) => sum + parseFloat(s.grandTotal), 0),
+        totalRevenue: sales.reduce((sum, s) => sum + netTotal(s), 0),
         totalDiscount: sales.reduce((sum, s) => sum + parseFloat(s.discountTotal), 0),
+        totalRefunded: sales.reduce((sum, s) => sum + parseFloat(s.refundTotal), 0),
+        totalTax: sales.reduce((sum, s) => sum + parseFloat(s.taxTotal), 0),
+        taxBreakdown: TaxEngine.summarize(sales.flatMap(s => s.items)),
         averageSaleValue: sales.length > 0
-          ? sales.reduce((sum, s) => sum + parseFloat(s.grandTotal), 0) / sales.length
-          : 0
+          ? sales.reduce((sum, s) => sum + netTotal(s), 0) / sales.length
+          : 0,
+        concessions: concessionMargin(sales)
       };
 
       // Group data
@@ -1214,14 +2113,21 @@ class SaleController {
             dayMap.set(date, {
               date,
               salesCount: 0,
-              revenue: 0
+              revenue: 0,
+              tax: 0,
+              sales: []
             });
           }
           const data = dayMap.get(date);
           data.salesCount++;
-          data.revenue += parseFloat(sale.grandTotal);
+          data.revenue += netTotal(sale);
+          data.tax += parseFloat(sale.taxTotal);
+          data.sales.push(sale);
         });
-        groupedData = Array.from(dayMap.values());
+        groupedData = Array.from(dayMap.values()).map(({ sales: daySales, ...data }) => ({
+          ...data,
+          concessions: concessionMargin(daySales)
+        }));
       } else if (groupBy === 'cashier') {
         const cashierMap = new Map();
         sales.forEach(sale => {
@@ -1232,14 +2138,21 @@ class SaleController {
               cashierCpf: cpf,
               cashierName: name,
               salesCount: 0,
-              revenue: 0
+              revenue: 0,
+              tax: 0,
+              sales: []
             });
           }
           const data = cashierMap.get(cpf);
           data.salesCount++;
-          data.revenue += parseFloat(sale.grandTotal);
+          data.revenue += netTotal(sale);
+          data.tax += parseFloat(sale.taxTotal);
+          data.sales.push(sale);
         });
-        groupedData = Array.from(cashierMap.values());
+        groupedData = Array.from(cashierMap.values()).map(({ sales: cashierSales, ...data }) => ({
+          ...data,
+          concessions: concessionMargin(cashierSales)
+        }));
       } else if (groupBy === 'payment_method') {
         const methodMap = new Map();
         sales.forEach(sale => {
@@ -1280,6 +2193,226 @@ class SaleController {
     }
   }
 
+  /**
+   * Sale lines sold at a manager-approved price instead of the list price
+   */
+  async getPriceOverrideReport(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        startDate: Joi.date().required(),
+        endDate: Joi.date().required(),
+        cashierCpf: Joi.string().length(11).optional(),
+        approvedByCpf: Joi.string().length(11).optional(),
+        includeCanceled: Joi.boolean().default(false)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { startDate, endDate, cashierCpf, approvedByCpf, includeCanceled } = value;
+
+      const items = await db.saleItem.findMany({
+        where: {
+          companyId,
+          priceOverridden: true,
+          ...(approvedByCpf && { overrideApprovedByCpf: approvedByCpf }),
+          sale: {
+            createdAt: {
+              gte: new Date(startDate),
+              lte: new Date(endDate)
+            },
+            ...(cashierCpf && { cashierCpf }),
+            ...(!includeCanceled && { status: { not: 'CANCELED' } })
+          }
+        },
+        include: {
+          sale: {
+            select: {
+              id: true,
+              status: true,
+              createdAt: true,
+              cashierCpf: true,
+              cashier: {
+                select: {
+                  person: {
+                    select: { fullName: true }
+                  }
+                }
+              }
+            }
+          },
+          overrideApprovedBy: {
+            select: {
+              person: {
+                select: { fullName: true }
+              }
+            }
+          }
+        },
+        orderBy: {
+          sale: { createdAt: 'desc' }
+        }
+      });
+
+      const lines = items.map(item => {
+        const differenceCents = (toCents(item.unitPrice) - toCents(item.listPrice)) * item.quantity;
+
+        return {
+          saleItemId: item.id,
+          saleId: item.saleId,
+          saleStatus: item.sale.status,
+          soldAt: item.sale.createdAt,
+          description: item.description,
+          sku: item.sku,
+          sessionId: item.sessionId,
+          seatId: item.seatId,
+          quantity: item.quantity,
+          listPrice: parseFloat(item.listPrice),
+          unitPrice: parseFloat(item.unitPrice),
+          difference: fromCents(differenceCents),
+          reason: item.overrideReason,
+          cashierCpf: item.sale.cashierCpf,
+          cashierName: item.sale.cashier?.person?.fullName || null,
+          approvedByCpf: item.overrideApprovedByCpf,
+          approvedByName: item.overrideApprovedBy?.person?.fullName || null
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          period: { startDate, endDate },
+          summary: {
+            overriddenLines: lines.length,
+            // Negative when overrides sold below list price overall
+            totalDifference: fromCents(lines.reduce((sum, l) => sum + toCents(l.difference), 0))
+          },
+          lines
+        }
+      });
+    } catch (error) {
+      console.error('Error generating price override report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating price override report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Gross margin of concession sales by SKU, category, day or cashier. Revenue
+   * is net of discounts, tax and refunds; cost is what the goods cost when
+   * each sale was finalized.
+   */
+  async getMarginReport(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        startDate: Joi.date().required(),
+        endDate: Joi.date().required(),
+        groupBy: Joi.string().valid('sku', 'category', 'day', 'cashier').default('sku'),
+        cashierCpf: Joi.string().length(11).optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { startDate, endDate, groupBy, cashierCpf } = value;
+
+      const items = await db.saleItem.findMany({
+        where: {
+          companyId,
+          sku: { not: null },
+          sale: {
+            status: { in: REVENUE_STATUSES },
+            createdAt: {
+              gte: new Date(startDate),
+              lte: new Date(endDate)
+            },
+            ...(cashierCpf && { cashierCpf })
+          }
+        },
+        include: {
+          discountAllocations: true,
+          sale: {
+            select: {
+              createdAt: true,
+              cashierCpf: true,
+              cashier: {
+                select: {
+                  person: {
+                    select: { fullName: true }
+                  }
+                }
+              }
+            }
+          },
+          item: {
+            select: {
+              name: true,
+              food: { select: { category: true } },
+              collectable: { select: { category: true } }
+            }
+          }
+        }
+      });
+
+      const groupOf = {
+        sku: (line) => ({ key: line.sku, sku: line.sku, name: line.item?.name || line.description }),
+        category: (line) => {
+          const category = line.item?.food?.category || line.item?.collectable?.category || 'Uncategorized';
+          return { key: category, category };
+        },
+        day: (line) => {
+          const date = new Date(line.sale.createdAt).toISOString().split('T')[0];
+          return { key: date, date };
+        },
+        cashier: (line) => ({
+          key: line.sale.cashierCpf,
+          cashierCpf: line.sale.cashierCpf,
+          cashierName: line.sale.cashier?.person?.fullName || null
+        })
+      }[groupBy];
+
+      const groupedData = CostingService.groupBy(items, groupOf);
+      if (groupBy === 'day') {
+        groupedData.sort((a, b) => a.date.localeCompare(b.date));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          period: { startDate, endDate, groupBy },
+          summary: CostingService.summarize(items),
+          groupedData
+        }
+      });
+    } catch (error) {
+      console.error('Error generating margin report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating margin report',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * US-016: Get shift reconciliation report
    */
@@ -1316,14 +2449,16 @@ class SaleController {
         where: {
           companyId,
           cashierCpf: targetCashierCpf,
-          status: 'FINALIZED',
+          status: { in: REVENUE_STATUSES },
           createdAt: {
             gte: startOfDay,
             lte: endOfDay
           }
         },
         include: {
-          payments: true
+          payments: {
+            where: { voidedAt: null }
+          }
         }
       });
 
@@ -1332,7 +2467,7 @@ class SaleController {
       let totalSales = 0;
 
       sales.forEach(sale => {
-        totalSales += parseFloat(sale.grandTotal);
+        totalSales += netTotal(sale);
         sale.payments.forEach(payment => {
           if (!paymentMethodTotals[payment.method]) {
             paymentMethodTotals[payment.method] = {
@@ -1398,72 +2533,82 @@ class SaleController {
       const todaySales = await db.sale.findMany({
         where: {
           companyId,
-          status: 'FINALIZED',
+          status: { in: REVENUE_STATUSES },
           createdAt: {
             gte: today,
             lt: tomorrow
           }
         },
         select: {
-          grandTotal: true
+          grandTotal: true,
+          refundTotal: true,
+          items: {
+            select: MARGIN_LINE_SELECT
+          }
         }
       });
 
-      const todayRevenue = todaySales.reduce((sum, sale) => sum + parseFloat(sale.grandTotal), 0);
+      const todayRevenue = todaySales.reduce((sum, sale) => sum + netTotal(sale), 0);
       const todayTransactions = todaySales.length;
 
       // Get week revenue
       const weekSales = await db.sale.findMany({
         where: {
           companyId,
-          status: 'FINALIZED',
+          status: { in: REVENUE_STATUSES },
           createdAt: {
             gte: weekAgo,
             lt: tomorrow
           }
         },
         select: {
-          grandTotal: true
+          grandTotal: true,
+          refundTotal: true
         }
       });
 
-      const weekRevenue = weekSales.reduce((sum, sale) => sum + parseFloat(sale.grandTotal), 0);
+      const weekRevenue = weekSales.reduce((sum, sale) => sum + netTotal(sale), 0);
       const weekTransactions = weekSales.length;
 
       // Get month revenue
       const monthSales = await db.sale.findMany({
         where: {
           companyId,
-          status: 'FINALIZED',
+          status: { in: REVENUE_STATUSES },
           createdAt: {
             gte: monthAgo,
             lt: tomorrow
           }
         },
         select: {
-          grandTotal: true
+          grandTotal: true,
+          refundTotal: true,
+          items: {
+            select: MARGIN_LINE_SELECT
+          }
         }
       });
 
-      const monthRevenue = monthSales.reduce((sum, sale) => sum + parseFloat(sale.grandTotal), 0);
+      const monthRevenue = monthSales.reduce((sum, sale) => sum + netTotal(sale), 0);
       const monthTransactions = monthSales.length;
 
       // Get last month revenue for growth calculation
       const lastMonthSales = await db.sale.findMany({
         where: {
           companyId,
-          status: 'FINALIZED',
+          status: { in: REVENUE_STATUSES },
           createdAt: {
             gte: lastMonthStart,
             lt: monthAgo
           }
         },
         select: {
-          grandTotal: true
+          grandTotal: true,
+          refundTotal: true
         }
       });
 
-      const lastMonthRevenue = lastMonthSales.reduce((sum, sale) => sum + parseFloat(sale.grandTotal), 0);
+      const lastMonthRevenue = lastMonthSales.reduce((sum, sale) => sum + netTotal(sale), 0);
 
       // Calculate growth percentage
       const growthPercentage = lastMonthRevenue > 0
@@ -1485,7 +2630,9 @@ class SaleController {
           weekTransactions,
           monthRevenue,
           monthTransactions,
-          growthPercentage
+          growthPercentage,
+          todayConcessionMargin: concessionMargin(todaySales).grossMargin,
+          monthConcessionMargin: concessionMargin(monthSales).grossMargin
         }
       });
     } catch (error) {
@@ -1499,30 +2646,144 @@ class SaleController {
   }
 
   /**
-   * Clean up abandoned OPEN sales older than 15 minutes
-   * This prevents seats from being permanently locked
+   * Get the company tax configuration (one rate per item class)
    */
-  async cleanupAbandonedSales(req, res) {
+  async getTaxRates(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const rates = await db.taxRate.findMany({
+        where: { companyId },
+        orderBy: { itemClass: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: rates
+      });
+    } catch (error) {
+      console.error('Error fetching tax rates:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching tax rates',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create or update the tax rate of an item class
+   * Open sales pick up the new rate the next time their totals are recalculated
+   */
+  async setTaxRate(req, res) {
     try {
       const companyId = req.employee.companyId;
-      const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
 
-      // Find all OPEN sales older than 15 minutes
-      const abandonedSales = await db.sale.findMany({
+      const schema = Joi.object({
+        itemClass: Joi.string().valid('TICKET', 'FOOD', 'COLLECTABLE').required(),
+        taxType: Joi.string().valid('ISS', 'ICMS').required(),
+        rate: Joi.number().min(0).max(100).precision(2).required(),
+        isInclusive: Joi.boolean().default(true)
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const rate = await db.taxRate.upsert({
         where: {
-          companyId,
-          status: 'OPEN',
-          createdAt: {
-            lt: fifteenMinutesAgo
+          companyId_itemClass: {
+            companyId,
+            itemClass: value.itemClass
           }
         },
-        select: {
-          id: true,
-          createdAt: true
+        update: {
+          taxType: value.taxType,
+          rate: value.rate,
+          isInclusive: value.isInclusive
+        },
+        create: {
+          companyId,
+          itemClass: value.itemClass,
+          taxType: value.taxType,
+          rate: value.rate,
+          isInclusive: value.isInclusive
+        }
+      });
+
+      res.json({
+        success: true,
+        data: rate,
+        message: 'Tax rate set successfully'
+      });
+    } catch (error) {
+      console.error('Error setting tax rate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error setting tax rate',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove the tax rate of an item class (its items become untaxed)
+   */
+  async deleteTaxRate(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { itemClass } = req.params;
+
+      if (!['TICKET', 'FOOD', 'COLLECTABLE'].includes(itemClass)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid item class'
+        });
+      }
+
+      const { count } = await db.taxRate.deleteMany({
+        where: {
+          companyId,
+          itemClass
         }
       });
 
-      if (abandonedSales.length === 0) {
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tax rate not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tax rate removed successfully'
+      });
+    } catch (error) {
+      console.error('Error removing tax rate:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing tax rate',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Clean up abandoned OPEN sales older than the company's threshold (15 minutes by default)
+   * This prevents seats from being permanently locked. The scheduler also does this every minute.
+   */
+  async cleanupAbandonedSales(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { canceled, companies } = await HousekeepingService.cancelAbandonedSales(db, { companyId });
+
+      if (canceled === 0) {
         return res.json({
           success: true,
           message: 'No abandoned sales found',
@@ -1530,19 +2791,7 @@ class SaleController {
         });
       }
 
-      // Cancel all abandoned sales
-      const saleIds = abandonedSales.map(s => s.id);
-
-      await db.sale.updateMany({
-        where: {
-          id: {
-            in: saleIds
-          }
-        },
-        data: {
-          status: 'CANCELED'
-        }
-      });
+      const { saleIds, thresholdMinutes } = companies[0];
 
       // Log the cleanup action
       await db.auditLog.create({
@@ -1553,9 +2802,9 @@ class SaleController {
           targetType: 'SALE',
           targetId: null,
           metadataJson: {
-            cleanedCount: abandonedSales.length,
-            saleIds: saleIds,
-            threshold: '15 minutes'
+            cleanedCount: canceled,
+            saleIds,
+            threshold: `${thresholdMinutes} minutes`
           },
           ipAddress: req.ip,
           userAgent: req.get('user-agent')
@@ -1564,8 +2813,8 @@ class SaleController {
 
       res.json({
         success: true,
-        message: `Cleaned up ${abandonedSales.length} abandoned sale(s)`,
-        cleaned: abandonedSales.length,
+        message: `Cleaned up ${canceled} abandoned sale(s)`,
+        cleaned: canceled,
         saleIds
       });
     } catch (error) {
@@ -1,10 +1,15 @@
 const Joi = require('joi');
 const { db } = require('../database/prisma');
+const SeatReservationService = require('../services/seatReservationService');
+const HousekeepingService = require('../services/housekeepingService');
+const SettingsService = require('../services/settingsService');
+const SessionLifecycleService = require('../services/sessionLifecycleService');
 
 class SeatReservationController {
   /**
-   * Reserve seats temporarily (15 minutes) without creating a sale
-   * Client provides a reservation token to identify their reservations
+   * Reserve seats temporarily (hold time set in company settings) without creating a sale
+   * Client provides a reservation token to identify their reservations.
+   * All requested seats are reserved, or none of them.
    */
   async reserveSeats(req, res) {
     try {
@@ -12,7 +17,7 @@ class SeatReservationController {
 
       const schema = Joi.object({
         sessionId: Joi.string().uuid().required(),
-        seatIds: Joi.array().items(Joi.string().max(10)).min(1).required(),
+        seatIds: Joi.array().items(Joi.string().max(10)).min(1).unique().required(),
         reservationToken: Joi.string().max(100).required() // Client-generated token
       });
 
@@ -49,97 +54,48 @@ class SeatReservationController {
         });
       }
 
-      const seatMapId = session.room.seatMapId;
-      const expiresAt = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes from now
-
-      // Check if any seats are already sold (have tickets)
-      const existingTickets = await db.ticket.findMany({
-        where: {
-          companyId,
-          sessionId,
-          seatMapId,
-          seatId: {
-            in: seatIds
-          },
-          status: {
-            not: 'REFUNDED'
-          }
-        },
-        select: {
-          seatId: true
-        }
-      });
-
-      if (existingTickets.length > 0) {
-        const soldSeats = existingTickets.map(t => t.seatId);
+      const salesClosed = SessionLifecycleService.salesClosedReason(session, await SettingsService.get(db, companyId));
+      if (salesClosed) {
         return res.status(409).json({
           success: false,
-          message: `Os seguintes assentos já foram vendidos: ${soldSeats.join(', ')}`
+          message: salesClosed
         });
       }
 
-      // Check if any seats are reserved by others (not expired)
-      const existingReservations = await db.seatReservation.findMany({
-        where: {
-          companyId,
-          sessionId,
-          seatMapId,
-          seatId: {
-            in: seatIds
-          },
-          reservationToken: {
-            not: reservationToken // Exclude own reservations
-          },
-          expiresAt: {
-            gt: new Date() // Not expired
-          }
-        },
-        select: {
-          seatId: true
-        }
-      });
-
-      if (existingReservations.length > 0) {
-        const reservedSeats = existingReservations.map(r => r.seatId);
-        return res.status(409).json({
+      if (!session.room.seatMapId) {
+        return res.status(400).json({
           success: false,
-          message: `Os seguintes assentos estão sendo processados em outra venda: ${reservedSeats.join(', ')}`
+          message: 'No seat map configured for this room'
         });
       }
 
-      // Create or update reservations for each seat
-      const createdReservations = [];
-      for (const seatId of seatIds) {
-        const reservation = await db.seatReservation.upsert({
-          where: {
-            companyId_sessionId_seatMapId_seatId: {
-              companyId,
-              sessionId,
-              seatMapId,
-              seatId
-            }
-          },
-          update: {
-            reservationToken,
-            expiresAt
-          },
-          create: {
-            companyId,
-            sessionId,
-            seatMapId,
-            seatId,
-            reservationToken,
-            expiresAt
-          }
+      const result = await SeatReservationService.reserve(db, {
+        companyId,
+        session,
+        seatIds,
+        reservationToken
+      });
+
+      if (!result.reserved) {
+        const { sold, held, unknown } = result.seats;
+        const problems = [
+          unknown.length && `não existem nesta sala: ${unknown.join(', ')}`,
+          sold.length && `já foram vendidos: ${sold.join(', ')}`,
+          held.length && `estão sendo processados em outra venda: ${held.join(', ')}`
+        ].filter(Boolean);
+
+        return res.status(unknown.length ? 400 : 409).json({
+          success: false,
+          message: `Nenhum assento foi reservado. Assentos que ${problems.join('; ')}`,
+          seats: result.seats
         });
-        createdReservations.push(reservation);
       }
 
       res.status(201).json({
         success: true,
-        data: createdReservations,
-        message: `${seatIds.length} assento(s) reservado(s) por 15 minutos`,
-        expiresAt
+        data: result.reservations,
+        message: `${seatIds.length} assento(s) reservado(s) por ${result.holdMinutes} minutos`,
+        expiresAt: result.expiresAt
       });
     } catch (error) {
       console.error('Error reserving seats:', error);
@@ -196,25 +152,18 @@ class SeatReservationController {
   }
 
   /**
-   * Clean up expired reservations
+   * Clean up expired reservations now (the scheduler also does this every minute)
    */
   async cleanupExpiredReservations(req, res) {
     try {
       const companyId = req.employee.companyId;
 
-      const result = await db.seatReservation.deleteMany({
-        where: {
-          companyId,
-          expiresAt: {
-            lt: new Date()
-          }
-        }
-      });
+      const { expired } = await HousekeepingService.expireSeatReservations(db, { companyId });
 
       res.json({
         success: true,
-        message: `${result.count} reserva(s) expirada(s) removida(s)`,
-        cleaned: result.count
+        message: `${expired} reserva(s) expirada(s) removida(s)`,
+        cleaned: expired
       });
     } catch (error) {
       console.error('Error cleaning up expired reservations:', error);
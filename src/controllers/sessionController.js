@@ -1,5 +1,12 @@
 const { db } = require('../database/prisma');
 const Joi = require('joi');
+const SettingsService = require('../services/settingsService');
+const SessionLifecycleService = require('../services/sessionLifecycleService');
+const SessionCancellationService = require('../services/sessionCancellationService');
+const HalfPriceService = require('../services/halfPriceService');
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
 
 // Enhanced validation schema for sessions
 const createSessionSchema = Joi.object({
@@ -18,6 +25,13 @@ const updateSessionSchema = Joi.object({
 
 const updateStatusSchema = Joi.object({
   status: Joi.string().valid('SCHEDULED', 'IN_PROGRESS', 'CANCELED', 'COMPLETED').required(),
+  reason: Joi.string().max(500).optional(),
+  // Only used when canceling; defaults to the company's cancellation policy
+  policy: Joi.string().valid(...SessionCancellationService.policies).optional()
+});
+
+const deleteSessionSchema = Joi.object({
+  policy: Joi.string().valid(...SessionCancellationService.policies).optional(),
   reason: Joi.string().max(500).optional()
 });
 
@@ -33,6 +47,29 @@ class SessionController {
     this.updateSession = this.updateSession.bind(this);
     this.updateSessionStatus = this.updateSessionStatus.bind(this);
     this.deleteSession = this.deleteSession.bind(this);
+    this.cancelSession = this.cancelSession.bind(this);
+  }
+
+  // Helper function to cancel a session and run its refund cascade; large
+  // sessions are finished by the process-session-cancellations job
+  async cancelSession(req, session, { policy, reason }) {
+    const settings = await SettingsService.get(db, session.companyId);
+
+    const result = await SessionCancellationService.cancel(db, session, {
+      policy: policy || settings.cancellationPolicy,
+      reason: reason || null,
+      actorCpf: req.employee.cpf,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    const cancellation = await SessionCancellationService.process(db, result.cancellation.id);
+
+    return { session: result.session, cancellation };
   }
 
   // Helper function to check for session conflicts
@@ -182,7 +219,9 @@ class SessionController {
             },
             _count: {
               select: {
-                tickets: true
+                tickets: {
+                  where: { status: { notIn: RELEASED_TICKET_STATUSES } }
+                }
               }
             }
           },
@@ -265,7 +304,7 @@ class SessionController {
       }
 
       // Calculate availability
-      const ticketsSold = session.tickets.length;
+      const ticketsSold = session.tickets.filter(t => !RELEASED_TICKET_STATUSES.includes(t.status)).length;
       const availableSeats = session.room.capacity - ticketsSold;
 
       res.json({
@@ -340,7 +379,7 @@ class SessionController {
       // Create a map of sold/reserved seats from issued tickets
       const soldSeats = new Set(
         session.tickets
-          .filter(t => t.status !== 'REFUNDED')
+          .filter(t => !RELEASED_TICKET_STATUSES.includes(t.status))
           .map(t => t.seatId)
       );
 
@@ -698,74 +737,54 @@ class SessionController {
         });
       }
 
-      // Business logic for status transitions
-      const now = new Date();
-      const { status, reason } = value;
-
-      // Validate status transitions
-      if (status === 'IN_PROGRESS') {
-        if (session.status !== 'SCHEDULED') {
-          return res.status(409).json({
-            success: false,
-            message: 'Can only start scheduled sessions'
-          });
-        }
-
-        // Check if session start time is near
-        const timeDiff = (session.startTime - now) / 60000; // minutes
-        if (timeDiff > 15) {
-          return res.status(409).json({
-            success: false,
-            message: 'Session start time is too far in the future'
-          });
-        }
-      }
+      const { status, reason, policy } = value;
 
-      if (status === 'COMPLETED') {
-        if (session.status !== 'IN_PROGRESS') {
-          return res.status(409).json({
-            success: false,
-            message: 'Can only complete sessions that are in progress'
-          });
-        }
+      // Same rules the scheduler applies to automatic transitions
+      const settings = await SettingsService.get(db, companyId);
+      const violation = SessionLifecycleService.checkTransition(session, status, { settings });
+      if (violation) {
+        return res.status(409).json({
+          success: false,
+          message: violation
+        });
       }
 
       if (status === 'CANCELED') {
-        if (session.status === 'COMPLETED') {
+        const canceled = await this.cancelSession(req, session, { policy, reason });
+
+        if (!canceled) {
           return res.status(409).json({
             success: false,
-            message: 'Cannot cancel completed sessions'
+            message: 'Session status changed in the meantime, please retry'
           });
         }
+
+        const done = canceled.cancellation.status === 'COMPLETED';
+        return res.status(done ? 200 : 202).json({
+          success: true,
+          data: canceled.session,
+          cancellation: canceled.cancellation,
+          message: done
+            ? 'Session canceled and its tickets processed'
+            : 'Session canceled, its tickets are being processed'
+        });
       }
 
-      // Update session status
-      const updatedSession = await db.session.update({
-        where: { id },
-        data: { status },
-        include: {
-          movie: true,
-          room: true
-        }
+      const result = await SessionLifecycleService.transition(db, session, status, {
+        actorCpf: employeeCpf,
+        reason: reason || null,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
       });
 
-      // Log the status change
-      await db.auditLog.create({
-        data: {
-          companyId,
-          actor: `${employeeCpf}@${companyId}`,
-          action: 'SESSION_STATUS_CHANGED',
-          targetType: 'Session',
-          targetId: id,
-          metadata: {
-            oldStatus: session.status,
-            newStatus: status,
-            reason: reason || null
-          },
-          ipAddress: req.ip,
-          userAgent: req.get('user-agent')
-        }
-      });
+      if (!result) {
+        return res.status(409).json({
+          success: false,
+          message: 'Session status changed in the meantime, please retry'
+        });
+      }
+
+      const updatedSession = result.session;
 
       res.json({
         success: true,
@@ -787,8 +806,17 @@ class SessionController {
       const { id } = req.params;
       const companyId = req.employee.companyId;
 
+      const { error, value } = deleteSessionSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(detail => detail.message)
+        });
+      }
+
       const session = await db.session.findFirst({
-        where: { id, companyId },
+        where: { id, companyId, deletedAt: null },
         include: {
           _count: {
             select: {
@@ -805,21 +833,50 @@ class SessionController {
         });
       }
 
-      // Don't allow deletion if tickets are sold
-      if (session._count.tickets > 0) {
+      // Sessions nothing was sold for can go away entirely
+      if (session._count.tickets === 0 && session.status !== 'CANCELED') {
+        await db.session.delete({
+          where: { id }
+        });
+
+        return res.json({
+          success: true,
+          message: 'Session deleted successfully'
+        });
+      }
+
+      if (session.status === 'COMPLETED') {
         return res.status(409).json({
           success: false,
-          message: 'Cannot delete session with sold tickets. Cancel the session instead.'
+          message: 'Cannot delete completed sessions with sold tickets'
         });
       }
 
-      await db.session.delete({
-        where: { id }
+      // Otherwise the session is canceled (refunding its tickets) and hidden,
+      // keeping its sales history
+      let cancellation = null;
+      if (session.status !== 'CANCELED') {
+        const canceled = await this.cancelSession(req, session, value);
+
+        if (!canceled) {
+          return res.status(409).json({
+            success: false,
+            message: 'Session status changed in the meantime, please retry'
+          });
+        }
+
+        cancellation = canceled.cancellation;
+      }
+
+      await db.session.update({
+        where: { id },
+        data: { deletedAt: new Date() }
       });
 
       res.json({
         success: true,
-        message: 'Session deleted successfully'
+        cancellation,
+        message: 'Session canceled and deleted successfully'
       });
     } catch (error) {
       console.error('Error deleting session:', error);
@@ -831,6 +888,145 @@ class SessionController {
     }
   }
 
+  /**
+   * Progress of a canceled session's refund cascade
+   */
+  async getSessionCancellation(req, res) {
+    try {
+      const { id } = req.params;
+      const companyId = req.employee.companyId;
+
+      const cancellation = await db.sessionCancellation.findFirst({
+        where: {
+          sessionId: id,
+          companyId
+        },
+        include: {
+          failures: {
+            orderBy: { createdAt: 'asc' },
+            select: {
+              saleId: true,
+              attempts: true,
+              lastError: true,
+              nextAttemptAt: true
+            }
+          }
+        }
+      });
+
+      if (!cancellation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session has not been canceled'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...cancellation,
+          remainingTickets: cancellation.totalTickets - cancellation.processedTickets
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching session cancellation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching session cancellation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Customers affected by a canceled session, with contact details for outreach
+   */
+  async getCancellationCustomers(req, res) {
+    try {
+      const { id } = req.params;
+      const companyId = req.employee.companyId;
+
+      const cancellation = await db.sessionCancellation.findFirst({
+        where: {
+          sessionId: id,
+          companyId
+        },
+        select: {
+          policy: true,
+          status: true
+        }
+      });
+
+      if (!cancellation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session has not been canceled'
+        });
+      }
+
+      const { customers, ticketsWithoutContact } = await SessionCancellationService.affectedCustomers(db, companyId, id);
+
+      res.json({
+        success: true,
+        data: customers,
+        count: customers.length,
+        ticketsWithoutContact,
+        policy: cancellation.policy,
+        cancellationStatus: cancellation.status
+      });
+    } catch (error) {
+      console.error('Error fetching affected customers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching affected customers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Meia-entrada compliance report: quota use and the proof recorded per ticket
+   */
+  async getHalfPriceReport(req, res) {
+    try {
+      const { id } = req.params;
+      const companyId = req.employee.companyId;
+
+      const session = await db.session.findFirst({
+        where: {
+          id,
+          companyId
+        },
+        include: {
+          room: true
+        }
+      });
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      const settings = await SettingsService.get(db, companyId);
+      const report = await HalfPriceService.report(db, session, settings);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Error generating half-price report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error generating half-price report',
+        error: error.message
+      });
+    }
+  }
+
+
   async getSessionHistory(req, res) {
     try {
       const companyId = req.employee.companyId;
@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const SettingsService = require('../services/settingsService');
+const SessionCancellationService = require('../services/sessionCancellationService');
+
+class SettingsController {
+  /**
+   * Get the company's operational settings
+   */
+  async getSettings(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const settings = await SettingsService.get(db, companyId);
+
+      res.json({
+        success: true,
+        data: settings
+      });
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching settings',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update the company's operational settings
+   */
+  async updateSettings(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        checkInOpensMinutes: Joi.number().integer().min(0).max(1440).optional(),
+        checkInClosesMinutes: Joi.number().integer().min(0).max(1440).optional(),
+        allowReentry: Joi.boolean().optional(),
+        maxReentries: Joi.number().integer().min(0).max(10).optional(),
+        reservationHoldMinutes: Joi.number().integer().min(1).max(120).optional(),
+        abandonedSaleMinutes: Joi.number().integer().min(1).max(1440).optional(),
+        sessionStartLeadMinutes: Joi.number().integer().min(0).max(240).optional(),
+        salesCutoffMinutes: Joi.number().integer().min(-240).max(240).optional(),
+        halfPriceQuotaPercent: Joi.number().integer().min(0).max(100).optional(),
+        cancellationPolicy: Joi.string().valid(...SessionCancellationService.policies).optional(),
+        requireCashDrawer: Joi.boolean().optional(),
+        pixKey: Joi.string().max(77).allow(null).optional(),
+        pixChargeMinutes: Joi.number().integer().min(1).max(1440).optional()
+      }).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      // A sale must outlast its PIX QR code, or it is canceled while the customer pays
+      if (value.abandonedSaleMinutes !== undefined || value.pixChargeMinutes !== undefined) {
+        const merged = { ...(await SettingsService.get(db, companyId)), ...value };
+        if (merged.abandonedSaleMinutes <= merged.pixChargeMinutes) {
+          return res.status(400).json({
+            success: false,
+            message: 'abandonedSaleMinutes must be longer than pixChargeMinutes'
+          });
+        }
+      }
+
+      const settings = await SettingsService.update(db, companyId, value);
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'UPDATE_COMPANY_SETTINGS',
+          targetType: 'COMPANY_SETTINGS',
+          targetId: companyId,
+          metadataJson: value,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: settings,
+        message: 'Settings updated successfully'
+      });
+    } catch (error) {
+      console.error('Error updating settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating settings',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SettingsController();
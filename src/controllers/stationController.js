@@ -0,0 +1,190 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+
+const stationInclude = {
+  location: {
+    select: { id: true, name: true, isActive: true }
+  }
+};
+
+/**
+ * Find an active location of the company for a station to sell from
+ */
+const findLocation = (companyId, locationId) => db.stockLocation.findFirst({
+  where: { id: locationId, companyId, isActive: true }
+});
+
+class StationController {
+  /**
+   * Get POS stations
+   */
+  async getStations(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        isActive: Joi.boolean().optional(),
+        locationId: Joi.string().uuid().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const stations = await db.posStation.findMany({
+        where: {
+          companyId,
+          ...(value.isActive !== undefined && { isActive: value.isActive }),
+          ...(value.locationId && { locationId: value.locationId })
+        },
+        include: stationInclude,
+        orderBy: { name: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: stations
+      });
+    } catch (error) {
+      console.error('Error fetching stations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create POS station
+   */
+  async createStation(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        name: Joi.string().max(100).required(),
+        locationId: Joi.string().uuid().required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      if (!await findLocation(companyId, value.locationId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const station = await db.posStation.create({
+        data: {
+          companyId,
+          ...value
+        },
+        include: stationInclude
+      });
+
+      res.status(201).json({
+        success: true,
+        data: station,
+        message: 'Station created successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A station with this name already exists'
+        });
+      }
+      console.error('Error creating station:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating station',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update POS station (including moving it to another location or deactivating it).
+   * Sales already open keep the location they started with.
+   */
+  async updateStation(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        name: Joi.string().max(100),
+        locationId: Joi.string().uuid(),
+        isActive: Joi.boolean()
+      }).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const existing = await db.posStation.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Station not found'
+        });
+      }
+
+      if (value.locationId && !await findLocation(companyId, value.locationId)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const station = await db.posStation.update({
+        where: { id },
+        data: value,
+        include: stationInclude
+      });
+
+      res.json({
+        success: true,
+        data: station,
+        message: 'Station updated successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A station with this name already exists'
+        });
+      }
+      console.error('Error updating station:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating station',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new StationController();
@@ -0,0 +1,641 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const LocationService = require('../services/locationService');
+const LotService = require('../services/lotService');
+
+const transferInclude = {
+  fromLocation: {
+    select: { id: true, name: true }
+  },
+  toLocation: {
+    select: { id: true, name: true }
+  },
+  adjustments: {
+    where: { delta: { gt: 0 } },
+    select: { sku: true, delta: true }
+  },
+  actor: {
+    select: {
+      person: {
+        select: { fullName: true }
+      }
+    }
+  }
+};
+
+/**
+ * Make a location the company's only default one
+ */
+const setDefault = async (tx, companyId, id) => {
+  await tx.stockLocation.updateMany({
+    where: { companyId, isDefault: true, id: { not: id } },
+    data: { isDefault: false }
+  });
+};
+
+class StockLocationController {
+  /**
+   * Get stock locations with their unit totals
+   */
+  async getLocations(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        isActive: Joi.boolean().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const [locations, totals] = await Promise.all([
+        db.stockLocation.findMany({
+          where: {
+            companyId,
+            ...(value.isActive !== undefined && { isActive: value.isActive })
+          },
+          include: {
+            _count: {
+              select: { stations: true }
+            }
+          },
+          orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+        }),
+        db.locationStock.groupBy({
+          by: ['locationId'],
+          where: { companyId },
+          _sum: { qtyOnHand: true }
+        })
+      ]);
+
+      const units = new Map(totals.map(t => [t.locationId, t._sum.qtyOnHand || 0]));
+
+      res.json({
+        success: true,
+        data: locations.map(location => ({
+          ...location,
+          unitsOnHand: units.get(location.id) || 0
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching stock locations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock locations',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create stock location
+   */
+  async createLocation(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        name: Joi.string().max(100).required(),
+        isDefault: Joi.boolean().default(false)
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      // The first location of a company is its default one
+      const hasDefault = await db.stockLocation.count({
+        where: { companyId, isDefault: true }
+      });
+
+      const location = await db.$transaction(async (tx) => {
+        const created = await tx.stockLocation.create({
+          data: {
+            companyId,
+            name: value.name,
+            isDefault: value.isDefault || hasDefault === 0
+          }
+        });
+
+        if (created.isDefault) {
+          await setDefault(tx, companyId, created.id);
+        }
+
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        data: location,
+        message: 'Stock location created successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A stock location with this name already exists'
+        });
+      }
+      console.error('Error creating stock location:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating stock location',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update stock location. The default location cannot be deactivated, nor
+   * can one still holding stock or used by an active station.
+   */
+  async updateLocation(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        name: Joi.string().max(100),
+        // A location stops being the default only when another one becomes it
+        isDefault: Joi.boolean().valid(true),
+        isActive: Joi.boolean()
+      }).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const existing = await db.stockLocation.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const willBeActive = value.isActive !== undefined ? value.isActive : existing.isActive;
+      const willBeDefault = value.isDefault || existing.isDefault;
+
+      if (willBeDefault && !willBeActive) {
+        return res.status(409).json({
+          success: false,
+          message: 'The default location cannot be inactive'
+        });
+      }
+
+      if (value.isActive === false && existing.isActive) {
+        const [stock, stations] = await Promise.all([
+          db.locationStock.aggregate({
+            where: { locationId: id },
+            _sum: { qtyOnHand: true }
+          }),
+          db.posStation.count({
+            where: { locationId: id, isActive: true }
+          })
+        ]);
+
+        if (stock._sum.qtyOnHand > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Location still holds stock; transfer it out first',
+            unitsOnHand: stock._sum.qtyOnHand
+          });
+        }
+
+        if (stations > 0) {
+          return res.status(409).json({
+            success: false,
+            message: 'Location is used by active stations',
+            stations
+          });
+        }
+      }
+
+      const location = await db.$transaction(async (tx) => {
+        if (value.isDefault) {
+          await setDefault(tx, companyId, id);
+        }
+
+        return tx.stockLocation.update({
+          where: { id },
+          data: value
+        });
+      });
+
+      res.json({
+        success: true,
+        data: location,
+        message: 'Stock location updated successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A stock location with this name already exists'
+        });
+      }
+      console.error('Error updating stock location:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating stock location',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the stock at a location, with the SKUs at or below its reorder levels
+   */
+  async getLocationStock(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        lowStock: Joi.boolean().default(false)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const location = await db.stockLocation.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const stock = await db.locationStock.findMany({
+        where: { locationId: id },
+        include: {
+          item: {
+            select: { name: true, isActive: true }
+          }
+        },
+        orderBy: { sku: 'asc' }
+      });
+
+      const alerts = LocationService.lowStock(stock);
+
+      res.json({
+        success: true,
+        data: {
+          location,
+          stock: value.lowStock ? alerts : stock,
+          summary: {
+            skus: stock.length,
+            unitsOnHand: stock.reduce((sum, row) => sum + row.qtyOnHand, 0),
+            lowStock: alerts.length,
+            critical: alerts.filter(a => a.priority === 'CRITICAL').length
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching location stock:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching location stock',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set or clear the low-stock alert level of a SKU at a location
+   */
+  async setReorderLevel(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id, sku } = req.params;
+
+      const schema = Joi.object({
+        reorderLevel: Joi.number().integer().min(0).allow(null).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const [location, item] = await Promise.all([
+        db.stockLocation.findFirst({ where: { id, companyId } }),
+        db.inventoryItem.findFirst({
+          where: { sku, companyId },
+          include: { bundle: true }
+        })
+      ]);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory item not found'
+        });
+      }
+
+      if (item.bundle) {
+        return res.status(400).json({
+          success: false,
+          message: 'Bundles have no stock of their own; set levels on their components'
+        });
+      }
+
+      const row = await db.locationStock.upsert({
+        where: {
+          locationId_sku: { locationId: id, sku }
+        },
+        create: {
+          companyId,
+          locationId: id,
+          sku,
+          reorderLevel: value.reorderLevel
+        },
+        update: {
+          reorderLevel: value.reorderLevel
+        }
+      });
+
+      res.json({
+        success: true,
+        data: row,
+        message: value.reorderLevel === null ? 'Reorder level cleared' : 'Reorder level saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving reorder level:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error saving reorder level',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get stock transfers with filtering and pagination
+   */
+  async getTransfers(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        locationId: Joi.string().uuid().optional(),
+        startDate: Joi.date().optional(),
+        endDate: Joi.date().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { locationId, startDate, endDate, page, limit } = value;
+      const where = {
+        companyId,
+        ...(locationId && {
+          OR: [{ fromLocationId: locationId }, { toLocationId: locationId }]
+        }),
+        ...((startDate || endDate) && {
+          createdAt: {
+            ...(startDate && { gte: new Date(startDate) }),
+            ...(endDate && { lte: new Date(endDate) })
+          }
+        })
+      };
+
+      const [transfers, totalCount] = await Promise.all([
+        db.stockTransfer.findMany({
+          where,
+          include: transferInclude,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        db.stockTransfer.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: transfers,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching stock transfers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock transfers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Move stock between two locations. Each SKU gets a pair of TRANSFER
+   * adjustments (out of the source, into the destination) linked by the
+   * transfer; item totals do not change. Lots move first-expired-first-out.
+   */
+  async createTransfer(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        fromLocationId: Joi.string().uuid().required(),
+        toLocationId: Joi.string().uuid().invalid(Joi.ref('fromLocationId')).required().messages({
+          'any.invalid': 'toLocationId must differ from fromLocationId'
+        }),
+        lines: Joi.array().items(Joi.object({
+          sku: Joi.string().max(50).required(),
+          quantity: Joi.number().integer().min(1).required()
+        })).min(1).unique('sku').required(),
+        notes: Joi.string().max(500).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const [from, to, items] = await Promise.all([
+        LocationService.resolve(db, companyId, value.fromLocationId),
+        LocationService.resolve(db, companyId, value.toLocationId),
+        db.inventoryItem.findMany({
+          where: {
+            companyId,
+            sku: { in: value.lines.map(l => l.sku) }
+          },
+          include: { bundle: true }
+        })
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const errors = value.lines
+        .map(line => {
+          const item = items.find(i => i.sku === line.sku);
+          if (!item) {
+            return `Inventory item ${line.sku} not found`;
+          }
+          return item.bundle ? `${line.sku} is a bundle; transfer its components instead` : null;
+        })
+        .filter(Boolean);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid transfer lines',
+          errors
+        });
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        // Transfers out of the same location run one at a time, so both cannot take the same units
+        await tx.$queryRaw`SELECT id FROM "stock_location" WHERE id = ${from.id}::uuid FOR UPDATE`;
+
+        const available = await LocationService.quantities(tx, from.id, value.lines.map(l => l.sku));
+        const shortages = LocationService.shortages(value.lines, available);
+        if (shortages.length > 0) {
+          return { shortages };
+        }
+
+        const transfer = await tx.stockTransfer.create({
+          data: {
+            companyId,
+            fromLocationId: from.id,
+            toLocationId: to.id,
+            actorCpf: req.employee.cpf,
+            notes: value.notes || null
+          }
+        });
+
+        const notes = `Transfer ${from.name} -> ${to.name}`;
+
+        for (const line of value.lines) {
+          await LocationService.adjustLocation(tx, companyId, from.id, line.sku, -line.quantity);
+          await LocationService.adjustLocation(tx, companyId, to.id, line.sku, line.quantity);
+
+          await tx.inventoryAdjustment.createMany({
+            data: [
+              { locationId: from.id, delta: -line.quantity },
+              { locationId: to.id, delta: line.quantity }
+            ].map(side => ({
+              companyId,
+              sku: line.sku,
+              reason: 'TRANSFER',
+              actorCpf: req.employee.cpf,
+              transferId: transfer.id,
+              notes,
+              ...side
+            }))
+          });
+
+          await LotService.transfer(tx, companyId, line.sku, line.quantity, from.id, to.id);
+        }
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'TRANSFER_STOCK',
+            targetType: 'STOCK_TRANSFER',
+            targetId: transfer.id,
+            metadataJson: {
+              fromLocationId: from.id,
+              toLocationId: to.id,
+              lines: value.lines
+            },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return {
+          transfer: await tx.stockTransfer.findUnique({
+            where: { id: transfer.id },
+            include: transferInclude
+          })
+        };
+      });
+
+      if (result.shortages) {
+        return res.status(409).json({
+          success: false,
+          message: `Not enough stock at ${from.name}`,
+          shortages: result.shortages
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.transfer,
+        message: 'Stock transferred successfully'
+      });
+    } catch (error) {
+      console.error('Error transferring stock:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error transferring stock',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new StockLocationController();
@@ -0,0 +1,615 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const StockTakeService = require('../services/stockTakeService');
+const LotService = require('../services/lotService');
+const BarcodeService = require('../services/barcodeService');
+const LocationService = require('../services/locationService');
+
+const STATUSES = ['OPEN', 'APPROVED', 'CANCELED'];
+
+const stockTakeInclude = {
+  location: {
+    select: { id: true, name: true }
+  },
+  lines: true,
+  counts: {
+    include: {
+      countedBy: {
+        select: {
+          person: {
+            select: { fullName: true }
+          }
+        }
+      }
+    },
+    orderBy: { countedAt: 'asc' }
+  }
+};
+
+const findStockTake = (client, companyId, id) => client.stockTake.findFirst({
+  where: { id, companyId },
+  include: stockTakeInclude
+});
+
+// Stock take with the variance of every counted SKU, against the stock at its location
+const describeStockTake = async (client, stockTake) => {
+  const skus = stockTake.lines.map(l => l.sku);
+  const items = await client.inventoryItem.findMany({
+    where: {
+      companyId: stockTake.companyId,
+      sku: { in: skus }
+    },
+    select: {
+      sku: true,
+      name: true,
+      qtyOnHand: true,
+      unitCost: true
+    }
+  });
+  const stock = await LocationService.quantities(client, stockTake.locationId, skus);
+
+  const variances = StockTakeService.variances(
+    stockTake.lines,
+    stockTake.counts,
+    new Map(LocationService.atLocation(items, stock).map(item => [item.sku, item]))
+  );
+  const { lines: _lines, ...rest } = stockTake;
+
+  return {
+    ...rest,
+    variances,
+    summary: StockTakeService.summarize(variances)
+  };
+};
+
+/**
+ * Resolve counted entries given by SKU or barcode to inventory items
+ * @returns {Object} { errors, entries: [{ sku, quantity }] }
+ */
+const resolveEntries = async (companyId, requested) => {
+  const items = await db.inventoryItem.findMany({
+    where: {
+      companyId,
+      sku: { in: requested.filter(e => e.sku).map(e => e.sku) }
+    },
+    include: { bundle: true }
+  });
+  const byBarcode = await BarcodeService.findItems(
+    db,
+    companyId,
+    requested.filter(e => e.barcode).map(e => BarcodeService.normalize(e.barcode))
+  );
+
+  const errors = [];
+  const entries = [];
+
+  for (const entry of requested) {
+    const matches = entry.sku
+      ? items.filter(item => item.sku === entry.sku)
+      : byBarcode.get(BarcodeService.normalize(entry.barcode));
+    const label = entry.sku || `barcode ${entry.barcode}`;
+
+    if (matches.length === 0) {
+      errors.push(`Inventory item ${label} not found`);
+    } else if (matches.length > 1) {
+      errors.push(`${label} matches more than one item (${matches.map(m => m.sku).join(', ')}); count by SKU`);
+    } else if (matches[0].bundle) {
+      errors.push(`${matches[0].sku} is a bundle; count its components instead`);
+    } else {
+      entries.push({ sku: matches[0].sku, quantity: entry.quantity });
+    }
+  }
+
+  return { errors, entries };
+};
+
+class StockTakeController {
+  /**
+   * Get stock takes with filtering and pagination
+   */
+  async getStockTakes(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        status: Joi.string().valid(...STATUSES).optional(),
+        locationId: Joi.string().uuid().optional(),
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20)
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { status, locationId, page, limit } = value;
+      const where = {
+        companyId,
+        ...(status && { status }),
+        ...(locationId && { locationId })
+      };
+
+      const [stockTakes, totalCount] = await Promise.all([
+        db.stockTake.findMany({
+          where,
+          include: {
+            location: {
+              select: { id: true, name: true }
+            },
+            _count: {
+              select: { lines: true, counts: true }
+            }
+          },
+          orderBy: { openedAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        db.stockTake.count({ where })
+      ]);
+
+      res.json({
+        success: true,
+        data: stockTakes,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          totalPages: Math.ceil(totalCount / limit)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching stock takes:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock takes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a stock take with its counts and the variance of each counted SKU
+   */
+  async getStockTake(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const stockTake = await findStockTake(db, companyId, req.params.id);
+
+      if (!stockTake) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await describeStockTake(db, stockTake)
+      });
+    } catch (error) {
+      console.error('Error fetching stock take:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching stock take',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Open a stock take of one location (the default one when none is named).
+   * Only one can be open per location at a time, so no SKU is corrected twice.
+   */
+  async openStockTake(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        name: Joi.string().max(100).required(),
+        locationId: Joi.string().uuid().optional(),
+        notes: Joi.string().max(500).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const location = await LocationService.resolve(db, companyId, value.locationId);
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock location not found'
+        });
+      }
+
+      const open = await db.stockTake.findFirst({
+        where: { companyId, locationId: location.id, status: 'OPEN' },
+        select: { id: true, name: true }
+      });
+
+      if (open) {
+        return res.status(409).json({
+          success: false,
+          message: `A stock take is already open at ${location.name}`,
+          stockTake: open
+        });
+      }
+
+      const stockTake = await db.stockTake.create({
+        data: {
+          companyId,
+          locationId: location.id,
+          name: value.name,
+          notes: value.notes || null,
+          openedByCpf: req.employee.cpf
+        },
+        include: stockTakeInclude
+      });
+
+      res.status(201).json({
+        success: true,
+        data: await describeStockTake(db, stockTake),
+        message: 'Stock take opened successfully'
+      });
+    } catch (error) {
+      console.error('Error opening stock take:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error opening stock take',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Submit counted quantities by SKU or barcode. Counts add up, so several
+   * employees can count the same SKU in different places. The first count of
+   * a SKU snapshots its stock on hand at the stock take's location.
+   */
+  async submitCounts(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        counts: Joi.array().items(Joi.object({
+          sku: Joi.string().max(50),
+          barcode: Joi.string().max(50),
+          quantity: Joi.number().integer().min(0).required()
+        }).xor('sku', 'barcode')).min(1).required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const { errors, entries } = await resolveEntries(companyId, value.counts);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid counts',
+          errors
+        });
+      }
+
+      const result = await db.$transaction(async (tx) => {
+        // Approval locks the same row, so counts cannot land after the variances were posted
+        await tx.$queryRaw`SELECT id FROM "stock_take" WHERE id = ${id}::uuid FOR UPDATE`;
+
+        const stockTake = await tx.stockTake.findFirst({
+          where: { id, companyId },
+          include: { lines: true }
+        });
+
+        if (!stockTake) {
+          return { notFound: true };
+        }
+
+        if (stockTake.status !== 'OPEN') {
+          return { conflict: `Stock take is ${stockTake.status}` };
+        }
+
+        const counted = new Set(stockTake.lines.map(l => l.sku));
+        const newSkus = [...new Set(entries.map(e => e.sku))].filter(sku => !counted.has(sku));
+
+        if (newSkus.length > 0) {
+          const stock = await LocationService.quantities(tx, stockTake.locationId, newSkus);
+
+          await tx.stockTakeLine.createMany({
+            data: newSkus.map(sku => ({
+              companyId,
+              stockTakeId: id,
+              sku,
+              snapshotQty: stock.get(sku)
+            }))
+          });
+        }
+
+        await tx.stockTakeCount.createMany({
+          data: entries.map(entry => ({
+            companyId,
+            stockTakeId: id,
+            sku: entry.sku,
+            quantity: entry.quantity,
+            countedByCpf: req.employee.cpf
+          }))
+        });
+
+        return { stockTake: await findStockTake(tx, companyId, id) };
+      });
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await describeStockTake(db, result.stockTake),
+        message: `${entries.length} count(s) recorded`
+      });
+    } catch (error) {
+      console.error('Error recording counts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error recording counts',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove a count entered by mistake. Cashiers can only remove their own.
+   * A SKU left without counts is no longer part of the stock take.
+   */
+  async removeCount(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id, countId } = req.params;
+
+      const count = await db.stockTakeCount.findFirst({
+        where: { id: countId, stockTakeId: id, companyId },
+        include: {
+          stockTake: {
+            select: { status: true }
+          }
+        }
+      });
+
+      if (!count) {
+        return res.status(404).json({
+          success: false,
+          message: 'Count not found'
+        });
+      }
+
+      if (count.stockTake.status !== 'OPEN') {
+        return res.status(409).json({
+          success: false,
+          message: `Stock take is ${count.stockTake.status}`
+        });
+      }
+
+      if (req.employee.role === 'CASHIER' && count.countedByCpf !== req.employee.cpf) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only a manager can remove counts entered by someone else'
+        });
+      }
+
+      await db.$transaction(async (tx) => {
+        await tx.stockTakeCount.delete({ where: { id: countId } });
+
+        const remaining = await tx.stockTakeCount.count({
+          where: { stockTakeId: id, sku: count.sku }
+        });
+
+        if (remaining === 0) {
+          await tx.stockTakeLine.deleteMany({
+            where: { stockTakeId: id, sku: count.sku }
+          });
+        }
+      });
+
+      res.json({
+        success: true,
+        data: await describeStockTake(db, await findStockTake(db, companyId, id)),
+        message: 'Count removed successfully'
+      });
+    } catch (error) {
+      console.error('Error removing count:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing count',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve a stock take: post each SKU's variance as a COUNT_CORRECTION
+   * adjustment at its location. Stock that moved after a SKU was counted
+   * stays as it is.
+   */
+  async approveStockTake(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const result = await db.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "stock_take" WHERE id = ${id}::uuid FOR UPDATE`;
+
+        const stockTake = await findStockTake(tx, companyId, id);
+        if (!stockTake) {
+          return { notFound: true };
+        }
+
+        if (stockTake.status !== 'OPEN') {
+          return { conflict: `Stock take is ${stockTake.status}` };
+        }
+
+        const { variances, summary } = await describeStockTake(tx, stockTake);
+
+        for (const row of variances) {
+          const delta = StockTakeService.postingDelta(row.variance, row.qtyOnHand);
+
+          if (delta !== 0) {
+            await tx.inventoryAdjustment.create({
+              data: {
+                companyId,
+                sku: row.sku,
+                delta,
+                reason: 'COUNT_CORRECTION',
+                locationId: stockTake.locationId,
+                actorCpf: req.employee.cpf,
+                notes: `Stock take "${stockTake.name}" (${id})`
+              }
+            });
+
+            await LocationService.move(tx, companyId, stockTake.locationId, row.sku, delta);
+
+            // Missing units come out of the lots first-expired-first-out; found ones have no lot
+            if (delta < 0) {
+              await LotService.consume(tx, companyId, row.sku, -delta, stockTake.locationId);
+            }
+          }
+
+          await tx.stockTakeLine.update({
+            where: {
+              stockTakeId_sku: { stockTakeId: id, sku: row.sku }
+            },
+            data: { postedDelta: delta }
+          });
+        }
+
+        await tx.stockTake.update({
+          where: { id },
+          data: {
+            status: 'APPROVED',
+            closedByCpf: req.employee.cpf,
+            closedAt: new Date()
+          }
+        });
+
+        await tx.auditLog.create({
+          data: {
+            companyId,
+            actorCpf: req.employee.cpf,
+            action: 'APPROVE_STOCK_TAKE',
+            targetType: 'STOCK_TAKE',
+            targetId: id,
+            metadataJson: { locationId: stockTake.locationId, ...summary },
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+          }
+        });
+
+        return { stockTake: await findStockTake(tx, companyId, id) };
+      });
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await describeStockTake(db, result.stockTake),
+        message: 'Stock take approved and corrections posted'
+      });
+    } catch (error) {
+      console.error('Error approving stock take:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error approving stock take',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel an open stock take without touching stock
+   */
+  async cancelStockTake(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const { count } = await db.stockTake.updateMany({
+        where: { id, companyId, status: 'OPEN' },
+        data: {
+          status: 'CANCELED',
+          closedByCpf: req.employee.cpf,
+          closedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Stock take not found or already closed'
+        });
+      }
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'CANCEL_STOCK_TAKE',
+          targetType: 'STOCK_TAKE',
+          targetId: id,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.json({
+        success: true,
+        data: await describeStockTake(db, await findStockTake(db, companyId, id)),
+        message: 'Stock take canceled successfully'
+      });
+    } catch (error) {
+      console.error('Error canceling stock take:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error canceling stock take',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new StockTakeController();
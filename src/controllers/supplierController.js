@@ -0,0 +1,340 @@
+const Joi = require('joi');
+const { db } = require('../database/prisma');
+const PurchasingService = require('../services/purchasingService');
+
+// Supplier fields shared by create and update
+const supplierSchema = {
+  name: Joi.string().max(200),
+  taxId: Joi.string().pattern(/^\d{14}$/).allow(null).messages({
+    'string.pattern.base': 'taxId must be a CNPJ with 14 digits'
+  }),
+  contactName: Joi.string().max(200).allow(null),
+  email: Joi.string().email().max(255).allow(null),
+  phone: Joi.string().max(20).allow(null),
+  leadTimeDays: Joi.number().integer().min(0).max(365).allow(null)
+};
+
+class SupplierController {
+  /**
+   * Get suppliers
+   */
+  async getSuppliers(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        isActive: Joi.boolean().optional(),
+        search: Joi.string().optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const suppliers = await db.supplier.findMany({
+        where: {
+          companyId,
+          ...(value.isActive !== undefined && { isActive: value.isActive }),
+          ...(value.search && {
+            OR: [
+              { name: { contains: value.search, mode: 'insensitive' } },
+              { taxId: { contains: value.search } }
+            ]
+          })
+        },
+        include: {
+          _count: {
+            select: { items: true }
+          }
+        },
+        orderBy: { name: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: suppliers
+      });
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching suppliers',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a supplier with the items it sells and its open purchase orders
+   */
+  async getSupplier(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const supplier = await db.supplier.findFirst({
+        where: { id, companyId },
+        include: {
+          items: {
+            include: {
+              item: {
+                select: {
+                  name: true,
+                  qtyOnHand: true,
+                  reorderLevel: true
+                }
+              }
+            },
+            orderBy: { sku: 'asc' }
+          },
+          purchaseOrders: {
+            where: {
+              status: { in: PurchasingService.openStatuses }
+            },
+            orderBy: { createdAt: 'desc' }
+          }
+        }
+      });
+
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: supplier
+      });
+    } catch (error) {
+      console.error('Error fetching supplier:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching supplier',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create supplier
+   */
+  async createSupplier(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        ...supplierSchema,
+        name: supplierSchema.name.required()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const supplier = await db.supplier.create({
+        data: {
+          companyId,
+          ...value
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: supplier,
+        message: 'Supplier created successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A supplier with this CNPJ already exists'
+        });
+      }
+      console.error('Error creating supplier:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error creating supplier',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update supplier (including deactivating it)
+   */
+  async updateSupplier(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        ...supplierSchema,
+        isActive: Joi.boolean()
+      }).min(1);
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const existing = await db.supplier.findFirst({
+        where: { id, companyId }
+      });
+
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      const supplier = await db.supplier.update({
+        where: { id },
+        data: value
+      });
+
+      res.json({
+        success: true,
+        data: supplier,
+        message: 'Supplier updated successfully'
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({
+          success: false,
+          message: 'A supplier with this CNPJ already exists'
+        });
+      }
+      console.error('Error updating supplier:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error updating supplier',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add an item to a supplier's catalog, or change its cost
+   */
+  async setSupplierItem(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id, sku } = req.params;
+
+      const schema = Joi.object({
+        unitCost: Joi.number().min(0).precision(2).required(),
+        supplierSku: Joi.string().max(50).allow(null).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const [supplier, item] = await Promise.all([
+        db.supplier.findFirst({ where: { id, companyId } }),
+        db.inventoryItem.findFirst({ where: { sku, companyId } })
+      ]);
+
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Inventory item not found'
+        });
+      }
+
+      const supplierItem = await db.supplierItem.upsert({
+        where: {
+          supplierId_sku: { supplierId: id, sku }
+        },
+        create: {
+          companyId,
+          supplierId: id,
+          sku,
+          unitCost: value.unitCost,
+          supplierSku: value.supplierSku || null
+        },
+        update: {
+          unitCost: value.unitCost,
+          ...(value.supplierSku !== undefined && { supplierSku: value.supplierSku })
+        }
+      });
+
+      res.json({
+        success: true,
+        data: supplierItem,
+        message: 'Supplier item saved successfully'
+      });
+    } catch (error) {
+      console.error('Error saving supplier item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error saving supplier item',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Remove an item from a supplier's catalog
+   */
+  async removeSupplierItem(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id, sku } = req.params;
+
+      const { count } = await db.supplierItem.deleteMany({
+        where: { companyId, supplierId: id, sku }
+      });
+
+      if (count === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Supplier item removed successfully'
+      });
+    } catch (error) {
+      console.error('Error removing supplier item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error removing supplier item',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SupplierController();
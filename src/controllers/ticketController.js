@@ -1,5 +1,29 @@
+const crypto = require('crypto');
 const Joi = require('joi');
 const { db } = require('../database/prisma');
+const TicketTokenService = require('../services/ticketTokenService');
+const CheckInService = require('../services/checkInService');
+const SettingsService = require('../services/settingsService');
+const SessionLifecycleService = require('../services/sessionLifecycleService');
+const RefundService = require('../services/refundService');
+const TicketExchangeService = require('../services/ticketExchangeService');
+const HalfPriceService = require('../services/halfPriceService');
+const SalePricingService = require('../services/salePricingService');
+const PaymentGateway = require('../services/paymentGateway');
+const { PaymentError } = PaymentGateway;
+const { toCents } = require('../utils/money');
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+const TICKET_CATEGORIES = ['REGULAR', 'STUDENT', 'SENIOR', 'TEACHER', 'DISABLED', 'LOW_INCOME_YOUTH', 'COURTESY'];
+const PROOF_TYPES = ['STUDENT_ID', 'ID_DOCUMENT', 'TEACHER_ID', 'DISABILITY_ID', 'ID_JOVEM'];
+
+// Ticket category and meia-entrada proof, as accepted by the sale endpoints
+const categorySchema = {
+  category: Joi.string().valid(...TICKET_CATEGORIES).default('REGULAR'),
+  proofType: Joi.string().valid(...PROOF_TYPES).optional(),
+  proofNumber: Joi.string().max(50).optional()
+};
 
 class TicketController {
   /**
@@ -10,7 +34,7 @@ class TicketController {
       const companyId = req.employee.companyId;
 
       const schema = Joi.object({
-        status: Joi.string().valid('ISSUED', 'USED', 'REFUNDED').optional(),
+        status: Joi.string().valid('ISSUED', 'USED', 'REFUNDED', 'NO_SHOW', 'EXCHANGED').optional(),
         sessionId: Joi.string().uuid().optional(),
         movieId: Joi.string().uuid().optional(),
         startDate: Joi.date().optional(),
@@ -162,7 +186,9 @@ class TicketController {
               },
               payments: true
             }
-          }
+          },
+          exchangedTo: true,
+          exchangedFrom: true
         }
       });
 
@@ -231,7 +257,9 @@ class TicketController {
         summary: {
           issued: tickets.filter(t => t.status === 'ISSUED').length,
           used: tickets.filter(t => t.status === 'USED').length,
-          refunded: tickets.filter(t => t.status === 'REFUNDED').length
+          refunded: tickets.filter(t => t.status === 'REFUNDED').length,
+          noShow: tickets.filter(t => t.status === 'NO_SHOW').length,
+          exchanged: tickets.filter(t => t.status === 'EXCHANGED').length
         }
       });
     } catch (error) {
@@ -258,7 +286,8 @@ class TicketController {
         seatId: Joi.string().max(10).required(),
         saleId: Joi.string().uuid().optional(),
         price: Joi.number().min(0).required(),
-        buyerCpf: Joi.string().length(11).optional()
+        buyerCpf: Joi.string().length(11).optional(),
+        ...categorySchema
       });
 
       const { error, value } = schema.validate(req.body);
@@ -270,19 +299,39 @@ class TicketController {
         });
       }
 
-      // Verify session exists and is scheduled
+      const proofError = HalfPriceService.checkProof(value);
+      if (proofError) {
+        return res.status(400).json({
+          success: false,
+          message: proofError
+        });
+      }
+
+      // Verify session exists and is still on sale
       const session = await db.session.findFirst({
         where: {
           id: value.sessionId,
           companyId,
-          status: 'SCHEDULED'
+          deletedAt: null
+        },
+        include: {
+          room: true
         }
       });
 
       if (!session) {
         return res.status(404).json({
           success: false,
-          message: 'Session not found or not available for ticket sales'
+          message: 'Session not found'
+        });
+      }
+
+      const settings = await SettingsService.get(db, companyId);
+      const salesClosed = SessionLifecycleService.salesClosedReason(session, settings);
+      if (salesClosed) {
+        return res.status(409).json({
+          success: false,
+          message: salesClosed
         });
       }
 
@@ -308,7 +357,7 @@ class TicketController {
           sessionId: value.sessionId,
           seatMapId: value.seatMapId,
           seatId: value.seatId,
-          status: { not: 'REFUNDED' }
+          status: { notIn: RELEASED_TICKET_STATUSES }
         }
       });
 
@@ -319,34 +368,61 @@ class TicketController {
         });
       }
 
-      // Generate QR code
-      const qrCode = `TKT-${companyId.substring(0, 8)}-${value.sessionId.substring(0, 8)}-${value.seatId}-${Date.now()}`;
+      // Signed QR token - embeds the ticket id, so pick it up front
+      const ticketId = crypto.randomUUID();
+      const qrCode = await TicketTokenService.issue(db, companyId, {
+        id: ticketId,
+        sessionId: value.sessionId,
+        seatId: value.seatId
+      });
 
-      const ticket = await db.ticket.create({
-        data: {
-          companyId,
-          sessionId: value.sessionId,
-          seatMapId: value.seatMapId,
-          seatId: value.seatId,
-          saleId: value.saleId || null,
-          price: value.price,
-          qrCode,
-          status: 'ISSUED'
-        },
-        include: {
-          session: {
-            include: {
-              movie: true,
-              room: true
-            }
-          },
-          seat: true
+      const result = await db.$transaction(async (tx) => {
+        if (HalfPriceService.countsTowardQuota(value.category)) {
+          const quotaError = await HalfPriceService.reserveQuota(tx, session, 1, settings);
+          if (quotaError) {
+            return { conflict: quotaError };
+          }
         }
+
+        const ticket = await tx.ticket.create({
+          data: {
+            id: ticketId,
+            companyId,
+            sessionId: value.sessionId,
+            seatMapId: value.seatMapId,
+            seatId: value.seatId,
+            saleId: value.saleId || null,
+            price: value.price,
+            qrCode,
+            status: 'ISSUED',
+            category: value.category,
+            proofType: value.proofType || null,
+            proofNumber: value.proofNumber || null
+          },
+          include: {
+            session: {
+              include: {
+                movie: true,
+                room: true
+              }
+            },
+            seat: true
+          }
+        });
+
+        return { ticket };
       });
 
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
       res.status(201).json({
         success: true,
-        data: ticket,
+        data: result.ticket,
         message: 'Ticket created successfully'
       });
     } catch (error) {
@@ -372,7 +448,8 @@ class TicketController {
         seats: Joi.array().items(
           Joi.object({
             seatId: Joi.string().max(10).required(),
-            price: Joi.number().min(0).required()
+            price: Joi.number().min(0).required(),
+            ...categorySchema
           })
         ).min(1).max(20).required(),
         saleId: Joi.string().uuid().optional()
@@ -387,19 +464,46 @@ class TicketController {
         });
       }
 
+      const proofErrors = value.seats
+        .map(seat => {
+          const proofError = HalfPriceService.checkProof(seat);
+          return proofError && `Seat ${seat.seatId}: ${proofError}`;
+        })
+        .filter(Boolean);
+
+      if (proofErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid meia-entrada proof',
+          errors: proofErrors
+        });
+      }
+
       // Verify session
       const session = await db.session.findFirst({
         where: {
           id: value.sessionId,
           companyId,
-          status: 'SCHEDULED'
+          deletedAt: null
+        },
+        include: {
+          room: true
         }
       });
 
       if (!session) {
         return res.status(404).json({
           success: false,
-          message: 'Session not found or not available'
+          message: 'Session not found'
+        });
+      }
+
+      const settings = await SettingsService.get(db, companyId);
+      const salesClosed = SessionLifecycleService.salesClosedReason(session, settings);
+      if (salesClosed) {
+        return res.status(409).json({
+          success: false,
+          message: salesClosed
         });
       }
 
@@ -411,7 +515,7 @@ class TicketController {
           sessionId: value.sessionId,
           seatMapId: value.seatMapId,
           seatId: { in: seatIds },
-          status: { not: 'REFUNDED' }
+          status: { notIn: RELEASED_TICKET_STATUSES }
         }
       });
 
@@ -424,13 +528,28 @@ class TicketController {
         });
       }
 
-      // Create all tickets
-      const tickets = await Promise.all(
-        value.seats.map(seat => {
-          const qrCode = `TKT-${companyId.substring(0, 8)}-${value.sessionId.substring(0, 8)}-${seat.seatId}-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+      // Create all tickets - the group gets all its meia-entrada seats or none
+      const signingKey = await TicketTokenService.getSigningKey(db, companyId);
+      const quotaTickets = value.seats.filter(seat => HalfPriceService.countsTowardQuota(seat.category)).length;
+
+      const result = await db.$transaction(async (tx) => {
+        const quotaError = await HalfPriceService.reserveQuota(tx, session, quotaTickets, settings);
+        if (quotaError) {
+          return { conflict: quotaError };
+        }
+
+        const created = [];
+        for (const seat of value.seats) {
+          const ticketId = crypto.randomUUID();
+          const qrCode = TicketTokenService.issueWithKey(signingKey, {
+            id: ticketId,
+            sessionId: value.sessionId,
+            seatId: seat.seatId
+          });
 
-          return db.ticket.create({
+          created.push(await tx.ticket.create({
             data: {
+              id: ticketId,
               companyId,
               sessionId: value.sessionId,
               seatMapId: value.seatMapId,
@@ -438,14 +557,28 @@ class TicketController {
               saleId: value.saleId || null,
               price: seat.price,
               qrCode,
-              status: 'ISSUED'
+              status: 'ISSUED',
+              category: seat.category,
+              proofType: seat.proofType || null,
+              proofNumber: seat.proofNumber || null
             },
             include: {
               seat: true
             }
-          });
-        })
-      );
+          }));
+        }
+
+        return { tickets: created };
+      });
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      const { tickets } = result;
 
       res.status(201).json({
         success: true,
@@ -515,6 +648,13 @@ class TicketController {
         });
       }
 
+      if (ticket.status === 'EXCHANGED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Ticket was exchanged, refund the new ticket instead'
+        });
+      }
+
       // Check if session has already started
       if (ticket.session.startTime < new Date()) {
         return res.status(400).json({
@@ -523,11 +663,45 @@ class TicketController {
         });
       }
 
-      const updatedTicket = await db.ticket.update({
+      // A ticket sold on its own sale line is refunded through the sale, so the
+      // money goes back through the payments that bought it
+      const sale = ticket.saleId ? await RefundService.loadRefundableSale(db, companyId, ticket.saleId) : null;
+      const saleLine = TicketExchangeService.findSaleLine(sale, ticket);
+
+      let refund = null;
+      let failed = 0;
+      if (saleLine && !saleLine.sku) {
+        const plan = RefundService.plan(sale, [{ saleItemId: saleLine.id, quantity: saleLine.quantity - saleLine.refundedQuantity }]);
+        if (plan.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: plan.errors[0],
+            errors: plan.errors
+          });
+        }
+
+        const result = await db.$transaction(tx => RefundService.execute(tx, {
+          companyId,
+          sale,
+          plan,
+          actorCpf: req.employee.cpf,
+          reason: value.reason
+        }));
+        refund = result.refund;
+        failed = (await RefundService.settle(db, refund)).failed;
+      } else {
+        // Release the seat so it can be sold again
+        await db.ticket.update({
+          where: { id },
+          data: {
+            status: 'REFUNDED',
+            seatHold: null
+          }
+        });
+      }
+
+      const updatedTicket = await db.ticket.findUnique({
         where: { id },
-        data: {
-          status: 'REFUNDED'
-        },
         include: {
           session: {
             include: {
@@ -548,7 +722,8 @@ class TicketController {
           targetId: id,
           metadataJson: {
             reason: value.reason,
-            refundAmount: ticket.price.toString(),
+            refundId: refund ? refund.id : null,
+            refundAmount: (refund ? refund.amount : ticket.price).toString(),
             sessionId: ticket.sessionId,
             seatId: ticket.seatId
           },
@@ -560,8 +735,11 @@ class TicketController {
       res.json({
         success: true,
         data: updatedTicket,
-        refundAmount: ticket.price,
-        message: 'Ticket refunded successfully'
+        refund,
+        refundAmount: refund ? refund.amount : ticket.price,
+        message: failed > 0
+          ? `Ticket refunded, but ${failed} payment(s) could not be returned through their provider yet`
+          : 'Ticket refunded successfully'
       });
     } catch (error) {
       console.error('Error refunding ticket:', error);
@@ -573,6 +751,225 @@ class TicketController {
     }
   }
 
+  /**
+   * Move an ISSUED ticket to another session and/or seat, settling the price difference
+   */
+  async exchangeTicket(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const schema = Joi.object({
+        sessionId: Joi.string().uuid().required(),
+        seatId: Joi.string().max(10).required(),
+        reason: Joi.string().max(500).optional(),
+        preview: Joi.boolean().default(false),
+        payment: Joi.object({
+          method: Joi.string().valid('CASH', 'CARD', 'PIX', 'OTHER').required(),
+          amount: Joi.number().min(0.01).optional(),
+          authCode: Joi.string().max(100).optional()
+        }).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const ticket = await db.ticket.findFirst({
+        where: {
+          id,
+          companyId
+        },
+        include: {
+          session: true
+        }
+      });
+
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found'
+        });
+      }
+
+      if (ticket.status !== 'ISSUED') {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot exchange a ticket that is ${ticket.status}`
+        });
+      }
+
+      // Tickets of canceled sessions can always be exchanged
+      if (ticket.session.status !== 'CANCELED' && ticket.session.startTime < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot exchange ticket for session that has already started'
+        });
+      }
+
+      if (value.sessionId === ticket.sessionId && value.seatId === ticket.seatId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ticket is already for this session and seat'
+        });
+      }
+
+      const targetSession = await db.session.findFirst({
+        where: {
+          id: value.sessionId,
+          companyId,
+          deletedAt: null
+        },
+        include: {
+          movie: {
+            select: {
+              title: true
+            }
+          },
+          room: true
+        }
+      });
+
+      if (!targetSession) {
+        return res.status(404).json({
+          success: false,
+          message: 'Target session not found'
+        });
+      }
+
+      const settings = await SettingsService.get(db, companyId);
+      const salesClosed = SessionLifecycleService.salesClosedReason(targetSession, settings);
+      if (salesClosed) {
+        return res.status(409).json({
+          success: false,
+          message: salesClosed
+        });
+      }
+
+      const seat = targetSession.room.seatMapId && await db.seat.findFirst({
+        where: {
+          seatMapId: targetSession.room.seatMapId,
+          id: value.seatId,
+          isActive: true
+        }
+      });
+
+      if (!seat) {
+        return res.status(404).json({
+          success: false,
+          message: 'Seat not found or not available'
+        });
+      }
+
+      // Same pricing as a sale of the ticket's category in the target session
+      const line = await SalePricingService.resolveTicketLine(db, targetSession, {
+        seatId: value.seatId,
+        category: ticket.category
+      });
+
+      if (!line) {
+        return res.status(409).json({
+          success: false,
+          message: 'No ticket price configured for the target session'
+        });
+      }
+
+      const sale = ticket.saleId ? await RefundService.loadRefundableSale(db, companyId, ticket.saleId) : null;
+      const quote = TicketExchangeService.quote(ticket, TicketExchangeService.findSaleLine(sale, ticket), toCents(line.unitPrice));
+
+      if (value.preview) {
+        return res.json({
+          success: true,
+          data: TicketExchangeService.describeQuote(quote)
+        });
+      }
+
+      if (quote.collectCents > 0 && !value.payment) {
+        return res.status(400).json({
+          success: false,
+          message: 'A payment is required for the price difference',
+          data: TicketExchangeService.describeQuote(quote)
+        });
+      }
+
+      const newTicketId = crypto.randomUUID();
+      const qrCode = await TicketTokenService.issue(db, companyId, {
+        id: newTicketId,
+        sessionId: targetSession.id,
+        seatId: value.seatId
+      });
+
+      const result = await TicketExchangeService.exchange(db, {
+        companyId,
+        ticket,
+        sale,
+        targetSession,
+        seatId: value.seatId,
+        qrCode,
+        newTicketId,
+        quote,
+        payment: value.payment,
+        settings,
+        reason: value.reason || null,
+        actorCpf: req.employee.cpf,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      if (result.refused) {
+        return res.status(400).json({
+          success: false,
+          message: result.refused
+        });
+      }
+
+      if (result.drawerRequired) {
+        return res.status(409).json({
+          success: false,
+          message: 'Open a cash drawer before taking cash'
+        });
+      }
+
+      if (result.conflict) {
+        return res.status(409).json({
+          success: false,
+          message: result.conflict
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.ticket,
+        exchange: result.exchange,
+        ...TicketExchangeService.describeQuote(quote),
+        differenceSaleId: result.differenceSale ? result.differenceSale.id : null,
+        refund: result.refund,
+        message: 'Ticket exchanged successfully'
+      });
+    } catch (error) {
+      if (error instanceof PaymentError) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      console.error('Error exchanging ticket:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error exchanging ticket',
+        error: error.message
+      });
+    }
+  }
+
+
   /**
    * US-010: Get ticket sales reports
    */
@@ -655,13 +1052,15 @@ class TicketController {
         ticketsByStatus: {
           issued: tickets.filter(t => t.status === 'ISSUED').length,
           used: tickets.filter(t => t.status === 'USED').length,
-          refunded: tickets.filter(t => t.status === 'REFUNDED').length
+          refunded: tickets.filter(t => t.status === 'REFUNDED').length,
+          noShow: tickets.filter(t => t.status === 'NO_SHOW').length,
+          exchanged: tickets.filter(t => t.status === 'EXCHANGED').length
         },
         refundedAmount: tickets
           .filter(t => t.status === 'REFUNDED')
           .reduce((sum, t) => sum + parseFloat(t.price), 0),
         netRevenue: tickets
-          .filter(t => t.status !== 'REFUNDED')
+          .filter(t => !RELEASED_TICKET_STATUSES.includes(t.status))
           .reduce((sum, t) => sum + parseFloat(t.price), 0)
       };
 
@@ -682,7 +1081,7 @@ class TicketController {
           }
           const data = dayMap.get(date);
           data.ticketCount++;
-          if (ticket.status !== 'REFUNDED') {
+          if (!RELEASED_TICKET_STATUSES.includes(ticket.status)) {
             data.revenue += parseFloat(ticket.price);
           }
         });
@@ -702,7 +1101,7 @@ class TicketController {
           }
           const data = movieMap.get(movieId);
           data.ticketCount++;
-          if (ticket.status !== 'REFUNDED') {
+          if (!RELEASED_TICKET_STATUSES.includes(ticket.status)) {
             data.revenue += parseFloat(ticket.price);
           }
         });
@@ -723,7 +1122,7 @@ class TicketController {
             }
             const data = employeeMap.get(empCpf);
             data.ticketCount++;
-            if (ticket.status !== 'REFUNDED') {
+            if (!RELEASED_TICKET_STATUSES.includes(ticket.status)) {
               data.revenue += parseFloat(ticket.price);
             }
           }
@@ -860,62 +1259,362 @@ class TicketController {
   }
 
   /**
-   * Mark ticket as used (scan QR code)
+   * Verify a scanned QR token: signature, ticket, session and seat
    */
-  async markTicketAsUsed(req, res) {
+  async verifyTicket(req, res) {
     try {
       const companyId = req.employee.companyId;
-      const { id } = req.params;
 
-      const ticket = await db.ticket.findFirst({
+      const schema = Joi.object({
+        token: Joi.string().max(255).required(),
+        sessionId: Joi.string().uuid().optional(),
+        seatId: Joi.string().max(10).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const result = await TicketTokenService.verify(db, companyId, value.token, {
+        sessionId: value.sessionId,
+        seatId: value.seatId
+      });
+
+      if (!result.ticket) {
+        return res.status(404).json({
+          success: false,
+          valid: false,
+          reason: result.reason,
+          message: 'Ticket not found or token invalid'
+        });
+      }
+
+      res.json({
+        success: true,
+        valid: result.valid,
+        reason: result.reason,
+        legacy: result.legacy,
+        data: result.ticket,
+        message: result.valid ? 'Ticket is valid' : 'Ticket is not valid for entry'
+      });
+    } catch (error) {
+      console.error('Error verifying ticket:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error verifying ticket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Published Ed25519 keys for offline ticket verification (JWK set)
+   */
+  async getVerificationKeys(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const jwks = await TicketTokenService.getVerificationKeys(db, companyId);
+
+      res.json({
+        success: true,
+        data: jwks
+      });
+    } catch (error) {
+      console.error('Error fetching verification keys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching verification keys',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rotate the company's ticket signing key
+   * Tickets signed with retired keys keep verifying
+   */
+  async rotateSigningKey(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const key = await db.$transaction(tx => TicketTokenService.rotateKey(tx, companyId));
+
+      await db.auditLog.create({
+        data: {
+          companyId,
+          actorCpf: req.employee.cpf,
+          action: 'ROTATE_TICKET_SIGNING_KEY',
+          targetType: 'TICKET_SIGNING_KEY',
+          targetId: String(key.version),
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          kid: String(key.version),
+          x: key.publicKey,
+          createdAt: key.createdAt
+        },
+        message: 'Ticket signing key rotated successfully'
+      });
+    } catch (error) {
+      console.error('Error rotating signing key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error rotating signing key',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Door check-in: admit a scanned ticket into a room. Every attempt is logged.
+   */
+  async checkInTicket(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+
+      const schema = Joi.object({
+        token: Joi.string().max(255).required(),
+        roomId: Joi.string().uuid().required(),
+        deviceId: Joi.string().max(100).optional()
+      });
+
+      const { error, value } = schema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
+        });
+      }
+
+      const room = await db.room.findFirst({
         where: {
-          id,
+          id: value.roomId,
           companyId
         }
       });
 
-      if (!ticket) {
+      if (!room) {
         return res.status(404).json({
           success: false,
-          message: 'Ticket not found'
+          message: 'Room not found'
         });
       }
 
-      if (ticket.status === 'USED') {
+      const result = await CheckInService.checkIn(db, {
+        companyId,
+        token: value.token,
+        roomId: value.roomId,
+        deviceId: value.deviceId,
+        actorCpf: req.employee.cpf
+      });
+
+      res.json({
+        success: true,
+        admitted: result.admitted,
+        result: result.result,
+        reason: result.reason,
+        data: result.ticket,
+        message: result.admitted ? 'Entry allowed' : 'Entry denied'
+      });
+    } catch (error) {
+      console.error('Error checking in ticket:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error checking in ticket',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Door activity of a session: every scan attempt plus a summary
+   */
+  async getSessionScans(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { sessionId } = req.params;
+
+      const schema = Joi.object({
+        result: Joi.string().valid('ADMITTED', 'REENTRY', 'REJECTED').optional(),
+        deviceId: Joi.string().max(100).optional()
+      });
+
+      const { error, value } = schema.validate(req.query);
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: 'Ticket already used',
-          usedAt: ticket.usedAt
+          message: 'Validation error',
+          errors: error.details.map(d => d.message)
         });
       }
 
-      if (ticket.status === 'REFUNDED') {
-        return res.status(400).json({
+      const session = await db.session.findFirst({
+        where: {
+          id: sessionId,
+          companyId
+        },
+        include: {
+          movie: {
+            select: {
+              title: true
+            }
+          },
+          room: {
+            select: {
+              name: true
+            }
+          }
+        }
+      });
+
+      if (!session) {
+        return res.status(404).json({
           success: false,
-          message: 'Ticket has been refunded'
+          message: 'Session not found'
         });
       }
 
-      const updatedTicket = await db.ticket.update({
-        where: { id },
+      const [scans, ticketsSold, checkedIn] = await Promise.all([
+        db.ticketScan.findMany({
+          where: {
+            companyId,
+            sessionId,
+            ...value
+          },
+          include: {
+            ticket: {
+              select: {
+                seatId: true,
+                status: true
+              }
+            },
+            room: {
+              select: {
+                name: true
+              }
+            },
+            scannedBy: {
+              select: {
+                employeeId: true,
+                person: {
+                  select: {
+                    fullName: true
+                  }
+                }
+              }
+            }
+          },
+          orderBy: { scannedAt: 'desc' }
+        }),
+        db.ticket.count({
+          where: {
+            companyId,
+            sessionId,
+            status: {
+              notIn: RELEASED_TICKET_STATUSES
+            }
+          }
+        }),
+        db.ticket.count({
+          where: {
+            companyId,
+            sessionId,
+            status: 'USED'
+          }
+        })
+      ]);
+
+      res.json({
+        success: true,
         data: {
-          status: 'USED',
-          usedAt: new Date()
+          session: {
+            id: session.id,
+            movie: session.movie.title,
+            room: session.room.name,
+            startTime: session.startTime,
+            status: session.status
+          },
+          summary: {
+            ticketsSold,
+            checkedIn,
+            ...CheckInService.summarize(scans)
+          },
+          scans
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching session scans:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching session scans',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Mark ticket as used by hand, e.g. when its QR code will not scan
+   * Goes through the same check-in as the door, in the session's room.
+   */
+  async markTicketAsUsed(req, res) {
+    try {
+      const companyId = req.employee.companyId;
+      const { id } = req.params;
+
+      const ticket = await db.ticket.findFirst({
+        where: {
+          id,
+          companyId
         },
         include: {
           session: {
-            include: {
-              movie: true,
-              room: true
+            select: {
+              roomId: true
             }
-          },
-          seat: true
+          }
         }
       });
 
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket not found'
+        });
+      }
+
+      const result = await CheckInService.checkIn(db, {
+        companyId,
+        token: ticket.qrCode,
+        roomId: ticket.session.roomId,
+        deviceId: 'manual',
+        actorCpf: req.employee.cpf
+      });
+
+      if (!result.admitted) {
+        return res.status(400).json({
+          success: false,
+          result: result.result,
+          reason: result.reason,
+          message: 'Entry denied'
+        });
+      }
+
       res.json({
         success: true,
-        data: updatedTicket,
+        result: result.result,
+        data: result.ticket,
         message: 'Ticket marked as used successfully'
       });
     } catch (error) {
@@ -107,19 +107,52 @@ class MultiTenantSeeder {
 
     // Delete in reverse order of dependencies
     await prisma.auditLog.deleteMany({});
-    await prisma.timeEntry.deleteMany({});
+    await prisma.idempotencyKey.deleteMany({});
+    await prisma.pricingRule.deleteMany({});
+    await prisma.ticketScan.deleteMany({});
+    await prisma.ticketExchange.deleteMany({});
+    await prisma.storeCredit.deleteMany({});
+    await prisma.refundPayment.deleteMany({});
+    await prisma.refundItem.deleteMany({});
+    await prisma.refund.deleteMany({});
+    await prisma.saleDiscountAllocation.deleteMany({});
     await prisma.saleDiscount.deleteMany({});
+    await prisma.pixCharge.deleteMany({});
     await prisma.payment.deleteMany({});
+    await prisma.saleItemComponent.deleteMany({});
     await prisma.saleItem.deleteMany({});
     await prisma.sale.deleteMany({});
+    await prisma.cashMovement.deleteMany({});
+    await prisma.cashDrawerSession.deleteMany({});
+    await prisma.timeEntry.deleteMany({});
     await prisma.ticket.deleteMany({});
+    await prisma.sessionCancellation.deleteMany({});
     await prisma.session.deleteMany({});
+    await prisma.purchaseReceiptLine.deleteMany({});
+    await prisma.purchaseReceipt.deleteMany({});
+    await prisma.purchaseOrderLine.deleteMany({});
+    await prisma.purchaseOrder.deleteMany({});
+    await prisma.supplierItem.deleteMany({});
+    await prisma.stockTakeCount.deleteMany({});
+    await prisma.stockTakeLine.deleteMany({});
+    await prisma.stockTake.deleteMany({});
     await prisma.inventoryAdjustment.deleteMany({});
+    await prisma.inventoryLot.deleteMany({});
+    await prisma.stockTransfer.deleteMany({});
+    await prisma.posStation.deleteMany({});
+    await prisma.locationStock.deleteMany({});
+    await prisma.stockLocation.deleteMany({});
+    await prisma.inventoryBarcode.deleteMany({});
+    await prisma.bundleComponent.deleteMany({});
+    await prisma.bundle.deleteMany({});
     await prisma.food.deleteMany({});
     await prisma.collectable.deleteMany({});
     await prisma.inventoryItem.deleteMany({});
+    await prisma.supplier.deleteMany({});
     await prisma.discountCode.deleteMany({});
     await prisma.roomTypePrice.deleteMany({});
+    await prisma.taxRate.deleteMany({});
+    await prisma.ticketSigningKey.deleteMany({});
     await prisma.seat.deleteMany({});
     await prisma.room.deleteMany({});
     await prisma.seatMap.deleteMany({});
@@ -128,6 +161,7 @@ class MultiTenantSeeder {
     await prisma.customer.deleteMany({});
     await prisma.person.deleteMany({});
     await prisma.companySubscription.deleteMany({});
+    await prisma.companySettings.deleteMany({});
     await prisma.systemAdmin.deleteMany({});
     await prisma.company.deleteMany({});
 
@@ -394,6 +428,15 @@ class MultiTenantSeeder {
           { companyId: company.id, roomType: 'VIP', price: 45.00 }
         ]
       });
+
+      // Create tax rates (ISS on tickets, ICMS on goods, prices tax-inclusive)
+      await prisma.taxRate.createMany({
+        data: [
+          { companyId: company.id, itemClass: 'TICKET', taxType: 'ISS', rate: 5.00, isInclusive: true },
+          { companyId: company.id, itemClass: 'FOOD', taxType: 'ICMS', rate: 18.00, isInclusive: true },
+          { companyId: company.id, itemClass: 'COLLECTABLE', taxType: 'ICMS', rate: 18.00, isInclusive: true }
+        ]
+      });
     }
   }
 
@@ -404,6 +447,23 @@ class MultiTenantSeeder {
       const company = companies[i];
       const inventory = INVENTORY_DATA[i];
 
+      // All seeded stock starts in the default location, sold from its till
+      const location = await prisma.stockLocation.create({
+        data: {
+          companyId: company.id,
+          name: 'Main stock',
+          isDefault: true
+        }
+      });
+
+      await prisma.posStation.create({
+        data: {
+          companyId: company.id,
+          name: 'Till 1',
+          locationId: location.id
+        }
+      });
+
       // Create inventory items
       for (const itemData of inventory) {
         const { category, isCombo, reorderLevel, ...baseData } = itemData;
@@ -418,17 +478,50 @@ class MultiTenantSeeder {
           }
         });
 
+        await prisma.inventoryBarcode.create({
+          data: {
+            companyId: company.id,
+            sku: itemData.sku,
+            barcode: `${company.id.slice(-4)}${itemData.sku}`
+          }
+        });
+
+        await prisma.locationStock.create({
+          data: {
+            companyId: company.id,
+            locationId: location.id,
+            sku: itemData.sku,
+            qtyOnHand: baseData.qtyOnHand
+          }
+        });
+
         // Create food-specific data
         if (category) {
+          const expiryDate = category === 'Beverages' ? null : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
           await prisma.food.create({
             data: {
               companyId: company.id,
               sku: itemData.sku,
-              expiryDate: category === 'Beverages' ? null : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+              expiryDate,
               isCombo: isCombo || false,
               category
             }
           });
+
+          // Dated stock is tracked as a lot
+          if (expiryDate && baseData.qtyOnHand > 0) {
+            await prisma.inventoryLot.create({
+              data: {
+                companyId: company.id,
+                sku: itemData.sku,
+                locationId: location.id,
+                expiryDate,
+                receivedQuantity: baseData.qtyOnHand,
+                quantity: baseData.qtyOnHand
+              }
+            });
+          }
         }
 
         console.log(`  ✅ Inventory: ${itemData.name}`);
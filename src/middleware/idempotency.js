@@ -0,0 +1,97 @@
+const { db } = require('../database/prisma');
+const IdempotencyService = require('../services/idempotencyService');
+
+// Printable ASCII, as clients usually send a UUID
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Idempotency-Key support for mutating routes (after authenticateEmployee)
+ * Requests without the header run as usual. With it, the first request runs and
+ * its response is stored; retries with the same key and body get that response
+ * back (with Idempotent-Replayed: true), and the key reused for a different
+ * request is refused. Server errors give the key back so the retry runs again.
+ * JSON responses are stored before they are sent, so a retry as soon as one
+ * arrives already gets it replayed.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1 to 255 printable characters'
+    });
+  }
+
+  try {
+    const path = req.baseUrl + req.path;
+    const result = await IdempotencyService.begin(db, {
+      companyId: req.employee.companyId,
+      employeeCpf: req.employee.cpf,
+      key,
+      method: req.method,
+      path,
+      requestHash: IdempotencyService.fingerprint({ method: req.method, path, body: req.rawBody })
+    });
+
+    if (result.conflict) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (result.inProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    if (result.replay) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.replay.status).json(result.replay.body);
+    }
+
+    const { id } = result.started;
+    let settled = false;
+
+    // Stored as soon as the handler answers, even if the client is gone by then -
+    // that is the retry this is for. A request that never answers is left in
+    // progress until it counts as abandoned.
+    const settle = (status, payload) => {
+      if (settled) return Promise.resolve();
+      settled = true;
+
+      const stored = status < 500
+        ? IdempotencyService.complete(db, id, status, payload)
+        : IdempotencyService.release(db, id);
+
+      return stored.catch(error => console.error(`Error storing Idempotency-Key ${key}:`, error.message));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      settle(res.statusCode, payload).then(() => json(payload));
+      return res;
+    };
+    // Responses other than JSON are stored once sent
+    res.on('finish', () => settle(res.statusCode));
+
+    next();
+  } catch (error) {
+    console.error('Error checking Idempotency-Key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error checking Idempotency-Key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  idempotent
+};
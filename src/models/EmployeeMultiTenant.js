@@ -6,6 +6,7 @@
 const { db } = require('../database/prisma');
 const { AuthService } = require('../middleware/auth-multitenant');
 const { TenantQueries, TenantValidators } = require('../utils/tenant-query');
+const CashDrawerService = require('../services/cashDrawerService');
 
 class EmployeeMultiTenant {
   /**
@@ -374,6 +375,11 @@ class EmployeeMultiTenant {
       throw new Error(`Duplicate ${entryType} entry within 5 minutes`);
     }
 
+    // A cash drawer belongs to the shift it was opened in
+    if (entryType === 'CLOCK_OUT' && await CashDrawerService.openSession(db, companyId, employeeCpf)) {
+      throw new Error('Close your cash drawer before clocking out');
+    }
+
     return await db.timeEntry.create({
       data: {
         companyId,
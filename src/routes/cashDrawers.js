@@ -0,0 +1,313 @@
+const express = require('express');
+const router = express.Router();
+const cashDrawerController = require('../controllers/cashDrawerController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cash Drawers
+ *     description: Cash drawer sessions from opening float to blind count, sign-off and Z-report
+ */
+
+/**
+ * @swagger
+ * /api/cash-drawers:
+ *   get:
+ *     summary: Get cash drawers
+ *     description: |
+ *       Cashiers only see their own drawers, without expectedCash and
+ *       overShort until the drawer is signed off.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, CLOSED, APPROVED]
+ *       - in: query
+ *         name: employeeCpf
+ *         schema:
+ *           type: string
+ *         description: Managers only
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of cash drawers
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, cashDrawerController.getDrawers);
+
+/**
+ * @swagger
+ * /api/cash-drawers/current:
+ *   get:
+ *     summary: Get your open cash drawer
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Open cash drawer with its movements and totals
+ *       404:
+ *         description: No open cash drawer
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/current', authenticateEmployee, cashDrawerController.getCurrentDrawer);
+
+/**
+ * @swagger
+ * /api/cash-drawers/{id}:
+ *   get:
+ *     summary: Get cash drawer with its movements and totals
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Cash drawer details
+ *       404:
+ *         description: Cash drawer not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticateEmployee, cashDrawerController.getDrawer);
+
+/**
+ * @swagger
+ * /api/cash-drawers:
+ *   post:
+ *     summary: Open a cash drawer
+ *     description: |
+ *       Requires being clocked in; the drawer belongs to that shift and must be
+ *       closed before clocking out. Sales you finalize while it is open are
+ *       paid into it.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [openingFloat]
+ *             properties:
+ *               openingFloat:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 200.00
+ *               stationId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Cash drawer opened successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Station not found
+ *       409:
+ *         description: Not clocked in, or a drawer is already open for you or the station
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), cashDrawerController.openDrawer);
+
+/**
+ * @swagger
+ * /api/cash-drawers/{id}/movements:
+ *   post:
+ *     summary: Record a cash drop or paid-out
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, amount]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [DROP, PAID_OUT]
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Required for paid-outs
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Cash drawer not found
+ *       409:
+ *         description: Drawer not open, or not enough cash in it
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/movements', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), cashDrawerController.addMovement);
+
+/**
+ * @swagger
+ * /api/cash-drawers/{id}/close:
+ *   post:
+ *     summary: Close a cash drawer with a blind count
+ *     description: |
+ *       The cash expected and the over/short are worked out from the float,
+ *       cash sales (less change), cash refunds, drops and paid-outs. Cashiers
+ *       do not see them until a manager signs the drawer off.
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [countedCash]
+ *             properties:
+ *               countedCash:
+ *                 type: number
+ *                 minimum: 0
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Cash drawer closed; awaiting sign-off
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Cash drawer not found
+ *       409:
+ *         description: Cash drawer is not open
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/close', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), cashDrawerController.closeDrawer);
+
+/**
+ * @swagger
+ * /api/cash-drawers/{id}/approve:
+ *   post:
+ *     summary: Sign off a closed cash drawer
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Cash drawer signed off successfully
+ *       403:
+ *         description: Own drawer, or not a manager
+ *       404:
+ *         description: Cash drawer not found
+ *       409:
+ *         description: Cash drawer is not closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/approve', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), cashDrawerController.approveDrawer);
+
+/**
+ * @swagger
+ * /api/cash-drawers/{id}/z-report:
+ *   get:
+ *     summary: Get the Z-report of a closed cash drawer
+ *     description: With format=text the report comes as plain text, 40 columns wide, ready for a receipt printer
+ *     tags: [Cash Drawers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Z-report
+ *       404:
+ *         description: Cash drawer not found
+ *       409:
+ *         description: Cash drawer is still open
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/z-report', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), cashDrawerController.getZReport);
+
+module.exports = router;
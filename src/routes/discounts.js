@@ -114,7 +114,7 @@ router.get('/:code', authenticateEmployee, discountController.getDiscountCodeByC
  *               value:
  *                 type: number
  *                 minimum: 0
- *                 description: Discount value (percentage or fixed amount)
+ *                 description: Discount value (percentage, fixed amount, or percent off the free unit for BOGO)
  *                 example: 20
  *               validFrom:
  *                 type: string
@@ -141,6 +141,28 @@ router.get('/:code', authenticateEmployee, discountController.getDiscountCodeByC
  *                 minimum: 1
  *                 description: Maximum number of times this code can be used
  *                 example: 100
+ *               targetSkus:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Restrict the discount to these inventory SKUs
+ *               targetCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Restrict the discount to these food categories
+ *               targetRoomTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [TWO_D, THREE_D, IMAX, EXTREME, VIP]
+ *                 description: Restrict ticket discounts to these room types
+ *               targetSessionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *                 description: Restrict ticket discounts to these sessions
  *     responses:
  *       201:
  *         description: Discount code created successfully
@@ -247,9 +269,20 @@ router.patch('/:code/deactivate', authenticateEmployee, authorizeRoles('MANAGER'
  *           minLength: 11
  *           maxLength: 11
  *         description: Customer CPF for targeted discount validation
+ *       - in: query
+ *         name: saleId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Compute the discount preview against the items of an open sale
+ *       - in: query
+ *         name: subtotal
+ *         schema:
+ *           type: number
+ *         description: Compute the discount preview against a plain subtotal (not applicable to targeted codes)
  *     responses:
  *       200:
- *         description: Validation result returned
+ *         description: Validation result returned (with a computed preview when saleId or subtotal is given)
  *       404:
  *         description: Discount code not found
  *       401:
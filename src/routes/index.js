@@ -12,6 +12,15 @@ const inventoryRoutes = require('./inventory');
 const customerRoutes = require('./customers');
 const discountRoutes = require('./discounts');
 const seatReservationRoutes = require('./seatReservations');
+const settingsRoutes = require('./settings');
+const pricingRoutes = require('./pricing');
+const supplierRoutes = require('./suppliers');
+const purchaseOrderRoutes = require('./purchaseOrders');
+const stockTakeRoutes = require('./stockTakes');
+const stockLocationRoutes = require('./stockLocations');
+const stationRoutes = require('./stations');
+const cashDrawerRoutes = require('./cashDrawers');
+const pixRoutes = require('./pix');
 const seedRoutes = require('./seed');
 
 // Mount route modules
@@ -26,6 +35,15 @@ router.use('/inventory', inventoryRoutes);
 router.use('/customers', customerRoutes);
 router.use('/discounts', discountRoutes);
 router.use('/seat-reservations', seatReservationRoutes);
+router.use('/settings', settingsRoutes);
+router.use('/pricing', pricingRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+router.use('/stock-takes', stockTakeRoutes);
+router.use('/stock-locations', stockLocationRoutes);
+router.use('/stations', stationRoutes);
+router.use('/cash-drawers', cashDrawerRoutes);
+router.use('/pix', pixRoutes);
 router.use('/seed', seedRoutes);
 
 // Health check endpoint
@@ -55,6 +73,15 @@ router.get('/', (req, res) => {
       inventory: '/api/inventory',
       customers: '/api/customers',
       discounts: '/api/discounts',
+      settings: '/api/settings',
+      pricing: '/api/pricing',
+      suppliers: '/api/suppliers',
+      'purchase-orders': '/api/purchase-orders',
+      'stock-takes': '/api/stock-takes',
+      'stock-locations': '/api/stock-locations',
+      stations: '/api/stations',
+      'cash-drawers': '/api/cash-drawers',
+      pix: '/api/pix',
       health: '/api/health'
     },
     documentation: {
@@ -72,6 +99,7 @@ router.get('/', (req, res) => {
         'GET /sessions': 'Get all sessions',
         'GET /sessions/:id': 'Get session by ID',
         'GET /sessions/:id/seats': 'Get session seat availability',
+        'GET /sessions/:id/half-price-report': 'Get meia-entrada compliance report',
         'POST /sessions': 'Create new session',
         'PUT /sessions/:id': 'Update session',
         'DELETE /sessions/:id': 'Delete session'
@@ -82,15 +110,23 @@ router.get('/', (req, res) => {
         'GET /tickets/session/:sessionId': 'Get tickets by session',
         'POST /tickets': 'Create single ticket',
         'POST /tickets/bulk': 'Create multiple tickets',
+        'POST /tickets/check-in': 'Check a scanned ticket in at a room door',
+        'GET /tickets/session/:sessionId/scans': 'Get door activity for a session',
         'DELETE /tickets/:id': 'Delete ticket'
       },
       sales: {
         'GET /sales': 'Get all sales',
         'GET /sales/:id': 'Get sale by ID',
-        'POST /sales': 'Create new sale',
-        'POST /sales/:saleId/items': 'Add item to sale',
+        'POST /sales': 'Create new sale (at a POS station, which picks the stock location)',
+        'POST /sales/:saleId/items': 'Add item to sale (priced by the server, optional manager price override)',
+        'POST /sales/:saleId/scan': 'Scan an item into the sale by barcode',
+        'GET /sales/reports/price-overrides': 'List lines sold with a price override',
+        'GET /sales/reports/margin': 'Get concession gross margin by SKU, category, day or cashier',
         'DELETE /sales/:saleId/items/:itemId': 'Remove item from sale',
         'POST /sales/:saleId/discount': 'Apply discount to sale',
+        'POST /sales/:saleId/pix-charges': 'Charge the balance left by PIX QR code',
+        'GET /sales/:saleId/pix-charges/:chargeId': 'Get a PIX charge',
+        'POST /sales/:saleId/pix-charges/:chargeId/simulate-payment': 'Pay a simulator PIX charge',
         'POST /sales/:saleId/finalize': 'Finalize sale with payment',
         'POST /sales/:saleId/cancel': 'Cancel sale'
       },
@@ -117,7 +153,11 @@ router.get('/', (req, res) => {
         'GET /system-admin/stats': 'Get platform statistics',
         'GET /system-admin/companies/:id/employees': 'Get company employees',
         'GET /system-admin/companies/:id/customers': 'Get company customers',
-        'GET /system-admin/audit-logs': 'Get cross-tenant audit logs'
+        'GET /system-admin/audit-logs': 'Get cross-tenant audit logs',
+        'GET /system-admin/jobs': 'Get background jobs',
+        'GET /system-admin/jobs/:name/runs': 'Get job run history',
+        'POST /system-admin/jobs/:name/run': 'Run a job now',
+        'PATCH /system-admin/jobs/:name': 'Enable or disable a job'
       },
       rooms: {
         'GET /rooms': 'Get all rooms',
@@ -138,15 +178,83 @@ router.get('/', (req, res) => {
       inventory: {
         'GET /inventory': 'Get all inventory items with filtering',
         'GET /inventory/alerts/low-stock': 'Get low-stock alerts',
-        'GET /inventory/expiring': 'Get expiring food items',
+        'GET /inventory/expiring': 'Get expiring lots with the value at risk',
+        'POST /inventory/lots/write-off-expired': 'Write off expired lots',
         'GET /inventory/:sku': 'Get item by SKU',
+        'GET /inventory/barcodes/:barcode': 'Look up item by barcode',
         'GET /inventory/adjustments/history': 'Get adjustment history',
         'GET /inventory/audit/logs': 'Get audit logs',
         'POST /inventory': 'Create new inventory item',
         'PATCH /inventory/:sku': 'Update inventory item',
         'PATCH /inventory/:sku/deactivate': 'Deactivate item',
         'PATCH /inventory/:sku/activate': 'Activate item',
-        'POST /inventory/:sku/adjust': 'Record stock adjustment'
+        'POST /inventory/:sku/adjust': 'Record stock adjustment',
+        'GET /inventory/:sku/lots': 'Get item lots in first-expired-first-out order',
+        'GET /inventory/:sku/bundle': 'Get bundle components and availability',
+        'PUT /inventory/:sku/bundle': 'Set bundle components',
+        'DELETE /inventory/:sku/bundle': 'Remove bundle'
+      },
+      pricing: {
+        'GET /pricing/rules': 'Get pricing rules in effect',
+        'GET /pricing/rules/:ruleKey/versions': 'Get pricing rule versions',
+        'POST /pricing/rules': 'Create pricing rule',
+        'PUT /pricing/rules/:ruleKey': 'Create new pricing rule version',
+        'DELETE /pricing/rules/:ruleKey': 'Retire pricing rule',
+        'GET /pricing/quote': 'Quote a ticket price with the rules applied'
+      },
+      suppliers: {
+        'GET /suppliers': 'Get suppliers',
+        'GET /suppliers/:id': 'Get supplier with items and open purchase orders',
+        'POST /suppliers': 'Create supplier',
+        'PATCH /suppliers/:id': 'Update supplier',
+        'PUT /suppliers/:id/items/:sku': 'Set supplier item cost',
+        'DELETE /suppliers/:id/items/:sku': 'Remove supplier item'
+      },
+      'purchase-orders': {
+        'GET /purchase-orders': 'Get purchase orders',
+        'GET /purchase-orders/:id': 'Get purchase order with lines and receipts',
+        'POST /purchase-orders': 'Create draft purchase order',
+        'POST /purchase-orders/from-low-stock': 'Create draft purchase orders from low-stock alerts',
+        'PATCH /purchase-orders/:id': 'Edit draft purchase order',
+        'POST /purchase-orders/:id/submit': 'Submit purchase order',
+        'POST /purchase-orders/:id/cancel': 'Cancel purchase order',
+        'POST /purchase-orders/:id/receipts': 'Receive a delivery'
+      },
+      'stock-takes': {
+        'GET /stock-takes': 'Get stock takes',
+        'GET /stock-takes/:id': 'Get stock take with counts and variances',
+        'POST /stock-takes': 'Open a stock take',
+        'POST /stock-takes/:id/counts': 'Submit counted quantities by SKU or barcode',
+        'DELETE /stock-takes/:id/counts/:countId': 'Remove a count',
+        'POST /stock-takes/:id/approve': 'Approve stock take and post corrections',
+        'POST /stock-takes/:id/cancel': 'Cancel stock take'
+      },
+      'stock-locations': {
+        'GET /stock-locations': 'Get stock locations',
+        'POST /stock-locations': 'Create stock location',
+        'PATCH /stock-locations/:id': 'Update stock location',
+        'GET /stock-locations/:id/stock': 'Get the stock at a location',
+        'PUT /stock-locations/:id/stock/:sku': 'Set an item\'s low-stock level at a location',
+        'GET /stock-locations/transfers': 'Get stock transfers',
+        'POST /stock-locations/transfers': 'Transfer stock between locations'
+      },
+      stations: {
+        'GET /stations': 'Get POS stations',
+        'POST /stations': 'Create POS station',
+        'PATCH /stations/:id': 'Update POS station'
+      },
+      'cash-drawers': {
+        'GET /cash-drawers': 'Get cash drawers',
+        'GET /cash-drawers/current': 'Get your open cash drawer',
+        'GET /cash-drawers/:id': 'Get cash drawer with movements and totals',
+        'POST /cash-drawers': 'Open a cash drawer with its float',
+        'POST /cash-drawers/:id/movements': 'Record a cash drop or paid-out',
+        'POST /cash-drawers/:id/close': 'Close a cash drawer with a blind count',
+        'POST /cash-drawers/:id/approve': 'Sign off a closed cash drawer',
+        'GET /cash-drawers/:id/z-report': 'Get the Z-report of a closed cash drawer'
+      },
+      pix: {
+        'POST /pix/webhook': 'PIX payments received, sent by the PSP (signed)'
       }
     }
   });
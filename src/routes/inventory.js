@@ -90,7 +90,10 @@ router.get('/', authenticateEmployee, inventoryController.getAllItems);
  * /api/inventory/alerts/low-stock:
  *   get:
  *     summary: Get low-stock alerts with priority (US-017)
- *     description: Retrieve items at or below reorder level with priority classification
+ *     description: |
+ *       Retrieve items at or below reorder level with priority classification.
+ *       locationAlerts lists stock at or below the reorder level set for its
+ *       location (see PUT /api/stock-locations/{id}/stock/{sku}).
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -101,6 +104,12 @@ router.get('/', authenticateEmployee, inventoryController.getAllItems);
  *           type: string
  *           enum: [CRITICAL, HIGH, MEDIUM]
  *         description: Filter by alert priority
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only this location's alerts in locationAlerts
  *     responses:
  *       200:
  *         description: Low-stock alerts retrieved successfully
@@ -145,8 +154,11 @@ router.get('/alerts/low-stock', authenticateEmployee, authorizeRoles('CASHIER',
  * @swagger
  * /api/inventory/expiring:
  *   get:
- *     summary: Get expiring food items (US-021)
- *     description: Retrieve food items expiring within specified days with action recommendations
+ *     summary: Get expiring lots (US-021)
+ *     description: |
+ *       Lots expiring within the given days, and lots already expired that were not
+ *       written off yet, with action recommendations and the stock value at risk
+ *       (lot cost, or the item's average cost for lots without one)
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -155,47 +167,95 @@ router.get('/alerts/low-stock', authenticateEmployee, authorizeRoles('CASHIER',
  *         name: days
  *         schema:
  *           type: integer
- *           default: 7
+ *           default: 30
  *           minimum: 1
- *           maximum: 365
+ *           maximum: 90
  *         description: Number of days to look ahead
  *     responses:
  *       200:
- *         description: Expiring items retrieved successfully
+ *         description: Expiring lots retrieved successfully
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 expiredItems:
- *                   type: array
- *                   items:
- *                     type: object
- *                 expiringItems:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       sku:
- *                         type: string
- *                       name:
- *                         type: string
- *                       expiryDate:
- *                         type: string
- *                         format: date
- *                       daysRemaining:
- *                         type: integer
- *                       priority:
- *                         type: string
- *                       action:
- *                         type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     expiringItems:
+ *                       type: array
+ *                       description: One entry per lot
+ *                       items:
+ *                         $ref: '#/components/schemas/ExpiringLot'
+ *                     expiredItems:
+ *                       type: array
+ *                       description: Expired lots not written off yet
+ *                       items:
+ *                         $ref: '#/components/schemas/ExpiringLot'
  *                 summary:
  *                   type: object
+ *                   properties:
+ *                     valueAtRisk:
+ *                       type: number
+ *                     expiredValue:
+ *                       type: number
  *       401:
  *         description: Unauthorized
  */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExpiringLot:
+ *       type: object
+ *       properties:
+ *         lotId:
+ *           type: string
+ *           format: uuid
+ *         sku:
+ *           type: string
+ *         name:
+ *           type: string
+ *         lotCode:
+ *           type: string
+ *         expiryDate:
+ *           type: string
+ *           format: date
+ *         quantity:
+ *           type: integer
+ *         daysRemaining:
+ *           type: integer
+ *         priority:
+ *           type: string
+ *           enum: [EXPIRED, CRITICAL, HIGH, MEDIUM, LOW]
+ *         action:
+ *           type: string
+ *           enum: [WRITE_OFF, REMOVE_IMMEDIATELY, DISCOUNT_OR_REMOVE, MONITOR]
+ *         unitCost:
+ *           type: number
+ *         valueAtRisk:
+ *           type: number
+ */
 router.get('/expiring', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), inventoryController.getExpiringItems);
 
+/**
+ * @swagger
+ * /api/inventory/lots/write-off-expired:
+ *   post:
+ *     summary: Write off expired lots
+ *     description: Removes every lot past its expiry date from stock through EXPIRY adjustments
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lots written off, with the quantity and value lost
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/lots/write-off-expired', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), inventoryController.writeOffExpiredLots);
+
 /**
  * @swagger
  * /api/inventory/{sku}:
@@ -222,6 +282,35 @@ router.get('/expiring', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER
  */
 router.get('/:sku', authenticateEmployee, inventoryController.getItemBySku);
 
+/**
+ * @swagger
+ * /api/inventory/barcodes/{barcode}:
+ *   get:
+ *     summary: Look up an item by barcode
+ *     description: |
+ *       Finds the item a barcode belongs to, with its price and the units that
+ *       can be sold. A UPC-A code also finds the same code scanned as EAN-13.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item found
+ *       400:
+ *         description: Invalid check digit (misread barcode)
+ *       404:
+ *         description: No item with this barcode
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/barcodes/:barcode', authenticateEmployee, inventoryController.getItemByBarcode);
+
 /**
  * @swagger
  * /api/inventory/adjustments/history:
@@ -241,9 +330,15 @@ router.get('/:sku', authenticateEmployee, inventoryController.getItemBySku);
  *         name: reason
  *         schema:
  *           type: string
- *           enum: [DAMAGE, THEFT, EXPIRY, RESTOCK, RETURN, COUNT_CORRECTION, OTHER]
+ *           enum: [DAMAGE, THEFT, EXPIRY, RESTOCK, RETURN, COUNT_CORRECTION, TRANSFER, OTHER]
  *         description: Filter by adjustment reason
  *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by stock location
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -364,15 +459,30 @@ router.get('/audit/logs', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN
  *               qtyOnHand:
  *                 type: integer
  *                 minimum: 0
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Location of the initial stock (defaults to the default location)
  *               reorderLevel:
  *                 type: integer
  *                 minimum: 0
  *               unitCost:
  *                 type: number
  *                 minimum: 0
+ *                 description: Weighted-average cost of the initial stock
  *               unitPrice:
  *                 type: number
  *                 minimum: 0
+ *               barcode:
+ *                 type: string
+ *                 maxLength: 50
+ *                 description: Primary barcode; EAN/UPC codes must have a valid check digit
+ *               barcodes:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Further barcodes the item is scanned by
  *               expiryDate:
  *                 type: string
  *                 format: date
@@ -417,9 +527,9 @@ router.get('/audit/logs', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN
  *       201:
  *         description: Item created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or invalid barcode
  *       409:
- *         description: SKU already exists
+ *         description: SKU or barcode already exists
  *       401:
  *         description: Unauthorized
  */
@@ -459,9 +569,21 @@ router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), inven
  *               unitCost:
  *                 type: number
  *                 minimum: 0
+ *                 description: Revalues the stock on hand (receipts normally maintain it)
  *               unitPrice:
  *                 type: number
  *                 minimum: 0
+ *               barcode:
+ *                 type: string
+ *                 maxLength: 50
+ *                 nullable: true
+ *                 description: Primary barcode
+ *               barcodes:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Replaces the item's other barcodes
  *               expiryDate:
  *                 type: string
  *                 format: date
@@ -479,7 +601,9 @@ router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), inven
  *       404:
  *         description: Item not found
  *       400:
- *         description: Validation error
+ *         description: Validation error or invalid barcode
+ *       409:
+ *         description: Barcode already assigned to another item
  *       401:
  *         description: Unauthorized
  */
@@ -569,6 +693,26 @@ router.patch('/:sku/activate', authenticateEmployee, authorizeRoles('MANAGER', '
  *               notes:
  *                 type: string
  *                 maxLength: 500
+ *               unitCost:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Cost of each unit added (increases only); averages into the item's cost
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Increases only - the units added become a lot with this expiry
+ *               lotCode:
+ *                 type: string
+ *                 maxLength: 50
+ *                 description: Increases only - supplier batch number of the new lot
+ *               lotId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Decreases only - take the units from this lot instead of first-expired-first-out
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Location whose stock changes (defaults to the lot's location, else the default location)
  *           examples:
  *             damage:
  *               value:
@@ -580,6 +724,7 @@ router.patch('/:sku/activate', authenticateEmployee, authorizeRoles('MANAGER', '
  *                 qtyChange: 100
  *                 reason: "RESTOCK"
  *                 notes: "Weekly restock delivery"
+ *                 unitCost: 2.35
  *     responses:
  *       201:
  *         description: Adjustment recorded successfully
@@ -592,4 +737,155 @@ router.patch('/:sku/activate', authenticateEmployee, authorizeRoles('MANAGER', '
  */
 router.post('/:sku/adjust', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), inventoryController.recordAdjustment);
 
+/**
+ * @swagger
+ * /api/inventory/{sku}/lots:
+ *   get:
+ *     summary: Get the lots of an item
+ *     description: Lots still holding stock in the order they will be used (first-expired-first-out), and the stock held outside any lot
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lots retrieved successfully
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:sku/lots', authenticateEmployee, inventoryController.getLots);
+
+/**
+ * @swagger
+ * /api/inventory/{sku}/bundle:
+ *   get:
+ *     summary: Get bundle components and availability
+ *     description: |
+ *       Bundles hold no stock of their own; available is how many can be sold
+ *       from component stock, counting each choice group's best-stocked option.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bundle retrieved successfully
+ *       404:
+ *         description: Bundle not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:sku/bundle', authenticateEmployee, inventoryController.getBundle);
+
+/**
+ * @swagger
+ * /api/inventory/{sku}/bundle:
+ *   put:
+ *     summary: Set bundle components
+ *     description: |
+ *       Makes the item a bundle (combo) or replaces its components. Selling the
+ *       bundle deducts the components instead of the bundle SKU. Components that
+ *       share a choiceGroup are alternatives: the buyer picks one when the bundle
+ *       is added to a sale.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - components
+ *             properties:
+ *               includesTicket:
+ *                 type: boolean
+ *                 default: false
+ *                 description: The bundle is sold with a seat (sessionId and seatId when added to a sale)
+ *               ticketPrice:
+ *                 type: number
+ *                 default: 0
+ *                 description: Part of the bundle price recorded on its ticket
+ *               components:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [sku]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       default: 1
+ *                     choiceGroup:
+ *                       type: string
+ *                       example: "drink"
+ *           examples:
+ *             combo:
+ *               value:
+ *                 components:
+ *                   - sku: "POP-L"
+ *                     quantity: 1
+ *                   - sku: "COKE-500"
+ *                     choiceGroup: "drink"
+ *                   - sku: "GUARANA-500"
+ *                     choiceGroup: "drink"
+ *     responses:
+ *       200:
+ *         description: Bundle saved successfully
+ *       400:
+ *         description: Validation error or invalid components
+ *       404:
+ *         description: Item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:sku/bundle', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), inventoryController.setBundle);
+
+/**
+ * @swagger
+ * /api/inventory/{sku}/bundle:
+ *   delete:
+ *     summary: Remove bundle
+ *     description: The item is sold as a plain item again; past sales keep their components
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bundle removed successfully
+ *       404:
+ *         description: Bundle not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:sku/bundle', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), inventoryController.removeBundle);
+
 module.exports = router;
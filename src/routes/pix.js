@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const pixChargeController = require('../controllers/pixChargeController');
+
+/**
+ * @swagger
+ * /api/pix/webhook:
+ *   post:
+ *     summary: PIX payments received (called by the PSP)
+ *     description: |
+ *       The PSP calls this when PIX charges are paid. No employee token: the raw
+ *       body must be signed with the shared secret (PIX_WEBHOOK_SECRET) in the
+ *       X-Webhook-Signature header as "sha256=<hex HMAC-SHA256>". Each PIX is
+ *       recorded as a payment of its charge's sale, which is finalized once fully
+ *       paid; redeliveries are ignored. A PIX for another amount than its charge
+ *       (MISMATCH) or for a sale that no longer takes it (RETURNED) is recorded on
+ *       the charge and given back; one the provider would not take back keeps a
+ *       returnError on the charge for reconciliation by hand.
+ *     tags: [PIX]
+ *     parameters:
+ *       - in: header
+ *         name: X-Webhook-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pix]
+ *             properties:
+ *               pix:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [endToEndId, txid, valor]
+ *                   properties:
+ *                     endToEndId:
+ *                       type: string
+ *                     txid:
+ *                       type: string
+ *                     valor:
+ *                       type: string
+ *                       example: '25.00'
+ *                     horario:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Webhook processed, with each PIX's status (RECORDED, DUPLICATE, UNKNOWN, MISMATCH or RETURNED)
+ *       400:
+ *         description: Malformed webhook body
+ *       401:
+ *         description: Missing or invalid signature
+ */
+router.post('/webhook', pixChargeController.receiveWebhook);
+
+module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const pricingController = require('../controllers/pricingController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Pricing
+ *     description: Ticket pricing rules and price quotes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PricingRuleInput:
+ *       type: object
+ *       required: [name, type, adjustment, value]
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Tuesday matinee"
+ *         type:
+ *           type: string
+ *           enum: [TIME_WINDOW, CATEGORY, MOVIE_PREMIUM, OCCUPANCY]
+ *         adjustment:
+ *           type: string
+ *           enum: [PERCENT, AMOUNT, FIXED_PRICE]
+ *           description: PERCENT and AMOUNT change the running price (negative values lower it), FIXED_PRICE replaces it
+ *         value:
+ *           type: number
+ *           example: -20
+ *         priority:
+ *           type: integer
+ *           default: 100
+ *           description: Rules run from the lowest priority up, each on the price left by the previous ones
+ *         weekdays:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Session start weekdays (0 = Sunday)
+ *         timeFrom:
+ *           type: string
+ *           example: "13:00"
+ *           description: Session start window (HH:MM); wraps past midnight when timeFrom is after timeTo
+ *         timeTo:
+ *           type: string
+ *           example: "17:00"
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [REGULAR, STUDENT, SENIOR, TEACHER, DISABLED, LOW_INCOME_YOUTH, COURTESY]
+ *         movieIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         roomTypes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [TWO_D, THREE_D, IMAX, EXTREME, VIP]
+ *         minOccupancy:
+ *           type: number
+ *           description: Applies from this percentage of seats sold
+ *         maxOccupancy:
+ *           type: number
+ *           description: Applies below this percentage of seats sold
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to now
+ */
+
+/**
+ * @swagger
+ * /api/pricing/rules:
+ *   get:
+ *     summary: Get pricing rules in effect
+ *     description: Rule versions in effect now, or at the given time
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Pricing rules retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/rules', authenticateEmployee, pricingController.getRules);
+
+/**
+ * @swagger
+ * /api/pricing/rules/{ruleKey}/versions:
+ *   get:
+ *     summary: Get the version history of a pricing rule
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions retrieved successfully, newest first
+ *       404:
+ *         description: Pricing rule not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/rules/:ruleKey/versions', authenticateEmployee, pricingController.getRuleVersions);
+
+/**
+ * @swagger
+ * /api/pricing/rules:
+ *   post:
+ *     summary: Create pricing rule
+ *     description: Creates version 1 of a rule. Later changes go through PUT, which adds versions.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - type: object
+ *                 required: [ruleKey]
+ *                 properties:
+ *                   ruleKey:
+ *                     type: string
+ *                     maxLength: 50
+ *                     example: "tuesday-matinee"
+ *                     description: Stable identifier shared by all versions of the rule
+ *               - $ref: '#/components/schemas/PricingRuleInput'
+ *     responses:
+ *       201:
+ *         description: Pricing rule created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Pricing rule already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/rules', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), pricingController.createRule);
+
+/**
+ * @swagger
+ * /api/pricing/rules/{ruleKey}:
+ *   put:
+ *     summary: Create a new version of a pricing rule
+ *     description: |
+ *       The new version takes effect at effectiveFrom (default now), which cannot be
+ *       earlier than the current version's; the current version stops applying then.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingRuleInput'
+ *     responses:
+ *       200:
+ *         description: Pricing rule version created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Pricing rule not found
+ *       409:
+ *         description: Rule was changed concurrently
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/rules/:ruleKey', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), pricingController.updateRule);
+
+/**
+ * @swagger
+ * /api/pricing/rules/{ruleKey}:
+ *   delete:
+ *     summary: Retire a pricing rule
+ *     description: The rule stops applying at effectiveTo (default now); its versions stay on record
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: effectiveTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Pricing rule retired successfully
+ *       404:
+ *         description: Pricing rule not found
+ *       409:
+ *         description: Pricing rule is already retired
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/rules/:ruleKey', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), pricingController.retireRule);
+
+/**
+ * @swagger
+ * /api/pricing/quote:
+ *   get:
+ *     summary: Quote a ticket price
+ *     description: |
+ *       Price of a ticket for a session and category, starting from the session
+ *       (or room type) base price and listing every rule that changed it.
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [REGULAR, STUDENT, SENIOR, TEACHER, DISABLED, LOW_INCOME_YOUTH, COURTESY]
+ *           default: REGULAR
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Use the rules in effect at this time (default now)
+ *     responses:
+ *       200:
+ *         description: Price quoted successfully
+ *       404:
+ *         description: Session not found
+ *       409:
+ *         description: No price configured for the session
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/quote', authenticateEmployee, pricingController.getQuote);
+
+module.exports = router;
@@ -0,0 +1,332 @@
+const express = require('express');
+const router = express.Router();
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Purchase Orders
+ *     description: Ordering stock from suppliers and receiving deliveries
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PurchaseOrderLineInput:
+ *       type: object
+ *       required: [sku, quantity]
+ *       properties:
+ *         sku:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *           minimum: 1
+ *         unitCost:
+ *           type: number
+ *           minimum: 0
+ *           description: Defaults to the supplier's catalog cost for the item (0 when unknown)
+ */
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   get:
+ *     summary: Get purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, SUBMITTED, PARTIALLY_RECEIVED, RECEIVED, CANCELED]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Purchase orders retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, purchaseOrderController.getPurchaseOrders);
+
+/**
+ * @swagger
+ * /api/purchase-orders/from-low-stock:
+ *   post:
+ *     summary: Create draft purchase orders from low-stock alerts
+ *     description: |
+ *       One draft per preferred supplier, ordering each low-stock item back up to
+ *       its reorder level less what is already on open purchase orders. Items
+ *       without an active preferred supplier are returned as unassigned.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Drafts created (purchaseOrders and unassigned items)
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/from-low-stock', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), purchaseOrderController.createReorderDrafts);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   get:
+ *     summary: Get purchase order with lines and receipts
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Purchase order retrieved successfully
+ *       404:
+ *         description: Purchase order not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticateEmployee, purchaseOrderController.getPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [supplierId, lines]
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *                 format: uuid
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLineInput'
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *               expectedAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Purchase order created successfully
+ *       400:
+ *         description: Validation error or invalid lines
+ *       404:
+ *         description: Supplier not found or inactive
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), purchaseOrderController.createPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}:
+ *   patch:
+ *     summary: Edit draft purchase order
+ *     description: Lines, when sent, replace the current ones
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PurchaseOrderLineInput'
+ *               notes:
+ *                 type: string
+ *               expectedAt:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Purchase order updated successfully
+ *       400:
+ *         description: Validation error or invalid lines
+ *       404:
+ *         description: Purchase order not found
+ *       409:
+ *         description: Purchase order is not a draft
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/submit:
+ *   post:
+ *     summary: Submit draft purchase order to the supplier
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Purchase order submitted successfully
+ *       409:
+ *         description: Purchase order not found or is not a draft
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/submit', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), purchaseOrderController.submitPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel purchase order
+ *     description: Units already received stay in stock; the rest is no longer expected
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Purchase order canceled successfully
+ *       409:
+ *         description: Purchase order not found or already closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/cancel', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), purchaseOrderController.cancelPurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/receipts:
+ *   post:
+ *     summary: Receive a delivery
+ *     description: |
+ *       Receives all or part of the outstanding units. Each SKU is restocked
+ *       through a RESTOCK inventory adjustment and the cost paid is recorded on
+ *       the receipt and becomes the supplier's current cost for the item.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lines]
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [sku, quantity]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     unitCost:
+ *                       type: number
+ *                       description: Cost actually paid (defaults to the ordered cost)
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *                       description: Stocks the units as a lot with this expiry
+ *                     lotCode:
+ *                       type: string
+ *                       description: Supplier batch number of the lot
+ *               invoiceNumber:
+ *                 type: string
+ *                 description: Supplier's NF-e number
+ *               notes:
+ *                 type: string
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Location the delivery is put away at (defaults to the default location)
+ *     responses:
+ *       201:
+ *         description: Delivery received successfully
+ *       400:
+ *         description: Validation error, more than outstanding or order not submitted
+ *       404:
+ *         description: Purchase order or stock location not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/receipts', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), purchaseOrderController.receivePurchaseOrder);
+
+module.exports = router;
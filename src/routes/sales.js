@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const saleController = require('../controllers/saleController');
+const pixChargeController = require('../controllers/pixChargeController');
 const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+const { idempotent } = require('../middleware/idempotency');
 
 /**
  * @swagger
@@ -23,7 +25,7 @@ const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-mul
  *         name: status
  *         schema:
  *           type: string
- *           enum: [OPEN, FINALIZED, CANCELED, REFUNDED]
+ *           enum: [OPEN, FINALIZED, PARTIALLY_REFUNDED, CANCELED, REFUNDED]
  *       - in: query
  *         name: cashierCpf
  *         schema:
@@ -60,6 +62,94 @@ const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-mul
  */
 router.get('/', authenticateEmployee, saleController.getAllSales);
 
+/**
+ * @swagger
+ * /api/sales/tax-rates:
+ *   get:
+ *     summary: Get company tax configuration
+ *     description: One rate per item class (tickets, food, collectables) with its ISS/ICMS bucket
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax rates retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/tax-rates', authenticateEmployee, saleController.getTaxRates);
+
+/**
+ * @swagger
+ * /api/sales/tax-rates:
+ *   post:
+ *     summary: Set tax rate for an item class
+ *     description: Create or update the tax rate of an item class (requires MANAGER or ADMIN role). Open sales pick up the new rate on their next recalculation.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemClass
+ *               - taxType
+ *               - rate
+ *             properties:
+ *               itemClass:
+ *                 type: string
+ *                 enum: [TICKET, FOOD, COLLECTABLE]
+ *               taxType:
+ *                 type: string
+ *                 enum: [ISS, ICMS]
+ *               rate:
+ *                 type: number
+ *                 description: Percentage rate (5 = 5%)
+ *               isInclusive:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether prices already include the tax (otherwise it is added on top)
+ *             example:
+ *               itemClass: "TICKET"
+ *               taxType: "ISS"
+ *               rate: 5.00
+ *               isInclusive: true
+ *     responses:
+ *       200:
+ *         description: Tax rate set successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/tax-rates', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.setTaxRate);
+
+/**
+ * @swagger
+ * /api/sales/tax-rates/{itemClass}:
+ *   delete:
+ *     summary: Remove tax rate for an item class
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemClass
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [TICKET, FOOD, COLLECTABLE]
+ *     responses:
+ *       200:
+ *         description: Tax rate removed successfully
+ *       404:
+ *         description: Tax rate not found
+ */
+router.delete('/tax-rates/:itemClass', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.deleteTaxRate);
+
 /**
  * @swagger
  * /api/sales/{id}:
@@ -77,7 +167,7 @@ router.get('/', authenticateEmployee, saleController.getAllSales);
  *           format: uuid
  *     responses:
  *       200:
- *         description: Sale retrieved successfully
+ *         description: Sale retrieved successfully, with line taxes and a taxBreakdown per ISS/ICMS bucket
  *       404:
  *         description: Sale not found
  */
@@ -112,11 +202,103 @@ router.get('/:id', authenticateEmployee, saleController.getSaleById);
  *           default: day
  *     responses:
  *       200:
- *         description: Report generated successfully
+ *         description: |
+ *           Report generated successfully, including tax totals, a taxBreakdown per ISS/ICMS bucket
+ *           and the concession revenue, cost of goods and gross margin (overall and per day or cashier)
  */
 router.get('/reports/summary', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), saleController.getSalesSummary);
 router.get('/reports/detailed', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.getSalesReports);
 
+/**
+ * @swagger
+ * /api/sales/reports/price-overrides:
+ *   get:
+ *     summary: List sale lines sold with a price override
+ *     description: Each line with its list price, the price charged, the reason, the cashier and the approving manager
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: cashierCpf
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: approvedByCpf
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeCanceled
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - requires MANAGER or ADMIN role
+ */
+router.get('/reports/price-overrides', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.getPriceOverrideReport);
+
+/**
+ * @swagger
+ * /api/sales/reports/margin:
+ *   get:
+ *     summary: Get concession gross margin
+ *     description: |
+ *       Revenue net of discounts, tax and refunds against the cost of goods captured when each
+ *       sale was finalized. Lines sold before their item had a cost are reported as
+ *       uncostedRevenue and left out of the margin. Tickets are not included.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [sku, category, day, cashier]
+ *           default: sku
+ *       - in: query
+ *         name: cashierCpf
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - requires MANAGER or ADMIN role
+ */
+router.get('/reports/margin', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.getMarginReport);
+
 /**
  * @swagger
  * /api/sales/shift/reconciliation:
@@ -149,6 +331,8 @@ router.get('/shift/reconciliation', authenticateEmployee, saleController.getShif
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       content:
  *         application/json:
@@ -157,11 +341,17 @@ router.get('/shift/reconciliation', authenticateEmployee, saleController.getShif
  *             properties:
  *               buyerCpf:
  *                 type: string
+ *               stationId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Station the sale is rung up at; its goods come from the station's stock location (the default location when omitted)
  *     responses:
  *       201:
  *         description: Sale created successfully
+ *       404:
+ *         description: Station not found
  */
-router.post('/', authenticateEmployee, saleController.createSale);
+router.post('/', authenticateEmployee, idempotent, saleController.createSale);
 
 /**
  * @swagger
@@ -172,6 +362,7 @@ router.post('/', authenticateEmployee, saleController.createSale);
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -185,28 +376,126 @@ router.post('/', authenticateEmployee, saleController.createSale);
  *           schema:
  *             type: object
  *             required:
- *               - description
  *               - quantity
- *               - unitPrice
  *             properties:
  *               sku:
  *                 type: string
+ *                 description: |
+ *                   Inventory item, sold at its catalog price (send either sku or sessionId and seatId).
+ *                   Bundles that include a ticket take sku together with sessionId and seatId, quantity 1.
  *               sessionId:
  *                 type: string
  *                 format: uuid
+ *                 description: Ticket session, priced by the pricing rules for the ticket category
  *               seatId:
  *                 type: string
  *               description:
  *                 type: string
+ *                 deprecated: true
+ *                 description: Ignored, the server describes the line
  *               quantity:
  *                 type: integer
  *               unitPrice:
  *                 type: number
+ *                 deprecated: true
+ *                 description: Ignored, the server prices the line; use priceOverride to charge a different price
+ *               priceOverride:
+ *                 type: object
+ *                 description: |
+ *                   Sell at a different price. Managers and admins approve their own overrides;
+ *                   other employees need a manager's employeeId and password. Recorded in the audit log.
+ *                 required: [unitPrice, reason]
+ *                 properties:
+ *                   unitPrice:
+ *                     type: number
+ *                     minimum: 0
+ *                   reason:
+ *                     type: string
+ *                     maxLength: 500
+ *                   approverEmployeeId:
+ *                     type: string
+ *                   approverPassword:
+ *                     type: string
+ *                     format: password
+ *               category:
+ *                 type: string
+ *                 enum: [REGULAR, STUDENT, SENIOR, TEACHER, DISABLED, LOW_INCOME_YOUTH, COURTESY]
+ *                 default: REGULAR
+ *                 description: Ticket items only. STUDENT, DISABLED and LOW_INCOME_YOUTH count towards the session's meia-entrada quota
+ *               proofType:
+ *                 type: string
+ *                 enum: [STUDENT_ID, ID_DOCUMENT, TEACHER_ID, DISABILITY_ID, ID_JOVEM]
+ *                 description: Document shown for a half-price category (required for those)
+ *               proofNumber:
+ *                 type: string
+ *                 maxLength: 50
+ *               choices:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example:
+ *                   drink: "COKE-500"
+ *                 description: Bundles only - chosen component SKU for each of the bundle's choice groups
  *     responses:
  *       201:
  *         description: Item added successfully
+ *       400:
+ *         description: Validation error, missing meia-entrada proof or missing bundle choice
+ *       403:
+ *         description: Price override not approved
+ *       409:
+ *         description: Out of stock (bundle components listed in shortages), seat taken, sales closed, no ticket price configured or meia-entrada quota exhausted
+ */
+router.post('/:saleId/items', authenticateEmployee, idempotent, saleController.addItemToSale);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/scan:
+ *   post:
+ *     summary: Scan an item into the sale by barcode
+ *     description: |
+ *       Resolves the barcode, checks stock and either increases the quantity of
+ *       the sale's line for the same item at the same price or adds a line.
+ *       Tickets, bundles with a ticket and bundles with choices are added
+ *       through POST /items instead.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [barcode]
+ *             properties:
+ *               barcode:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: Quantity of an existing line increased
+ *       201:
+ *         description: Item added to sale
+ *       400:
+ *         description: Invalid check digit, or a bundle that needs a seat or a choice
+ *       404:
+ *         description: No active item with this barcode, or sale not open
+ *       409:
+ *         description: Out of stock or barcode matches more than one item
  */
-router.post('/:saleId/items', authenticateEmployee, saleController.addItemToSale);
+router.post('/:saleId/scan', authenticateEmployee, idempotent, saleController.scanItem);
 
 /**
  * @swagger
@@ -217,6 +506,7 @@ router.post('/:saleId/items', authenticateEmployee, saleController.addItemToSale
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -233,7 +523,7 @@ router.post('/:saleId/items', authenticateEmployee, saleController.addItemToSale
  *       200:
  *         description: Item removed successfully
  */
-router.delete('/:saleId/items/:itemId', authenticateEmployee, saleController.removeItemFromSale);
+router.delete('/:saleId/items/:itemId', authenticateEmployee, idempotent, saleController.removeItemFromSale);
 
 /**
  * @swagger
@@ -251,15 +541,24 @@ router.delete('/:saleId/items/:itemId', authenticateEmployee, saleController.rem
  *             type: object
  *             required:
  *               - code
- *               - subtotal
  *             properties:
  *               code:
  *                 type: string
  *               subtotal:
  *                 type: number
+ *                 description: Plain subtotal to preview against (required when saleId is omitted)
+ *               saleId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Preview against the items of an open sale, honoring line targeting
+ *               customerCpf:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Discount code validated successfully
+ *         description: |
+ *           Discount code validated successfully, with the computed per-line preview. A code that
+ *           targets specific items or sessions has no preview against a plain subtotal
+ *           (preview.applicable false, with the reason).
  *       400:
  *         description: Invalid or expired discount code
  */
@@ -274,6 +573,7 @@ router.post('/discount/validate', authenticateEmployee, saleController.validateD
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -293,21 +593,27 @@ router.post('/discount/validate', authenticateEmployee, saleController.validateD
  *                 type: string
  *     responses:
  *       200:
- *         description: Discount applied successfully
+ *         description: Discount applied successfully, with per-line allocations
  *       400:
- *         description: Invalid or expired discount code
+ *         description: Invalid or expired discount code, or no eligible items
  */
-router.post('/:saleId/discount', authenticateEmployee, saleController.applyDiscount);
+router.post('/:saleId/discount', authenticateEmployee, idempotent, saleController.applyDiscount);
 
 /**
  * @swagger
  * /api/sales/{saleId}/payments:
  *   post:
  *     summary: Add payment to sale (US-013)
+ *     description: |
+ *       Card and PIX payments are authorized with the provider configured for
+ *       their method (PAYMENT_CARD_PROVIDER, PAYMENT_PIX_PROVIDER) and captured
+ *       when the sale is finalized. For PIX checked at the PSP, authCode is the
+ *       end-to-end ID of the transfer received.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -329,13 +635,179 @@ router.post('/:saleId/discount', authenticateEmployee, saleController.applyDisco
  *                 enum: [CASH, CARD, PIX, OTHER]
  *               amount:
  *                 type: number
+ *                 description: Only CASH may exceed the remaining balance; the difference is given as change
  *               authCode:
  *                 type: string
  *     responses:
  *       201:
- *         description: Payment added successfully
+ *         description: Payment added successfully, with the balance left and the change due
+ *       400:
+ *         description: Sale already fully paid, or a non-cash payment over the remaining balance
+ *       402:
+ *         description: Declined by the payment provider
+ *       502:
+ *         description: Payment provider unavailable
+ *       504:
+ *         description: Payment provider timed out
  */
-router.post('/:saleId/payments', authenticateEmployee, saleController.addPayment);
+router.post('/:saleId/payments', authenticateEmployee, idempotent, saleController.addPayment);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/payments/{paymentId}/void:
+ *   post:
+ *     summary: Void a payment of an open sale
+ *     description: |
+ *       The payment is voided (or refunded, if already captured) at its provider,
+ *       then kept with who voided it and why, but no longer counts towards the sale.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Payment voided successfully
+ *       400:
+ *         description: Sale is not open
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is already voided
+ *       402:
+ *         description: Declined by the payment provider
+ *       502:
+ *         description: Payment provider unavailable
+ *       504:
+ *         description: Payment provider timed out
+ */
+router.post('/:saleId/payments/:paymentId/void', authenticateEmployee, idempotent, saleController.voidPayment);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/pix-charges:
+ *   post:
+ *     summary: Charge the balance left on a sale by PIX QR code
+ *     description: |
+ *       Creates a cobrança for the remaining balance with the PIX provider and
+ *       returns its BR Code ("PIX copia e cola") to show as a QR code. It expires
+ *       after the company's pixChargeMinutes; a new charge cancels the previous one.
+ *       Once the PSP confirms the PIX through the webhook the payment is added to
+ *       the sale, which is finalized if fully paid.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: PIX charge created successfully
+ *       400:
+ *         description: Sale is not open or already fully paid
+ *       404:
+ *         description: Sale not found
+ *       409:
+ *         description: No PIX provider or no company PIX key configured
+ *       402:
+ *         description: Declined by the payment provider
+ *       502:
+ *         description: Payment provider unavailable
+ *       504:
+ *         description: Payment provider timed out
+ */
+router.post('/:saleId/pix-charges', authenticateEmployee, idempotent, pixChargeController.createCharge);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/pix-charges/{chargeId}:
+ *   get:
+ *     summary: Get a PIX charge of a sale
+ *     description: Poll while the customer pays - status turns COMPLETED once the PIX is received.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: chargeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PIX charge
+ *       404:
+ *         description: PIX charge not found
+ */
+router.get('/:saleId/pix-charges/:chargeId', authenticateEmployee, pixChargeController.getCharge);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/pix-charges/{chargeId}/simulate-payment:
+ *   post:
+ *     summary: Pay a simulator PIX charge, for local testing
+ *     description: Confirms the charge as the PSP webhook would. Only for charges created with the simulator provider.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: chargeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: PIX payment simulated
+ *       400:
+ *         description: Not a simulator charge
+ *       404:
+ *         description: PIX charge not found
+ *       409:
+ *         description: PIX charge is no longer active
+ */
+router.post('/:saleId/pix-charges/:chargeId/simulate-payment', authenticateEmployee, idempotent, pixChargeController.simulatePayment);
 
 /**
  * @swagger
@@ -346,6 +818,7 @@ router.post('/:saleId/payments', authenticateEmployee, saleController.addPayment
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -354,21 +827,35 @@ router.post('/:saleId/payments', authenticateEmployee, saleController.addPayment
  *           format: uuid
  *     responses:
  *       200:
- *         description: Sale finalized successfully
+ *         description: Sale finalized successfully, with the change given out of the cash tendered
  *       400:
- *         description: Insufficient payment or invalid sale state
+ *         description: Insufficient payment, non-cash overpayment, or invalid sale state
+ *       409:
+ *         description: No cash drawer open, or a ticket's session stopped selling or its seat was sold meanwhile; card and PIX payments captured for it are refunded and voided
+ *       402:
+ *         description: Capture declined by the payment provider
+ *       502:
+ *         description: Payment provider unavailable
+ *       504:
+ *         description: Payment provider timed out
  */
-router.post('/:saleId/finalize', authenticateEmployee, saleController.finalizeSale);
+router.post('/:saleId/finalize', authenticateEmployee, idempotent, saleController.finalizeSale);
 
 /**
  * @swagger
  * /api/sales/{saleId}/cancel:
  *   post:
  *     summary: Cancel sale (US-015)
+ *     description: |
+ *       Cancels an OPEN sale and gives its payments back: card holds released, captured
+ *       card and PIX refunded through their provider, cash handed back. A payment the
+ *       provider refuses to give back is marked with voidFailedAt and voidError, and
+ *       canceling the sale again retries it. Finalized sales are refunded instead.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -388,19 +875,28 @@ router.post('/:saleId/finalize', authenticateEmployee, saleController.finalizeSa
  *                 type: string
  *     responses:
  *       200:
- *         description: Sale canceled successfully
+ *         description: Sale canceled, with the number of payments its provider did not give back in failedPayments
+ *       400:
+ *         description: Sale is finalized, already canceled or refunded
+ *       404:
+ *         description: Sale not found
  */
-router.post('/:saleId/cancel', authenticateEmployee, saleController.cancelSale);
+router.post('/:saleId/cancel', authenticateEmployee, idempotent, saleController.cancelSale);
 
 /**
  * @swagger
  * /api/sales/{saleId}/refund:
  *   post:
  *     summary: Refund finalized sale (US-015)
+ *     description: |
+ *       Refunds every line not refunded yet - tickets are released and SKUs restocked.
+ *       Card and PIX money goes back through the provider that took it once the refund
+ *       is recorded; a payment the provider refuses is left FAILED and can be retried.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: saleId
  *         required: true
@@ -421,15 +917,132 @@ router.post('/:saleId/cancel', authenticateEmployee, saleController.cancelSale);
  *     responses:
  *       200:
  *         description: Sale refunded successfully
+ *       400:
+ *         description: A ticket was already used or its session has started
+ *       404:
+ *         description: Sale not found or cannot be refunded
+ */
+router.post('/:saleId/refund', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), idempotent, saleController.refundSale);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/refunds:
+ *   post:
+ *     summary: Partially refund sale lines
+ *     description: |
+ *       Refunds the given quantities of specific sale items (requires MANAGER or ADMIN role).
+ *       The amount is returned through the sale's original payments (card/PIX before cash,
+ *       each payment's provider called on its own once the refund is recorded), refunded tickets are flipped to REFUNDED and their seats freed, and SKUs are restocked.
+ *       The sale becomes PARTIALLY_REFUNDED, or REFUNDED once every line is refunded.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - items
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - saleItemId
+ *                     - quantity
+ *                   properties:
+ *                     saleItemId:
+ *                       type: string
+ *                       format: uuid
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *             example:
+ *               reason: "Customer returned one popcorn"
+ *               items:
+ *                 - saleItemId: "3f1c2a9e-8d4b-4c2a-9f1e-2b7d6a5c4e3f"
+ *                   quantity: 1
+ *     responses:
+ *       201:
+ *         description: Refund processed successfully
+ *       400:
+ *         description: Quantity exceeds what is left to refund, ticket used or session started
+ *       404:
+ *         description: Sale not found or cannot be refunded
+ *   get:
+ *     summary: List refunds of a sale
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *       404:
+ *         description: Sale not found
+ */
+router.post('/:saleId/refunds', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), idempotent, saleController.refundSaleItems);
+router.get('/:saleId/refunds', authenticateEmployee, saleController.getSaleRefunds);
+
+/**
+ * @swagger
+ * /api/sales/{saleId}/refunds/{refundId}/retry:
+ *   post:
+ *     summary: Retry a refund's provider payments
+ *     description: |
+ *       Returns the refund's payments that are still PENDING or FAILED through their provider
+ *       again (requires MANAGER or ADMIN role). The job scheduler settles PENDING ones on its own.
+ *     tags: [Sales]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Refund with each payment's status
+ *       404:
+ *         description: Refund not found
  */
-router.post('/:saleId/refund', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), saleController.refundSale);
+router.post('/:saleId/refunds/:refundId/retry', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), idempotent, saleController.retryRefund);
 
 /**
  * @swagger
  * /api/sales/cleanup/abandoned:
  *   post:
- *     summary: Clean up abandoned OPEN sales older than 15 minutes
- *     description: Automatically cancels OPEN sales that have been inactive for more than 15 minutes to prevent seat locking
+ *     summary: Clean up abandoned OPEN sales
+ *     description: Cancels OPEN sales older than the company's abandoned sale threshold (15 minutes by default). The job scheduler also runs this every minute.
  *     tags: [Sales]
  *     security:
  *       - bearerAuth: []
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const seatReservationController = require('../controllers/seatReservationController');
 const { authenticateEmployee } = require('../middleware/auth-multitenant');
+const { idempotent } = require('../middleware/idempotency');
 
 /**
  * @swagger
@@ -14,10 +15,13 @@ const { authenticateEmployee } = require('../middleware/auth-multitenant');
  * @swagger
  * /api/seat-reservations/reserve:
  *   post:
- *     summary: Reserve seats temporarily for 15 minutes
+ *     summary: Reserve seats temporarily (hold time set in company settings, 15 minutes by default)
+ *     description: All requested seats are reserved, or none of them. Seats whose reservation expired can be taken.
  *     tags: [Seat Reservations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -42,10 +46,14 @@ const { authenticateEmployee } = require('../middleware/auth-multitenant');
  *     responses:
  *       201:
  *         description: Seats reserved successfully
+ *       400:
+ *         description: Validation error, or seats not in the room's seat map (listed in `seats.unknown`)
  *       409:
- *         description: Seats already sold or reserved
+ *         description: |
+ *           Some seats are already sold or held by another checkout. Nothing is reserved;
+ *           `seats` lists the requested seats as `sold`, `held` and `free`.
  */
-router.post('/reserve', authenticateEmployee, seatReservationController.reserveSeats);
+router.post('/reserve', authenticateEmployee, idempotent, seatReservationController.reserveSeats);
 
 /**
  * @swagger
@@ -55,6 +63,8 @@ router.post('/reserve', authenticateEmployee, seatReservationController.reserveS
  *     tags: [Seat Reservations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -70,7 +80,7 @@ router.post('/reserve', authenticateEmployee, seatReservationController.reserveS
  *       200:
  *         description: Reservations released successfully
  */
-router.post('/release', authenticateEmployee, seatReservationController.releaseReservations);
+router.post('/release', authenticateEmployee, idempotent, seatReservationController.releaseReservations);
 
 /**
  * @swagger
@@ -136,6 +136,104 @@ router.get('/:id', authenticateEmployee, sessionController.getSessionById);
  */
 router.get('/:id/seats', authenticateEmployee, sessionController.getSessionSeats);
 
+/**
+ * @swagger
+ * /api/sessions/{id}/cancellation:
+ *   get:
+ *     summary: Get session cancellation progress
+ *     description: |
+ *       Policy, tickets processed so far and amounts refunded or credited for a canceled session.
+ *       `failures` lists the sales the cascade could not refund, with their attempts and last error;
+ *       those with no `nextAttemptAt` are no longer retried and must be refunded by hand.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Cancellation progress retrieved successfully
+ *       404:
+ *         description: Session has not been canceled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires MANAGER or ADMIN role
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/cancellation', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), sessionController.getSessionCancellation);
+
+/**
+ * @swagger
+ * /api/sessions/{id}/cancellation/customers:
+ *   get:
+ *     summary: List customers affected by a session cancellation
+ *     description: Buyers of the canceled session's tickets with email, phone, seats and any store credits issued, for outreach
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Affected customers retrieved successfully
+ *       404:
+ *         description: Session has not been canceled
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires MANAGER or ADMIN role
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/cancellation/customers', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), sessionController.getCancellationCustomers);
+
+/**
+ * @swagger
+ * /api/sessions/{id}/half-price-report:
+ *   get:
+ *     summary: Meia-entrada compliance report for a session
+ *     description: |
+ *       Quota seats, how many are sold or held by open sales, tickets per category and
+ *       every half-price ticket with the proof recorded at the point of sale
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - requires MANAGER or ADMIN role
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/half-price-report', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), sessionController.getHalfPriceReport);
+
 /**
  * @swagger
  * /api/sessions:
@@ -253,7 +351,12 @@ router.put('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), ses
  * /api/sessions/{id}/status:
  *   patch:
  *     summary: Update session status
- *     description: Change session status (SCHEDULED -> IN_PROGRESS -> COMPLETED, or CANCELED)
+ *     description: |
+ *       Change session status (SCHEDULED -> IN_PROGRESS -> COMPLETED, or CANCELED).
+ *       Sessions also start and complete on their own once their start and end times pass.
+ *       Completing a session marks its tickets that were never checked in as NO_SHOW.
+ *       Canceling one removes its tickets from open sales, releases seat holds and
+ *       refunds, credits or keeps for exchange every sold ticket according to the policy.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -282,12 +385,18 @@ router.put('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), ses
  *                 type: string
  *                 maxLength: 500
  *                 description: Optional reason for status change
+ *               policy:
+ *                 type: string
+ *                 enum: [FULL_REFUND, STORE_CREDIT, EXCHANGE]
+ *                 description: When canceling, what sold tickets turn into (defaults to the company setting)
  *             example:
  *               status: "IN_PROGRESS"
  *               reason: "Session started on time"
  *     responses:
  *       200:
  *         description: Session status updated successfully (logged in audit trail)
+ *       202:
+ *         description: Session canceled; its tickets are still being refunded in the background
  *       400:
  *         description: Validation error
  *       404:
@@ -306,7 +415,9 @@ router.patch('/:id/status', authenticateEmployee, sessionController.updateSessio
  * /api/sessions/{id}:
  *   delete:
  *     summary: Delete session
- *     description: Delete a session (only allowed if no tickets are sold)
+ *     description: |
+ *       Delete a session. Sessions with sold tickets are canceled (refunding their
+ *       tickets according to the policy) and soft-deleted instead.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -318,13 +429,25 @@ router.patch('/:id/status', authenticateEmployee, sessionController.updateSessio
  *           type: string
  *           format: uuid
  *         description: Session ID
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *           enum: [FULL_REFUND, STORE_CREDIT, EXCHANGE]
+ *         description: What sold tickets turn into (defaults to the company setting)
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           maxLength: 500
+ *         description: Cancellation reason
  *     responses:
  *       200:
  *         description: Session deleted successfully
  *       404:
  *         description: Session not found
  *       409:
- *         description: Cannot delete session with sold tickets
+ *         description: Completed sessions with sold tickets cannot be deleted
  *       401:
  *         description: Unauthorized
  *       500:
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Settings
+ *     description: Company operational settings
+ */
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Get company settings
+ *     description: Operational settings of the company, with defaults for values never set
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, settingsController.getSettings);
+
+/**
+ * @swagger
+ * /api/settings:
+ *   put:
+ *     summary: Update company settings
+ *     description: Update some of the company's operational settings (requires MANAGER or ADMIN role)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               checkInOpensMinutes:
+ *                 type: integer
+ *                 description: Minutes before session start the doors open
+ *               checkInClosesMinutes:
+ *                 type: integer
+ *                 description: Minutes after session start the doors stop admitting first entries
+ *               allowReentry:
+ *                 type: boolean
+ *                 description: Let used tickets back in until the session ends
+ *               maxReentries:
+ *                 type: integer
+ *                 description: Re-entries allowed per ticket
+ *               reservationHoldMinutes:
+ *                 type: integer
+ *                 description: How long seats stay held during checkout
+ *               abandonedSaleMinutes:
+ *                 type: integer
+ *                 description: Age after which OPEN sales without payments are canceled as abandoned; must be longer than pixChargeMinutes
+ *               sessionStartLeadMinutes:
+ *                 type: integer
+ *                 description: How long before its start time a session may be started
+ *               salesCutoffMinutes:
+ *                 type: integer
+ *                 description: Minutes after session start when ticket sales close (negative closes them before the start)
+ *               halfPriceQuotaPercent:
+ *                 type: integer
+ *                 description: Share of each session's seats open to quota-bound meia-entrada tickets (students, disabled, ID Jovem)
+ *               cancellationPolicy:
+ *                 type: string
+ *                 enum: [FULL_REFUND, STORE_CREDIT, EXCHANGE]
+ *                 description: What sold tickets turn into when a session is canceled
+ *               requireCashDrawer:
+ *                 type: boolean
+ *                 description: Cash sales can only be finalized by a cashier with an open cash drawer
+ *               pixKey:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 77
+ *                 description: Chave PIX that PIX charges are paid into
+ *               pixChargeMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 description: How long the QR code of a PIX charge can be paid (default 10)
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Validation error, or abandonedSaleMinutes not longer than pixChargeMinutes
+ *       403:
+ *         description: Forbidden
+ */
+router.put('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), settingsController.updateSettings);
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const stationController = require('../controllers/stationController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Stations
+ *     description: POS stations (tills) and the stock location each sells from
+ */
+
+/**
+ * @swagger
+ * /api/stations:
+ *   get:
+ *     summary: Get POS stations
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Stations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, stationController.getStations);
+
+/**
+ * @swagger
+ * /api/stations:
+ *   post:
+ *     summary: Create POS station
+ *     description: Sales opened at the station take their stock from its location
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, locationId]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Candy bar till 1"
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Station created successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Stock location not found
+ *       409:
+ *         description: A station with this name already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stationController.createStation);
+
+/**
+ * @swagger
+ * /api/stations/{id}:
+ *   patch:
+ *     summary: Update POS station
+ *     description: Sales already open keep the location they started with
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Station updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Station or stock location not found
+ *       409:
+ *         description: A station with this name already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stationController.updateStation);
+
+module.exports = router;
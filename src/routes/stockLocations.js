@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const stockLocationController = require('../controllers/stockLocationController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Stock Locations
+ *     description: Places stock is kept (stockroom, candy bar, kiosks) and transfers between them
+ */
+
+/**
+ * @swagger
+ * /api/stock-locations:
+ *   get:
+ *     summary: Get stock locations
+ *     description: Each location comes with the units it holds (unitsOnHand)
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Stock locations retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, stockLocationController.getLocations);
+
+/**
+ * @swagger
+ * /api/stock-locations:
+ *   post:
+ *     summary: Create stock location
+ *     description: |
+ *       The default location receives stock and serves sales when no other
+ *       location is named. A company's first location becomes its default.
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *                 example: "Lobby kiosk"
+ *               isDefault:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Stock location created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A stock location with this name already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockLocationController.createLocation);
+
+/**
+ * @swagger
+ * /api/stock-locations/transfers:
+ *   get:
+ *     summary: Get stock transfers
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Transfers out of or into this location
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of stock transfers
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/transfers', authenticateEmployee, stockLocationController.getTransfers);
+
+/**
+ * @swagger
+ * /api/stock-locations/transfers:
+ *   post:
+ *     summary: Transfer stock between locations
+ *     description: |
+ *       Each SKU is posted as a pair of TRANSFER adjustments, out of the source
+ *       and into the destination, so item totals do not change. Lots move
+ *       first-expired-first-out. Bundles are transferred as their components.
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromLocationId, toLocationId, lines]
+ *             properties:
+ *               fromLocationId:
+ *                 type: string
+ *                 format: uuid
+ *               toLocationId:
+ *                 type: string
+ *                 format: uuid
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [sku, quantity]
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Stock transferred successfully
+ *       400:
+ *         description: Validation error or invalid transfer lines
+ *       404:
+ *         description: Stock location not found
+ *       409:
+ *         description: Not enough stock at the source location
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/transfers', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), stockLocationController.createTransfer);
+
+/**
+ * @swagger
+ * /api/stock-locations/{id}:
+ *   patch:
+ *     summary: Update stock location
+ *     description: |
+ *       Setting isDefault makes this the company's only default location. The
+ *       default location cannot be deactivated, nor can one still holding
+ *       stock or used by an active station.
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               isDefault:
+ *                 type: boolean
+ *                 enum: [true]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Stock location updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Stock location not found
+ *       409:
+ *         description: Name taken, or the location cannot be deactivated
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockLocationController.updateLocation);
+
+/**
+ * @swagger
+ * /api/stock-locations/{id}/stock:
+ *   get:
+ *     summary: Get the stock at a location
+ *     description: |
+ *       SKUs at or below the reorder level set for this location are flagged
+ *       with shortBy and a priority (CRITICAL, HIGH, MEDIUM).
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only SKUs at or below their reorder level here
+ *     responses:
+ *       200:
+ *         description: Location stock retrieved successfully
+ *       404:
+ *         description: Stock location not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id/stock', authenticateEmployee, stockLocationController.getLocationStock);
+
+/**
+ * @swagger
+ * /api/stock-locations/{id}/stock/{sku}:
+ *   put:
+ *     summary: Set the low-stock alert level of an item at a location
+ *     tags: [Stock Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reorderLevel]
+ *             properties:
+ *               reorderLevel:
+ *                 type: integer
+ *                 minimum: 0
+ *                 nullable: true
+ *                 description: null stops alerts for the item at this location
+ *     responses:
+ *       200:
+ *         description: Reorder level saved
+ *       400:
+ *         description: Validation error, or the item is a bundle
+ *       404:
+ *         description: Stock location or inventory item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/stock/:sku', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockLocationController.setReorderLevel);
+
+module.exports = router;
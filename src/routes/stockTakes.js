@@ -0,0 +1,268 @@
+const express = require('express');
+const router = express.Router();
+const stockTakeController = require('../controllers/stockTakeController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Stock Takes
+ *     description: Physical stock counts and the corrections they post
+ */
+
+/**
+ * @swagger
+ * /api/stock-takes:
+ *   get:
+ *     summary: Get stock takes
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [OPEN, APPROVED, CANCELED]
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of stock takes
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, stockTakeController.getStockTakes);
+
+/**
+ * @swagger
+ * /api/stock-takes/{id}:
+ *   get:
+ *     summary: Get stock take with counts and variances
+ *     description: |
+ *       Each counted SKU shows the stock expected when it was first counted
+ *       (snapshotQty), the units counted, the variance and its value at the
+ *       item's weighted-average cost. movedSinceCount is stock sold, received
+ *       or adjusted after the SKU was counted.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Stock take details
+ *       404:
+ *         description: Stock take not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticateEmployee, stockTakeController.getStockTake);
+
+/**
+ * @swagger
+ * /api/stock-takes:
+ *   post:
+ *     summary: Open a stock take
+ *     description: |
+ *       A stock take counts one stock location, the default one when no
+ *       locationId is given. Only one can be open per location.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               locationId:
+ *                 type: string
+ *                 format: uuid
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Stock take opened successfully
+ *       404:
+ *         description: Stock location not found
+ *       409:
+ *         description: A stock take is already open at the location
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockTakeController.openStockTake);
+
+/**
+ * @swagger
+ * /api/stock-takes/{id}/counts:
+ *   post:
+ *     summary: Submit counted quantities
+ *     description: |
+ *       Counts add up per SKU, so several employees can count the same item in
+ *       different places. The first count of a SKU snapshots its stock on hand at
+ *       the stock take's location;
+ *       sales made after that are reconciled when the stock take is approved.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [counts]
+ *             properties:
+ *               counts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [quantity]
+ *                   description: Identify the item by sku or barcode, not both
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     barcode:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       201:
+ *         description: Counts recorded
+ *       400:
+ *         description: Validation error, unknown item or bundle
+ *       404:
+ *         description: Stock take not found
+ *       409:
+ *         description: Stock take is closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/counts', authenticateEmployee, stockTakeController.submitCounts);
+
+/**
+ * @swagger
+ * /api/stock-takes/{id}/counts/{countId}:
+ *   delete:
+ *     summary: Remove a count
+ *     description: Cashiers can only remove their own counts
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: countId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Count removed successfully
+ *       403:
+ *         description: Count entered by someone else
+ *       404:
+ *         description: Count not found
+ *       409:
+ *         description: Stock take is closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/counts/:countId', authenticateEmployee, stockTakeController.removeCount);
+
+/**
+ * @swagger
+ * /api/stock-takes/{id}/approve:
+ *   post:
+ *     summary: Approve stock take and post corrections
+ *     description: |
+ *       Posts each counted SKU's variance as a COUNT_CORRECTION inventory
+ *       adjustment on top of the current stock, so sales made during the count
+ *       are kept. Missing units are taken from lots first-expired-first-out.
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Stock take approved and corrections posted
+ *       404:
+ *         description: Stock take not found
+ *       409:
+ *         description: Stock take is closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/approve', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockTakeController.approveStockTake);
+
+/**
+ * @swagger
+ * /api/stock-takes/{id}/cancel:
+ *   post:
+ *     summary: Cancel stock take without posting corrections
+ *     tags: [Stock Takes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Stock take canceled successfully
+ *       409:
+ *         description: Stock take not found or already closed
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/:id/cancel', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), stockTakeController.cancelStockTake);
+
+module.exports = router;
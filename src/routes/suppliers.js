@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const supplierController = require('../controllers/supplierController');
+const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Suppliers
+ *     description: Suppliers and the items they sell
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SupplierInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 200
+ *           example: "Distribuidora Pipoca Ltda"
+ *         taxId:
+ *           type: string
+ *           description: CNPJ, 14 digits
+ *           example: "12345678000190"
+ *         contactName:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *         leadTimeDays:
+ *           type: integer
+ *           description: Usual days between ordering and delivery
+ */
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   get:
+ *     summary: Get suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Name or CNPJ
+ *     responses:
+ *       200:
+ *         description: Suppliers retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', authenticateEmployee, supplierController.getSuppliers);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   get:
+ *     summary: Get supplier with its items and open purchase orders
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Supplier retrieved successfully
+ *       404:
+ *         description: Supplier not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/:id', authenticateEmployee, supplierController.getSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SupplierInput'
+ *               - required: [name]
+ *     responses:
+ *       201:
+ *         description: Supplier created successfully
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A supplier with this CNPJ already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), supplierController.createSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}:
+ *   patch:
+ *     summary: Update supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SupplierInput'
+ *               - type: object
+ *                 properties:
+ *                   isActive:
+ *                     type: boolean
+ *                     description: Inactive suppliers get no new purchase orders
+ *     responses:
+ *       200:
+ *         description: Supplier updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: A supplier with this CNPJ already exists
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), supplierController.updateSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/items/{sku}:
+ *   put:
+ *     summary: Add an item to the supplier's catalog or change its cost
+ *     description: Receiving a delivery also updates the cost to what was paid
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [unitCost]
+ *             properties:
+ *               unitCost:
+ *                 type: number
+ *                 minimum: 0
+ *               supplierSku:
+ *                 type: string
+ *                 description: The supplier's own code for the item
+ *     responses:
+ *       200:
+ *         description: Supplier item saved successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Supplier or inventory item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.put('/:id/items/:sku', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), supplierController.setSupplierItem);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/items/{sku}:
+ *   delete:
+ *     summary: Remove an item from the supplier's catalog
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier item removed successfully
+ *       404:
+ *         description: Supplier item not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/:id/items/:sku', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), supplierController.removeSupplierItem);
+
+module.exports = router;
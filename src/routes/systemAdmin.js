@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const systemAdminController = require('../controllers/systemAdminController');
+const jobController = require('../controllers/jobController');
 const { authenticateSystemAdmin } = require('../middleware/auth-multitenant');
 
 /**
@@ -374,4 +375,117 @@ router.get('/companies/:companyId/customers', authenticateSystemAdmin, systemAdm
  */
 router.get('/audit-logs', authenticateSystemAdmin, systemAdminController.getAuditLogs);
 
+/**
+ * @swagger
+ * /api/system-admin/jobs:
+ *   get:
+ *     summary: List background jobs (System Admin only)
+ *     description: Schedule, enabled flag, lock and last run of each housekeeping job
+ *     tags: [System Admin]
+ *     security:
+ *       - SystemAdminAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ */
+router.get('/jobs', authenticateSystemAdmin, jobController.getAllJobs);
+
+/**
+ * @swagger
+ * /api/system-admin/jobs/{name}/runs:
+ *   get:
+ *     summary: Get run history of a job (System Admin only)
+ *     tags: [System Admin]
+ *     security:
+ *       - SystemAdminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [RUNNING, SUCCEEDED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:name/runs', authenticateSystemAdmin, jobController.getJobRuns);
+
+/**
+ * @swagger
+ * /api/system-admin/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now (System Admin only)
+ *     description: Runs the job on the instance handling the request and returns the recorded run. Does not move the job's next scheduled run.
+ *     tags: [System Admin]
+ *     security:
+ *       - SystemAdminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     responses:
+ *       200:
+ *         description: Job ran - see the run status
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/jobs/:name/run', authenticateSystemAdmin, jobController.triggerJob);
+
+/**
+ * @swagger
+ * /api/system-admin/jobs/{name}:
+ *   patch:
+ *     summary: Enable or disable a job's schedule (System Admin only)
+ *     tags: [System Admin]
+ *     security:
+ *       - SystemAdminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isEnabled
+ *             properties:
+ *               isEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Job updated successfully
+ *       404:
+ *         description: Job not found
+ */
+router.patch('/jobs/:name', authenticateSystemAdmin, jobController.updateJob);
+
 module.exports = router;
\ No newline at end of file
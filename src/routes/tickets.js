@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const ticketController = require('../controllers/ticketController');
 const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-multitenant');
+const { idempotent } = require('../middleware/idempotency');
 
 /**
  * @swagger
@@ -24,7 +25,7 @@ const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-mul
  *         name: status
  *         schema:
  *           type: string
- *           enum: [ISSUED, USED, REFUNDED]
+ *           enum: [ISSUED, USED, REFUNDED, NO_SHOW, EXCHANGED]
  *         description: Filter by ticket status
  *       - in: query
  *         name: sessionId
@@ -77,6 +78,128 @@ const { authenticateEmployee, authorizeRoles } = require('../middleware/auth-mul
  */
 router.get('/', authenticateEmployee, ticketController.getAllTickets);
 
+/**
+ * @swagger
+ * /api/tickets/verification-keys:
+ *   get:
+ *     summary: Get published ticket verification keys
+ *     description: |
+ *       Ed25519 public keys of the company as a JWK set. Door scanners cache these to verify
+ *       ticket QR tokens offline; retired keys stay listed so older tickets keep verifying.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification keys retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/verification-keys', authenticateEmployee, ticketController.getVerificationKeys);
+
+/**
+ * @swagger
+ * /api/tickets/verification-keys/rotate:
+ *   post:
+ *     summary: Rotate ticket signing key
+ *     description: New tickets are signed with a fresh key (requires ADMIN role). Tickets signed with retired keys keep verifying.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Signing key rotated successfully
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/verification-keys/rotate', authenticateEmployee, authorizeRoles('ADMIN'), ticketController.rotateSigningKey);
+
+/**
+ * @swagger
+ * /api/tickets/verify:
+ *   post:
+ *     summary: Verify a scanned ticket QR token
+ *     description: |
+ *       Checks the token signature and validates it against the ticket, its session and seat.
+ *       Does not mark the ticket as used. Possible reasons when not valid: UNKNOWN_KEY,
+ *       INVALID_SIGNATURE, TOKEN_MISMATCH, WRONG_SESSION, WRONG_SEAT, TICKET_REFUNDED,
+ *       TICKET_ALREADY_USED, TICKET_NO_SHOW, TICKET_EXCHANGED, SESSION_CANCELED.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Scanned QR code content
+ *               sessionId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Session the scanner is admitting to
+ *               seatId:
+ *                 type: string
+ *                 description: Seat the ticket is expected to be for
+ *     responses:
+ *       200:
+ *         description: Token decoded - see `valid` and `reason`
+ *       404:
+ *         description: Ticket not found or token invalid
+ */
+router.post('/verify', authenticateEmployee, ticketController.verifyTicket);
+
+/**
+ * @swagger
+ * /api/tickets/check-in:
+ *   post:
+ *     summary: Check a scanned ticket in at a room door
+ *     description: |
+ *       Verifies the token and admits the ticket if it is for a session in the scanning room,
+ *       within the company's entry window around the session start. Used tickets may re-enter
+ *       until the session ends when re-entry is enabled in the company settings. Every attempt
+ *       is logged. Possible reasons when rejected: the /verify reasons plus WRONG_ROOM,
+ *       TOO_EARLY, TOO_LATE, SESSION_ENDED, REENTRY_LIMIT_REACHED.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - roomId
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Scanned QR code content
+ *               roomId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Room the door belongs to
+ *               deviceId:
+ *                 type: string
+ *                 description: Scanner identifier, for the door activity log
+ *     responses:
+ *       200:
+ *         description: Scan processed - see `admitted`, `result` (ADMITTED, REENTRY, REJECTED) and `reason`
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Room not found
+ */
+router.post('/check-in', authenticateEmployee, idempotent, ticketController.checkInTicket);
+
 /**
  * @swagger
  * /api/tickets/{id}:
@@ -129,6 +252,44 @@ router.get('/:id', authenticateEmployee, ticketController.getTicketById);
  */
 router.get('/session/:sessionId', authenticateEmployee, ticketController.getTicketsBySession);
 
+/**
+ * @swagger
+ * /api/tickets/session/{sessionId}/scans:
+ *   get:
+ *     summary: Get door activity for a session
+ *     description: All check-in attempts for the session, including rejections, with a summary (requires MANAGER or ADMIN role)
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *       - in: query
+ *         name: result
+ *         schema:
+ *           type: string
+ *           enum: [ADMITTED, REENTRY, REJECTED]
+ *         description: Filter by scan result
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *         description: Filter by scanner
+ *     responses:
+ *       200:
+ *         description: Session scans retrieved successfully
+ *       404:
+ *         description: Session not found
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/session/:sessionId/scans', authenticateEmployee, authorizeRoles('MANAGER', 'ADMIN'), ticketController.getSessionScans);
+
 /**
  * @swagger
  * /api/tickets/reports/sales:
@@ -256,6 +417,8 @@ router.get('/history', authenticateEmployee, ticketController.getTicketHistory);
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -292,6 +455,18 @@ router.get('/history', authenticateEmployee, ticketController.getTicketHistory);
  *                 type: string
  *                 pattern: '^[0-9]{11}$'
  *                 description: Optional buyer CPF
+ *               category:
+ *                 type: string
+ *                 enum: [REGULAR, STUDENT, SENIOR, TEACHER, DISABLED, LOW_INCOME_YOUTH, COURTESY]
+ *                 default: REGULAR
+ *                 description: STUDENT, DISABLED and LOW_INCOME_YOUTH count towards the session's meia-entrada quota
+ *               proofType:
+ *                 type: string
+ *                 enum: [STUDENT_ID, ID_DOCUMENT, TEACHER_ID, DISABILITY_ID, ID_JOVEM]
+ *                 description: Document shown for a half-price category (required for those)
+ *               proofNumber:
+ *                 type: string
+ *                 maxLength: 50
  *             example:
  *               sessionId: "550e8400-e29b-41d4-a716-446655440000"
  *               seatMapId: "660e8400-e29b-41d4-a716-446655440001"
@@ -305,11 +480,11 @@ router.get('/history', authenticateEmployee, ticketController.getTicketHistory);
  *       404:
  *         description: Session or seat not found
  *       409:
- *         description: Seat already taken
+ *         description: Seat already taken, sales closed or meia-entrada quota exhausted
  *       401:
  *         description: Unauthorized
  */
-router.post('/', authenticateEmployee, ticketController.createTicket);
+router.post('/', authenticateEmployee, idempotent, ticketController.createTicket);
 
 /**
  * @swagger
@@ -320,6 +495,8 @@ router.post('/', authenticateEmployee, ticketController.createTicket);
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -355,7 +532,17 @@ router.post('/', authenticateEmployee, ticketController.createTicket);
  *                     price:
  *                       type: number
  *                       minimum: 0
- *                 description: Array of seats with individual pricing
+ *                     category:
+ *                       type: string
+ *                       enum: [REGULAR, STUDENT, SENIOR, TEACHER, DISABLED, LOW_INCOME_YOUTH, COURTESY]
+ *                       default: REGULAR
+ *                     proofType:
+ *                       type: string
+ *                       enum: [STUDENT_ID, ID_DOCUMENT, TEACHER_ID, DISABILITY_ID, ID_JOVEM]
+ *                     proofNumber:
+ *                       type: string
+ *                       maxLength: 50
+ *                 description: Array of seats with individual pricing and category
  *               saleId:
  *                 type: string
  *                 format: uuid
@@ -369,31 +556,37 @@ router.post('/', authenticateEmployee, ticketController.createTicket);
  *                 - seatId: "A6"
  *                   price: 25.00
  *                 - seatId: "A7"
- *                   price: 20.00
+ *                   price: 12.50
+ *                   category: STUDENT
+ *                   proofType: STUDENT_ID
+ *                   proofNumber: "CIE-2025-000123"
  *     responses:
  *       201:
  *         description: Tickets created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or missing meia-entrada proof
  *       404:
  *         description: Session not found
  *       409:
- *         description: Some seats already taken
+ *         description: Some seats already taken, sales closed or meia-entrada quota exhausted
  *       401:
  *         description: Unauthorized
  */
-router.post('/bulk', authenticateEmployee, ticketController.createBulkTickets);
+router.post('/bulk', authenticateEmployee, idempotent, ticketController.createBulkTickets);
 
 /**
  * @swagger
  * /api/tickets/{id}/refund:
  *   patch:
  *     summary: Process ticket refund (US-008)
- *     description: Refund a ticket if session hasn't started and ticket hasn't been used
+ *     description: |
+ *       Refund a ticket if session hasn't started and ticket hasn't been used. A ticket
+ *       sold on its own sale line is refunded through the sale, back to its payments.
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -423,21 +616,102 @@ router.post('/bulk', authenticateEmployee, ticketController.createBulkTickets);
  *         description: Cannot refund (already used, already refunded, or session started)
  *       404:
  *         description: Ticket not found
+ *       402:
+ *         description: Refund refused by the payment provider
+ *       502:
+ *         description: Payment provider unavailable
+ *       504:
+ *         description: Payment provider timed out
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/:id/refund', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), idempotent, ticketController.refundTicket);
+
+/**
+ * @swagger
+ * /api/tickets/{id}/exchange:
+ *   post:
+ *     summary: Exchange ticket for another session or seat
+ *     description: |
+ *       Moves an ISSUED ticket to another seat, in the same or another session. The new price is what the
+ *       pricing rules quote for the ticket's category in the target session. A higher price is collected with the
+ *       given payment in a sale of its own; a lower one is refunded through the original sale's payments.
+ *       The old ticket becomes EXCHANGED and stays linked to the new one. Send preview=true to only get the quote.
+ *     tags: [Tickets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Ticket ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessionId
+ *               - seatId
+ *             properties:
+ *               sessionId:
+ *                 type: string
+ *                 format: uuid
+ *               seatId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *               payment:
+ *                 type: object
+ *                 description: Required when the new seat costs more; taken through the payment provider and your cash drawer
+ *                 properties:
+ *                   method:
+ *                     type: string
+ *                     enum: [CASH, CARD, PIX, OTHER]
+ *                   amount:
+ *                     type: number
+ *                     description: Amount tendered (defaults to the difference); only cash may exceed it
+ *                   authCode:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Exchange quote (preview)
+ *       201:
+ *         description: Ticket exchanged successfully
+ *       400:
+ *         description: Validation error, ticket not exchangeable, payment missing or refused
+ *       404:
+ *         description: Ticket, session or seat not found
+ *       409:
+ *         description: Seat taken, sales closed, no price configured or no cash drawer open
  *       401:
  *         description: Unauthorized
  */
-router.patch('/:id/refund', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), ticketController.refundTicket);
+router.post('/:id/exchange', authenticateEmployee, authorizeRoles('CASHIER', 'MANAGER', 'ADMIN'), idempotent, ticketController.exchangeTicket);
 
 /**
  * @swagger
  * /api/tickets/{id}/use:
  *   patch:
- *     summary: Mark ticket as used (scan QR code)
- *     description: Mark a ticket as used when customer enters the cinema
+ *     summary: Mark ticket as used
+ *     description: |
+ *       Admits a ticket by hand, e.g. when its QR code will not scan. Goes through the same
+ *       check-in as /api/tickets/check-in in the session's room - entry window, re-entry rules
+ *       and the scan log (device "manual").
  *     tags: [Tickets]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -447,14 +721,14 @@ router.patch('/:id/refund', authenticateEmployee, authorizeRoles('CASHIER', 'MAN
  *         description: Ticket ID
  *     responses:
  *       200:
- *         description: Ticket marked as used successfully
+ *         description: Ticket admitted (result ADMITTED or REENTRY)
  *       400:
- *         description: Ticket already used or refunded
+ *         description: Entry denied, with the check-in reason (e.g. TOO_EARLY, TICKET_ALREADY_USED, TICKET_REFUNDED)
  *       404:
  *         description: Ticket not found
  *       401:
  *         description: Unauthorized
  */
-router.patch('/:id/use', authenticateEmployee, ticketController.markTicketAsUsed);
+router.patch('/:id/use', authenticateEmployee, idempotent, ticketController.markTicketAsUsed);
 
 module.exports = router;
@@ -8,7 +8,8 @@ const routes = require('./routes');
 const errorHandler = require('./middleware/errorHandler');
 const { generalLimiter } = require('./middleware/rateLimiter');
 const { specs, swaggerUi } = require('./config/swagger');
-const { databaseService } = require('./database/prisma');
+const { db, databaseService } = require('./database/prisma');
+const JobScheduler = require('./services/jobScheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,7 +30,13 @@ app.use(generalLimiter);
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for webhooks whose signature covers it
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve swagger.json first
@@ -126,6 +133,11 @@ const startServer = async () => {
     await databaseService.connect();
     databaseService.handleShutdown();
 
+    // Background jobs; set JOBS_ENABLED=false on instances that should not run them
+    if (process.env.JOBS_ENABLED !== 'false') {
+      await JobScheduler.start(db);
+    }
+
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🎬 Cinema Management API is running on port ${PORT}`);
       console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -148,6 +160,7 @@ if (process.env.NODE_ENV !== 'test') {
   // Graceful shutdown
   process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
+    JobScheduler.stop();
     const server = await serverPromise;
     server.close(async () => {
       await databaseService.disconnect();
@@ -157,6 +170,7 @@ if (process.env.NODE_ENV !== 'test') {
 
   process.on('SIGINT', async () => {
     console.log('SIGINT received, shutting down gracefully');
+    JobScheduler.stop();
     const server = await serverPromise;
     server.close(async () => {
       await databaseService.disconnect();
@@ -0,0 +1,135 @@
+/**
+ * Barcode Service
+ * Barcodes items are scanned by. Codes of digits only and of a GTIN length
+ * (EAN-8, UPC-A, EAN-13, GTIN-14) must carry a valid check digit, which
+ * catches mistyped and misread codes; anything else is an in-house label.
+ * Leading zeros do not tell GTINs apart: a UPC-A code and the EAN-13 a
+ * scanner reports for it ("0" + the UPC) are the same barcode.
+ */
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+const isGtin = (barcode) => /^\d+$/.test(barcode) && GTIN_LENGTHS.includes(barcode.length);
+
+class BarcodeService {
+  /**
+   * Barcode as stored and compared: surrounding whitespace removed
+   * @param {string} barcode - Barcode as typed or scanned
+   * @returns {string} Normalized barcode
+   */
+  static normalize(barcode) {
+    return String(barcode).trim();
+  }
+
+  /**
+   * GS1 check digit of a GTIN without its last digit: digits are weighted
+   * 3, 1, 3... from the right
+   * @param {string} digits - GTIN body
+   * @returns {number} Check digit
+   */
+  static checkDigit(digits) {
+    const sum = [...digits].reverse().reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+    return (10 - (sum % 10)) % 10;
+  }
+
+  /**
+   * Check a barcode before assigning it to an item
+   * @param {string} barcode - Normalized barcode
+   * @returns {string|null} Error message, or null when valid
+   */
+  static validate(barcode) {
+    if (!barcode) {
+      return 'Barcode is empty';
+    }
+
+    if (/\s/.test(barcode)) {
+      return `Barcode ${barcode} contains spaces`;
+    }
+
+    if (isGtin(barcode) && this.checkDigit(barcode.slice(0, -1)) !== Number(barcode.slice(-1))) {
+      return `Barcode ${barcode} has an invalid check digit`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Every way the same barcode can be written: a GTIN with each number of
+   * leading zeros that keeps it a GTIN length, anything else as is
+   * @param {string} barcode - Normalized barcode
+   * @returns {string[]} Equivalent barcodes, including the barcode itself
+   */
+  static variants(barcode) {
+    if (!isGtin(barcode)) {
+      return [barcode];
+    }
+
+    const digits = barcode.replace(/^0+/, '');
+    return GTIN_LENGTHS
+      .filter(length => length >= digits.length)
+      .map(length => digits.padStart(length, '0'));
+  }
+
+  /**
+   * Whether two barcodes are the same barcode
+   * @param {string} a - Normalized barcode
+   * @param {string} b - Normalized barcode
+   * @returns {boolean}
+   */
+  static sameBarcode(a, b) {
+    return this.variants(a).includes(b);
+  }
+
+  /**
+   * Barcodes listed more than once, counting equivalent GTINs as the same
+   * @param {string[]} barcodes - Normalized barcodes
+   * @returns {string[]} Repeated barcodes
+   */
+  static duplicates(barcodes) {
+    return barcodes.filter((barcode, i) => barcodes.slice(0, i).some(earlier => this.sameBarcode(earlier, barcode)));
+  }
+
+  /**
+   * Items scanned by each of some barcodes. More than one item for a barcode
+   * only happens with barcodes written differently (see variants).
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string[]} barcodes - Normalized barcodes
+   * @returns {Map} Barcode -> [InventoryItem with bundle loaded]
+   */
+  static async findItems(client, companyId, barcodes) {
+    const rows = await client.inventoryBarcode.findMany({
+      where: {
+        companyId,
+        barcode: { in: [...new Set(barcodes.flatMap(b => this.variants(b)))] }
+      },
+      include: {
+        item: {
+          include: { bundle: true }
+        }
+      }
+    });
+
+    return new Map(barcodes.map(barcode => {
+      const items = new Map(rows
+        .filter(row => this.sameBarcode(barcode, row.barcode))
+        .map(row => [row.sku, row.item]));
+      return [barcode, [...items.values()]];
+    }));
+  }
+
+  /**
+   * Changes that make an item's barcodes exactly the ones given
+   * @param {Object[]} current - The item's InventoryBarcodes
+   * @param {string[]} barcodes - Normalized barcodes it should have
+   * @returns {Object} { add: [barcode], remove: [InventoryBarcode id] }
+   */
+  static diff(current, barcodes) {
+    return {
+      add: barcodes.filter(barcode => !current.some(row => row.barcode === barcode)),
+      remove: current.filter(row => !barcodes.includes(row.barcode)).map(row => row.id)
+    };
+  }
+}
+
+module.exports = BarcodeService;
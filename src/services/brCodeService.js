@@ -0,0 +1,114 @@
+/**
+ * BR Code Service
+ * Builds and reads PIX QR code payloads ("PIX copia e cola"): EMV QRCPS
+ * merchant-presented mode as specified by the Central Bank. Each field is
+ * ID (2 digits) + length (2 digits) + value, and the payload ends with a
+ * CRC16-CCITT checksum of everything before it.
+ *
+ * A dynamic code points to the charge's location at the PSP, where the amount
+ * and expiry of the cobrança live; the txid goes in the additional data field.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const MAX_NAME = 25;
+const MAX_CITY = 15;
+
+// Templates whose value is itself a list of fields
+const TEMPLATE_IDS = ['26', '62'];
+
+const field = (id, value) => `${id}${String(value.length).padStart(2, '0')}${value}`;
+
+// Names and cities go in plain upper-case ASCII
+const plain = (text, max) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^A-Za-z0-9 ]/g, '')
+  .toUpperCase()
+  .trim()
+  .slice(0, max);
+
+class BrCodeService {
+  /**
+   * CRC16-CCITT (polynomial 0x1021, initial value 0xFFFF) as 4 upper-case hex digits
+   * @param {string} payload - Payload up to and including "6304"
+   * @returns {string} Checksum
+   */
+  static crc16(payload) {
+    let crc = 0xFFFF;
+
+    for (const byte of Buffer.from(payload, 'utf8')) {
+      crc ^= byte << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+      }
+    }
+
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  /**
+   * Build a BR Code
+   * @param {Object} params - { location (dynamic) or key (static), amount, merchantName, merchantCity, txid }
+   * @returns {string} Payload
+   */
+  static build({ location, key, amount, merchantName, merchantCity, txid }) {
+    const account = location
+      ? field('00', PIX_GUI) + field('25', location.replace(/^https:\/\//, ''))
+      : field('00', PIX_GUI) + field('01', key);
+
+    const payload = [
+      field('00', '01'),
+      // Dynamic codes are for a single payment
+      location ? field('01', '12') : '',
+      field('26', account),
+      field('52', '0000'),
+      field('53', '986'),
+      amount !== undefined && amount !== null ? field('54', fromCents(toCents(amount)).toFixed(2)) : '',
+      field('58', 'BR'),
+      field('59', plain(merchantName, MAX_NAME) || 'N'),
+      field('60', plain(merchantCity || '', MAX_CITY) || 'BRASIL'),
+      field('62', field('05', txid || '***')),
+      '6304'
+    ].join('');
+
+    return payload + this.crc16(payload);
+  }
+
+  /**
+   * Read a BR Code back into its fields, checking its checksum
+   * @param {string} payload - BR Code
+   * @returns {Object|null} Fields by ID (templates as nested objects), or null when malformed
+   */
+  static parse(payload) {
+    if (typeof payload !== 'string' || payload.length < 8) return null;
+
+    const body = payload.slice(0, -4);
+    if (!body.endsWith('6304') || this.crc16(body) !== payload.slice(-4).toUpperCase()) {
+      return null;
+    }
+
+    const read = (text, nested) => {
+      const fields = {};
+      let i = 0;
+
+      while (i < text.length) {
+        const id = text.slice(i, i + 2);
+        const length = parseInt(text.slice(i + 2, i + 4), 10);
+        if (Number.isNaN(length) || i + 4 + length > text.length) return null;
+
+        const value = text.slice(i + 4, i + 4 + length);
+        fields[id] = !nested && TEMPLATE_IDS.includes(id) ? read(value, true) : value;
+        if (fields[id] === null) return null;
+        i += 4 + length;
+      }
+
+      return fields;
+    };
+
+    return read(payload, false);
+  }
+}
+
+module.exports = BrCodeService;
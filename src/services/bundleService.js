@@ -0,0 +1,204 @@
+/**
+ * Bundle Service
+ * Combos sold as one line whose stock lives in their components: availability
+ * is derived from component stock, and finalizing or refunding a bundle line
+ * moves the components it was sold with. Components in a choice group are
+ * alternatives the buyer picks one of (e.g. the drink flavor).
+ */
+
+class BundleService {
+  /**
+   * Load the bundle recipe of an inventory item
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} sku - Bundle SKU
+   * @returns {Object|null} Bundle with components (and their inventory items) or null
+   */
+  static async loadBundle(client, companyId, sku) {
+    return client.bundle.findUnique({
+      where: {
+        companyId_sku: { companyId, sku }
+      },
+      include: {
+        components: {
+          include: { component: true },
+          orderBy: { componentSku: 'asc' }
+        }
+      }
+    });
+  }
+
+  /**
+   * Check a bundle recipe before saving it
+   * @param {string} bundleSku - SKU of the bundle
+   * @param {Object[]} components - [{ sku, quantity, choiceGroup }]
+   * @param {Object[]} items - Inventory items of the components, with bundle loaded
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validateComponents(bundleSku, components, items) {
+    const errors = [];
+    const itemsBySku = new Map(items.map(item => [item.sku, item]));
+
+    if (components.length === 0) {
+      errors.push('A bundle needs at least one component');
+    }
+
+    for (const component of components) {
+      const item = itemsBySku.get(component.sku);
+
+      if (component.sku === bundleSku) {
+        errors.push('A bundle cannot contain itself');
+      } else if (!item) {
+        errors.push(`Component ${component.sku} not found`);
+      } else if (item.bundle) {
+        errors.push(`Component ${component.sku} is a bundle; bundles cannot be nested`);
+      }
+    }
+
+    const skus = components.map(c => c.sku);
+    const duplicates = [...new Set(skus.filter((sku, i) => skus.indexOf(sku) !== i))];
+    if (duplicates.length > 0) {
+      errors.push(`Components listed more than once: ${duplicates.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Components of a bundle grouped into what is always included and what the
+   * buyer chooses from
+   * @param {Object} bundle - Bundle with components loaded
+   * @returns {Object} { fixed: [component], groups: Map of choice group -> [component] }
+   */
+  static split(bundle) {
+    const fixed = [];
+    const groups = new Map();
+
+    for (const component of bundle.components) {
+      if (component.choiceGroup) {
+        groups.set(component.choiceGroup, [...(groups.get(component.choiceGroup) || []), component]);
+      } else {
+        fixed.push(component);
+      }
+    }
+
+    return { fixed, groups };
+  }
+
+  /**
+   * Components a sale line takes, given the buyer's choices
+   * @param {Object} bundle - Bundle with components loaded
+   * @param {Object} choices - Map of choice group -> chosen component SKU
+   * @returns {Object} { components, chosen } as [{ sku, quantity, name }] - every
+   *   component of the line and the ones picked from choice groups - or { error }
+   */
+  static resolveChoices(bundle, choices = {}) {
+    const { fixed, groups } = this.split(bundle);
+
+    const unknown = Object.keys(choices).filter(group => !groups.has(group));
+    if (unknown.length > 0) {
+      return { error: `Bundle has no choice group ${unknown.join(', ')}` };
+    }
+
+    const chosen = [];
+    for (const [group, options] of groups) {
+      const option = options.find(c => c.componentSku === choices[group]);
+
+      if (!option) {
+        return {
+          error: `Choose one of ${options.map(c => c.componentSku).join(', ')} for ${group}`
+        };
+      }
+
+      chosen.push(option);
+    }
+
+    const describe = c => ({
+      sku: c.componentSku,
+      quantity: c.quantity,
+      name: c.component ? c.component.name : c.componentSku
+    });
+
+    return {
+      components: [...fixed, ...chosen].map(describe),
+      chosen: chosen.map(describe)
+    };
+  }
+
+  /**
+   * Units of a component's stock that can go into bundles
+   * @param {Object} component - BundleComponent with its inventory item loaded
+   * @returns {number} Bundles the component alone could supply
+   */
+  static componentAvailability(component) {
+    if (!component.component.isActive) return 0;
+    return Math.max(0, Math.floor(component.component.qtyOnHand / component.quantity));
+  }
+
+  /**
+   * Bundles that can be sold from current component stock. A choice group
+   * counts the option with the most stock, so this is the best case.
+   * @param {Object} bundle - Bundle with components (and their inventory items) loaded
+   * @returns {Object} { available, options: { [group]: [{ sku, name, available }] } }
+   */
+  static availability(bundle) {
+    const { fixed, groups } = this.split(bundle);
+    const limits = fixed.map(c => this.componentAvailability(c));
+    const options = {};
+
+    for (const [group, components] of groups) {
+      options[group] = components.map(c => ({
+        sku: c.componentSku,
+        name: c.component.name,
+        available: this.componentAvailability(c)
+      }));
+      limits.push(Math.max(...options[group].map(o => o.available)));
+    }
+
+    return {
+      available: limits.length > 0 ? Math.min(...limits) : 0,
+      options
+    };
+  }
+
+  /**
+   * Components without enough stock for a number of bundles
+   * @param {Object[]} components - Resolved components [{ sku, quantity }]
+   * @param {Object[]} items - Their inventory items
+   * @param {number} quantity - Bundles requested
+   * @returns {Object[]} [{ sku, available, requested }] (empty when all are in stock)
+   */
+  static shortages(components, items, quantity) {
+    const itemsBySku = new Map(items.map(item => [item.sku, item]));
+
+    return components
+      .map(c => {
+        const item = itemsBySku.get(c.sku);
+        return {
+          sku: c.sku,
+          available: item && item.isActive ? item.qtyOnHand : 0,
+          requested: c.quantity * quantity
+        };
+      })
+      .filter(s => s.available < s.requested);
+  }
+
+  /**
+   * Stock a number of units of a sale line moves: the components recorded on
+   * a bundle line, or the line's own SKU
+   * @param {Object} saleItem - SaleItem with components loaded
+   * @param {number} quantity - Units of the line
+   * @returns {Object[]} [{ sku, quantity }]
+   */
+  static stockMoves(saleItem, quantity) {
+    if (quantity <= 0) return [];
+
+    if (saleItem.components && saleItem.components.length > 0) {
+      return saleItem.components.map(c => ({ sku: c.sku, quantity: c.quantity * quantity }));
+    }
+
+    return saleItem.sku ? [{ sku: saleItem.sku, quantity }] : [];
+  }
+}
+
+module.exports = BundleService;
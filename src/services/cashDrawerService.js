@@ -0,0 +1,209 @@
+/**
+ * Cash Drawer Service
+ * What a cash drawer should hold: its opening float, plus the cash kept from
+ * the sales paid into it (cash tendered minus the change recorded on each sale),
+ * minus cash refunds paid out of it, drops to the safe and paid-outs. The cashier counts
+ * blind at close; counted minus expected is the drawer's over/short.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+const REPORT_WIDTH = 40;
+
+const money = (cents) => fromCents(cents).toFixed(2);
+const stamp = (date) => (date ? new Date(date).toISOString().slice(0, 16).replace('T', ' ') : '-');
+const row = (label, value) => `${label}${String(value).padStart(REPORT_WIDTH - label.length)}`;
+
+class CashDrawerService {
+  /**
+   * The CLOCK_IN of an employee's current shift
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} employeeCpf - Employee CPF
+   * @returns {Object|null} TimeEntry, or null when not clocked in
+   */
+  static async currentClockIn(client, companyId, employeeCpf) {
+    const last = await client.timeEntry.findFirst({
+      where: {
+        companyId,
+        employeeCpf,
+        entryType: { in: ['CLOCK_IN', 'CLOCK_OUT'] }
+      },
+      orderBy: { timestamp: 'desc' }
+    });
+
+    return last && last.entryType === 'CLOCK_IN' ? last : null;
+  }
+
+  /**
+   * An employee's open drawer
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} employeeCpf - Employee CPF
+   * @returns {Object|null} CashDrawerSession
+   */
+  static async openSession(client, companyId, employeeCpf) {
+    return client.cashDrawerSession.findFirst({
+      where: { companyId, employeeCpf, status: 'OPEN' }
+    });
+  }
+
+  /**
+   * Lock a drawer so nothing is paid into it while it is being closed
+   * @param {Object} tx - Prisma transaction
+   * @param {string} id - CashDrawerSession UUID
+   * @returns {Object|null} The drawer, or null when it is no longer open
+   */
+  static async lockOpen(tx, id) {
+    await tx.$queryRaw`SELECT id FROM "cash_drawer_session" WHERE id = ${id}::uuid FOR UPDATE`;
+
+    return tx.cashDrawerSession.findFirst({
+      where: { id, status: 'OPEN' }
+    });
+  }
+
+  /**
+   * Sales, refunds and movements of a drawer, as summarize() takes them
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} id - CashDrawerSession UUID
+   * @returns {Object} { sales, refunds, movements }
+   */
+  static async activity(client, id) {
+    const [sales, refunds, movements] = await Promise.all([
+      client.sale.findMany({
+        where: { drawerSessionId: id },
+        select: {
+          id: true,
+          grandTotal: true,
+          changeGiven: true,
+          payments: {
+            where: { voidedAt: null },
+            select: { method: true, amount: true }
+          }
+        }
+      }),
+      client.refund.findMany({
+        where: { drawerSessionId: id },
+        select: {
+          id: true,
+          amount: true,
+          payments: {
+            select: {
+              amount: true,
+              payment: {
+                select: { method: true }
+              }
+            }
+          }
+        }
+      }),
+      client.cashMovement.findMany({
+        where: { sessionId: id },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    return { sales, refunds, movements };
+  }
+
+  /**
+   * Totals of a drawer and the cash it should hold
+   * @param {Object} session - CashDrawerSession (openingFloat)
+   * @param {Object} activity - { sales, refunds, movements } from activity()
+   * @returns {Object} { openingFloat, salesCount, salesTotal, tenders, cashTendered, changeGiven,
+   *   refundsCount, refundsTotal, cashRefunds, drops, dropCount, paidOuts, paidOutCount,
+   *   expectedCash } (amounts in reais)
+   */
+  static summarize(session, { sales, refunds, movements }) {
+    const tenders = new Map();
+    for (const payment of sales.flatMap(sale => sale.payments)) {
+      const tender = tenders.get(payment.method) || { method: payment.method, count: 0, cents: 0 };
+      tender.count++;
+      tender.cents += toCents(payment.amount);
+      tenders.set(payment.method, tender);
+    }
+
+    const cashTendered = tenders.has('CASH') ? tenders.get('CASH').cents : 0;
+    const changeGiven = sales.reduce((sum, sale) => sum + toCents(sale.changeGiven), 0);
+    const cashRefunds = refunds
+      .flatMap(refund => refund.payments)
+      .filter(p => p.payment.method === 'CASH')
+      .reduce((sum, p) => sum + toCents(p.amount), 0);
+    const movementTotal = (type) => movements.filter(m => m.type === type).reduce((sum, m) => sum + toCents(m.amount), 0);
+    const drops = movementTotal('DROP');
+    const paidOuts = movementTotal('PAID_OUT');
+    const openingFloat = toCents(session.openingFloat);
+
+    return {
+      openingFloat: fromCents(openingFloat),
+      salesCount: sales.length,
+      salesTotal: fromCents(sales.reduce((sum, sale) => sum + toCents(sale.grandTotal), 0)),
+      tenders: [...tenders.values()]
+        .sort((a, b) => a.method.localeCompare(b.method))
+        .map(t => ({ method: t.method, count: t.count, total: fromCents(t.cents) })),
+      cashTendered: fromCents(cashTendered),
+      changeGiven: fromCents(changeGiven),
+      refundsCount: refunds.length,
+      refundsTotal: fromCents(refunds.reduce((sum, refund) => sum + toCents(refund.amount), 0)),
+      cashRefunds: fromCents(cashRefunds),
+      drops: fromCents(drops),
+      dropCount: movements.filter(m => m.type === 'DROP').length,
+      paidOuts: fromCents(paidOuts),
+      paidOutCount: movements.filter(m => m.type === 'PAID_OUT').length,
+      expectedCash: fromCents(openingFloat + cashTendered - changeGiven - cashRefunds - drops - paidOuts)
+    };
+  }
+
+  /**
+   * Counted minus expected cash: positive when over, negative when short
+   * @param {number|string|Object} countedCash - Amount counted
+   * @param {number|string|Object} expectedCash - Amount expected
+   * @returns {number} Over/short
+   */
+  static overShort(countedCash, expectedCash) {
+    return fromCents(toCents(countedCash) - toCents(expectedCash));
+  }
+
+  /**
+   * Printable Z-report of a closed drawer, 40 columns wide for receipt printers
+   * @param {Object} session - CashDrawerSession with employee, station and reviewedBy loaded
+   * @param {Object} summary - From summarize()
+   * @returns {string} Report text
+   */
+  static zReport(session, summary) {
+    const rule = '-'.repeat(REPORT_WIDTH);
+    const amount = (value) => money(toCents(value));
+    const out = (value) => money(-toCents(value));
+
+    const lines = [
+      'Z-REPORT',
+      row('Drawer', session.id.slice(0, 8)),
+      row('Cashier', session.employee?.person.fullName || session.employeeCpf),
+      row('Station', session.station?.name || '-'),
+      row('Opened', stamp(session.openedAt)),
+      row('Closed', stamp(session.closedAt)),
+      rule,
+      row(`Sales (${summary.salesCount})`, amount(summary.salesTotal)),
+      ...summary.tenders.map(t => row(`  ${t.method} (${t.count})`, amount(t.total))),
+      row(`Refunds (${summary.refundsCount})`, out(summary.refundsTotal)),
+      rule,
+      row('Opening float', amount(summary.openingFloat)),
+      row('Cash tendered', amount(summary.cashTendered)),
+      row('Change given', out(summary.changeGiven)),
+      row('Cash refunds', out(summary.cashRefunds)),
+      row(`Drops (${summary.dropCount})`, out(summary.drops)),
+      row(`Paid-outs (${summary.paidOutCount})`, out(summary.paidOuts)),
+      row('Expected cash', amount(summary.expectedCash)),
+      row('Counted cash', session.countedCash === null ? '-' : amount(session.countedCash)),
+      row('Over/short', session.overShort === null ? '-' : amount(session.overShort)),
+      rule,
+      session.reviewedAt
+        ? row('Signed off', `${session.reviewedBy?.person.fullName || session.reviewedByCpf} ${stamp(session.reviewedAt)}`)
+        : 'NOT SIGNED OFF'
+    ];
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = CashDrawerService;
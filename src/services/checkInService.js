@@ -0,0 +1,167 @@
+/**
+ * Check-in Service
+ * Admits scanned tickets at the door: checks the entry window around the
+ * session start, the scanning room and re-entry rules, and logs every attempt
+ */
+
+const TicketTokenService = require('./ticketTokenService');
+const SettingsService = require('./settingsService');
+
+const MINUTE = 60 * 1000;
+
+class CheckInService {
+  /**
+   * Decide whether a verified ticket may enter
+   * @param {Object} params - { verification, roomId, settings, reentryCount, now }
+   *   verification: result of TicketTokenService.verify()
+   *   reentryCount: re-entries already granted to the ticket
+   * @returns {Object} { result: ADMITTED|REENTRY|REJECTED, reason }
+   */
+  static evaluate({ verification, roomId, settings, reentryCount = 0, now = new Date() }) {
+    const { ticket } = verification;
+    const reject = (reason) => ({ result: 'REJECTED', reason });
+
+    if (!ticket) {
+      return reject(verification.reason);
+    }
+
+    // A used ticket is the only failed verification that may still get in (re-entry)
+    if (!verification.valid && verification.reason !== 'TICKET_ALREADY_USED') {
+      return reject(verification.reason);
+    }
+
+    const { session } = ticket;
+
+    if (session.status === 'CANCELED') {
+      return reject('SESSION_CANCELED');
+    }
+
+    if (session.roomId !== roomId) {
+      return reject('WRONG_ROOM');
+    }
+
+    if (ticket.status === 'USED') {
+      if (!settings.allowReentry) {
+        return reject('TICKET_ALREADY_USED');
+      }
+
+      if (now > new Date(session.endTime)) {
+        return reject('SESSION_ENDED');
+      }
+
+      if (reentryCount >= settings.maxReentries) {
+        return reject('REENTRY_LIMIT_REACHED');
+      }
+
+      return { result: 'REENTRY', reason: null };
+    }
+
+    const startTime = new Date(session.startTime).getTime();
+
+    if (now.getTime() < startTime - settings.checkInOpensMinutes * MINUTE) {
+      return reject('TOO_EARLY');
+    }
+
+    if (now.getTime() > startTime + settings.checkInClosesMinutes * MINUTE) {
+      return reject('TOO_LATE');
+    }
+
+    return { result: 'ADMITTED', reason: null };
+  }
+
+  /**
+   * Check a scanned token in at a room's door and log the attempt
+   * @param {Object} client - Prisma client
+   * @param {Object} params - { companyId, token, roomId, deviceId, actorCpf, now }
+   * @returns {Object} { admitted, result, reason, ticket, scan }
+   */
+  static async checkIn(client, { companyId, token, roomId, deviceId, actorCpf, now = new Date() }) {
+    const verification = await TicketTokenService.verify(client, companyId, token);
+    const settings = await SettingsService.get(client, companyId);
+    let ticket = verification.ticket;
+
+    const reentryCount = ticket && ticket.status === 'USED'
+      ? await client.ticketScan.count({
+        where: {
+          companyId,
+          ticketId: ticket.id,
+          result: 'REENTRY'
+        }
+      })
+      : 0;
+
+    let outcome = this.evaluate({ verification, roomId, settings, reentryCount, now });
+
+    if (outcome.result === 'ADMITTED') {
+      // Only one of two simultaneous scans of the same ticket gets in
+      const { count } = await client.ticket.updateMany({
+        where: {
+          id: ticket.id,
+          status: 'ISSUED'
+        },
+        data: {
+          status: 'USED',
+          usedAt: now
+        }
+      });
+
+      if (count === 0) {
+        outcome = { result: 'REJECTED', reason: 'TICKET_ALREADY_USED' };
+      } else {
+        ticket = { ...ticket, status: 'USED', usedAt: now };
+      }
+    }
+
+    const scan = await client.ticketScan.create({
+      data: {
+        companyId,
+        ticketId: ticket ? ticket.id : null,
+        sessionId: ticket ? ticket.sessionId : null,
+        roomId,
+        deviceId,
+        scannedByCpf: actorCpf,
+        result: outcome.result,
+        reason: outcome.reason,
+        scannedAt: now
+      }
+    });
+
+    return {
+      admitted: outcome.result !== 'REJECTED',
+      result: outcome.result,
+      reason: outcome.reason,
+      ticket,
+      scan
+    };
+  }
+
+  /**
+   * Summarize a session's door activity
+   * @param {Object[]} scans - TicketScan records
+   * @returns {Object} { totalScans, admitted, reentries, rejected, rejectionsByReason }
+   */
+  static summarize(scans) {
+    const summary = {
+      totalScans: scans.length,
+      admitted: 0,
+      reentries: 0,
+      rejected: 0,
+      rejectionsByReason: {}
+    };
+
+    for (const scan of scans) {
+      if (scan.result === 'ADMITTED') {
+        summary.admitted++;
+      } else if (scan.result === 'REENTRY') {
+        summary.reentries++;
+      } else {
+        summary.rejected++;
+        summary.rejectionsByReason[scan.reason] = (summary.rejectionsByReason[scan.reason] || 0) + 1;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = CheckInService;
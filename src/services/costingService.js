@@ -0,0 +1,143 @@
+/**
+ * Costing Service
+ * Weighted-average unit cost of stock and the cost of goods sold behind each
+ * sale line. Units added with a known cost (purchase receipts, costed
+ * restocks) move the average; everything else leaves it where it is. The
+ * cost of a sale line is captured on finalize so later cost changes never
+ * rewrite past margins.
+ */
+
+const BundleService = require('./bundleService');
+const { toCents, fromCents } = require('../utils/money');
+
+// Costs are kept to four decimal places so averages do not drift a cent per receipt
+const COST_SCALE = 10000;
+
+const roundCost = (value) => Math.round(value * COST_SCALE) / COST_SCALE;
+const isSet = (value) => value !== null && value !== undefined;
+
+class CostingService {
+  /**
+   * Average unit cost after adding units at a known cost
+   * @param {number} qtyOnHand - Units on hand before the addition
+   * @param {number|string|null} currentCost - Current average cost (null when unknown)
+   * @param {number} quantity - Units added
+   * @param {number|string|null} unitCost - Cost of each unit added (null when unknown)
+   * @returns {number|null} New average cost
+   */
+  static weightedAverage(qtyOnHand, currentCost, quantity, unitCost) {
+    if (!isSet(unitCost) || quantity <= 0) {
+      return isSet(currentCost) ? parseFloat(currentCost) : null;
+    }
+
+    // With nothing (or less than nothing) on hand, the new units set the cost
+    if (!isSet(currentCost) || qtyOnHand <= 0) {
+      return roundCost(parseFloat(unitCost));
+    }
+
+    const total = qtyOnHand * parseFloat(currentCost) + quantity * parseFloat(unitCost);
+    return roundCost(total / (qtyOnHand + quantity));
+  }
+
+  /**
+   * Cost of one unit of a sale line: its own SKU's cost, or the sum of its
+   * components for a bundle. Ticket lines have no cost of goods.
+   * @param {Object} saleItem - SaleItem with components loaded
+   * @param {Map} costs - SKU -> current average cost (null when unknown)
+   * @returns {number|null} Unit cost, null when any SKU involved has no cost
+   */
+  static lineUnitCost(saleItem, costs) {
+    const moves = BundleService.stockMoves(saleItem, 1);
+    if (moves.length === 0) return null;
+
+    let total = 0;
+    for (const move of moves) {
+      const cost = costs.get(move.sku);
+      if (!isSet(cost)) return null;
+      total += move.quantity * parseFloat(cost);
+    }
+
+    return roundCost(total);
+  }
+
+  /**
+   * Revenue and cost of the units of a line the customer kept. Revenue is
+   * net of discounts and tax; refunded units went back to stock so they
+   * carry neither.
+   * @param {Object} saleItem - SaleItem with discountAllocations loaded
+   * @returns {Object} { units, revenueCents, costCents } - costCents is null for uncosted lines
+   */
+  static lineMargin(saleItem) {
+    const units = saleItem.quantity - (saleItem.refundedQuantity || 0);
+    const discountCents = (saleItem.discountAllocations || []).reduce((sum, a) => sum + toCents(a.amount), 0);
+    const inclusiveTaxCents = saleItem.taxIncluded === false ? 0 : toCents(saleItem.taxAmount);
+    const netCents = Math.max(0, toCents(saleItem.lineTotal) - discountCents - inclusiveTaxCents);
+
+    return {
+      units,
+      revenueCents: saleItem.quantity > 0 ? Math.round((netCents * units) / saleItem.quantity) : 0,
+      costCents: isSet(saleItem.unitCost) ? Math.round(parseFloat(saleItem.unitCost) * units * 100) : null
+    };
+  }
+
+  /**
+   * Margin figures of a set of lines. Lines sold before their cost was known
+   * are kept out of the margin and reported as uncosted revenue instead.
+   * @param {Object[]} saleItems - SaleItems with discountAllocations loaded
+   * @returns {Object} { units, revenue, costOfGoods, grossMargin, marginPercent, uncostedRevenue }
+   */
+  static summarize(saleItems) {
+    let units = 0;
+    let revenueCents = 0;
+    let costCents = 0;
+    let uncostedCents = 0;
+
+    for (const saleItem of saleItems) {
+      const line = this.lineMargin(saleItem);
+      units += line.units;
+
+      if (line.costCents === null) {
+        uncostedCents += line.revenueCents;
+        continue;
+      }
+
+      revenueCents += line.revenueCents;
+      costCents += line.costCents;
+    }
+
+    const marginCents = revenueCents - costCents;
+
+    return {
+      units,
+      revenue: fromCents(revenueCents),
+      costOfGoods: fromCents(costCents),
+      grossMargin: fromCents(marginCents),
+      marginPercent: revenueCents > 0 ? Math.round((marginCents / revenueCents) * 10000) / 100 : 0,
+      uncostedRevenue: fromCents(uncostedCents)
+    };
+  }
+
+  /**
+   * Margin figures per group, highest gross margin first
+   * @param {Object[]} saleItems - SaleItems with discountAllocations loaded
+   * @param {Function} groupOf - saleItem -> { key, ...fields describing the group }
+   * @returns {Object[]} [{ ...group fields, units, revenue, costOfGoods, grossMargin, marginPercent, uncostedRevenue }]
+   */
+  static groupBy(saleItems, groupOf) {
+    const groups = new Map();
+
+    for (const saleItem of saleItems) {
+      const { key, ...fields } = groupOf(saleItem);
+      if (!groups.has(key)) {
+        groups.set(key, { fields, items: [] });
+      }
+      groups.get(key).items.push(saleItem);
+    }
+
+    return [...groups.values()]
+      .map(group => ({ ...group.fields, ...this.summarize(group.items) }))
+      .sort((a, b) => b.grossMargin - a.grossMargin);
+  }
+}
+
+module.exports = CostingService;
@@ -0,0 +1,366 @@
+/**
+ * Discount Engine
+ * Evaluates PERCENT, AMOUNT and BOGO discount codes against sale lines and
+ * allocates the resulting discount to the individual lines it applies to
+ */
+
+const { db } = require('../database/prisma');
+const { toCents, fromCents, distribute } = require('../utils/money');
+
+/**
+ * Tax item class of a sale item: tickets, food or collectables
+ * @param {Object} saleItem - SaleItem with its inventory item (food/collectable) loaded
+ * @returns {string|null} TICKET, FOOD, COLLECTABLE or null for unclassified SKUs
+ */
+const getItemClass = (saleItem) => {
+  if (saleItem.sessionId) return 'TICKET';
+  if (saleItem.item?.food) return 'FOOD';
+  if (saleItem.item?.collectable) return 'COLLECTABLE';
+  return null;
+};
+
+class DiscountEngine {
+  /**
+   * Check whether a discount code can currently be used
+   * @param {Object} discountCode - DiscountCode record
+   * @param {Object} options - { customerCpf, requireCustomer, now }
+   * @returns {string[]} Validation errors (empty when usable)
+   */
+  static checkEligibility(discountCode, options = {}) {
+    const { customerCpf, requireCustomer = true, now = new Date() } = options;
+    const errors = [];
+
+    if (!discountCode.isActive) {
+      errors.push('Discount code is inactive');
+    }
+
+    if (now < discountCode.validFrom) {
+      errors.push('Discount code not yet valid');
+    }
+
+    if (now > discountCode.validTo) {
+      errors.push('Discount code has expired');
+    }
+
+    if (discountCode.maxUses && discountCode.currentUses >= discountCode.maxUses) {
+      errors.push('Discount code usage limit reached');
+    }
+
+    if (discountCode.cpfRangeStart && discountCode.cpfRangeEnd) {
+      if (!customerCpf) {
+        if (requireCustomer) {
+          errors.push('Buyer information required for this discount code');
+        }
+      } else if (customerCpf < discountCode.cpfRangeStart || customerCpf > discountCode.cpfRangeEnd) {
+        errors.push('Customer CPF not eligible for this discount');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether a code only applies to some lines (SKUs, categories, room types or sessions)
+   * @param {Object} discountCode - DiscountCode record
+   * @returns {boolean} True for targeted codes
+   */
+  static isTargeted(discountCode) {
+    return ['targetSkus', 'targetCategories', 'targetRoomTypes', 'targetSessionIds']
+      .some(field => (discountCode[field] || []).length > 0);
+  }
+
+  /**
+   * Decide whether a sale line is targeted by a discount code.
+   * Untargeted codes apply to every line. Product lines match on SKU or food
+   * category; ticket lines must match every configured room type/session filter.
+   * @param {Object} discountCode - DiscountCode record
+   * @param {Object} line - Normalized sale line (see loadSaleLines)
+   * @returns {boolean} Whether the line is eligible
+   */
+  static isLineEligible(discountCode, line) {
+    const skus = discountCode.targetSkus || [];
+    const categories = discountCode.targetCategories || [];
+    const roomTypes = discountCode.targetRoomTypes || [];
+    const sessionIds = discountCode.targetSessionIds || [];
+
+    const hasProductTargets = skus.length > 0 || categories.length > 0;
+    const hasTicketTargets = roomTypes.length > 0 || sessionIds.length > 0;
+
+    if (!hasProductTargets && !hasTicketTargets) {
+      return true;
+    }
+
+    if (line.sessionId) {
+      return hasTicketTargets &&
+        (roomTypes.length === 0 || roomTypes.includes(line.roomType)) &&
+        (sessionIds.length === 0 || sessionIds.includes(line.sessionId));
+    }
+
+    if (line.sku) {
+      return skus.includes(line.sku) ||
+        (line.category !== null && line.category !== undefined && categories.includes(line.category));
+    }
+
+    return false;
+  }
+
+  /**
+   * Compute the discount a code yields on a set of lines.
+   * BOGO pairs eligible units from most to least expensive and takes `value`%
+   * off the cheaper unit of each pair (a value of 0 or 100 makes it free).
+   * @param {Object} discountCode - DiscountCode record
+   * @param {Object[]} lines - Normalized sale lines
+   * @param {Object} alreadyAllocated - Map of line id -> amount taken by earlier discounts
+   * @returns {Object} { eligibleSubtotal, discountAmount, allocations }
+   */
+  static evaluate(discountCode, lines, alreadyAllocated = {}) {
+    const eligible = lines
+      .filter(line => this.isLineEligible(discountCode, line))
+      .map(line => ({
+        line,
+        remaining: Math.max(0, toCents(line.lineTotal) - toCents(alreadyAllocated[line.id]))
+      }));
+
+    const eligibleCents = eligible.reduce((sum, e) => sum + e.remaining, 0);
+    const value = parseFloat(discountCode.value);
+    let shares = eligible.map(() => 0);
+
+    if (discountCode.type === 'PERCENT') {
+      const totalCents = Math.round((eligibleCents * Math.min(value, 100)) / 100);
+      shares = distribute(totalCents, eligible.map(e => e.remaining));
+    } else if (discountCode.type === 'AMOUNT') {
+      const totalCents = Math.min(toCents(value), eligibleCents);
+      shares = distribute(totalCents, eligible.map(e => e.remaining));
+    } else if (discountCode.type === 'BOGO') {
+      const percentOff = value > 0 ? Math.min(value, 100) : 100;
+      const units = [];
+      eligible.forEach((e, index) => {
+        for (let i = 0; i < e.line.quantity; i++) {
+          units.push({ index, priceCents: toCents(e.line.unitPrice) });
+        }
+      });
+      units.sort((a, b) => b.priceCents - a.priceCents);
+
+      // Every second unit (the cheaper one of each pair) is the "get one"
+      for (let i = 1; i < units.length; i += 2) {
+        const unit = units[i];
+        const unitDiscount = Math.round((unit.priceCents * percentOff) / 100);
+        shares[unit.index] = Math.min(shares[unit.index] + unitDiscount, eligible[unit.index].remaining);
+      }
+    }
+
+    const allocations = eligible
+      .map((e, index) => ({ saleItemId: e.line.id, amount: fromCents(shares[index]) }))
+      .filter(a => a.amount > 0);
+
+    return {
+      eligibleSubtotal: fromCents(eligibleCents),
+      discountAmount: fromCents(shares.reduce((sum, s) => sum + s, 0)),
+      allocations
+    };
+  }
+
+  /**
+   * Load the items of a sale in the shape expected by evaluate()
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} saleId - Sale UUID
+   * @returns {Object[]} Normalized sale lines
+   */
+  static async loadSaleLines(client, companyId, saleId) {
+    const items = await client.saleItem.findMany({
+      where: { saleId, companyId },
+      include: {
+        item: {
+          include: {
+            food: true,
+            collectable: true
+          }
+        }
+      }
+    });
+
+    const sessionIds = [...new Set(items.filter(i => i.sessionId).map(i => i.sessionId))];
+    const sessions = sessionIds.length > 0
+      ? await client.session.findMany({
+        where: { id: { in: sessionIds }, companyId },
+        include: { room: { select: { roomType: true } } }
+      })
+      : [];
+    const roomTypeBySession = new Map(sessions.map(s => [s.id, s.room.roomType]));
+
+    return items.map(item => ({
+      id: item.id,
+      sku: item.sku,
+      sessionId: item.sessionId,
+      seatId: item.seatId,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.unitPrice),
+      lineTotal: parseFloat(item.lineTotal),
+      category: item.item?.food?.category || null,
+      itemClass: getItemClass(item),
+      roomType: item.sessionId ? roomTypeBySession.get(item.sessionId) || null : null
+    }));
+  }
+
+  /**
+   * Sum the allocations of the discounts already applied to a sale
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} saleId - Sale UUID
+   * @param {string} excludeCode - Code to leave out (the one being evaluated)
+   * @returns {Object} Map of line id -> allocated amount
+   */
+  static async getExistingAllocations(client, saleId, excludeCode = null) {
+    const allocations = await client.saleDiscountAllocation.findMany({
+      where: {
+        saleId,
+        ...(excludeCode && { code: { not: excludeCode } })
+      }
+    });
+
+    return allocations.reduce((acc, a) => {
+      acc[a.saleItemId] = fromCents(toCents(acc[a.saleItemId]) + toCents(a.amount));
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Validate a code and compute the discount preview shared by every
+   * validation endpoint. Lines come from an open sale when saleId is given,
+   * otherwise a single untargeted line of `subtotal` is assumed - which a
+   * targeted code has nothing to match, so its preview is marked not applicable.
+   * A CPF-restricted code needs the buyer only when checked against a sale.
+   * @param {string} companyId - Company UUID
+   * @param {Object} discountCode - DiscountCode record
+   * @param {Object} options - { saleId, subtotal, customerCpf }
+   * @returns {Object} { errors, preview } - preview.applicable is false (with a reason)
+   *   when there is nothing to compute the discount against
+   */
+  static async validate(companyId, discountCode, options = {}) {
+    const { saleId, subtotal } = options;
+    let customerCpf = options.customerCpf;
+    let lines;
+    let alreadyAllocated = {};
+
+    if (saleId) {
+      const sale = await db.sale.findFirst({
+        where: { id: saleId, companyId }
+      });
+
+      if (!sale) {
+        throw new Error('Sale not found');
+      }
+
+      customerCpf = customerCpf || sale.buyerCpf;
+      lines = await this.loadSaleLines(db, companyId, saleId);
+      alreadyAllocated = await this.getExistingAllocations(db, saleId, discountCode.code);
+    } else {
+      lines = [{ id: null, quantity: 1, unitPrice: subtotal || 0, lineTotal: subtotal || 0 }];
+    }
+
+    const errors = this.checkEligibility(discountCode, { customerCpf, requireCustomer: Boolean(saleId) });
+    const saleSubtotal = fromCents(lines.reduce((sum, l) => sum + toCents(l.lineTotal), 0));
+
+    if (!saleId && this.isTargeted(discountCode)) {
+      return {
+        errors,
+        preview: {
+          code: discountCode.code,
+          type: discountCode.type,
+          value: parseFloat(discountCode.value),
+          subtotal: saleSubtotal,
+          applicable: false,
+          reason: 'Not applicable without a sale: this code only applies to specific items or sessions',
+          eligibleSubtotal: null,
+          discountAmount: null,
+          newTotal: null,
+          allocations: []
+        }
+      };
+    }
+
+    const result = this.evaluate(discountCode, lines, alreadyAllocated);
+    const priorDiscount = fromCents(
+      Object.values(alreadyAllocated).reduce((sum, amount) => sum + toCents(amount), 0)
+    );
+
+    return {
+      errors,
+      preview: {
+        code: discountCode.code,
+        type: discountCode.type,
+        value: parseFloat(discountCode.value),
+        subtotal: saleSubtotal,
+        applicable: true,
+        eligibleSubtotal: result.eligibleSubtotal,
+        discountAmount: result.discountAmount,
+        newTotal: fromCents(toCents(saleSubtotal) - toCents(priorDiscount) - toCents(result.discountAmount)),
+        allocations: result.allocations.filter(a => a.saleItemId)
+      }
+    };
+  }
+
+  /**
+   * Re-run every discount applied to a sale (in the order they were applied)
+   * after its items changed, rewriting amounts and per-line allocations
+   * @param {Object} tx - Prisma transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} saleId - Sale UUID
+   * @returns {number} New discount total for the sale
+   */
+  static async reapplySaleDiscounts(tx, companyId, saleId) {
+    const saleDiscounts = await tx.saleDiscount.findMany({
+      where: { saleId, companyId },
+      include: { discountCode: true },
+      orderBy: { appliedAt: 'asc' }
+    });
+
+    if (saleDiscounts.length === 0) {
+      return 0;
+    }
+
+    const lines = await this.loadSaleLines(tx, companyId, saleId);
+    const allocated = {};
+    let totalCents = 0;
+
+    for (const saleDiscount of saleDiscounts) {
+      const result = this.evaluate(saleDiscount.discountCode, lines, allocated);
+
+      await tx.saleDiscountAllocation.deleteMany({
+        where: { saleId, code: saleDiscount.code }
+      });
+
+      if (result.allocations.length > 0) {
+        await tx.saleDiscountAllocation.createMany({
+          data: result.allocations.map(a => ({
+            saleId,
+            companyId,
+            code: saleDiscount.code,
+            saleItemId: a.saleItemId,
+            amount: a.amount
+          }))
+        });
+      }
+
+      await tx.saleDiscount.update({
+        where: {
+          saleId_companyId_code: {
+            saleId,
+            companyId,
+            code: saleDiscount.code
+          }
+        },
+        data: { discountAmount: result.discountAmount }
+      });
+
+      result.allocations.forEach(a => {
+        allocated[a.saleItemId] = fromCents(toCents(allocated[a.saleItemId]) + toCents(a.amount));
+      });
+      totalCents += toCents(result.discountAmount);
+    }
+
+    return fromCents(totalCents);
+  }
+}
+
+module.exports = DiscountEngine;
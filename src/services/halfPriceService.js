@@ -0,0 +1,186 @@
+/**
+ * Half Price Service
+ * Meia-entrada rules: which ticket categories are half price, the proof each
+ * one needs, and the per-session quota. Under Lei 12.933/2013 students, people
+ * with disabilities and ID Jovem holders share a cap on the seats of each
+ * session; seniors and teachers get half price outside of it.
+ */
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+
+const HALF_PRICE_CATEGORIES = ['STUDENT', 'SENIOR', 'TEACHER', 'DISABLED', 'LOW_INCOME_YOUTH'];
+const QUOTA_CATEGORIES = ['STUDENT', 'DISABLED', 'LOW_INCOME_YOUTH'];
+
+// Documents accepted as proof for each half-price category
+const ACCEPTED_PROOFS = {
+  STUDENT: ['STUDENT_ID'],
+  SENIOR: ['ID_DOCUMENT'],
+  TEACHER: ['TEACHER_ID'],
+  DISABLED: ['DISABILITY_ID'],
+  LOW_INCOME_YOUTH: ['ID_JOVEM']
+};
+
+class HalfPriceService {
+  /**
+   * Ticket categories sold at half price
+   * @returns {string[]} Categories
+   */
+  static get halfPriceCategories() {
+    return HALF_PRICE_CATEGORIES;
+  }
+
+  /**
+   * Whether tickets of a category count towards the session quota
+   * @param {string} category - Ticket category
+   * @returns {boolean} True for quota-bound categories
+   */
+  static countsTowardQuota(category) {
+    return QUOTA_CATEGORIES.includes(category);
+  }
+
+  /**
+   * Check the proof given for a ticket category
+   * @param {Object} ticket - { category, proofType, proofNumber }
+   * @returns {string|null} What is wrong with the proof, or null
+   */
+  static checkProof({ category = 'REGULAR', proofType = null, proofNumber = null }) {
+    if (!HALF_PRICE_CATEGORIES.includes(category)) {
+      return proofType || proofNumber ? `${category} tickets do not take an eligibility proof` : null;
+    }
+
+    if (!proofType || !proofNumber) {
+      return `${category} tickets require proofType and proofNumber`;
+    }
+
+    if (!ACCEPTED_PROOFS[category].includes(proofType)) {
+      return `${proofType} is not accepted for ${category} tickets (accepted: ${ACCEPTED_PROOFS[category].join(', ')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Seats of a session open to quota-bound categories
+   * @param {number} capacity - Room capacity
+   * @param {Object} settings - Company settings (halfPriceQuotaPercent)
+   * @returns {number} Seats
+   */
+  static quotaSeats(capacity, settings) {
+    return Math.floor(capacity * settings.halfPriceQuotaPercent / 100);
+  }
+
+  /**
+   * Quota seats taken in a session: live tickets plus lines of open sales
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} sessionId - Session ID
+   * @returns {Object} { sold, pending }
+   */
+  static async quotaUsage(client, sessionId) {
+    const [sold, pending] = await Promise.all([
+      client.ticket.count({
+        where: {
+          sessionId,
+          category: { in: QUOTA_CATEGORIES },
+          status: { notIn: RELEASED_TICKET_STATUSES }
+        }
+      }),
+      client.saleItem.aggregate({
+        where: {
+          sessionId,
+          ticketCategory: { in: QUOTA_CATEGORIES },
+          sale: { status: 'OPEN' }
+        },
+        _sum: { quantity: true }
+      })
+    ]);
+
+    return { sold, pending: pending._sum.quantity || 0 };
+  }
+
+  /**
+   * Check there is quota left for more tickets. Takes a row lock on the
+   * session, so run it in the transaction that creates the tickets or lines.
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} session - Session with room (capacity) loaded
+   * @param {number} requested - Quota-bound tickets about to be sold
+   * @param {Object} settings - Company settings (halfPriceQuotaPercent)
+   * @returns {string|null} Why the tickets cannot be sold, or null
+   */
+  static async reserveQuota(tx, session, requested, settings) {
+    if (requested === 0) return null;
+
+    await tx.$queryRaw`SELECT id FROM "session" WHERE id = ${session.id}::uuid FOR UPDATE`;
+
+    const quota = this.quotaSeats(session.room.capacity, settings);
+    const { sold, pending } = await this.quotaUsage(tx, session.id);
+    const remaining = Math.max(0, quota - sold - pending);
+
+    if (requested > remaining) {
+      return `Meia-entrada quota for this session is exhausted (${remaining} of ${quota} seats left)`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Meia-entrada compliance report for a session
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session with room (capacity) loaded
+   * @param {Object} settings - Company settings (halfPriceQuotaPercent)
+   * @returns {Object} Quota figures, tickets per category and the half-price tickets with their proof
+   */
+  static async report(client, session, settings) {
+    const tickets = await client.ticket.findMany({
+      where: {
+        sessionId: session.id,
+        status: { notIn: RELEASED_TICKET_STATUSES }
+      },
+      select: {
+        id: true,
+        seatId: true,
+        category: true,
+        proofType: true,
+        proofNumber: true,
+        status: true,
+        price: true,
+        saleId: true,
+        issuedAt: true,
+        sale: {
+          select: { cashierCpf: true }
+        }
+      },
+      orderBy: { seatId: 'asc' }
+    });
+
+    const byCategory = {};
+    for (const ticket of tickets) {
+      byCategory[ticket.category] = (byCategory[ticket.category] || 0) + 1;
+    }
+
+    const halfPrice = tickets.filter(t => HALF_PRICE_CATEGORIES.includes(t.category));
+    const quota = this.quotaSeats(session.room.capacity, settings);
+    const quotaSold = halfPrice.filter(t => this.countsTowardQuota(t.category)).length;
+    const { pending } = await this.quotaUsage(client, session.id);
+
+    return {
+      sessionId: session.id,
+      capacity: session.room.capacity,
+      quotaPercent: settings.halfPriceQuotaPercent,
+      quotaSeats: quota,
+      quotaSold,
+      quotaPending: pending,
+      quotaRemaining: Math.max(0, quota - quotaSold - pending),
+      withinQuota: quotaSold <= quota,
+      byCategory,
+      missingProof: halfPrice.filter(t => !t.proofType || !t.proofNumber).length,
+      halfPriceTickets: halfPrice.map(({ sale, ...ticket }) => ({
+        ...ticket,
+        countsTowardQuota: this.countsTowardQuota(ticket.category),
+        cashierCpf: sale ? sale.cashierCpf : null
+      }))
+    };
+  }
+}
+
+module.exports = HalfPriceService;
@@ -0,0 +1,161 @@
+/**
+ * Housekeeping Service
+ * Periodic cleanups run by the job scheduler. Each task can also be limited to
+ * one company, which is how the manual cleanup endpoints use them.
+ */
+
+const SettingsService = require('./settingsService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const JOB_RUN_RETENTION_DAYS = parseInt(process.env.JOB_RUN_RETENTION_DAYS, 10) || 30;
+
+// Companies a task has to look at: the given one, or all that have matching rows
+const companyScope = async (model, where, companyId) => {
+  if (companyId) {
+    return [companyId];
+  }
+
+  const groups = await model.groupBy({
+    by: ['companyId'],
+    where
+  });
+
+  return groups.map(g => g.companyId);
+};
+
+class HousekeepingService {
+  /**
+   * Delete seat reservations whose hold expired
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { expired }
+   */
+  static async expireSeatReservations(client, { companyId, now = new Date() } = {}) {
+    const result = await client.seatReservation.deleteMany({
+      where: {
+        ...(companyId && { companyId }),
+        expiresAt: {
+          lt: now
+        }
+      }
+    });
+
+    return { expired: result.count };
+  }
+
+  /**
+   * Cancel OPEN sales older than each company's abandoned sale threshold
+   * Sales with payments are left for the till to cancel, which gives them back,
+   * and so are sales with a PIX QR code the customer may still be paying.
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { canceled, companies: [{ companyId, saleIds, thresholdMinutes }] }
+   */
+  static async cancelAbandonedSales(client, { companyId, now = new Date() } = {}) {
+    const companyIds = await companyScope(client.sale, { status: 'OPEN' }, companyId);
+    const companies = [];
+
+    for (const id of companyIds) {
+      const settings = await SettingsService.get(client, id);
+      // Never shorter than a PIX charge lasts, even for settings saved before that rule
+      const thresholdMinutes = Math.max(settings.abandonedSaleMinutes, settings.pixChargeMinutes + 1);
+
+      const abandonedSales = await client.sale.findMany({
+        where: {
+          companyId: id,
+          status: 'OPEN',
+          createdAt: {
+            lt: new Date(now.getTime() - thresholdMinutes * MINUTE)
+          },
+          payments: {
+            none: { voidedAt: null }
+          },
+          pixCharges: {
+            none: { status: 'ACTIVE' }
+          }
+        },
+        select: {
+          id: true
+        }
+      });
+
+      if (abandonedSales.length === 0) continue;
+
+      const saleIds = abandonedSales.map(s => s.id);
+
+      // A sale finalized or paid in the meantime is left alone
+      await client.sale.updateMany({
+        where: {
+          id: {
+            in: saleIds
+          },
+          status: 'OPEN',
+          payments: {
+            none: { voidedAt: null }
+          },
+          pixCharges: {
+            none: { status: 'ACTIVE' }
+          }
+        },
+        data: {
+          status: 'CANCELED'
+        }
+      });
+
+      companies.push({ companyId: id, saleIds, thresholdMinutes });
+    }
+
+    return {
+      canceled: companies.reduce((sum, c) => sum + c.saleIds.length, 0),
+      companies
+    };
+  }
+
+  /**
+   * Deactivate discount codes past their validity
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { deactivated }
+   */
+  static async deactivateExpiredDiscounts(client, { companyId, now = new Date() } = {}) {
+    const result = await client.discountCode.updateMany({
+      where: {
+        ...(companyId && { companyId }),
+        isActive: true,
+        validTo: {
+          lt: now
+        }
+      },
+      data: {
+        isActive: false
+      }
+    });
+
+    return { deactivated: result.count };
+  }
+
+  /**
+   * Delete finished job runs older than the retention period
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { now }
+   * @returns {Object} { deleted }
+   */
+  static async pruneJobRuns(client, { now = new Date() } = {}) {
+    const result = await client.jobRun.deleteMany({
+      where: {
+        status: {
+          not: 'RUNNING'
+        },
+        startedAt: {
+          lt: new Date(now.getTime() - JOB_RUN_RETENTION_DAYS * DAY)
+        }
+      }
+    });
+
+    return { deleted: result.count };
+  }
+}
+
+module.exports = HousekeepingService;
@@ -0,0 +1,142 @@
+/**
+ * Idempotency Service
+ * Lets clients retry a mutation safely: a request sent with an Idempotency-Key
+ * is recorded before it is handled and its response stored afterwards, so a
+ * retry with the same key gets the stored response instead of running again.
+ * Keys are scoped per company and employee and kept for IDEMPOTENCY_KEY_TTL_HOURS.
+ */
+
+const crypto = require('crypto');
+const PaymentGateway = require('./paymentGateway');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+// A request still unanswered after this long died with its process; its key can be used
+// again. A live one may be waiting on one slow payment provider call after another.
+const STALE_SECONDS = Math.max(5 * 60, Math.ceil(10 * PaymentGateway.AUTHORIZE_TIMEOUT_MS / 1000));
+
+const HOUR = 60 * 60 * 1000;
+
+class IdempotencyService {
+  /**
+   * Fingerprint of a request, to tell a retry from another request reusing the key
+   * @param {Object} request - { method, path, body (raw body) }
+   * @returns {string} SHA-256 hex digest
+   */
+  static fingerprint({ method, path, body }) {
+    return crypto.createHash('sha256')
+      .update(`${method.toUpperCase()} ${path}\n`)
+      .update(body || '')
+      .digest('hex');
+  }
+
+  /**
+   * Claim a key for a request
+   * @param {Object} client - Prisma client
+   * @param {Object} request - { companyId, employeeCpf, key, method, path, requestHash, now }
+   * @returns {Object} One of { started } (the new record), { replay: { status, body } },
+   *   { conflict } (the key was used for another request) or { inProgress }
+   */
+  static async begin(client, { companyId, employeeCpf, key, method, path, requestHash, now = new Date() }) {
+    const where = {
+      companyId_employeeCpf_key: { companyId, employeeCpf, key }
+    };
+
+    // A second attempt follows removing an expired or abandoned record
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const started = await client.idempotencyKey.create({
+          data: {
+            companyId,
+            employeeCpf,
+            key,
+            method,
+            path,
+            requestHash,
+            expiresAt: new Date(now.getTime() + TTL_HOURS * HOUR)
+          }
+        });
+
+        return { started };
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+      }
+
+      const existing = await client.idempotencyKey.findUnique({ where });
+      if (!existing) continue;
+
+      const abandoned = existing.responseStatus === null &&
+        existing.createdAt.getTime() < now.getTime() - STALE_SECONDS * 1000;
+
+      if (existing.expiresAt <= now || abandoned) {
+        await client.idempotencyKey.deleteMany({
+          where: { id: existing.id, responseStatus: existing.responseStatus }
+        });
+        continue;
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return { conflict: true };
+      }
+
+      if (existing.responseStatus === null) {
+        return { inProgress: true };
+      }
+
+      return { replay: { status: existing.responseStatus, body: existing.responseBody } };
+    }
+
+    return { inProgress: true };
+  }
+
+  /**
+   * Store the response of a claimed key
+   * @param {Object} client - Prisma client
+   * @param {string} id - IdempotencyKey ID
+   * @param {number} status - HTTP status sent
+   * @param {*} body - JSON body sent, if any
+   */
+  static async complete(client, id, status, body) {
+    await client.idempotencyKey.update({
+      where: { id },
+      data: {
+        responseStatus: status,
+        // Round-trip through JSON so Decimals and Dates are stored as they were sent
+        ...(body !== undefined && body !== null && { responseBody: JSON.parse(JSON.stringify(body)) }),
+        completedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Give a key back so the request can be retried with it, e.g. after a server error
+   * @param {Object} client - Prisma client
+   * @param {string} id - IdempotencyKey ID
+   */
+  static async release(client, id) {
+    await client.idempotencyKey.deleteMany({ where: { id } });
+  }
+
+  /**
+   * Delete keys past their expiry
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { expired }
+   */
+  static async expire(client, { companyId, now = new Date() } = {}) {
+    const result = await client.idempotencyKey.deleteMany({
+      where: {
+        ...(companyId && { companyId }),
+        expiresAt: {
+          lt: now
+        }
+      }
+    });
+
+    return { expired: result.count };
+  }
+}
+
+IdempotencyService.TTL_HOURS = TTL_HOURS;
+IdempotencyService.STALE_SECONDS = STALE_SECONDS;
+
+module.exports = IdempotencyService;
@@ -0,0 +1,289 @@
+/**
+ * Job Scheduler
+ * Runs background jobs inside the API process. Schedules are defined below;
+ * the scheduled_job table keeps each job's next run time and a lock, so with
+ * several instances running a due job is picked up by exactly one of them.
+ * Every run is recorded in job_run.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const HousekeepingService = require('./housekeepingService');
+const SessionLifecycleService = require('./sessionLifecycleService');
+const SessionCancellationService = require('./sessionCancellationService');
+const PixChargeService = require('./pixChargeService');
+const IdempotencyService = require('./idempotencyService');
+const RefundService = require('./refundService');
+
+const TICK_SECONDS = parseInt(process.env.JOB_TICK_SECONDS, 10) || 30;
+const LOCK_SECONDS = parseInt(process.env.JOB_LOCK_SECONDS, 10) || 300;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// everySeconds: run at that interval; dailyAt: run once a day at HH:MM server time
+const JOBS = {
+  'expire-seat-reservations': {
+    description: 'Delete seat holds that expired',
+    everySeconds: 60,
+    run: (client, options) => HousekeepingService.expireSeatReservations(client, options)
+  },
+  'cancel-abandoned-sales': {
+    description: 'Cancel OPEN sales older than the company threshold',
+    everySeconds: 60,
+    run: (client, options) => HousekeepingService.cancelAbandonedSales(client, options)
+  },
+  'advance-session-statuses': {
+    description: 'Start and complete sessions as their times pass, marking unused tickets as no-shows',
+    everySeconds: 60,
+    run: (client, options) => SessionLifecycleService.advance(client, options)
+  },
+  'process-session-cancellations': {
+    description: 'Continue refunding tickets of canceled sessions',
+    everySeconds: 60,
+    run: (client, options) => SessionCancellationService.processPending(client, options)
+  },
+  'expire-pix-charges': {
+    description: 'Mark PIX charges past their expiry as expired',
+    everySeconds: 60,
+    run: (client, options) => PixChargeService.expire(client, options)
+  },
+  'settle-pending-refunds': {
+    description: 'Return refund payments left pending through their payment provider',
+    everySeconds: 300,
+    run: (client, options) => RefundService.settlePending(client, options)
+  },
+  'expire-idempotency-keys': {
+    description: 'Delete idempotency keys past their expiry',
+    everySeconds: 3600,
+    run: (client, options) => IdempotencyService.expire(client, options)
+  },
+  'deactivate-expired-discounts': {
+    description: 'Deactivate discount codes past their validity',
+    dailyAt: '03:00',
+    run: (client, options) => HousekeepingService.deactivateExpiredDiscounts(client, options)
+  },
+  'prune-job-runs': {
+    description: 'Delete old job run history',
+    dailyAt: '03:30',
+    run: (client, options) => HousekeepingService.pruneJobRuns(client, options)
+  }
+};
+
+let timer = null;
+let ticking = false;
+
+class JobScheduler {
+  /**
+   * Registered job definitions
+   * @returns {Object} Job definitions keyed by name
+   */
+  static get jobs() {
+    return JOBS;
+  }
+
+  /**
+   * Id of this process in job locks and run history
+   * @returns {string} Instance id
+   */
+  static get instanceId() {
+    return INSTANCE_ID;
+  }
+
+  /**
+   * When a job should run next
+   * @param {Object} definition - Job definition ({ everySeconds } or { dailyAt })
+   * @param {Date} from - Reference time (usually the end of the last run)
+   * @returns {Date} Next run time
+   */
+  static computeNextRun(definition, from) {
+    if (definition.dailyAt) {
+      const [hours, minutes] = definition.dailyAt.split(':').map(Number);
+      const next = new Date(from);
+      next.setHours(hours, minutes, 0, 0);
+      if (next <= from) {
+        next.setDate(next.getDate() + 1);
+      }
+      return next;
+    }
+
+    return new Date(from.getTime() + definition.everySeconds * 1000);
+  }
+
+  /**
+   * Create the scheduled_job rows of jobs that have none yet
+   * @param {Object} client - Prisma client
+   * @param {Date} now - Reference time
+   */
+  static async register(client, now = new Date()) {
+    await client.scheduledJob.createMany({
+      data: Object.entries(JOBS).map(([name, definition]) => ({
+        name,
+        nextRunAt: this.computeNextRun(definition, now)
+      })),
+      skipDuplicates: true
+    });
+  }
+
+  /**
+   * Take a job's lock. Scheduled claims only succeed for enabled jobs that are
+   * due; manual claims only need the job not to be running elsewhere. Runs of
+   * the job still RUNNING once its lock is taken lost their lease without
+   * finishing - their instance stopped - and are marked FAILED.
+   * @param {Object} client - Prisma client
+   * @param {string} name - Job name
+   * @param {Object} options - { now, manual }
+   * @returns {boolean} Whether this instance now holds the lock
+   */
+  static async claim(client, name, { now = new Date(), manual = false } = {}) {
+    const { count } = await client.scheduledJob.updateMany({
+      where: {
+        name,
+        ...(!manual && {
+          isEnabled: true,
+          nextRunAt: {
+            lte: now
+          }
+        }),
+        OR: [
+          { lockedUntil: null },
+          { lockedUntil: { lt: now } }
+        ]
+      },
+      data: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000)
+      }
+    });
+
+    if (count !== 1) {
+      return false;
+    }
+
+    await client.jobRun.updateMany({
+      where: {
+        jobName: name,
+        status: 'RUNNING'
+      },
+      data: {
+        status: 'FAILED',
+        finishedAt: now,
+        error: 'Lock expired before the run finished; its instance stopped'
+      }
+    });
+
+    return true;
+  }
+
+  /**
+   * Run a job whose lock this instance holds, record the run and release the lock
+   * @param {Object} client - Prisma client
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger: SCHEDULE|MANUAL, triggeredBy }
+   * @returns {Object} JobRun record
+   */
+  static async execute(client, name, { trigger = 'SCHEDULE', triggeredBy = null } = {}) {
+    const definition = JOBS[name];
+
+    const run = await client.jobRun.create({
+      data: {
+        jobName: name,
+        trigger,
+        triggeredBy,
+        instanceId: INSTANCE_ID
+      }
+    });
+
+    let status = 'SUCCEEDED';
+    let resultJson = null;
+    let error = null;
+
+    try {
+      resultJson = await definition.run(client, { now: run.startedAt });
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err);
+      status = 'FAILED';
+      error = err.message;
+    }
+
+    const finishedAt = new Date();
+
+    // Manual runs leave the schedule as it was
+    await client.scheduledJob.updateMany({
+      where: {
+        name,
+        lockedBy: INSTANCE_ID
+      },
+      data: {
+        lockedBy: null,
+        lockedUntil: null,
+        lastRunAt: run.startedAt,
+        ...(trigger === 'SCHEDULE' && { nextRunAt: this.computeNextRun(definition, finishedAt) })
+      }
+    });
+
+    return client.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status,
+        finishedAt,
+        resultJson,
+        error
+      }
+    });
+  }
+
+  /**
+   * Run every due job this instance manages to claim
+   * @param {Object} client - Prisma client
+   * @returns {Object[]} Runs executed by this tick
+   */
+  static async tick(client) {
+    const runs = [];
+
+    for (const name of Object.keys(JOBS)) {
+      if (await this.claim(client, name)) {
+        runs.push(await this.execute(client, name));
+      }
+    }
+
+    return runs;
+  }
+
+  /**
+   * Start running due jobs periodically
+   * @param {Object} client - Prisma client
+   */
+  static async start(client) {
+    if (timer) return;
+
+    await this.register(client);
+
+    timer = setInterval(async () => {
+      // Skip a tick while the previous one is still running
+      if (ticking) return;
+      ticking = true;
+      try {
+        await this.tick(client);
+      } catch (error) {
+        console.error('Job scheduler tick failed:', error);
+      } finally {
+        ticking = false;
+      }
+    }, TICK_SECONDS * 1000);
+    timer.unref();
+
+    console.log(`⏱️  Job scheduler started (${Object.keys(JOBS).length} jobs, instance ${INSTANCE_ID})`);
+  }
+
+  /**
+   * Stop the periodic tick (a job already running finishes on its own)
+   */
+  static stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+}
+
+module.exports = JobScheduler;
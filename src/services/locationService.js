@@ -0,0 +1,178 @@
+/**
+ * Location Service
+ * Stock kept at several places of a cinema (stockroom, candy bar, kiosks).
+ * An item's qtyOnHand is its total over every location, so each movement
+ * changes one location and that total together; transfers only move units
+ * between locations. Stock that arrives or leaves without a location named
+ * uses the company's default location, created the first time it is needed.
+ */
+
+const DEFAULT_LOCATION_NAME = 'Main stock';
+
+class LocationService {
+  /**
+   * The company's default location
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @returns {Object} StockLocation
+   */
+  static async defaultLocation(client, companyId) {
+    const location = await client.stockLocation.findFirst({
+      where: { companyId, isDefault: true }
+    });
+
+    return location || client.stockLocation.create({
+      data: {
+        companyId,
+        name: DEFAULT_LOCATION_NAME,
+        isDefault: true
+      }
+    });
+  }
+
+  /**
+   * An active location of the company, or the default one when none is named
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} [locationId] - StockLocation UUID
+   * @returns {Object|null} StockLocation, or null when not found or inactive
+   */
+  static async resolve(client, companyId, locationId) {
+    if (!locationId) {
+      return this.defaultLocation(client, companyId);
+    }
+
+    return client.stockLocation.findFirst({
+      where: { id: locationId, companyId, isActive: true }
+    });
+  }
+
+  /**
+   * Location a sale's goods come from and go back to on refund
+   * @param {Object} client - Prisma client or transaction
+   * @param {Object} sale - Sale (companyId, locationId)
+   * @returns {string} StockLocation UUID
+   */
+  static async saleLocationId(client, sale) {
+    return sale.locationId || (await this.defaultLocation(client, sale.companyId)).id;
+  }
+
+  /**
+   * Units of some SKUs at a location
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} locationId - StockLocation UUID
+   * @param {string[]} skus - Item SKUs
+   * @returns {Map} SKU -> units (0 for SKUs never stocked there)
+   */
+  static async quantities(client, locationId, skus) {
+    const rows = await client.locationStock.findMany({
+      where: {
+        locationId,
+        sku: { in: skus }
+      },
+      select: { sku: true, qtyOnHand: true }
+    });
+
+    const bySku = new Map(skus.map(sku => [sku, 0]));
+    for (const row of rows) {
+      bySku.set(row.sku, row.qtyOnHand);
+    }
+    return bySku;
+  }
+
+  /**
+   * Change a SKU's units at one location only, as a transfer does
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} locationId - StockLocation UUID
+   * @param {string} sku - Item SKU
+   * @param {number} delta - Units added (positive) or taken (negative)
+   */
+  static async adjustLocation(client, companyId, locationId, sku, delta) {
+    await client.locationStock.upsert({
+      where: {
+        locationId_sku: { locationId, sku }
+      },
+      create: {
+        companyId,
+        locationId,
+        sku,
+        qtyOnHand: delta
+      },
+      update: {
+        qtyOnHand: { increment: delta }
+      }
+    });
+  }
+
+  /**
+   * Stock entering or leaving the company at a location: changes the
+   * location's units and the item's total
+   * @param {Object} tx - Prisma transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} locationId - StockLocation UUID
+   * @param {string} sku - Item SKU
+   * @param {number} delta - Units added (positive) or taken (negative)
+   */
+  static async move(tx, companyId, locationId, sku, delta) {
+    await this.adjustLocation(tx, companyId, locationId, sku, delta);
+
+    await tx.inventoryItem.update({
+      where: {
+        companyId_sku: { companyId, sku }
+      },
+      data: {
+        qtyOnHand: { increment: delta }
+      }
+    });
+  }
+
+  /**
+   * Items with their stock at one location in place of the company total,
+   * for checking what a location can sell
+   * @param {Object[]} items - InventoryItems
+   * @param {Map} quantities - SKU -> units at the location
+   * @returns {Object[]} Copies of the items
+   */
+  static atLocation(items, quantities) {
+    return items.map(item => ({ ...item, qtyOnHand: quantities.get(item.sku) || 0 }));
+  }
+
+  /**
+   * SKUs a transfer would take more of than the source location holds
+   * @param {Object[]} lines - [{ sku, quantity }]; a SKU may repeat
+   * @param {Map} quantities - SKU -> units at the source
+   * @returns {Object[]} [{ sku, available, requested }] (empty when all are there)
+   */
+  static shortages(lines, quantities) {
+    const requested = new Map();
+    for (const line of lines) {
+      requested.set(line.sku, (requested.get(line.sku) || 0) + line.quantity);
+    }
+
+    return [...requested]
+      .map(([sku, quantity]) => ({ sku, available: quantities.get(sku) || 0, requested: quantity }))
+      .filter(s => s.available < s.requested);
+  }
+
+  /**
+   * Stock rows at or below their location's reorder level, prioritized like
+   * the company-wide alerts. Rows without a level set never alert.
+   * @param {Object[]} rows - LocationStocks
+   * @returns {Object[]} Alerting rows with shortBy (units to reach the level) and priority, emptiest first
+   */
+  static lowStock(rows) {
+    return rows
+      .filter(row => row.reorderLevel !== null && row.reorderLevel !== undefined && row.qtyOnHand <= row.reorderLevel)
+      .map(row => ({
+        ...row,
+        shortBy: row.reorderLevel - row.qtyOnHand,
+        priority: row.qtyOnHand <= 0 ? 'CRITICAL'
+          : row.qtyOnHand <= row.reorderLevel * 0.3 ? 'HIGH'
+            : 'MEDIUM'
+      }))
+      .sort((a, b) => a.qtyOnHand - b.qtyOnHand || a.sku.localeCompare(b.sku));
+  }
+}
+
+module.exports = LocationService;
@@ -0,0 +1,203 @@
+/**
+ * Lot Service
+ * Stock tracked in lots, each with its own quantity, expiry and location.
+ * Stock leaving a location without a lot named is taken from that location's
+ * lots first-expired-first-out; lots without an expiry go after dated ones,
+ * and stock with no lot at all goes last. Returned units come back without a
+ * lot since nobody knows which batch they came from.
+ */
+
+const { fromCents } = require('../utils/money');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar day of a date as a UTC timestamp, so date-only columns compare cleanly
+const dayOf = (date) => Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+const expiryDayOf = (expiryDate) => {
+  const date = new Date(expiryDate);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+class LotService {
+  /**
+   * Lots in the order stock leaves them: earliest expiry first, undated lots
+   * last, oldest receipt first between equals
+   * @param {Object[]} lots - InventoryLots
+   * @returns {Object[]} Sorted copy
+   */
+  static fefo(lots) {
+    return [...lots].sort((a, b) => {
+      if (a.expiryDate && b.expiryDate) {
+        const byExpiry = new Date(a.expiryDate) - new Date(b.expiryDate);
+        if (byExpiry !== 0) return byExpiry;
+      } else if (a.expiryDate || b.expiryDate) {
+        return a.expiryDate ? -1 : 1;
+      }
+      return new Date(a.receivedAt) - new Date(b.receivedAt);
+    });
+  }
+
+  /**
+   * Units to take from each lot for `quantity` units leaving stock. Whatever
+   * the lots cannot cover comes out of stock with no lot.
+   * @param {Object[]} lots - InventoryLots of one SKU
+   * @param {number} quantity - Units leaving
+   * @returns {Object[]} [{ lot, quantity }]
+   */
+  static planConsumption(lots, quantity) {
+    const takes = [];
+    let remaining = quantity;
+
+    for (const lot of this.fefo(lots)) {
+      if (remaining <= 0) break;
+      if (lot.quantity <= 0) continue;
+
+      const take = Math.min(lot.quantity, remaining);
+      takes.push({ lot, quantity: take });
+      remaining -= take;
+    }
+
+    return takes;
+  }
+
+  /**
+   * Take units of a SKU out of a location's lots, FEFO. Lots are locked so
+   * two sales finalized together cannot both take the same units.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} sku - Item SKU
+   * @param {number} quantity - Units leaving
+   * @param {string} locationId - StockLocation UUID the units leave from
+   * @returns {Object[]} [{ lot, quantity }] taken
+   */
+  static async consume(tx, companyId, sku, quantity, locationId) {
+    await tx.$queryRaw`SELECT id FROM "inventory_lot" WHERE company_id = ${companyId}::uuid AND sku = ${sku} AND location_id = ${locationId}::uuid AND quantity > 0 FOR UPDATE`;
+
+    const lots = await tx.inventoryLot.findMany({
+      where: {
+        companyId,
+        sku,
+        locationId,
+        quantity: { gt: 0 }
+      }
+    });
+
+    const takes = this.planConsumption(lots, quantity);
+    for (const take of takes) {
+      await tx.inventoryLot.update({
+        where: { id: take.lot.id },
+        data: {
+          quantity: { decrement: take.quantity }
+        }
+      });
+    }
+
+    return takes;
+  }
+
+  /**
+   * Move units of a SKU's lots from one location to another, FEFO, so the
+   * first to expire go where they will be sold. Each lot moved keeps its
+   * code, expiry, cost and receipt date at the destination.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} sku - Item SKU
+   * @param {number} quantity - Units moving
+   * @param {string} fromLocationId - Source StockLocation UUID
+   * @param {string} toLocationId - Destination StockLocation UUID
+   * @returns {Object[]} [{ lot, quantity }] moved, with lot being the destination lot
+   */
+  static async transfer(tx, companyId, sku, quantity, fromLocationId, toLocationId) {
+    const takes = await this.consume(tx, companyId, sku, quantity, fromLocationId);
+    const moved = [];
+
+    for (const take of takes) {
+      const lot = await tx.inventoryLot.create({
+        data: {
+          companyId,
+          sku,
+          locationId: toLocationId,
+          lotCode: take.lot.lotCode,
+          expiryDate: take.lot.expiryDate,
+          receivedQuantity: take.quantity,
+          quantity: take.quantity,
+          unitCost: take.lot.unitCost,
+          receivedAt: take.lot.receivedAt
+        }
+      });
+      moved.push({ lot, quantity: take.quantity });
+    }
+
+    return moved;
+  }
+
+  /**
+   * Today as a date-only value, for comparing against lot expiry dates
+   * @param {Date} now - Reference time
+   * @returns {Date} Today at 00:00 UTC
+   */
+  static today(now = new Date()) {
+    return new Date(dayOf(now));
+  }
+
+  /**
+   * Days from today until a lot expires: 0 on its expiry day, negative once expired
+   * @param {Date|string} expiryDate - Lot expiry (date only)
+   * @param {Date} now - Reference time
+   * @returns {number} Days remaining
+   */
+  static daysRemaining(expiryDate, now = new Date()) {
+    return Math.round((expiryDayOf(expiryDate) - dayOf(now)) / DAY);
+  }
+
+  /**
+   * Priority and recommended action for stock expiring in some days
+   * @param {number} daysRemaining - Days until expiry
+   * @returns {Object} { priority, action }
+   */
+  static urgency(daysRemaining) {
+    if (daysRemaining < 0) {
+      return { priority: 'EXPIRED', action: 'WRITE_OFF' };
+    }
+
+    return {
+      priority: daysRemaining <= 3 ? 'CRITICAL'
+        : daysRemaining <= 7 ? 'HIGH'
+          : daysRemaining <= 14 ? 'MEDIUM'
+            : 'LOW',
+      action: daysRemaining <= 3 ? 'REMOVE_IMMEDIATELY'
+        : daysRemaining <= 7 ? 'DISCOUNT_OR_REMOVE'
+          : 'MONITOR'
+    };
+  }
+
+  /**
+   * A dated lot with its days remaining, urgency and the value that would be
+   * lost if it expired. Lots without a cost of their own use the item's.
+   * @param {Object} lot - InventoryLot with item (name, unitCost) and optionally location loaded
+   * @param {Date} now - Reference time
+   * @returns {Object} Lot report entry
+   */
+  static describe(lot, now = new Date()) {
+    const daysRemaining = this.daysRemaining(lot.expiryDate, now);
+    const cost = lot.unitCost !== null && lot.unitCost !== undefined ? lot.unitCost : lot.item && lot.item.unitCost;
+    const hasCost = cost !== null && cost !== undefined;
+
+    return {
+      lotId: lot.id,
+      sku: lot.sku,
+      name: lot.item ? lot.item.name : null,
+      lotCode: lot.lotCode,
+      locationId: lot.locationId,
+      location: lot.location ? lot.location.name : null,
+      expiryDate: lot.expiryDate,
+      quantity: lot.quantity,
+      daysRemaining,
+      ...this.urgency(daysRemaining),
+      unitCost: hasCost ? parseFloat(cost) : null,
+      valueAtRisk: hasCost ? fromCents(Math.round(parseFloat(cost) * lot.quantity * 100)) : null
+    };
+  }
+}
+
+module.exports = LotService;
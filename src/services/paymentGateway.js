@@ -0,0 +1,172 @@
+/**
+ * Payment Gateway
+ * Routes card and PIX payments to the provider configured for their method
+ * (PAYMENT_CARD_PROVIDER, PAYMENT_PIX_PROVIDER): "simulator", "card-terminal"
+ * or "pix". Methods without a provider - cash, other, or card/PIX left on
+ * "manual" - are taken by hand as before, with the authCode typed in.
+ *
+ * Payments are authorized when they are added, captured when the sale is
+ * finalized, voided through the provider that took them, and refunded back to it.
+ */
+
+const SimulatorProvider = require('./paymentProviders/simulatorProvider');
+const CardTerminalProvider = require('./paymentProviders/cardTerminalProvider');
+const PixProvider = require('./paymentProviders/pixProvider');
+const PaymentError = require('./paymentProviders/paymentError');
+const { toCents } = require('../utils/money');
+
+const PROVIDERS = {
+  simulator: () => new SimulatorProvider(),
+  'card-terminal': () => new CardTerminalProvider(),
+  pix: () => new PixProvider()
+};
+
+// How long a provider call other than authorizing at a card terminal may take
+const CALL_TIMEOUT_MS = parseInt(process.env.PAYMENT_TIMEOUT_MS, 10) || 10000;
+// Authorizing at a card terminal waits for the customer to present the card
+const AUTHORIZE_TIMEOUT_MS = Math.max(parseInt(process.env.CARD_TERMINAL_TIMEOUT_MS, 10) || 120000, CALL_TIMEOUT_MS);
+
+// Provider instances, created on first use
+const instances = new Map();
+
+class PaymentGateway {
+  /**
+   * Provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} Provider
+   */
+  static get(name) {
+    if (!instances.has(name)) {
+      if (!PROVIDERS[name]) {
+        throw new Error(`Unknown payment provider "${name}"`);
+      }
+      instances.set(name, PROVIDERS[name]());
+    }
+
+    return instances.get(name);
+  }
+
+  /**
+   * Use a given provider instance under its name (tests, or a simulator set up by hand)
+   * @param {Object} provider - Provider with a name
+   */
+  static register(provider) {
+    instances.set(provider.name, provider);
+  }
+
+  /**
+   * Name of the provider that takes a payment method
+   * @param {string} method - PaymentMethod
+   * @returns {string|null} Provider name, or null when taken by hand
+   */
+  static providerName(method) {
+    const configured = {
+      CARD: process.env.PAYMENT_CARD_PROVIDER,
+      PIX: process.env.PAYMENT_PIX_PROVIDER
+    }[method];
+
+    return configured && configured !== 'manual' ? configured : null;
+  }
+
+  /**
+   * Authorize a new payment with its method's provider
+   * @param {string} method - PaymentMethod
+   * @param {Object} request - { amount, reference, authCode }
+   * @returns {Object|null} { provider, providerRef, authCode, captured }, or null when taken by hand
+   */
+  static async authorize(method, { amount, reference, authCode }) {
+    const name = this.providerName(method);
+    if (!name) return null;
+
+    const result = await this.get(name).authorize({
+      amountCents: toCents(amount),
+      reference,
+      authCode: authCode || null
+    });
+
+    return { provider: name, ...result };
+  }
+
+  /**
+   * Capture an authorized payment; payments taken by hand or already captured are left alone
+   * @param {Object} payment - Payment
+   */
+  static async capture(payment) {
+    if (!payment.provider || payment.capturedAt) return;
+
+    await this.get(payment.provider).capture({
+      providerRef: payment.providerRef,
+      amountCents: toCents(payment.amount)
+    });
+  }
+
+  /**
+   * Give a payment back in full: void it while only authorized, refund it once captured
+   * @param {Object} payment - Payment
+   */
+  static async void(payment) {
+    if (!payment.provider) return;
+
+    const provider = this.get(payment.provider);
+    const request = { providerRef: payment.providerRef, amountCents: toCents(payment.amount) };
+
+    if (payment.capturedAt) {
+      await provider.refund({ ...request, reference: payment.id });
+    } else {
+      await provider.void(request);
+    }
+  }
+
+  /**
+   * Refund part of a captured payment back through its provider
+   * @param {Object} payment - Payment
+   * @param {number} amountCents - Amount to refund (cents)
+   * @param {string} reference - Our reference for the refund
+   * @returns {string|null} Provider's refund reference, or null when taken by hand
+   */
+  static async refund(payment, amountCents, reference) {
+    if (!payment.provider) return null;
+
+    const result = await this.get(payment.provider).refund({
+      providerRef: payment.providerRef,
+      amountCents,
+      reference
+    });
+
+    return result.providerRef || null;
+  }
+
+  /**
+   * Create a PIX charge (cobrança) with the PIX provider
+   * @param {Object} request - { txid, amountCents, expiresInSeconds, pixKey, merchantName, merchantCity, description }
+   * @returns {Object} { provider, brCode, location }
+   * @throws {PaymentError} UNAVAILABLE when PIX is taken by hand
+   */
+  static async createCharge(request) {
+    const name = this.providerName('PIX');
+    if (!name) {
+      throw new PaymentError('UNAVAILABLE', 'PIX charges need a PIX provider (PAYMENT_PIX_PROVIDER)');
+    }
+
+    const provider = this.get(name);
+    if (!provider.createCharge) {
+      throw new PaymentError('UNAVAILABLE', `Payment provider "${name}" does not create PIX charges`);
+    }
+
+    return { provider: name, ...(await provider.createCharge(request)) };
+  }
+
+  /**
+   * Withdraw a PIX charge at the provider that created it
+   * @param {Object} charge - PixCharge
+   */
+  static async cancelCharge(charge) {
+    await this.get(charge.provider).cancelCharge({ txid: charge.txid });
+  }
+}
+
+PaymentGateway.PaymentError = PaymentError;
+PaymentGateway.CALL_TIMEOUT_MS = CALL_TIMEOUT_MS;
+PaymentGateway.AUTHORIZE_TIMEOUT_MS = AUTHORIZE_TIMEOUT_MS;
+
+module.exports = PaymentGateway;
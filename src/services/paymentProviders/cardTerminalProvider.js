@@ -0,0 +1,97 @@
+/**
+ * Card Terminal Provider
+ * Adapter for the card terminal bridge running next to the tills
+ * (CARD_TERMINAL_URL, authenticated with CARD_TERMINAL_API_KEY). Authorizing
+ * waits for the customer at the terminal, so it gets its own, longer timeout.
+ *
+ * Bridge API (amounts in cents):
+ *   POST /transactions                  { amount, reference }  -> { approved, id, authCode, message }
+ *   POST /transactions/{id}/capture     { amount }             -> { approved, message }
+ *   POST /transactions/{id}/void        {}                     -> { approved, message }
+ *   POST /transactions/{id}/refunds     { amount, reference }  -> { approved, id, message }
+ */
+
+const PaymentError = require('./paymentError');
+const { request } = require('./httpClient');
+
+class CardTerminalProvider {
+  /**
+   * @param {Object} options - { baseUrl, apiKey, authorizeTimeoutMs, timeoutMs }
+   */
+  constructor({
+    baseUrl = process.env.CARD_TERMINAL_URL,
+    apiKey = process.env.CARD_TERMINAL_API_KEY,
+    authorizeTimeoutMs = parseInt(process.env.CARD_TERMINAL_TIMEOUT_MS, 10) || 120000,
+    timeoutMs = parseInt(process.env.PAYMENT_TIMEOUT_MS, 10) || 10000
+  } = {}) {
+    this.name = 'card-terminal';
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.authorizeTimeoutMs = authorizeTimeoutMs;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Call the bridge and fail with DECLINED unless it approved
+   * @param {string} path - Bridge path
+   * @param {Object} body - Request body
+   * @param {number} timeoutMs - How long to wait
+   * @returns {Object} Bridge answer
+   */
+  async call(path, body, timeoutMs = this.timeoutMs) {
+    const { body: answer } = await request({
+      baseUrl: this.baseUrl,
+      method: 'POST',
+      path,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      body,
+      timeoutMs,
+      label: 'Card terminal'
+    });
+
+    if (!answer || answer.approved !== true) {
+      throw new PaymentError('DECLINED', (answer && answer.message) || 'Card declined');
+    }
+
+    return answer;
+  }
+
+  /**
+   * @param {Object} request - { amountCents, reference }
+   * @returns {Object} { providerRef, authCode, captured }
+   */
+  async authorize({ amountCents, reference }) {
+    const answer = await this.call('/transactions', { amount: amountCents, reference }, this.authorizeTimeoutMs);
+
+    return { providerRef: answer.id, authCode: answer.authCode || null, captured: false };
+  }
+
+  /**
+   * @param {Object} request - { providerRef, amountCents }
+   */
+  async capture({ providerRef, amountCents }) {
+    await this.call(`/transactions/${encodeURIComponent(providerRef)}/capture`, { amount: amountCents });
+  }
+
+  /**
+   * @param {Object} request - { providerRef }
+   */
+  async void({ providerRef }) {
+    await this.call(`/transactions/${encodeURIComponent(providerRef)}/void`, {});
+  }
+
+  /**
+   * @param {Object} request - { providerRef, amountCents, reference }
+   * @returns {Object} { providerRef } of the refund
+   */
+  async refund({ providerRef, amountCents, reference }) {
+    const answer = await this.call(`/transactions/${encodeURIComponent(providerRef)}/refunds`, {
+      amount: amountCents,
+      reference
+    });
+
+    return { providerRef: answer.id || null };
+  }
+}
+
+module.exports = CardTerminalProvider;
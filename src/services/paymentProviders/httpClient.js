@@ -0,0 +1,52 @@
+/**
+ * JSON over HTTP for the payment adapters, with the provider timeout applied
+ * and transport failures turned into PaymentErrors.
+ */
+
+const PaymentError = require('./paymentError');
+
+/**
+ * Send a request and parse the JSON answer
+ * @param {Object} options - { baseUrl, method, path, headers, body, timeoutMs, label }
+ * @returns {Object} { status, body } - body is null when the answer has none
+ */
+const request = async ({ baseUrl, method = 'GET', path, headers = {}, body, timeoutMs, label }) => {
+  if (!baseUrl) {
+    throw new PaymentError('UNAVAILABLE', `${label} is not configured`);
+  }
+
+  let response;
+  try {
+    response = await fetch(new URL(path, baseUrl), {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new PaymentError('TIMEOUT', `${label} did not answer in time`);
+    }
+    throw new PaymentError('UNAVAILABLE', `${label} is unreachable: ${error.message}`);
+  }
+
+  const text = await response.text();
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (error) {
+    throw new PaymentError('UNAVAILABLE', `${label} sent an invalid answer`);
+  }
+
+  if (response.status >= 500) {
+    throw new PaymentError('UNAVAILABLE', `${label} failed with status ${response.status}`);
+  }
+
+  return { status: response.status, body: parsed };
+};
+
+module.exports = { request };
@@ -0,0 +1,26 @@
+/**
+ * Payment Error
+ * Raised by payment providers when a transaction does not go through. The code
+ * says why, and maps to the HTTP status the API answers with.
+ */
+
+const STATUS_BY_CODE = {
+  DECLINED: 402,
+  TIMEOUT: 504,
+  UNAVAILABLE: 502
+};
+
+class PaymentError extends Error {
+  /**
+   * @param {string} code - DECLINED, TIMEOUT or UNAVAILABLE
+   * @param {string} message - Reason shown to the cashier
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 502;
+  }
+}
+
+module.exports = PaymentError;
@@ -0,0 +1,159 @@
+/**
+ * PIX Provider
+ * Adapter for the PSP's API Pix, as specified by the Central Bank (PIX_PSP_URL,
+ * authenticated with PIX_PSP_TOKEN). A PIX is settled the moment it is received,
+ * so authorizing checks the transfer the customer made (its end-to-end ID is
+ * typed in as the authCode), there is nothing to capture, and voids and refunds
+ * are both a devolução. Charges are immediate cobranças paid by QR code.
+ *
+ *   GET   /v2/pix/{e2eid}                 -> { endToEndId, txid, valor, horario }
+ *   PUT   /v2/pix/{e2eid}/devolucao/{id}  { valor } -> { id, rtrId, valor, status }
+ *   PUT   /v2/cob/{txid}                  { calendario, valor, chave } -> { location, pixCopiaECola }
+ *   PATCH /v2/cob/{txid}                  { status: REMOVIDA_PELO_USUARIO_RECEBEDOR }
+ */
+
+const crypto = require('crypto');
+const PaymentError = require('./paymentError');
+const { request } = require('./httpClient');
+const BrCodeService = require('../brCodeService');
+const { toCents, fromCents } = require('../../utils/money');
+
+const LABEL = 'PIX provider';
+
+class PixProvider {
+  /**
+   * @param {Object} options - { baseUrl, token, timeoutMs }
+   */
+  constructor({
+    baseUrl = process.env.PIX_PSP_URL,
+    token = process.env.PIX_PSP_TOKEN,
+    timeoutMs = parseInt(process.env.PAYMENT_TIMEOUT_MS, 10) || 10000
+  } = {}) {
+    this.name = 'pix';
+    this.baseUrl = baseUrl;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Call the PSP
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @returns {Object} { status, body }
+   */
+  async call(method, path, body) {
+    return request({
+      baseUrl: this.baseUrl,
+      method,
+      path,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      body,
+      timeoutMs: this.timeoutMs,
+      label: LABEL
+    });
+  }
+
+  /**
+   * Check a PIX received for the payment
+   * @param {Object} request - { amountCents, authCode (end-to-end ID) }
+   * @returns {Object} { providerRef, authCode, captured }
+   */
+  async authorize({ amountCents, authCode }) {
+    if (!authCode) {
+      throw new PaymentError('DECLINED', 'Enter the end-to-end ID of the PIX received');
+    }
+
+    const { status, body } = await this.call('GET', `/v2/pix/${encodeURIComponent(authCode)}`);
+
+    if (status === 404) {
+      throw new PaymentError('DECLINED', 'No PIX received with this end-to-end ID');
+    }
+
+    if (status >= 400 || !body) {
+      throw new PaymentError('DECLINED', (body && body.detail) || 'PIX could not be checked');
+    }
+
+    if (toCents(body.valor) !== amountCents) {
+      throw new PaymentError('DECLINED', `PIX received was ${body.valor}, not ${fromCents(amountCents).toFixed(2)}`);
+    }
+
+    return { providerRef: body.endToEndId || authCode, authCode, captured: true };
+  }
+
+  /**
+   * Nothing to capture - a PIX is settled when received
+   */
+  async capture() {}
+
+  /**
+   * @param {Object} request - { providerRef, amountCents }
+   */
+  async void({ providerRef, amountCents }) {
+    await this.refund({ providerRef, amountCents });
+  }
+
+  /**
+   * Return part or all of a PIX to the payer. With our reference the devolução
+   * id is always the same, so sending it again cannot return the money twice.
+   * @param {Object} request - { providerRef, amountCents, reference }
+   * @returns {Object} { providerRef } of the devolução
+   */
+  async refund({ providerRef, amountCents, reference }) {
+    const id = `D${reference ? reference.replace(/[^A-Za-z0-9]/g, '').slice(0, 34) : crypto.randomBytes(16).toString('hex')}`;
+    const { status, body } = await this.call('PUT', `/v2/pix/${encodeURIComponent(providerRef)}/devolucao/${id}`, {
+      valor: fromCents(amountCents).toFixed(2)
+    });
+
+    if (status >= 400 || !body || body.status === 'NAO_REALIZADO') {
+      throw new PaymentError('DECLINED', (body && (body.detail || body.motivo)) || 'PIX refund was refused');
+    }
+
+    return { providerRef: body.rtrId || body.id || id };
+  }
+
+  /**
+   * Create an immediate cobrança
+   * @param {Object} request - { txid, amountCents, expiresInSeconds, pixKey, merchantName, merchantCity, description }
+   * @returns {Object} { brCode, location }
+   */
+  async createCharge({ txid, amountCents, expiresInSeconds, pixKey, merchantName, merchantCity, description }) {
+    const { status, body } = await this.call('PUT', `/v2/cob/${encodeURIComponent(txid)}`, {
+      calendario: { expiracao: expiresInSeconds },
+      valor: { original: fromCents(amountCents).toFixed(2) },
+      chave: pixKey,
+      ...(description && { solicitacaoPagador: description.slice(0, 140) })
+    });
+
+    if (status >= 400 || !body || !body.location) {
+      throw new PaymentError('DECLINED', (body && body.detail) || 'PIX charge was refused');
+    }
+
+    return {
+      location: body.location,
+      brCode: body.pixCopiaECola || BrCodeService.build({
+        location: body.location,
+        amount: fromCents(amountCents),
+        merchantName,
+        merchantCity,
+        txid
+      })
+    };
+  }
+
+  /**
+   * Withdraw a cobrança so it can no longer be paid
+   * @param {Object} request - { txid }
+   */
+  async cancelCharge({ txid }) {
+    const { status, body } = await this.call('PATCH', `/v2/cob/${encodeURIComponent(txid)}`, {
+      status: 'REMOVIDA_PELO_USUARIO_RECEBEDOR'
+    });
+
+    if (status >= 400) {
+      throw new PaymentError('DECLINED', (body && body.detail) || 'PIX charge could not be canceled');
+    }
+  }
+}
+
+module.exports = PixProvider;
@@ -0,0 +1,119 @@
+/**
+ * Simulator Provider
+ * Payment provider that never leaves the machine, for development and tests.
+ * Every call is approved, declined or times out depending on its mode
+ * (PAYMENT_SIMULATOR_MODE), after an optional latency (PAYMENT_SIMULATOR_LATENCY_MS).
+ * PIX charges get a real BR Code pointing to a made-up location; paying them
+ * is simulated through the charge's simulate-payment endpoint.
+ */
+
+const crypto = require('crypto');
+const PaymentError = require('./paymentError');
+const BrCodeService = require('../brCodeService');
+const { fromCents } = require('../../utils/money');
+
+const CHARGE_LOCATION = 'pix.simulator.local/v2/cob';
+
+const MODES = ['approve', 'decline', 'timeout'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SimulatorProvider {
+  /**
+   * @param {Object} options - { name, mode, latencyMs, capturesOnAuthorize }
+   */
+  constructor({
+    name = 'simulator',
+    mode = process.env.PAYMENT_SIMULATOR_MODE || 'approve',
+    latencyMs = parseInt(process.env.PAYMENT_SIMULATOR_LATENCY_MS, 10) || 0,
+    capturesOnAuthorize = false
+  } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown payment simulator mode "${mode}" (expected ${MODES.join(', ')})`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.latencyMs = latencyMs;
+    this.capturesOnAuthorize = capturesOnAuthorize;
+  }
+
+  /**
+   * Wait, then answer as the mode says
+   * @param {string} action - What was asked, for the error message
+   */
+  async respond(action) {
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs);
+    }
+
+    if (this.mode === 'decline') {
+      throw new PaymentError('DECLINED', `Simulator declined the ${action}`);
+    }
+
+    if (this.mode === 'timeout') {
+      throw new PaymentError('TIMEOUT', `Simulator timed out on the ${action}`);
+    }
+  }
+
+  /**
+   * @param {Object} request - { amountCents, reference }
+   * @returns {Object} { providerRef, authCode, captured }
+   */
+  async authorize(_request) {
+    await this.respond('authorization');
+
+    return {
+      providerRef: `SIM-${crypto.randomUUID()}`,
+      authCode: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+      captured: this.capturesOnAuthorize
+    };
+  }
+
+  /**
+   * @param {Object} request - { providerRef, amountCents }
+   */
+  async capture(_request) {
+    await this.respond('capture');
+  }
+
+  /**
+   * @param {Object} request - { providerRef, amountCents }
+   */
+  async void(_request) {
+    await this.respond('void');
+  }
+
+  /**
+   * @param {Object} request - { providerRef, amountCents, reference }
+   * @returns {Object} { providerRef } of the refund
+   */
+  async refund(_request) {
+    await this.respond('refund');
+
+    return { providerRef: `SIM-${crypto.randomUUID()}` };
+  }
+
+  /**
+   * @param {Object} request - { txid, amountCents, merchantName, merchantCity }
+   * @returns {Object} { brCode, location }
+   */
+  async createCharge({ txid, amountCents, merchantName, merchantCity }) {
+    await this.respond('PIX charge');
+
+    const location = `${CHARGE_LOCATION}/${txid}`;
+    return {
+      location,
+      brCode: BrCodeService.build({ location, amount: fromCents(amountCents), merchantName, merchantCity, txid })
+    };
+  }
+
+  /**
+   * @param {Object} request - { txid }
+   */
+  async cancelCharge(_request) {
+    await this.respond('PIX charge cancellation');
+  }
+}
+
+module.exports = SimulatorProvider;
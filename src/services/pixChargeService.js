@@ -0,0 +1,346 @@
+/**
+ * PIX Charge Service
+ * Charges the balance left on a sale by PIX QR code. A charge is a cobrança
+ * created with the PIX provider for the remaining balance, with a txid of our
+ * own and an expiry (pixChargeMinutes). The PSP tells us when it is paid
+ * through a signed webhook; the payment is then recorded on the sale, which is
+ * finalized if nothing is left to pay.
+ *
+ * A sale has at most one ACTIVE charge: a new one cancels the previous.
+ */
+
+const crypto = require('crypto');
+const SaleTotals = require('./saleTotals');
+const TenderService = require('./tenderService');
+const SettingsService = require('./settingsService');
+const SaleFinalizationService = require('./saleFinalizationService');
+const PaymentGateway = require('./paymentGateway');
+const { toCents, fromCents } = require('../utils/money');
+
+const SIGNATURE_PREFIX = 'sha256=';
+
+// Lock an open sale and work out what is left to pay on it; null once the sale is closed
+const lockBalance = async (tx, companyId, saleId) => {
+  await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+  const open = await tx.sale.findFirst({
+    where: { id: saleId, status: 'OPEN' },
+    select: { id: true }
+  });
+  if (!open) {
+    return null;
+  }
+
+  const sale = await SaleTotals.recalculate(tx, companyId, saleId);
+  const payments = await tx.payment.findMany({
+    where: { saleId, voidedAt: null }
+  });
+
+  return { sale, payments, ...TenderService.balance(sale.grandTotal, payments) };
+};
+
+// Give a PIX the charge could not keep back to the payer, recording on the charge
+// whether it went back. The charge already holds the PIX's endToEndId, so a
+// redelivery will not return it twice.
+const returnPix = async (client, charge, { endToEndId, amount, now }) => {
+  try {
+    await PaymentGateway.void({
+      id: charge.id,
+      provider: charge.provider,
+      providerRef: endToEndId,
+      amount,
+      capturedAt: now
+    });
+  } catch (error) {
+    console.error(`Could not return PIX ${endToEndId}, it has to be refunded by hand:`, error.message);
+    await client.pixCharge.update({
+      where: { id: charge.id },
+      data: { returnError: error.message.slice(0, 500) }
+    });
+    return false;
+  }
+
+  await client.pixCharge.update({
+    where: { id: charge.id },
+    data: { returnedAt: new Date() }
+  });
+  return true;
+};
+
+class PixChargeService {
+  /**
+   * Create a charge for the balance left on an OPEN sale
+   * @param {Object} client - Prisma client
+   * @param {Object} params - { companyId, saleId, actorCpf }
+   * @returns {Object} { charge, replaced } when created, otherwise one of { noPixKey },
+   *   { notFound }, { closed } or { paid }
+   * @throws {PaymentError} When there is no PIX provider or it refuses the charge
+   */
+  static async create(client, { companyId, saleId, actorCpf }) {
+    const settings = await SettingsService.get(client, companyId);
+    if (!settings.pixKey) {
+      return { noPixKey: true };
+    }
+
+    const sale = await client.sale.findFirst({
+      where: { id: saleId, companyId },
+      include: {
+        company: {
+          select: { name: true, tradeName: true, city: true }
+        }
+      }
+    });
+
+    if (!sale) {
+      return { notFound: true };
+    }
+
+    if (sale.status !== 'OPEN') {
+      return { closed: true };
+    }
+
+    const balance = await client.$transaction(tx => lockBalance(tx, companyId, saleId));
+    if (!balance) {
+      return { closed: true };
+    }
+
+    const { remainingCents } = balance;
+    if (remainingCents === 0) {
+      return { paid: true };
+    }
+
+    const txid = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + settings.pixChargeMinutes * 60 * 1000);
+
+    const created = await PaymentGateway.createCharge({
+      txid,
+      amountCents: remainingCents,
+      expiresInSeconds: settings.pixChargeMinutes * 60,
+      pixKey: settings.pixKey,
+      merchantName: sale.company.tradeName || sale.company.name,
+      merchantCity: sale.company.city,
+      description: `Sale ${saleId}`
+    });
+
+    const { charge, replaced } = await client.$transaction(async (tx) => {
+      const previous = await tx.pixCharge.findMany({
+        where: { saleId, status: 'ACTIVE' }
+      });
+
+      await tx.pixCharge.updateMany({
+        where: { id: { in: previous.map(c => c.id) } },
+        data: { status: 'CANCELED' }
+      });
+
+      const charge = await tx.pixCharge.create({
+        data: {
+          companyId,
+          saleId,
+          txid,
+          amount: fromCents(remainingCents),
+          provider: created.provider,
+          brCode: created.brCode,
+          location: created.location || null,
+          expiresAt,
+          createdByCpf: actorCpf
+        }
+      });
+
+      return { charge, replaced: previous };
+    });
+
+    // Withdraw the replaced charges at the PSP too; if one is paid anyway the
+    // webhook still records it, as long as the sale has a balance left
+    for (const old of replaced) {
+      try {
+        await PaymentGateway.cancelCharge(old);
+      } catch (error) {
+        console.error(`Could not cancel PIX charge ${old.txid}:`, error.message);
+      }
+    }
+
+    return { charge, replaced: replaced.length };
+  }
+
+  /**
+   * Record a PIX received for a charge, finalizing the sale once fully paid
+   * A PIX for another amount than the charge's, or for a sale that can no longer
+   * take it, is recorded on the charge and given back.
+   * @param {Object} client - Prisma client
+   * @param {Object} pix - { txid, endToEndId, valor } as sent by the PSP
+   * @returns {Object} { status } - RECORDED (with payment and finalized), UNKNOWN,
+   *   DUPLICATE, or MISMATCH or RETURNED (with returned: whether it went back)
+   */
+  static async confirm(client, { txid, endToEndId, valor }) {
+    const charge = await client.pixCharge.findUnique({ where: { txid } });
+    if (!charge) {
+      return { status: 'UNKNOWN' };
+    }
+
+    if (charge.endToEndId) {
+      return { status: 'DUPLICATE' };
+    }
+
+    const now = new Date();
+
+    // The PSP only settles a cobrança for its amount; anything else is not ours to keep
+    if (toCents(valor) !== toCents(charge.amount)) {
+      const reason = `PIX was ${valor}, not ${parseFloat(charge.amount).toFixed(2)}`;
+      const claimed = await client.pixCharge.updateMany({
+        where: { id: charge.id, endToEndId: null },
+        data: { status: 'CANCELED', endToEndId, paidAt: now, receivedAmount: valor, returnReason: reason }
+      });
+      if (claimed.count === 0) {
+        return { status: 'DUPLICATE' };
+      }
+
+      console.error(`Returning PIX ${endToEndId} for charge ${txid}: ${reason}`);
+      return { status: 'MISMATCH', returned: await returnPix(client, charge, { endToEndId, amount: valor, now }) };
+    }
+
+    const result = await client.$transaction(async (tx) => {
+      const balance = await lockBalance(tx, charge.companyId, charge.saleId);
+
+      // Webhooks are retried: only the first delivery counts
+      const current = await tx.pixCharge.findUnique({ where: { id: charge.id } });
+      if (current.endToEndId) {
+        return { status: 'DUPLICATE' };
+      }
+
+      const refusal = balance
+        ? TenderService.refusal(balance.remainingCents, { method: 'PIX', amount: charge.amount })
+        : 'Sale is no longer open';
+
+      if (refusal) {
+        await tx.pixCharge.update({
+          where: { id: charge.id },
+          data: {
+            status: 'CANCELED',
+            endToEndId,
+            paidAt: now,
+            receivedAmount: charge.amount,
+            returnReason: refusal
+          }
+        });
+
+        return { status: 'RETURNED', reason: refusal };
+      }
+
+      const payment = await tx.payment.create({
+        data: {
+          companyId: charge.companyId,
+          saleId: charge.saleId,
+          method: 'PIX',
+          amount: charge.amount,
+          authCode: endToEndId,
+          provider: charge.provider,
+          providerRef: endToEndId,
+          capturedAt: now
+        }
+      });
+
+      await tx.pixCharge.update({
+        where: { id: charge.id },
+        data: { status: 'COMPLETED', endToEndId, paymentId: payment.id, paidAt: now }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          companyId: charge.companyId,
+          actorCpf: charge.createdByCpf,
+          action: 'PIX_PAYMENT_RECEIVED',
+          targetType: 'SALE',
+          targetId: charge.saleId,
+          metadataJson: {
+            txid,
+            endToEndId,
+            paymentId: payment.id,
+            amount: charge.amount.toString()
+          }
+        }
+      });
+
+      return { payment, balance: TenderService.balance(balance.sale.grandTotal, [...balance.payments, payment]) };
+    });
+
+    if (result.status === 'RETURNED') {
+      console.error(`Returning PIX ${endToEndId} for charge ${txid}: ${result.reason}`);
+      return { status: 'RETURNED', returned: await returnPix(client, charge, { endToEndId, amount: charge.amount, now }) };
+    }
+
+    if (!result.payment) {
+      return result;
+    }
+
+    let finalized = false;
+    if (result.balance.remainingCents === 0) {
+      // The payment is kept even if the sale cannot be closed yet - the till can finalize it
+      try {
+        const closed = await SaleFinalizationService.finalize(client, {
+          companyId: charge.companyId,
+          saleId: charge.saleId,
+          actorCpf: charge.createdByCpf
+        });
+        finalized = Boolean(closed.sale);
+        if (closed.conflict) {
+          console.error(`Sale ${charge.saleId} was paid by PIX ${endToEndId} but cannot be finalized: ${closed.conflict}`);
+        }
+      } catch (error) {
+        console.error(`Could not finalize sale ${charge.saleId} after PIX ${endToEndId}:`, error.message);
+      }
+    }
+
+    return { status: 'RECORDED', payment: result.payment, finalized };
+  }
+
+  /**
+   * Mark ACTIVE charges past their expiry as EXPIRED
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { expired }
+   */
+  static async expire(client, { companyId, now = new Date() } = {}) {
+    const result = await client.pixCharge.updateMany({
+      where: {
+        ...(companyId && { companyId }),
+        status: 'ACTIVE',
+        expiresAt: {
+          lt: now
+        }
+      },
+      data: { status: 'EXPIRED' }
+    });
+
+    return { expired: result.count };
+  }
+
+  /**
+   * Signature header value for a webhook body
+   * @param {Buffer|string} body - Raw request body
+   * @param {string} secret - Shared secret
+   * @returns {string} "sha256=<hex HMAC>"
+   */
+  static sign(body, secret = process.env.PIX_WEBHOOK_SECRET) {
+    return SIGNATURE_PREFIX + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  /**
+   * Check the signature the PSP sent with a webhook; nothing is trusted without a secret
+   * @param {Buffer|string} body - Raw request body
+   * @param {string} signature - X-Webhook-Signature header
+   * @param {string} secret - Shared secret
+   * @returns {boolean} Whether the signature is valid
+   */
+  static verifySignature(body, signature, secret = process.env.PIX_WEBHOOK_SECRET) {
+    if (!secret || !body || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(body, secret));
+    const given = Buffer.from(signature.trim().toLowerCase());
+
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  }
+}
+
+module.exports = PixChargeService;
@@ -0,0 +1,285 @@
+/**
+ * Pricing Engine
+ * Computes ticket prices from the session's base price and the company's
+ * pricing rules in effect at a given time. Rules run in priority order on the
+ * running price, and every rule that applied is reported so a quote can
+ * explain how the final price was reached.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+
+// Rules of equal priority run in this order
+const TYPE_ORDER = ['TIME_WINDOW', 'MOVIE_PREMIUM', 'OCCUPANCY', 'CATEGORY'];
+
+// Minutes since midnight of an HH:MM string
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+class PricingEngine {
+  /**
+   * Check that a rule has the condition its type is about
+   * @param {Object} rule - Rule fields (type, adjustment, value and conditions)
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validateRule(rule) {
+    const errors = [];
+
+    if (rule.type === 'TIME_WINDOW' && !(rule.weekdays || []).length && !rule.timeFrom) {
+      errors.push('Time window rules need weekdays or a time window');
+    }
+
+    if (Boolean(rule.timeFrom) !== Boolean(rule.timeTo)) {
+      errors.push('timeFrom and timeTo must be given together');
+    }
+
+    if (rule.type === 'CATEGORY' && !(rule.categories || []).length) {
+      errors.push('Category rules need at least one ticket category');
+    }
+
+    if (rule.type === 'MOVIE_PREMIUM' && !(rule.movieIds || []).length) {
+      errors.push('Movie premium rules need at least one movie');
+    }
+
+    if (rule.type === 'OCCUPANCY') {
+      if (!isSet(rule.minOccupancy) && !isSet(rule.maxOccupancy)) {
+        errors.push('Occupancy rules need minOccupancy and/or maxOccupancy');
+      } else if (isSet(rule.minOccupancy) && isSet(rule.maxOccupancy) &&
+        Number(rule.minOccupancy) > Number(rule.maxOccupancy)) {
+        errors.push('minOccupancy cannot exceed maxOccupancy');
+      }
+    }
+
+    if (rule.adjustment === 'PERCENT' && Number(rule.value) < -100) {
+      errors.push('Percent adjustment cannot lower the price by more than 100%');
+    }
+
+    if (rule.adjustment === 'FIXED_PRICE' && Number(rule.value) < 0) {
+      errors.push('Fixed price cannot be negative');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Build the facts rules are matched against
+   * @param {Object} session - Session with room loaded
+   * @param {Object} options - { category, occupancy }
+   * @returns {Object} { weekday, time, movieId, roomType, category, occupancy }
+   */
+  static buildContext(session, { category = 'REGULAR', occupancy = 0 } = {}) {
+    const start = new Date(session.startTime);
+
+    return {
+      weekday: start.getDay(),
+      time: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+      movieId: session.movieId,
+      roomType: session.room.roomType,
+      category,
+      occupancy
+    };
+  }
+
+  /**
+   * Whether every condition of a rule holds
+   * @param {Object} rule - PricingRule
+   * @param {Object} context - Result of buildContext()
+   * @returns {boolean} True when the rule applies
+   */
+  static matches(rule, context) {
+    if (rule.weekdays && rule.weekdays.length && !rule.weekdays.includes(context.weekday)) {
+      return false;
+    }
+
+    if (rule.timeFrom && rule.timeTo) {
+      const from = toMinutes(rule.timeFrom);
+      const to = toMinutes(rule.timeTo);
+      const time = toMinutes(context.time);
+      // A window like 22:00-02:00 wraps past midnight
+      const inWindow = from <= to
+        ? time >= from && time < to
+        : time >= from || time < to;
+      if (!inWindow) return false;
+    }
+
+    if (rule.categories && rule.categories.length && !rule.categories.includes(context.category)) {
+      return false;
+    }
+
+    if (rule.movieIds && rule.movieIds.length && !rule.movieIds.includes(context.movieId)) {
+      return false;
+    }
+
+    if (rule.roomTypes && rule.roomTypes.length && !rule.roomTypes.includes(context.roomType)) {
+      return false;
+    }
+
+    if (isSet(rule.minOccupancy) && context.occupancy < Number(rule.minOccupancy)) {
+      return false;
+    }
+
+    if (isSet(rule.maxOccupancy) && context.occupancy >= Number(rule.maxOccupancy)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply the matching rules to a base price
+   * @param {number} baseCents - Base price (cents)
+   * @param {Object[]} rules - Rules in effect
+   * @param {Object} context - Result of buildContext()
+   * @returns {Object} { baseCents, priceCents, steps: [{ ruleId, ruleKey, version, name, type, adjustment, value, beforeCents, afterCents }] }
+   */
+  static evaluate(baseCents, rules, context) {
+    const applicable = rules
+      .filter(rule => this.matches(rule, context))
+      .sort((a, b) => a.priority - b.priority ||
+        TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+
+    let priceCents = baseCents;
+    const steps = [];
+
+    for (const rule of applicable) {
+      const beforeCents = priceCents;
+      const value = Number(rule.value);
+
+      if (rule.adjustment === 'PERCENT') {
+        priceCents = Math.round(priceCents * (100 + value) / 100);
+      } else if (rule.adjustment === 'AMOUNT') {
+        priceCents += toCents(value);
+      } else {
+        priceCents = toCents(value);
+      }
+
+      priceCents = Math.max(0, priceCents);
+
+      steps.push({
+        ruleId: rule.id,
+        ruleKey: rule.ruleKey,
+        version: rule.version,
+        name: rule.name,
+        type: rule.type,
+        adjustment: rule.adjustment,
+        value,
+        beforeCents,
+        afterCents: priceCents
+      });
+    }
+
+    return { baseCents, priceCents, steps };
+  }
+
+  /**
+   * Base ticket price of a session: its own price, or the room type price
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session with room loaded
+   * @returns {number|null} Price in reais, or null when none is configured
+   */
+  static async basePrice(client, session) {
+    if (session.basePrice && parseFloat(session.basePrice) > 0) {
+      return parseFloat(session.basePrice);
+    }
+
+    const roomTypePrice = await client.roomTypePrice.findUnique({
+      where: {
+        companyId_roomType: {
+          companyId: session.companyId,
+          roomType: session.room.roomType
+        }
+      }
+    });
+
+    return roomTypePrice ? parseFloat(roomTypePrice.price) : null;
+  }
+
+  /**
+   * Rule versions in effect at a point in time
+   * @param {Object} client - Prisma client
+   * @param {string} companyId - Company ID
+   * @param {Date} at - Reference time
+   * @returns {Object[]} PricingRule records
+   */
+  static async loadRules(client, companyId, at = new Date()) {
+    return client.pricingRule.findMany({
+      where: {
+        companyId,
+        effectiveFrom: {
+          lte: at
+        },
+        OR: [
+          { effectiveTo: null },
+          { effectiveTo: { gt: at } }
+        ]
+      },
+      orderBy: [
+        { priority: 'asc' },
+        { ruleKey: 'asc' }
+      ]
+    });
+  }
+
+  /**
+   * Percentage of a session's seats that are sold
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session with room loaded
+   * @returns {number} Occupancy percent (0-100)
+   */
+  static async occupancy(client, session) {
+    if (!session.room.capacity) return 0;
+
+    const sold = await client.ticket.count({
+      where: {
+        sessionId: session.id,
+        status: {
+          notIn: RELEASED_TICKET_STATUSES
+        }
+      }
+    });
+
+    return Math.round(sold / session.room.capacity * 10000) / 100;
+  }
+
+  /**
+   * Price a ticket for a session
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session with room loaded
+   * @param {Object} options - { category, at }
+   * @returns {Object|null} { basePrice, price, category, occupancy, appliedRules } or null without a base price
+   */
+  static async quote(client, session, { category = 'REGULAR', at = new Date() } = {}) {
+    const base = await this.basePrice(client, session);
+    if (base === null) {
+      return null;
+    }
+
+    const [rules, occupancy] = await Promise.all([
+      this.loadRules(client, session.companyId, at),
+      this.occupancy(client, session)
+    ]);
+
+    const context = this.buildContext(session, { category, occupancy });
+    const result = this.evaluate(toCents(base), rules, context);
+
+    return {
+      basePrice: base,
+      price: fromCents(result.priceCents),
+      category,
+      occupancy,
+      appliedRules: result.steps.map(({ beforeCents, afterCents, ...step }) => ({
+        ...step,
+        priceBefore: fromCents(beforeCents),
+        priceAfter: fromCents(afterCents)
+      }))
+    };
+  }
+}
+
+module.exports = PricingEngine;
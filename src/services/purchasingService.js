@@ -0,0 +1,172 @@
+/**
+ * Purchasing Service
+ * Purchase order arithmetic: reorder drafts from low stock, what is still
+ * outstanding on an order, and checking a delivery before it is received.
+ * Receiving restocks through RESTOCK adjustments and records the cost paid.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+// Orders that still expect deliveries
+const OPEN_ORDER_STATUSES = ['DRAFT', 'SUBMITTED', 'PARTIALLY_RECEIVED'];
+// Orders a delivery can be received against
+const RECEIVABLE_STATUSES = ['SUBMITTED', 'PARTIALLY_RECEIVED'];
+
+class PurchasingService {
+  /**
+   * Purchase order statuses still expecting deliveries
+   * @returns {string[]} Statuses
+   */
+  static get openStatuses() {
+    return OPEN_ORDER_STATUSES;
+  }
+
+  /**
+   * Purchase order statuses that accept receipts
+   * @returns {string[]} Statuses
+   */
+  static get receivableStatuses() {
+    return RECEIVABLE_STATUSES;
+  }
+
+  /**
+   * Units of a line not delivered yet
+   * @param {Object} line - PurchaseOrderLine
+   * @returns {number} Outstanding units
+   */
+  static outstanding(line) {
+    return Math.max(0, line.quantityOrdered - line.quantityReceived);
+  }
+
+  /**
+   * Units already on order per SKU, across open purchase orders
+   * @param {Object[]} lines - PurchaseOrderLines of open orders
+   * @returns {Map} SKU -> outstanding units
+   */
+  static onOrder(lines) {
+    const bySku = new Map();
+    for (const line of lines) {
+      bySku.set(line.sku, (bySku.get(line.sku) || 0) + this.outstanding(line));
+    }
+    return bySku;
+  }
+
+  /**
+   * Group low-stock items into one draft order per preferred supplier. Each
+   * item is ordered back up to its reorder level, less what is already on order.
+   * @param {Object[]} items - Low-stock inventory items (preferredSupplierId)
+   * @param {Object[]} supplierItems - SupplierItems of the preferred suppliers (for costs)
+   * @param {Map} onOrder - SKU -> units already on open orders
+   * @returns {Object} { drafts: [{ supplierId, lines: [{ sku, quantityOrdered, unitCost }] }],
+   *   unassigned: [{ sku, name, quantity }] } - unassigned items have no preferred supplier
+   */
+  static planReorder(items, supplierItems, onOrder = new Map()) {
+    const costs = new Map(supplierItems.map(si => [`${si.supplierId}:${si.sku}`, si.unitCost]));
+    const drafts = new Map();
+    const unassigned = [];
+
+    for (const item of items) {
+      const quantity = item.reorderLevel - item.qtyOnHand - (onOrder.get(item.sku) || 0);
+      if (quantity <= 0) continue;
+
+      if (!item.preferredSupplierId) {
+        unassigned.push({ sku: item.sku, name: item.name, quantity });
+        continue;
+      }
+
+      const lines = drafts.get(item.preferredSupplierId) || [];
+      lines.push({
+        sku: item.sku,
+        quantityOrdered: quantity,
+        // Unknown costs are left at zero for the buyer to fill in on the draft
+        unitCost: parseFloat(costs.get(`${item.preferredSupplierId}:${item.sku}`) || 0)
+      });
+      drafts.set(item.preferredSupplierId, lines);
+    }
+
+    return {
+      drafts: [...drafts].map(([supplierId, lines]) => ({ supplierId, lines })),
+      unassigned
+    };
+  }
+
+  /**
+   * Check a delivery against an order and work out its lines
+   * @param {Object} order - PurchaseOrder with lines loaded
+   * @param {Object[]} requested - [{ sku, quantity, unitCost, expiryDate, lotCode }]; unitCost defaults to the ordered cost
+   * @returns {Object} { errors, lines: [{ line, quantity, unitCost, expiryDate, lotCode }] }
+   */
+  static planReceipt(order, requested) {
+    const errors = [];
+    const lines = [];
+
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      return { errors: [`Cannot receive against a ${order.status} purchase order`], lines };
+    }
+
+    const skus = requested.map(r => r.sku);
+    const repeated = [...new Set(skus.filter((sku, i) => skus.indexOf(sku) !== i))];
+    if (repeated.length > 0) {
+      return { errors: [`SKUs listed more than once: ${repeated.join(', ')}`], lines };
+    }
+
+    for (const entry of requested) {
+      const line = order.lines.find(l => l.sku === entry.sku);
+
+      if (!line) {
+        errors.push(`${entry.sku} is not on this purchase order`);
+        continue;
+      }
+
+      const outstanding = this.outstanding(line);
+      if (entry.quantity > outstanding) {
+        errors.push(`Only ${outstanding} unit(s) of ${entry.sku} are outstanding`);
+        continue;
+      }
+
+      lines.push({
+        line,
+        quantity: entry.quantity,
+        unitCost: entry.unitCost !== undefined ? entry.unitCost : parseFloat(line.unitCost),
+        expiryDate: entry.expiryDate || null,
+        lotCode: entry.lotCode || null
+      });
+    }
+
+    return { errors, lines };
+  }
+
+  /**
+   * Status of an order once a delivery is received
+   * @param {Object} order - PurchaseOrder with lines loaded (before the delivery)
+   * @param {Object[]} received - Receipt lines from planReceipt()
+   * @returns {string} RECEIVED when nothing is outstanding, else PARTIALLY_RECEIVED
+   */
+  static statusAfterReceipt(order, received) {
+    const receivedByLine = new Map(received.map(r => [r.line.id, r.quantity]));
+    const complete = order.lines.every(line =>
+      line.quantityReceived + (receivedByLine.get(line.id) || 0) >= line.quantityOrdered
+    );
+
+    return complete ? 'RECEIVED' : 'PARTIALLY_RECEIVED';
+  }
+
+  /**
+   * Ordered and received value of an order
+   * @param {Object} order - PurchaseOrder with lines loaded, and receipts with lines for the received cost
+   * @returns {Object} { orderedTotal, receivedTotal }
+   */
+  static totals(order) {
+    const orderedCents = order.lines.reduce((sum, l) => sum + toCents(l.unitCost) * l.quantityOrdered, 0);
+    const receivedCents = (order.receipts || [])
+      .flatMap(r => r.lines || [])
+      .reduce((sum, l) => sum + toCents(l.unitCost) * l.quantity, 0);
+
+    return {
+      orderedTotal: fromCents(orderedCents),
+      receivedTotal: fromCents(receivedCents)
+    };
+  }
+}
+
+module.exports = PurchasingService;
@@ -0,0 +1,434 @@
+/**
+ * Refund Service
+ * Refunds selected quantities of a sale's lines: returns the money through the
+ * sale's original payments (or as store credit), releases refunded tickets'
+ * seats and restocks SKUs (or the components of bundles). Card and PIX money
+ * goes back through the provider that took it: execute() records it as PENDING
+ * and callers settle() once the refund is committed, one provider call per
+ * payment, so a provider failing never undoes what the others already returned.
+ */
+
+const crypto = require('crypto');
+const BundleService = require('./bundleService');
+const LocationService = require('./locationService');
+const CashDrawerService = require('./cashDrawerService');
+const PaymentGateway = require('./paymentGateway');
+const { toCents, fromCents } = require('../utils/money');
+
+// Card/PIX/other refunds go back to the original instrument before cash
+const REFUND_METHOD_ORDER = ['CARD', 'PIX', 'OTHER', 'CASH'];
+
+// Refund payments still PENDING after this long were left by a request that never settled them
+const PENDING_GRACE_MINUTES = 5;
+
+class RefundService {
+  /**
+   * Load a FINALIZED or PARTIALLY_REFUNDED sale with everything plan() needs
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} saleId - Sale UUID
+   * @returns {Object|null} Sale or null when missing/not refundable
+   */
+  static async loadRefundableSale(client, companyId, saleId) {
+    return client.sale.findFirst({
+      where: {
+        id: saleId,
+        companyId,
+        status: {
+          in: ['FINALIZED', 'PARTIALLY_REFUNDED']
+        }
+      },
+      include: {
+        items: {
+          include: {
+            discountAllocations: true,
+            refundItems: true,
+            components: true
+          }
+        },
+        payments: {
+          where: { voidedAt: null },
+          include: {
+            refunds: true
+          }
+        },
+        tickets: {
+          include: {
+            session: {
+              select: {
+                startTime: true,
+                status: true
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Amount the customer actually paid for a whole sale line (cents):
+   * line total, minus its discounts, plus tax added on top of the price
+   * @param {Object} saleItem - SaleItem with discountAllocations loaded
+   * @returns {number} Net line amount (cents)
+   */
+  static lineNetCents(saleItem) {
+    const discountCents = (saleItem.discountAllocations || []).reduce((sum, a) => sum + toCents(a.amount), 0);
+    const addedTaxCents = saleItem.taxIncluded === false ? toCents(saleItem.taxAmount) : 0;
+
+    return Math.max(0, toCents(saleItem.lineTotal) - discountCents + addedTaxCents);
+  }
+
+  /**
+   * Refund amount for `quantity` more units of a line (cents). The last units
+   * refunded take whatever is left so rounding never over- or under-refunds.
+   * @param {Object} saleItem - SaleItem with discountAllocations and refundItems loaded
+   * @param {number} quantity - Units to refund
+   * @returns {number} Refund amount (cents)
+   */
+  static lineRefundCents(saleItem, quantity) {
+    const netCents = this.lineNetCents(saleItem);
+    const alreadyRefundedCents = (saleItem.refundItems || []).reduce((sum, r) => sum + toCents(r.amount), 0);
+    const remainingQuantity = saleItem.quantity - saleItem.refundedQuantity;
+
+    if (quantity >= remainingQuantity) {
+      return Math.max(0, netCents - alreadyRefundedCents);
+    }
+
+    return Math.round((netCents * quantity) / saleItem.quantity);
+  }
+
+  /**
+   * Split a refund across the sale's payments, newest non-cash payments first.
+   * Cash comes last because a cash payment may include change handed back.
+   * @param {Object[]} payments - Payments with their refunds loaded
+   * @param {number} totalCents - Amount to refund (cents)
+   * @returns {Object[]} [{ paymentId, method, amountCents }]
+   */
+  static allocatePayments(payments, totalCents) {
+    const ordered = [...payments].sort((a, b) => {
+      const byMethod = REFUND_METHOD_ORDER.indexOf(a.method) - REFUND_METHOD_ORDER.indexOf(b.method);
+      return byMethod !== 0 ? byMethod : new Date(b.paidAt) - new Date(a.paidAt);
+    });
+
+    const allocations = [];
+    let remaining = totalCents;
+
+    for (const payment of ordered) {
+      if (remaining <= 0) break;
+
+      const refundedCents = (payment.refunds || []).reduce((sum, r) => sum + toCents(r.amount), 0);
+      const refundableCents = toCents(payment.amount) - refundedCents;
+      const amountCents = Math.min(refundableCents, remaining);
+
+      if (amountCents > 0) {
+        allocations.push({ paymentId: payment.id, method: payment.method, amountCents });
+        remaining -= amountCents;
+      }
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Validate a refund request and work out its lines and amounts
+   * @param {Object} sale - Sale with items (discountAllocations, refundItems),
+   *   payments (refunds) and tickets (session) loaded
+   * @param {Object[]} requestedItems - [{ saleItemId, quantity }]
+   * @param {Date} now - Reference time for session start checks
+   * @returns {Object} { errors, lines, totalCents }
+   */
+  static plan(sale, requestedItems, now = new Date()) {
+    const errors = [];
+    const lines = [];
+
+    for (const requested of requestedItems) {
+      const saleItem = sale.items.find(item => item.id === requested.saleItemId);
+
+      if (!saleItem) {
+        errors.push(`Sale item ${requested.saleItemId} not found in this sale`);
+        continue;
+      }
+
+      const remainingQuantity = saleItem.quantity - saleItem.refundedQuantity;
+      if (requested.quantity > remainingQuantity) {
+        errors.push(`Only ${remainingQuantity} unit(s) of "${saleItem.description}" can still be refunded`);
+        continue;
+      }
+
+      let ticket = null;
+      if (saleItem.sessionId && saleItem.seatId) {
+        ticket = sale.tickets.find(t =>
+          t.sessionId === saleItem.sessionId &&
+          t.seatId === saleItem.seatId &&
+          t.status !== 'REFUNDED'
+        ) || null;
+
+        // Tickets of a canceled session are refundable whatever happened to them
+        const sessionCanceled = ticket && ticket.session.status === 'CANCELED';
+
+        if (ticket && !sessionCanceled && ticket.status === 'USED') {
+          errors.push(`Cannot refund a used ticket (seat ${saleItem.seatId})`);
+          continue;
+        }
+
+        if (ticket && !sessionCanceled && ticket.session.startTime < now) {
+          errors.push(`Cannot refund ticket for session that has already started (seat ${saleItem.seatId})`);
+          continue;
+        }
+      }
+
+      lines.push({
+        saleItem,
+        quantity: requested.quantity,
+        amountCents: this.lineRefundCents(saleItem, requested.quantity),
+        ticket
+      });
+    }
+
+    return {
+      errors,
+      lines,
+      totalCents: lines.reduce((sum, line) => sum + line.amountCents, 0)
+    };
+  }
+
+  /**
+   * Record a planned refund and apply its side effects. With storeCredit the
+   * amount becomes a store credit for the buyer instead of going back to the
+   * sale's payments.
+   * @param {Object} tx - Prisma transaction
+   * @param {Object} params - { companyId, sale, plan, actorCpf, reason, storeCredit }
+   * @returns {Object} { refund, sale, storeCredit }
+   */
+  static async execute(tx, { companyId, sale, plan, actorCpf, reason, storeCredit = false }) {
+    const paymentAllocations = storeCredit ? [] : this.allocatePayments(sale.payments, plan.totalCents);
+
+    // Cash handed back comes out of the refunding employee's open drawer
+    const drawer = paymentAllocations.some(a => a.method === 'CASH')
+      ? await CashDrawerService.openSession(tx, companyId, actorCpf)
+      : null;
+
+    const now = new Date();
+    const refund = await tx.refund.create({
+      data: {
+        companyId,
+        saleId: sale.id,
+        actorCpf,
+        reason,
+        amount: fromCents(plan.totalCents),
+        drawerSessionId: drawer ? drawer.id : null,
+        items: {
+          create: plan.lines.map(line => ({
+            saleItemId: line.saleItem.id,
+            ticketId: line.ticket ? line.ticket.id : null,
+            quantity: line.quantity,
+            amount: fromCents(line.amountCents)
+          }))
+        },
+        payments: {
+          create: paymentAllocations.map(a => {
+            const { provider } = sale.payments.find(p => p.id === a.paymentId);
+
+            return {
+              paymentId: a.paymentId,
+              amount: fromCents(a.amountCents),
+              // Money taken by hand is handed back by hand, there and then
+              status: provider ? 'PENDING' : 'COMPLETED',
+              settledAt: provider ? null : now
+            };
+          })
+        }
+      },
+      include: {
+        items: true,
+        payments: {
+          include: {
+            payment: {
+              select: {
+                method: true,
+                amount: true,
+                authCode: true,
+                provider: true,
+                providerRef: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Returned goods go back to the location the sale took them from
+    const hasGoods = plan.lines.some(line => BundleService.stockMoves(line.saleItem, line.quantity).length > 0);
+    const locationId = hasGoods ? await LocationService.saleLocationId(tx, sale) : null;
+
+    for (const line of plan.lines) {
+      await tx.saleItem.update({
+        where: { id: line.saleItem.id },
+        data: {
+          refundedQuantity: {
+            increment: line.quantity
+          }
+        }
+      });
+
+      for (const move of BundleService.stockMoves(line.saleItem, line.quantity)) {
+        await LocationService.move(tx, companyId, locationId, move.sku, move.quantity);
+
+        await tx.inventoryAdjustment.create({
+          data: {
+            companyId,
+            sku: move.sku,
+            delta: move.quantity,
+            reason: 'RETURN',
+            actorCpf,
+            notes: `Refund of sale ${sale.id}`,
+            locationId
+          }
+        });
+      }
+
+      // Refunded tickets give their seat back to the session
+      if (line.ticket) {
+        await tx.ticket.update({
+          where: { id: line.ticket.id },
+          data: {
+            status: 'REFUNDED',
+            seatHold: null
+          }
+        });
+      }
+    }
+
+    let credit = null;
+    if (storeCredit) {
+      credit = await tx.storeCredit.create({
+        data: {
+          companyId,
+          code: this.generateCreditCode(),
+          customerCpf: sale.buyerCpf || null,
+          refundId: refund.id,
+          amount: fromCents(plan.totalCents),
+          balance: fromCents(plan.totalCents)
+        }
+      });
+    }
+
+    const refundedQuantities = new Map(plan.lines.map(line => [line.saleItem.id, line.quantity]));
+    const fullyRefunded = sale.items.every(item =>
+      item.refundedQuantity + (refundedQuantities.get(item.id) || 0) >= item.quantity
+    );
+
+    const updatedSale = await tx.sale.update({
+      where: { id: sale.id },
+      data: {
+        status: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED',
+        refundTotal: {
+          increment: fromCents(plan.totalCents)
+        }
+      }
+    });
+
+    return { refund, sale: updatedSale, storeCredit: credit };
+  }
+
+  /**
+   * Return a committed refund's PENDING (or, retrying, FAILED) payments through
+   * their providers. Each payment is its own step: the provider call, then its
+   * row marked COMPLETED or FAILED, so one refusal leaves the others settled.
+   * @param {Object} client - Prisma client (not a transaction)
+   * @param {Object} refund - Refund with payments (payment) loaded, as execute() returns it
+   * @param {Object} options - { retryFailed }
+   * @returns {Object} { failed } - payments the provider did not take back
+   */
+  static async settle(client, refund, { retryFailed = false } = {}) {
+    const statuses = retryFailed ? ['PENDING', 'FAILED'] : ['PENDING'];
+    let failed = 0;
+
+    for (const refundPayment of refund.payments) {
+      if (!statuses.includes(refundPayment.status)) continue;
+
+      await this.settlePayment(client, refundPayment);
+      if (refundPayment.status === 'FAILED') failed++;
+    }
+
+    return { failed };
+  }
+
+  /**
+   * Return one refund payment through its provider and record the outcome.
+   * Our reference is the row's id, so a retry is the same refund to the provider.
+   * @param {Object} client - Prisma client
+   * @param {Object} refundPayment - RefundPayment with payment loaded; updated in place
+   */
+  static async settlePayment(client, refundPayment) {
+    let data;
+    try {
+      const providerRef = await PaymentGateway.refund(
+        refundPayment.payment,
+        toCents(refundPayment.amount),
+        refundPayment.id
+      );
+      data = { status: 'COMPLETED', providerRef, failureReason: null, settledAt: new Date() };
+    } catch (error) {
+      console.error(`Error refunding payment ${refundPayment.paymentId} through its provider:`, error.message);
+      data = { status: 'FAILED', failureReason: error.message.slice(0, 500) };
+    }
+
+    // Only the run that still finds the row unsettled records it
+    await client.refundPayment.updateMany({
+      where: {
+        id: refundPayment.id,
+        status: refundPayment.status
+      },
+      data
+    });
+
+    Object.assign(refundPayment, data);
+  }
+
+  /**
+   * Settle refund payments left PENDING, e.g. by a process that stopped
+   * between committing a refund and calling the provider
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { settled, failed }
+   */
+  static async settlePending(client, { companyId, now = new Date() } = {}) {
+    const pending = await client.refundPayment.findMany({
+      where: {
+        status: 'PENDING',
+        refund: {
+          ...(companyId && { companyId }),
+          createdAt: {
+            lt: new Date(now.getTime() - PENDING_GRACE_MINUTES * 60 * 1000)
+          }
+        }
+      },
+      include: {
+        payment: true
+      },
+      orderBy: { refundId: 'asc' }
+    });
+
+    let failed = 0;
+    for (const refundPayment of pending) {
+      await this.settlePayment(client, refundPayment);
+      if (refundPayment.status === 'FAILED') failed++;
+    }
+
+    return { settled: pending.length - failed, failed };
+  }
+
+  /**
+   * Code customers present to use a store credit
+   * @returns {string} e.g. SC-7K2M9QXA
+   */
+  static generateCreditCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(8);
+    return `SC-${Array.from(bytes, b => alphabet[b % alphabet.length]).join('')}`;
+  }
+}
+
+module.exports = RefundService;
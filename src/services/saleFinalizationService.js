@@ -0,0 +1,398 @@
+/**
+ * Sale Finalization Service
+ * Closes a fully paid OPEN sale: captures what payment providers only
+ * authorized, records the change, fixes the cost of the goods, takes them out
+ * of stock and issues the tickets. Used by the finalize endpoint and by PIX
+ * charges that complete the payment of a sale.
+ */
+
+const crypto = require('crypto');
+const SaleTotals = require('./saleTotals');
+const TenderService = require('./tenderService');
+const TicketTokenService = require('./ticketTokenService');
+const BundleService = require('./bundleService');
+const CostingService = require('./costingService');
+const LocationService = require('./locationService');
+const LotService = require('./lotService');
+const CashDrawerService = require('./cashDrawerService');
+const SettingsService = require('./settingsService');
+const SessionLifecycleService = require('./sessionLifecycleService');
+const PaymentGateway = require('./paymentGateway');
+const { fromCents } = require('../utils/money');
+
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+
+// Price recorded on the ticket of a line: a bundle's ticket carries its share of the bundle price
+const ticketPrice = (saleItem) => {
+  const bundle = saleItem.item && saleItem.item.bundle;
+  return bundle ? Math.min(parseFloat(bundle.ticketPrice), parseFloat(saleItem.unitPrice)) : saleItem.unitPrice;
+};
+
+// Refund payments captured for a sale that then could not be finalized and void
+// them, so the OPEN sale does not count money the customer got back. A refund
+// the provider refuses is recorded on the payment (as canceling a sale does).
+const giveBack = async (client, payments, { actorCpf, reason }) => {
+  for (const payment of payments) {
+    const now = new Date();
+
+    try {
+      await PaymentGateway.void({ ...payment, capturedAt: now });
+    } catch (error) {
+      console.error(`Could not give back payment ${payment.id} of unfinalized sale ${payment.saleId}:`, error.message);
+      await client.payment.update({
+        where: { id: payment.id },
+        data: {
+          voidFailedAt: now,
+          voidError: error.message.slice(0, 500)
+        }
+      });
+      continue;
+    }
+
+    await client.payment.update({
+      where: { id: payment.id },
+      data: {
+        voidedAt: now,
+        voidedByCpf: actorCpf,
+        voidReason: reason.slice(0, 500)
+      }
+    });
+  }
+};
+
+class SaleFinalizationService {
+  /**
+   * Finalize an OPEN sale
+   * @param {Object} client - Prisma client
+   * @param {Object} params - { companyId, saleId, actorCpf } - the actor's open drawer takes the payments
+   * @returns {Object} { sale, changeCents } when finalized, otherwise one of { notFound },
+   *   { empty }, { insufficient }, { excess } (with grandTotal and balance), { drawerRequired }
+   *   or { conflict } when a ticket's session stopped selling or its seat was sold meanwhile.
+   *   Payments captured on the way to a conflict or an error are refunded and voided.
+   * @throws {PaymentError} When a provider refuses to capture a payment
+   */
+  static async finalize(client, { companyId, saleId, actorCpf }) {
+    const sale = await client.sale.findFirst({
+      where: {
+        id: saleId,
+        companyId,
+        status: 'OPEN'
+      },
+      include: {
+        payments: {
+          where: { voidedAt: null }
+        },
+        items: {
+          include: {
+            components: true,
+            item: {
+              include: { bundle: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!sale) {
+      return { notFound: true };
+    }
+
+    if (sale.items.length === 0) {
+      return { empty: true };
+    }
+
+    // Settle discounts and taxes one last time before checking payment
+    const totals = await client.$transaction(tx => SaleTotals.recalculate(tx, companyId, saleId));
+    const balance = TenderService.balance(totals.grandTotal, sale.payments);
+
+    if (balance.remainingCents > 0) {
+      return { insufficient: true, grandTotal: parseFloat(totals.grandTotal), balance };
+    }
+
+    // The total went down after a card or PIX payment: change only comes out of cash
+    if (balance.excessCents > 0) {
+      return { excess: true, grandTotal: parseFloat(totals.grandTotal), balance };
+    }
+
+    // Load the signing key outside the transaction - the first one may need creating
+    const ticketItems = sale.items.filter(item => item.sessionId && item.seatId);
+    const signingKey = ticketItems.length > 0 ? await TicketTokenService.getSigningKey(client, companyId) : null;
+    // Ticket-only sales take nothing out of stock
+    const hasGoods = sale.items.some(item => BundleService.stockMoves(item, item.quantity).length > 0);
+    const locationId = hasGoods ? await LocationService.saleLocationId(client, sale) : null;
+
+    const settings = await SettingsService.get(client, companyId);
+
+    // The payments go into the cash drawer of whoever finalizes the sale
+    const drawer = await CashDrawerService.openSession(client, companyId, actorCpf);
+    if (!drawer && sale.payments.some(p => p.method === 'CASH') && settings.requireCashDrawer) {
+      return { drawerRequired: true };
+    }
+
+    // Nothing is captured for tickets that can no longer be issued
+    const ticketConflict = await this.ticketConflict(client, companyId, ticketItems, settings);
+    if (ticketConflict) {
+      return { conflict: ticketConflict };
+    }
+
+    // Capture what the providers only authorized; each capture is recorded as it
+    // happens so a retry after a failed one does not charge twice
+    const captured = [];
+    let result;
+
+    try {
+      for (const payment of sale.payments.filter(p => p.provider && !p.capturedAt)) {
+        await PaymentGateway.capture(payment);
+        await client.payment.update({
+          where: { id: payment.id },
+          data: { capturedAt: new Date() }
+        });
+        captured.push(payment);
+      }
+
+      result = await this.close(client, { companyId, saleId, actorCpf, sale, ticketItems, settings, drawer, signingKey, locationId, balance });
+    } catch (error) {
+      await giveBack(client, captured, { actorCpf, reason: `Sale could not be finalized: ${error.message}` });
+      throw error;
+    }
+
+    // Another finalize that got there first keeps the captures; a conflict gives them back
+    if (result.conflict) {
+      await giveBack(client, captured, { actorCpf, reason: `Sale could not be finalized: ${result.conflict}` });
+    }
+
+    if (!result.sale) {
+      return result;
+    }
+
+    return { sale: result.sale, changeCents: balance.changeCents };
+  }
+
+  /**
+   * Finalize the sale once its payments are captured: recheck it under lock, fix
+   * costs, take the goods out of stock and issue the tickets in one transaction
+   * @param {Object} client - Prisma client
+   * @param {Object} params - What finalize loaded and checked
+   * @returns {Object} { sale }, { notFound } or { conflict }
+   */
+  static close(client, { companyId, saleId, actorCpf, sale, ticketItems, settings, drawer, signingKey, locationId, balance }) {
+    // Use transaction to ensure atomicity - finalize sale first, then create tickets
+    return client.$transaction(async (tx) => {
+      // The till and a PIX confirmation may finalize at the same time: only one goes through
+      await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+      const current = await tx.sale.findFirst({
+        where: { id: saleId, status: 'OPEN' },
+        select: { id: true }
+      });
+      if (!current) {
+        return { notFound: true };
+      }
+
+      // The session may have been canceled or closed, or the seat sold by another
+      // sale, since the check above: look again with the sessions locked
+      const conflict = await this.ticketConflict(tx, companyId, ticketItems, settings, { lock: true });
+      if (conflict) {
+        return { conflict };
+      }
+
+      // A drawer closed meanwhile no longer takes sales
+      const drawerSession = drawer ? await CashDrawerService.lockOpen(tx, drawer.id) : null;
+
+      // Capture what the goods cost today so later receipts never change this sale's margin
+      const costSkus = [...new Set(sale.items.flatMap(item => BundleService.stockMoves(item, 1).map(m => m.sku)))];
+      const costs = new Map((await tx.inventoryItem.findMany({
+        where: {
+          companyId,
+          sku: { in: costSkus }
+        },
+        select: { sku: true, unitCost: true }
+      })).map(i => [i.sku, i.unitCost]));
+
+      for (const item of sale.items) {
+        const unitCost = CostingService.lineUnitCost(item, costs);
+        if (unitCost !== null) {
+          await tx.saleItem.update({
+            where: { id: item.id },
+            data: { unitCost }
+          });
+        }
+      }
+
+      // Finalize the sale - if this fails, nothing else happens
+      const updated = await tx.sale.update({
+        where: { id: saleId },
+        data: {
+          status: 'FINALIZED',
+          changeGiven: fromCents(balance.changeCents),
+          drawerSessionId: drawerSession ? drawerSession.id : null
+        },
+        include: {
+          cashier: {
+            include: {
+              person: true
+            }
+          },
+          buyer: {
+            include: {
+              person: true
+            }
+          },
+          items: true,
+          payments: {
+            where: { voidedAt: null }
+          },
+          discounts: true
+        }
+      });
+
+      // The change comes out of the drawer the cash went into
+      if (drawerSession && balance.changeCents > 0) {
+        await tx.cashMovement.create({
+          data: {
+            companyId,
+            sessionId: drawerSession.id,
+            saleId,
+            type: 'CHANGE',
+            amount: fromCents(balance.changeCents),
+            actorCpf
+          }
+        });
+      }
+
+      // Update inventory and create tickets ONLY after sale is finalized
+      for (const item of sale.items) {
+        // Bundle lines take their components out of stock
+        for (const move of BundleService.stockMoves(item, item.quantity)) {
+          await LocationService.move(tx, companyId, locationId, move.sku, -move.quantity);
+          await LotService.consume(tx, companyId, move.sku, move.quantity, locationId);
+        }
+
+        if (item.sessionId && item.seatId) {
+          // This is a ticket item - create ticket record
+          const session = await tx.session.findFirst({
+            where: {
+              id: item.sessionId,
+              companyId
+            },
+            include: {
+              room: {
+                select: {
+                  seatMapId: true
+                }
+              }
+            }
+          });
+
+          if (session) {
+            // Signed QR token for the ticket
+            const ticketId = crypto.randomUUID();
+            const qrCode = TicketTokenService.issueWithKey(signingKey, {
+              id: ticketId,
+              sessionId: item.sessionId,
+              seatId: item.seatId
+            });
+
+            await tx.ticket.create({
+              data: {
+                id: ticketId,
+                companyId,
+                sessionId: item.sessionId,
+                seatMapId: session.room.seatMapId,
+                seatId: item.seatId,
+                saleId,
+                price: ticketPrice(item),
+                status: 'ISSUED',
+                qrCode,
+                category: item.ticketCategory || 'REGULAR',
+                proofType: item.proofType,
+                proofNumber: item.proofNumber
+              }
+            });
+
+            // Release seat reservation after ticket is created successfully
+            await tx.seatReservation.deleteMany({
+              where: {
+                companyId,
+                sessionId: item.sessionId,
+                seatId: item.seatId
+              }
+            });
+          }
+        }
+      }
+
+      return { sale: updated };
+    });
+  }
+
+  /**
+   * Why the tickets of a sale can no longer be issued, if so: a session that
+   * stopped selling (see SessionLifecycleService.salesClosedReason) or a seat
+   * that another sale's live ticket holds
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {Object[]} ticketItems - Sale lines with sessionId and seatId
+   * @param {Object} settings - Company settings
+   * @param {Object} options - { lock: lock the sessions first (in a transaction) }
+   * @returns {string|null} Reason, or null when every ticket can be issued
+   */
+  static async ticketConflict(client, companyId, ticketItems, settings, { lock = false } = {}) {
+    if (ticketItems.length === 0) {
+      return null;
+    }
+
+    // Locked in a fixed order so two sales of the same sessions cannot deadlock
+    const sessionIds = [...new Set(ticketItems.map(item => item.sessionId))].sort();
+    if (lock) {
+      for (const sessionId of sessionIds) {
+        await client.$queryRaw`SELECT id FROM "session" WHERE id = ${sessionId}::uuid FOR UPDATE`;
+      }
+    }
+
+    const sessions = await client.session.findMany({
+      where: {
+        id: { in: sessionIds },
+        companyId
+      },
+      include: {
+        room: {
+          select: {
+            seatMapId: true
+          }
+        }
+      }
+    });
+    const byId = new Map(sessions.map(session => [session.id, session]));
+
+    for (const sessionId of sessionIds) {
+      const session = byId.get(sessionId);
+      if (!session) {
+        return 'Session not found';
+      }
+
+      const salesClosed = SessionLifecycleService.salesClosedReason(session, settings);
+      if (salesClosed) {
+        return salesClosed;
+      }
+    }
+
+    const taken = await client.ticket.findFirst({
+      where: {
+        companyId,
+        status: {
+          notIn: RELEASED_TICKET_STATUSES
+        },
+        OR: ticketItems.map(item => ({
+          sessionId: item.sessionId,
+          seatMapId: byId.get(item.sessionId).room.seatMapId,
+          seatId: item.seatId
+        }))
+      },
+      select: { seatId: true }
+    });
+
+    return taken ? `Seat ${taken.seatId} was already sold for this session` : null;
+  }
+}
+
+module.exports = SaleFinalizationService;
@@ -0,0 +1,130 @@
+/**
+ * Sale Pricing Service
+ * Resolves the price and description of sale lines on the server: inventory
+ * items and bundles sell at their catalog price and tickets at the price the
+ * pricing engine quotes for the session and category. A different price needs
+ * a manager's approval.
+ */
+
+const bcrypt = require('bcryptjs');
+const PricingEngine = require('./pricingEngine');
+
+const APPROVER_ROLES = ['MANAGER', 'ADMIN'];
+
+const CATEGORY_LABELS = {
+  STUDENT: 'student',
+  SENIOR: 'senior',
+  TEACHER: 'teacher',
+  DISABLED: 'disabled',
+  LOW_INCOME_YOUTH: 'ID Jovem',
+  COURTESY: 'courtesy'
+};
+
+class SalePricingService {
+  /**
+   * Catalog price and name of an inventory item line
+   * @param {Object} item - InventoryItem
+   * @returns {Object} { unitPrice, description }
+   */
+  static resolveItemLine(item) {
+    return {
+      unitPrice: parseFloat(item.unitPrice),
+      description: item.name
+    };
+  }
+
+  /**
+   * Catalog price of a bundle line, described with the buyer's choices and
+   * the ticket it includes, if any
+   * @param {Object} item - InventoryItem of the bundle
+   * @param {Object[]} chosen - Components picked from choice groups [{ name }]
+   * @param {Object|null} ticket - { session, seatId } for bundles that include a ticket
+   * @returns {Object} { unitPrice, description }
+   */
+  static resolveBundleLine(item, chosen, ticket = null) {
+    const choices = chosen.length > 0 ? ` (${chosen.map(c => c.name).join(', ')})` : '';
+    const seat = ticket ? ` + ${this.ticketDescription(ticket.session, ticket.seatId)}` : '';
+
+    return {
+      unitPrice: parseFloat(item.unitPrice),
+      description: `${item.name}${choices}${seat}`.slice(0, 200)
+    };
+  }
+
+  /**
+   * Line description of a ticket
+   * @param {Object} session - Session with movie and room loaded
+   * @param {string} seatId - Seat
+   * @param {string} category - Ticket category
+   * @returns {string} Description (at most 200 characters)
+   */
+  static ticketDescription(session, seatId, category = 'REGULAR') {
+    const label = CATEGORY_LABELS[category] ? ` (${CATEGORY_LABELS[category]})` : '';
+    const start = new Date(session.startTime);
+    const pad = (n) => String(n).padStart(2, '0');
+    const when = `${pad(start.getDate())}/${pad(start.getMonth() + 1)} ${pad(start.getHours())}:${pad(start.getMinutes())}`;
+
+    return `Ticket${label}: ${session.movie.title} - ${session.room.name} ${when} - seat ${seatId}`.slice(0, 200);
+  }
+
+  /**
+   * Quoted price and description of a ticket line
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session with movie and room loaded
+   * @param {Object} options - { seatId, category }
+   * @returns {Object|null} { unitPrice, description, appliedRules } or null when the session has no price
+   */
+  static async resolveTicketLine(client, session, { seatId, category = 'REGULAR' }) {
+    const quote = await PricingEngine.quote(client, session, { category });
+    if (!quote) {
+      return null;
+    }
+
+    return {
+      // Courtesy tickets are given away whatever the rules say
+      unitPrice: category === 'COURTESY' ? 0 : quote.price,
+      description: this.ticketDescription(session, seatId, category),
+      appliedRules: quote.appliedRules
+    };
+  }
+
+  /**
+   * Check who approves a price override. Managers and admins approve their own;
+   * anyone else needs a manager or admin to enter their credentials.
+   * @param {Object} client - Prisma client
+   * @param {Object} employee - Employee requesting the override (req.employee)
+   * @param {Object} override - { approverEmployeeId, approverPassword }
+   * @returns {Object} { approverCpf } or { error }
+   */
+  static async approveOverride(client, employee, { approverEmployeeId, approverPassword } = {}) {
+    if (!approverEmployeeId) {
+      return APPROVER_ROLES.includes(employee.role)
+        ? { approverCpf: employee.cpf }
+        : { error: 'Price overrides must be approved by a manager' };
+    }
+
+    const approver = await client.employee.findFirst({
+      where: {
+        companyId: employee.companyId,
+        employeeId: approverEmployeeId,
+        isActive: true
+      }
+    });
+
+    // Same answer for unknown employees and wrong passwords
+    const validPassword = approver && approver.passwordHash &&
+      await bcrypt.compare(approverPassword, approver.passwordHash);
+
+    if (!validPassword) {
+      return { error: 'Invalid approver credentials' };
+    }
+
+    if (!APPROVER_ROLES.includes(approver.role)) {
+      return { error: 'Price overrides must be approved by a manager' };
+    }
+
+    return { approverCpf: approver.cpf };
+  }
+}
+
+module.exports = SalePricingService;
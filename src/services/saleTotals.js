@@ -0,0 +1,57 @@
+/**
+ * Sale Totals
+ * Single place where an open sale's subtotal, discounts, taxes and grand total
+ * are derived from its lines
+ */
+
+const DiscountEngine = require('./discountEngine');
+const TaxEngine = require('./taxEngine');
+const { toCents, fromCents } = require('../utils/money');
+
+class SaleTotals {
+  /**
+   * Recalculate discounts, line taxes and totals of a sale.
+   * taxTotal holds every tax of the sale; only exclusive taxes are added to
+   * grandTotal since inclusive ones are already part of the line prices.
+   * @param {Object} tx - Prisma transaction
+   * @param {string} companyId - Company UUID
+   * @param {string} saleId - Sale UUID
+   * @returns {Object} Updated sale
+   */
+  static async recalculate(tx, companyId, saleId) {
+    const discountTotal = await DiscountEngine.reapplySaleDiscounts(tx, companyId, saleId);
+
+    const lines = await DiscountEngine.loadSaleLines(tx, companyId, saleId);
+    const discountsByLine = await DiscountEngine.getExistingAllocations(tx, saleId);
+    const rates = await TaxEngine.getRates(tx, companyId);
+
+    const taxes = TaxEngine.calculate(lines, rates, discountsByLine);
+
+    for (const line of taxes.lines) {
+      await tx.saleItem.update({
+        where: { id: line.saleItemId },
+        data: {
+          taxType: line.taxType,
+          taxRate: line.taxRate,
+          taxAmount: line.taxAmount,
+          taxIncluded: line.taxIncluded
+        }
+      });
+    }
+
+    const subTotalCents = lines.reduce((sum, line) => sum + toCents(line.lineTotal), 0);
+    const grandTotalCents = subTotalCents - toCents(discountTotal) + toCents(taxes.exclusiveTaxTotal);
+
+    return tx.sale.update({
+      where: { id: saleId },
+      data: {
+        subTotal: fromCents(subTotalCents),
+        discountTotal,
+        taxTotal: taxes.taxTotal,
+        grandTotal: fromCents(Math.max(0, grandTotalCents))
+      }
+    });
+  }
+}
+
+module.exports = SaleTotals;
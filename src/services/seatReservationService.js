@@ -0,0 +1,154 @@
+/**
+ * Seat Reservation Service
+ * Holds seats of a session for a checkout. A request either holds every seat it
+ * asks for or none of them: reservations of a session are made one at a time
+ * under a row lock on the session, so two cashiers can never hold the same seat.
+ */
+
+const SettingsService = require('./settingsService');
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+
+class SeatReservationService {
+  /**
+   * Sort requested seats into sold, held by another checkout, free and unknown
+   * @param {string[]} seatIds - Requested seat ids
+   * @param {Object} state - { existingSeatIds, tickets, reservations, reservationToken, now }
+   *   existingSeatIds: seat ids that exist in the session's seat map
+   *   tickets: live (non-refunded) tickets of the requested seats
+   *   reservations: reservations of the requested seats, expired ones included
+   * @returns {Object} { sold, held, free, unknown }
+   */
+  static classify(seatIds, { existingSeatIds, tickets, reservations, reservationToken, now = new Date() }) {
+    const existing = new Set(existingSeatIds);
+    const sold = new Set(tickets.map(t => t.seatId));
+    const held = new Set(reservations
+      .filter(r => r.reservationToken !== reservationToken && new Date(r.expiresAt) > now)
+      .map(r => r.seatId));
+
+    const seats = { sold: [], held: [], free: [], unknown: [] };
+
+    for (const seatId of seatIds) {
+      if (!existing.has(seatId)) {
+        seats.unknown.push(seatId);
+      } else if (sold.has(seatId)) {
+        seats.sold.push(seatId);
+      } else if (held.has(seatId)) {
+        seats.held.push(seatId);
+      } else {
+        seats.free.push(seatId);
+      }
+    }
+
+    return seats;
+  }
+
+  /**
+   * Reserve all requested seats or none
+   * @param {Object} client - Prisma client
+   * @param {Object} params - { companyId, session, seatIds, reservationToken, now }
+   *   session: Session with room.seatMapId loaded
+   * @returns {Object} { reserved, seats, reservations, expiresAt, holdMinutes }
+   */
+  static async reserve(client, { companyId, session, seatIds, reservationToken, now = new Date() }) {
+    const seatMapId = session.room.seatMapId;
+    const { reservationHoldMinutes } = await SettingsService.get(client, companyId);
+    const expiresAt = new Date(now.getTime() + reservationHoldMinutes * 60 * 1000);
+
+    return client.$transaction(async (tx) => {
+      // Concurrent reservations for the same session wait here until this one commits
+      await tx.$queryRaw`SELECT id FROM "session" WHERE id = ${session.id}::uuid FOR UPDATE`;
+
+      const existingSeats = await tx.seat.findMany({
+        where: {
+          seatMapId,
+          id: {
+            in: seatIds
+          }
+        },
+        select: {
+          id: true
+        }
+      });
+
+      const tickets = await tx.ticket.findMany({
+        where: {
+          companyId,
+          sessionId: session.id,
+          seatMapId,
+          seatId: {
+            in: seatIds
+          },
+          status: {
+            notIn: RELEASED_TICKET_STATUSES
+          }
+        },
+        select: {
+          seatId: true
+        }
+      });
+
+      const reservations = await tx.seatReservation.findMany({
+        where: {
+          companyId,
+          sessionId: session.id,
+          seatMapId,
+          seatId: {
+            in: seatIds
+          }
+        }
+      });
+
+      const seats = this.classify(seatIds, {
+        existingSeatIds: existingSeats.map(s => s.id),
+        tickets,
+        reservations,
+        reservationToken,
+        now
+      });
+
+      if (seats.sold.length || seats.held.length || seats.unknown.length) {
+        return { reserved: false, seats, reservations: [], expiresAt: null, holdMinutes: reservationHoldMinutes };
+      }
+
+      // What is left on these seats is expired or already ours
+      await tx.seatReservation.deleteMany({
+        where: {
+          companyId,
+          sessionId: session.id,
+          seatMapId,
+          seatId: {
+            in: seatIds
+          }
+        }
+      });
+
+      await tx.seatReservation.createMany({
+        data: seatIds.map(seatId => ({
+          companyId,
+          sessionId: session.id,
+          seatMapId,
+          seatId,
+          reservationToken,
+          expiresAt
+        }))
+      });
+
+      const created = await tx.seatReservation.findMany({
+        where: {
+          companyId,
+          sessionId: session.id,
+          reservationToken,
+          seatId: {
+            in: seatIds
+          }
+        }
+      });
+
+      return { reserved: true, seats, reservations: created, expiresAt, holdMinutes: reservationHoldMinutes };
+    });
+  }
+}
+
+module.exports = SeatReservationService;
@@ -0,0 +1,631 @@
+/**
+ * Session Cancellation Service
+ * Cascade run when a session is canceled: ticket lines are dropped from OPEN
+ * sales, seat holds are released and every sold ticket is refunded or turned
+ * into store credit (or left valid for exchange), depending on the policy.
+ * Sales are processed one per transaction, so a large session is worked
+ * through in several runs and its progress can be followed meanwhile.
+ */
+
+const RefundService = require('./refundService');
+const SaleTotals = require('./saleTotals');
+const SessionLifecycleService = require('./sessionLifecycleService');
+const { toCents, fromCents } = require('../utils/money');
+
+const POLICIES = ['FULL_REFUND', 'STORE_CREDIT', 'EXCHANGE'];
+
+const SALES_PER_RUN = parseInt(process.env.CANCELLATION_SALES_PER_RUN, 10) || 100;
+
+// A sale that keeps failing is skipped for good after this many attempts
+const SALE_ATTEMPTS = parseInt(process.env.CANCELLATION_SALE_ATTEMPTS, 10) || 5;
+
+// Failed runs and sales wait twice as long before each new attempt
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Tickets still holding a seat of the canceled session
+const LIVE_TICKET_STATUSES = ['ISSUED', 'USED'];
+
+class SessionCancellationService {
+  /**
+   * Cancellation policies
+   * @returns {string[]} Policy names
+   */
+  static get policies() {
+    return POLICIES;
+  }
+
+  /**
+   * Cancel a session and record the cascade that still has to run
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session as last read
+   * @param {Object} options - { policy, reason, actorCpf, ipAddress, userAgent }
+   * @returns {Object|null} { session, cancellation } or null when the status had already changed
+   */
+  static async cancel(client, session, { policy, reason = null, actorCpf, ipAddress = null, userAgent = null }) {
+    const result = await SessionLifecycleService.transition(client, session, 'CANCELED', {
+      actorCpf,
+      reason,
+      ipAddress,
+      userAgent
+    });
+
+    if (!result) {
+      return null;
+    }
+
+    await client.seatReservation.deleteMany({
+      where: { sessionId: session.id }
+    });
+
+    const totalTickets = await client.ticket.count({
+      where: {
+        sessionId: session.id,
+        status: {
+          in: LIVE_TICKET_STATUSES
+        }
+      }
+    });
+
+    const cancellation = await client.sessionCancellation.create({
+      data: {
+        companyId: session.companyId,
+        sessionId: session.id,
+        policy,
+        reason,
+        actorCpf,
+        totalTickets
+      }
+    });
+
+    return { session: result.session, cancellation };
+  }
+
+  /**
+   * Work through a cancellation: drop the session's lines from OPEN sales, then
+   * refund sold tickets sale by sale, up to maxSales sales per call. A sale that
+   * fails is recorded and skipped until its retry is due, so it does not hold up
+   * the sales behind it; a run that fails otherwise is retried by the job after
+   * a growing wait.
+   * @param {Object} client - Prisma client
+   * @param {string} cancellationId - SessionCancellation UUID
+   * @param {Object} options - { maxSales, now }
+   * @returns {Object} SessionCancellation after this run
+   */
+  static async process(client, cancellationId, { maxSales = SALES_PER_RUN, now = new Date() } = {}) {
+    const cancellation = await client.sessionCancellation.findUnique({
+      where: { id: cancellationId }
+    });
+
+    if (!cancellation || cancellation.status === 'COMPLETED') {
+      return cancellation;
+    }
+
+    try {
+      await this.removeOpenSaleItems(client, cancellation);
+
+      let remaining = 0;
+      if (cancellation.policy !== 'EXCHANGE') {
+        const failures = await client.sessionCancellationFailure.findMany({
+          where: { cancellationId: cancellation.id },
+          select: {
+            saleId: true,
+            attempts: true,
+            nextAttemptAt: true
+          }
+        });
+        const attemptsBySale = new Map(failures.map(f => [f.saleId, f.attempts]));
+        const skippedSaleIds = failures
+          .filter(f => !f.nextAttemptAt || f.nextAttemptAt > now)
+          .map(f => f.saleId);
+
+        for (let processed = 0; processed < maxSales; processed++) {
+          const next = await this.nextLiveTicket(client, cancellation.sessionId, skippedSaleIds);
+          if (!next) break;
+
+          try {
+            await this.processSale(client, cancellation, next.saleId);
+          } catch (error) {
+            // Tickets sold outside a sale cannot be skipped by sale; the run fails
+            if (!next.saleId) throw error;
+
+            await this.recordSaleFailure(client, cancellation, next.saleId, {
+              attempts: (attemptsBySale.get(next.saleId) || 0) + 1,
+              error,
+              now
+            });
+            skippedSaleIds.push(next.saleId);
+            continue;
+          }
+
+          if (attemptsBySale.has(next.saleId)) {
+            await client.sessionCancellationFailure.deleteMany({
+              where: {
+                cancellationId: cancellation.id,
+                saleId: next.saleId
+              }
+            });
+          }
+        }
+
+        remaining = await client.ticket.count({
+          where: {
+            sessionId: cancellation.sessionId,
+            status: {
+              in: LIVE_TICKET_STATUSES
+            }
+          }
+        });
+      }
+
+      if (remaining === 0) {
+        await this.complete(client, cancellation, now);
+      } else if (cancellation.failedRuns > 0) {
+        await client.sessionCancellation.update({
+          where: { id: cancellation.id },
+          data: {
+            failedRuns: 0,
+            nextRunAt: null
+          }
+        });
+      }
+    } catch (error) {
+      console.error(`Session cancellation ${cancellation.id} failed:`, error);
+      await client.sessionCancellation.update({
+        where: { id: cancellation.id },
+        data: {
+          lastError: error.message,
+          failedRuns: {
+            increment: 1
+          },
+          nextRunAt: this.retryAt(cancellation.failedRuns + 1, now)
+        }
+      });
+    }
+
+    return client.sessionCancellation.findUnique({
+      where: { id: cancellation.id }
+    });
+  }
+
+  /**
+   * Record a sale the cascade could not refund and when to try it again
+   * @param {Object} client - Prisma client
+   * @param {Object} cancellation - SessionCancellation
+   * @param {string} saleId - Sale UUID
+   * @param {Object} failure - { attempts, error, now }
+   */
+  static async recordSaleFailure(client, cancellation, saleId, { attempts, error, now }) {
+    console.error(`Session cancellation ${cancellation.id} failed on sale ${saleId} (attempt ${attempts}):`, error);
+
+    // Out of attempts: left for a manager to refund by hand
+    const nextAttemptAt = attempts < SALE_ATTEMPTS ? this.retryAt(attempts, now) : null;
+
+    await client.sessionCancellationFailure.upsert({
+      where: {
+        cancellationId_saleId: {
+          cancellationId: cancellation.id,
+          saleId
+        }
+      },
+      create: {
+        cancellationId: cancellation.id,
+        saleId,
+        attempts,
+        lastError: error.message,
+        nextAttemptAt
+      },
+      update: {
+        attempts,
+        lastError: error.message,
+        nextAttemptAt
+      }
+    });
+
+    await client.sessionCancellation.update({
+      where: { id: cancellation.id },
+      data: { lastError: `Sale ${saleId}: ${error.message}` }
+    });
+  }
+
+  /**
+   * When to try again after a number of failed attempts
+   * @param {number} attempts - Failed attempts so far
+   * @param {Date} now - Time of the last failure
+   * @returns {Date} Next attempt time
+   */
+  static retryAt(attempts, now) {
+    const seconds = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+    return new Date(now.getTime() + seconds * 1000);
+  }
+
+  /**
+   * Continue every cancellation that is still running (scheduled job)
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { processed, completed }
+   */
+  static async processPending(client, { companyId, now = new Date() } = {}) {
+    const pending = await client.sessionCancellation.findMany({
+      where: {
+        ...(companyId && { companyId }),
+        status: 'RUNNING',
+        OR: [
+          { nextRunAt: null },
+          { nextRunAt: { lte: now } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true }
+    });
+
+    let completed = 0;
+    for (const { id } of pending) {
+      const cancellation = await this.process(client, id, { now });
+      if (cancellation.status === 'COMPLETED') {
+        completed++;
+      }
+    }
+
+    return { processed: pending.length, completed };
+  }
+
+  /**
+   * Ticket lines of the canceled session can no longer be sold, so they are
+   * removed from OPEN sales and those sales' totals recalculated
+   * @param {Object} client - Prisma client
+   * @param {Object} cancellation - SessionCancellation
+   */
+  static async removeOpenSaleItems(client, cancellation) {
+    const items = await client.saleItem.findMany({
+      where: {
+        companyId: cancellation.companyId,
+        sessionId: cancellation.sessionId,
+        sale: {
+          status: 'OPEN'
+        }
+      },
+      select: {
+        id: true,
+        saleId: true
+      }
+    });
+
+    const itemIdsBySale = new Map();
+    for (const item of items) {
+      itemIdsBySale.set(item.saleId, [...(itemIdsBySale.get(item.saleId) || []), item.id]);
+    }
+
+    for (const [saleId, itemIds] of itemIdsBySale) {
+      await client.$transaction(async (tx) => {
+        await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+
+        // The sale may have been finalized or canceled in the meantime
+        const sale = await tx.sale.findFirst({
+          where: { id: saleId, status: 'OPEN' },
+          select: { id: true }
+        });
+        if (!sale) return;
+
+        const { count } = await tx.saleItem.deleteMany({
+          where: {
+            id: {
+              in: itemIds
+            }
+          }
+        });
+
+        await SaleTotals.recalculate(tx, cancellation.companyId, saleId);
+
+        await tx.sessionCancellation.update({
+          where: { id: cancellation.id },
+          data: {
+            removedOpenItems: {
+              increment: count
+            }
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Next ticket of the session that still has to be refunded
+   * @param {Object} client - Prisma client
+   * @param {string} sessionId - Session UUID
+   * @param {string[]} skippedSaleIds - Sales not to be tried in this run
+   * @returns {Object|null} { saleId }
+   */
+  static async nextLiveTicket(client, sessionId, skippedSaleIds = []) {
+    return client.ticket.findFirst({
+      where: {
+        sessionId,
+        status: {
+          in: LIVE_TICKET_STATUSES
+        },
+        // NOT IN alone would also leave out the tickets sold outside a sale
+        ...(skippedSaleIds.length > 0 && {
+          OR: [
+            { saleId: null },
+            { saleId: { notIn: skippedSaleIds } }
+          ]
+        })
+      },
+      orderBy: { id: 'asc' },
+      select: { saleId: true }
+    });
+  }
+
+  /**
+   * Refund (or credit) the session's tickets of one sale
+   * @param {Object} client - Prisma client
+   * @param {Object} cancellation - SessionCancellation
+   * @param {string|null} saleId - Sale UUID, null for tickets sold outside a sale
+   */
+  static async processSale(client, cancellation, saleId) {
+    const { companyId, sessionId } = cancellation;
+
+    const refund = await client.$transaction(async (tx) => {
+      if (saleId) {
+        // Another run refunding the same sale waits here, then finds nothing left
+        await tx.$queryRaw`SELECT id FROM "sale" WHERE id = ${saleId}::uuid FOR UPDATE`;
+      }
+
+      const tickets = await tx.ticket.findMany({
+        where: {
+          sessionId,
+          saleId,
+          status: {
+            in: LIVE_TICKET_STATUSES
+          }
+        },
+        select: { id: true }
+      });
+
+      if (tickets.length === 0) return null;
+
+      let refund = null;
+      let refundedCents = 0;
+      let creditedCents = 0;
+
+      const sale = saleId ? await RefundService.loadRefundableSale(tx, companyId, saleId) : null;
+      if (sale) {
+        const plan = RefundService.plan(sale, this.refundRequest(sale, sessionId));
+        if (plan.errors.length > 0) {
+          throw new Error(`Sale ${saleId}: ${plan.errors[0]}`);
+        }
+
+        if (plan.lines.length > 0) {
+          const storeCredit = cancellation.policy === 'STORE_CREDIT';
+          ({ refund } = await RefundService.execute(tx, {
+            companyId,
+            sale,
+            plan,
+            actorCpf: cancellation.actorCpf,
+            reason: 'Session canceled',
+            storeCredit
+          }));
+
+          if (storeCredit) {
+            creditedCents = plan.totalCents;
+          } else {
+            refundedCents = plan.totalCents;
+          }
+        }
+      }
+
+      // Tickets with nothing left to refund (sold outside a sale, or whose line
+      // was already refunded) just give their seat back
+      await tx.ticket.updateMany({
+        where: {
+          id: {
+            in: tickets.map(t => t.id)
+          },
+          status: {
+            in: LIVE_TICKET_STATUSES
+          }
+        },
+        data: {
+          status: 'REFUNDED',
+          seatHold: null
+        }
+      });
+
+      await tx.sessionCancellation.update({
+        where: { id: cancellation.id },
+        data: {
+          processedTickets: {
+            increment: tickets.length
+          },
+          refundedAmount: {
+            increment: fromCents(refundedCents)
+          },
+          creditedAmount: {
+            increment: fromCents(creditedCents)
+          }
+        }
+      });
+
+      return refund;
+    });
+
+    if (refund) {
+      await RefundService.settle(client, refund);
+    }
+  }
+
+  /**
+   * Refund request covering what is left of a sale's lines for a session
+   * @param {Object} sale - Sale with items loaded
+   * @param {string} sessionId - Session UUID
+   * @returns {Object[]} [{ saleItemId, quantity }]
+   */
+  static refundRequest(sale, sessionId) {
+    return sale.items
+      .filter(item => item.sessionId === sessionId && item.quantity > item.refundedQuantity)
+      .map(item => ({
+        saleItemId: item.id,
+        quantity: item.quantity - item.refundedQuantity
+      }));
+  }
+
+  /**
+   * Mark a cancellation as done and log it
+   * @param {Object} client - Prisma client
+   * @param {Object} cancellation - SessionCancellation
+   * @param {Date} now - Completion time
+   */
+  static async complete(client, cancellation, now) {
+    const { count } = await client.sessionCancellation.updateMany({
+      where: {
+        id: cancellation.id,
+        status: 'RUNNING'
+      },
+      data: {
+        status: 'COMPLETED',
+        completedAt: now,
+        lastError: null,
+        ...(cancellation.policy === 'EXCHANGE' && { processedTickets: cancellation.totalTickets })
+      }
+    });
+
+    if (count === 0) return;
+
+    const done = await client.sessionCancellation.findUnique({
+      where: { id: cancellation.id }
+    });
+
+    await client.auditLog.create({
+      data: {
+        companyId: cancellation.companyId,
+        actorCpf: cancellation.actorCpf,
+        action: 'SESSION_CANCELLATION_COMPLETED',
+        targetType: 'SESSION',
+        targetId: cancellation.sessionId,
+        metadataJson: {
+          cancellationId: done.id,
+          policy: done.policy,
+          tickets: done.processedTickets,
+          refundedAmount: done.refundedAmount.toString(),
+          creditedAmount: done.creditedAmount.toString(),
+          removedOpenItems: done.removedOpenItems
+        }
+      }
+    });
+  }
+
+  /**
+   * Customers to contact about a canceled session
+   * @param {Object} client - Prisma client
+   * @param {string} companyId - Company UUID
+   * @param {string} sessionId - Session UUID
+   * @returns {Object} { customers, ticketsWithoutContact }
+   */
+  static async affectedCustomers(client, companyId, sessionId) {
+    const tickets = await client.ticket.findMany({
+      where: {
+        companyId,
+        sessionId
+      },
+      orderBy: { seatId: 'asc' },
+      select: {
+        seatId: true,
+        status: true,
+        sale: {
+          select: {
+            id: true,
+            buyer: {
+              select: {
+                person: {
+                  select: {
+                    cpf: true,
+                    fullName: true,
+                    email: true,
+                    phone: true
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+
+    const credits = await client.storeCredit.findMany({
+      where: {
+        companyId,
+        refund: {
+          items: {
+            some: {
+              ticket: {
+                sessionId
+              }
+            }
+          }
+        }
+      },
+      select: {
+        code: true,
+        amount: true,
+        customerCpf: true
+      }
+    });
+
+    return this.groupCustomers(tickets, credits);
+  }
+
+  /**
+   * Group a session's tickets by buyer
+   * @param {Object[]} tickets - Tickets with sale.buyer.person loaded
+   * @param {Object[]} credits - Store credits issued for the session
+   * @returns {Object} { customers, ticketsWithoutContact }
+   */
+  static groupCustomers(tickets, credits = []) {
+    const customers = new Map();
+    let ticketsWithoutContact = 0;
+
+    for (const ticket of tickets) {
+      const person = ticket.sale && ticket.sale.buyer ? ticket.sale.buyer.person : null;
+
+      if (!person) {
+        ticketsWithoutContact++;
+        continue;
+      }
+
+      if (!customers.has(person.cpf)) {
+        customers.set(person.cpf, {
+          cpf: person.cpf,
+          fullName: person.fullName,
+          email: person.email,
+          phone: person.phone,
+          seats: [],
+          saleIds: [],
+          storeCredits: []
+        });
+      }
+
+      const customer = customers.get(person.cpf);
+      customer.seats.push(ticket.seatId);
+      if (!customer.saleIds.includes(ticket.sale.id)) {
+        customer.saleIds.push(ticket.sale.id);
+      }
+    }
+
+    for (const credit of credits) {
+      const customer = customers.get(credit.customerCpf);
+      if (customer) {
+        customer.storeCredits.push({
+          code: credit.code,
+          amount: fromCents(toCents(credit.amount))
+        });
+      }
+    }
+
+    return {
+      customers: [...customers.values()],
+      ticketsWithoutContact
+    };
+  }
+}
+
+module.exports = SessionCancellationService;
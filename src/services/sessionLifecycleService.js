@@ -0,0 +1,207 @@
+/**
+ * Session Lifecycle Service
+ * Status transition rules for sessions, used both by manual status changes and
+ * by the scheduler, which moves sessions along as their start and end times pass.
+ * Completing a session marks its tickets that were never scanned in as NO_SHOW.
+ */
+
+const SettingsService = require('./settingsService');
+
+const MINUTE = 60 * 1000;
+
+class SessionLifecycleService {
+  /**
+   * Check whether a session may move to a status
+   * @param {Object} session - Session
+   * @param {string} status - Target status
+   * @param {Object} options - { settings, now }
+   * @returns {string|null} Why the transition is not allowed, or null
+   */
+  static checkTransition(session, status, { settings, now = new Date() }) {
+    // Its tickets have been refunded, there is no going back
+    if (session.status === 'CANCELED') {
+      return 'Session is already canceled';
+    }
+
+    if (status === 'IN_PROGRESS') {
+      if (session.status !== 'SCHEDULED') {
+        return 'Can only start scheduled sessions';
+      }
+
+      // Check if session start time is near
+      const timeDiff = (new Date(session.startTime) - now) / MINUTE;
+      if (timeDiff > settings.sessionStartLeadMinutes) {
+        return 'Session start time is too far in the future';
+      }
+    }
+
+    if (status === 'COMPLETED' && session.status !== 'IN_PROGRESS') {
+      return 'Can only complete sessions that are in progress';
+    }
+
+    if (status === 'CANCELED' && session.status === 'COMPLETED') {
+      return 'Cannot cancel completed sessions';
+    }
+
+    return null;
+  }
+
+  /**
+   * The status a session should move to given the time, if any. A SCHEDULED
+   * session whose end time already passed goes through IN_PROGRESS first.
+   * @param {Object} session - Session
+   * @param {Date} now - Reference time
+   * @returns {string|null} IN_PROGRESS, COMPLETED or null
+   */
+  static dueTransition(session, now = new Date()) {
+    if (session.status === 'SCHEDULED' && new Date(session.startTime) <= now) {
+      return 'IN_PROGRESS';
+    }
+
+    if (session.status === 'IN_PROGRESS' && new Date(session.endTime) <= now) {
+      return 'COMPLETED';
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether tickets for a session can still be sold
+   * @param {Object} session - Session
+   * @param {Object} settings - Company settings (salesCutoffMinutes)
+   * @param {Date} now - Reference time
+   * @returns {string|null} Why sales are closed, or null when open
+   */
+  static salesClosedReason(session, settings, now = new Date()) {
+    if (!['SCHEDULED', 'IN_PROGRESS'].includes(session.status)) {
+      return `Ticket sales are closed for ${session.status.toLowerCase()} sessions`;
+    }
+
+    const cutoff = new Date(session.startTime).getTime() + settings.salesCutoffMinutes * MINUTE;
+    if (now.getTime() >= cutoff) {
+      return 'Ticket sales for this session are closed';
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a session to a new status and log it. The caller checks the rules;
+   * the update only applies if nobody changed the status in the meantime.
+   * @param {Object} client - Prisma client
+   * @param {Object} session - Session as last read
+   * @param {string} status - New status
+   * @param {Object} options - { actorCpf (null for automatic), reason, ipAddress, userAgent }
+   * @returns {Object|null} { session, noShows } or null when the status had already changed
+   */
+  static async transition(client, session, status, { actorCpf = null, reason = null, ipAddress = null, userAgent = null } = {}) {
+    return client.$transaction(async (tx) => {
+      const { count } = await tx.session.updateMany({
+        where: {
+          id: session.id,
+          status: session.status
+        },
+        data: { status }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      let noShows = 0;
+      if (status === 'COMPLETED') {
+        const result = await tx.ticket.updateMany({
+          where: {
+            sessionId: session.id,
+            status: 'ISSUED'
+          },
+          data: {
+            status: 'NO_SHOW'
+          }
+        });
+        noShows = result.count;
+      }
+
+      await tx.auditLog.create({
+        data: {
+          companyId: session.companyId,
+          actorCpf,
+          action: 'SESSION_STATUS_CHANGED',
+          targetType: 'SESSION',
+          targetId: session.id,
+          metadataJson: {
+            oldStatus: session.status,
+            newStatus: status,
+            reason,
+            automatic: !actorCpf,
+            ...(status === 'COMPLETED' && { noShows })
+          },
+          ipAddress,
+          userAgent
+        }
+      });
+
+      const updated = await tx.session.findUnique({
+        where: { id: session.id },
+        include: {
+          movie: true,
+          room: true
+        }
+      });
+
+      return { session: updated, noShows };
+    });
+  }
+
+  /**
+   * Apply every transition that is due by time
+   * @param {Object} client - Prisma client
+   * @param {Object} options - { companyId, now }
+   * @returns {Object} { started, completed, noShows }
+   */
+  static async advance(client, { companyId, now = new Date() } = {}) {
+    const sessions = await client.session.findMany({
+      where: {
+        ...(companyId && { companyId }),
+        deletedAt: null,
+        OR: [
+          { status: 'SCHEDULED', startTime: { lte: now } },
+          { status: 'IN_PROGRESS', endTime: { lte: now } }
+        ]
+      }
+    });
+
+    const totals = { started: 0, completed: 0, noShows: 0 };
+    const settingsByCompany = new Map();
+
+    for (let session of sessions) {
+      if (!settingsByCompany.has(session.companyId)) {
+        settingsByCompany.set(session.companyId, await SettingsService.get(client, session.companyId));
+      }
+      const settings = settingsByCompany.get(session.companyId);
+      let status = this.dueTransition(session, now);
+
+      while (status && !this.checkTransition(session, status, { settings, now })) {
+        const result = await this.transition(client, session, status, {
+          reason: status === 'IN_PROGRESS' ? 'Start time reached' : 'End time reached'
+        });
+
+        if (!result) break;
+
+        if (status === 'IN_PROGRESS') {
+          totals.started++;
+        } else {
+          totals.completed++;
+          totals.noShows += result.noShows;
+        }
+
+        session = result.session;
+        status = this.dueTransition(session, now);
+      }
+    }
+
+    return totals;
+  }
+}
+
+module.exports = SessionLifecycleService;
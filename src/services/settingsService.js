@@ -0,0 +1,56 @@
+/**
+ * Settings Service
+ * Per-company operational settings. Companies that never saved their settings
+ * get the defaults below (kept in sync with the CompanySettings column defaults).
+ */
+
+const DEFAULT_SETTINGS = {
+  checkInOpensMinutes: 60,
+  checkInClosesMinutes: 30,
+  allowReentry: false,
+  maxReentries: 1,
+  reservationHoldMinutes: 15,
+  abandonedSaleMinutes: 15,
+  sessionStartLeadMinutes: 15,
+  salesCutoffMinutes: 0,
+  halfPriceQuotaPercent: 40,
+  cancellationPolicy: 'FULL_REFUND',
+  requireCashDrawer: false,
+  pixKey: null,
+  pixChargeMinutes: 10
+};
+
+class SettingsService {
+  /**
+   * Get a company's settings, falling back to the defaults
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @returns {Object} Settings
+   */
+  static async get(client, companyId) {
+    const settings = await client.companySettings.findUnique({
+      where: { companyId }
+    });
+
+    return { ...DEFAULT_SETTINGS, ...settings, companyId };
+  }
+
+  /**
+   * Save some of a company's settings
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {Object} data - Settings to change
+   * @returns {Object} Updated settings
+   */
+  static async update(client, companyId, data) {
+    return client.companySettings.upsert({
+      where: { companyId },
+      create: { ...DEFAULT_SETTINGS, ...data, companyId },
+      update: data
+    });
+  }
+}
+
+SettingsService.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = SettingsService;
@@ -0,0 +1,90 @@
+/**
+ * Stock Take Service
+ * Physical count arithmetic: units counted per SKU, the variance against the
+ * stock expected when the SKU was first counted and what that variance is
+ * worth. Only counted SKUs are corrected; the rest are left alone.
+ */
+
+const { fromCents } = require('../utils/money');
+
+class StockTakeService {
+  /**
+   * Units counted per SKU, adding up every employee's counts
+   * @param {Object[]} counts - StockTakeCounts
+   * @returns {Map} SKU -> units counted
+   */
+  static tally(counts) {
+    const bySku = new Map();
+    for (const count of counts) {
+      bySku.set(count.sku, (bySku.get(count.sku) || 0) + count.quantity);
+    }
+    return bySku;
+  }
+
+  /**
+   * Variance of each counted SKU. movedSinceCount is stock that moved (sales,
+   * receipts, adjustments) after the SKU was counted; it is kept as is when
+   * the variance is posted.
+   * @param {Object[]} lines - StockTakeLines
+   * @param {Object[]} counts - StockTakeCounts
+   * @param {Map} items - SKU -> InventoryItem (name, qtyOnHand, unitCost)
+   * @returns {Object[]} [{ sku, name, snapshotQty, countedQty, variance, qtyOnHand, movedSinceCount, unitCost, valueImpact }]
+   */
+  static variances(lines, counts, items) {
+    const counted = this.tally(counts);
+
+    return lines
+      .map(line => {
+        const item = items.get(line.sku) || {};
+        const countedQty = counted.get(line.sku) || 0;
+        const variance = countedQty - line.snapshotQty;
+        const hasCost = item.unitCost !== null && item.unitCost !== undefined;
+
+        return {
+          sku: line.sku,
+          name: item.name || null,
+          snapshotQty: line.snapshotQty,
+          countedQty,
+          variance,
+          qtyOnHand: item.qtyOnHand,
+          movedSinceCount: item.qtyOnHand - line.snapshotQty,
+          unitCost: hasCost ? parseFloat(item.unitCost) : null,
+          valueImpact: hasCost ? fromCents(Math.round(parseFloat(item.unitCost) * variance * 100)) : null,
+          ...(line.postedDelta !== null && line.postedDelta !== undefined && { postedDelta: line.postedDelta })
+        };
+      })
+      .sort((a, b) => a.sku.localeCompare(b.sku));
+  }
+
+  /**
+   * Totals of a stock take's variances
+   * @param {Object[]} rows - Rows from variances()
+   * @returns {Object} { skusCounted, skusWithVariance, unitsOver, unitsShort, valueImpact, uncostedSkus }
+   */
+  static summarize(rows) {
+    const withVariance = rows.filter(r => r.variance !== 0);
+
+    return {
+      skusCounted: rows.length,
+      skusWithVariance: withVariance.length,
+      unitsOver: withVariance.filter(r => r.variance > 0).reduce((sum, r) => sum + r.variance, 0),
+      unitsShort: withVariance.filter(r => r.variance < 0).reduce((sum, r) => sum - r.variance, 0),
+      // Net value gained (positive) or lost (negative); SKUs without a cost are left out
+      valueImpact: fromCents(withVariance.reduce((sum, r) => sum + Math.round((r.valueImpact || 0) * 100), 0)),
+      uncostedSkus: withVariance.filter(r => r.valueImpact === null).length
+    };
+  }
+
+  /**
+   * Adjustment to post for a row on approval: the variance, except that it
+   * can never take stock below zero
+   * @param {number} variance - Counted minus snapshot
+   * @param {number} qtyOnHand - Units on hand now
+   * @returns {number} Delta to post
+   */
+  static postingDelta(variance, qtyOnHand) {
+    return Math.max(variance, qtyOnHand > 0 ? -qtyOnHand : 0);
+  }
+}
+
+module.exports = StockTakeService;
@@ -0,0 +1,123 @@
+/**
+ * Tax Engine
+ * Computes ISS/ICMS taxes for sale lines from the company tax configuration.
+ * Inclusive rates extract the tax already contained in the price, exclusive
+ * rates add the tax on top of it.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+class TaxEngine {
+  /**
+   * Load the tax configuration of a company
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @returns {Object} Map of item class -> TaxRate record
+   */
+  static async getRates(client, companyId) {
+    const rates = await client.taxRate.findMany({
+      where: { companyId }
+    });
+
+    return rates.reduce((acc, rate) => {
+      acc[rate.itemClass] = rate;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Tax contained in (inclusive) or due on top of (exclusive) a taxable amount
+   * @param {number} taxableCents - Taxable amount (cents)
+   * @param {number} rate - Percentage rate
+   * @param {boolean} isInclusive - Whether the amount already contains the tax
+   * @returns {number} Tax (cents)
+   */
+  static computeTax(taxableCents, rate, isInclusive) {
+    if (taxableCents <= 0 || rate <= 0) {
+      return 0;
+    }
+
+    return isInclusive
+      ? Math.round((taxableCents * rate) / (100 + rate))
+      : Math.round((taxableCents * rate) / 100);
+  }
+
+  /**
+   * Compute the tax of each line, taxing the line total net of its discounts
+   * @param {Object[]} lines - Normalized sale lines (see DiscountEngine.loadSaleLines)
+   * @param {Object} rates - Map of item class -> TaxRate record
+   * @param {Object} discountsByLine - Map of line id -> discount allocated to it
+   * @returns {Object} { lines, taxTotal, exclusiveTaxTotal }
+   */
+  static calculate(lines, rates, discountsByLine = {}) {
+    let taxCents = 0;
+    let exclusiveCents = 0;
+
+    const taxedLines = lines.map(line => {
+      const rate = line.itemClass ? rates[line.itemClass] : null;
+
+      if (!rate) {
+        return { saleItemId: line.id, taxType: null, taxRate: 0, taxAmount: 0, taxIncluded: true };
+      }
+
+      const taxableCents = Math.max(0, toCents(line.lineTotal) - toCents(discountsByLine[line.id]));
+      const lineTaxCents = this.computeTax(taxableCents, parseFloat(rate.rate), rate.isInclusive);
+
+      taxCents += lineTaxCents;
+      if (!rate.isInclusive) {
+        exclusiveCents += lineTaxCents;
+      }
+
+      return {
+        saleItemId: line.id,
+        taxType: rate.taxType,
+        taxRate: parseFloat(rate.rate),
+        taxAmount: fromCents(lineTaxCents),
+        taxIncluded: rate.isInclusive
+      };
+    });
+
+    return {
+      lines: taxedLines,
+      taxTotal: fromCents(taxCents),
+      exclusiveTaxTotal: fromCents(exclusiveCents)
+    };
+  }
+
+  /**
+   * Group the stored line taxes of one or more sales by tax bucket
+   * @param {Object[]} items - SaleItems, optionally with discountAllocations loaded
+   * @returns {Object[]} [{ taxType, taxableAmount, taxAmount, inclusiveAmount, exclusiveAmount }]
+   */
+  static summarize(items) {
+    const buckets = new Map();
+
+    items.filter(item => item.taxType).forEach(item => {
+      if (!buckets.has(item.taxType)) {
+        buckets.set(item.taxType, { taxType: item.taxType, taxable: 0, tax: 0, inclusive: 0, exclusive: 0 });
+      }
+
+      const bucket = buckets.get(item.taxType);
+      const discountCents = (item.discountAllocations || []).reduce((sum, a) => sum + toCents(a.amount), 0);
+      const taxCents = toCents(item.taxAmount);
+
+      bucket.taxable += Math.max(0, toCents(item.lineTotal) - discountCents);
+      bucket.tax += taxCents;
+      if (item.taxIncluded) {
+        bucket.inclusive += taxCents;
+      } else {
+        bucket.exclusive += taxCents;
+      }
+    });
+
+    return Array.from(buckets.values()).map(bucket => ({
+      taxType: bucket.taxType,
+      taxableAmount: fromCents(bucket.taxable),
+      taxAmount: fromCents(bucket.tax),
+      inclusiveAmount: fromCents(bucket.inclusive),
+      exclusiveAmount: fromCents(bucket.exclusive)
+    }));
+  }
+}
+
+module.exports = TaxEngine;
@@ -0,0 +1,62 @@
+/**
+ * Tender Service
+ * Rules for paying a sale with one or more tenders. Only cash may be tendered
+ * over the balance - the difference is handed back as change. Card, PIX and
+ * other tenders are charged exactly what they pay, so they are capped at the
+ * remaining balance. Voided payments no longer count towards the sale.
+ */
+
+const { toCents, fromCents } = require('../utils/money');
+
+class TenderService {
+  /**
+   * Payments that still count towards the sale
+   * @param {Object[]} payments - Payments of the sale
+   * @returns {Object[]} Payments not voided
+   */
+  static active(payments) {
+    return payments.filter(p => !p.voidedAt);
+  }
+
+  /**
+   * Where a sale stands against its payments
+   * @param {number|string|Object} grandTotal - Sale total
+   * @param {Object[]} payments - Payments of the sale (voided ones are skipped)
+   * @returns {Object} { paidCents, remainingCents, changeCents, excessCents }: change is the
+   *   overpayment handed back out of the cash tendered; excess is overpayment cash cannot cover
+   */
+  static balance(grandTotal, payments) {
+    const active = this.active(payments);
+    const paidCents = active.reduce((sum, p) => sum + toCents(p.amount), 0);
+    const cashCents = active.filter(p => p.method === 'CASH').reduce((sum, p) => sum + toCents(p.amount), 0);
+    const overCents = Math.max(0, paidCents - toCents(grandTotal));
+    const changeCents = Math.min(cashCents, overCents);
+
+    return {
+      paidCents,
+      remainingCents: Math.max(0, toCents(grandTotal) - paidCents),
+      changeCents,
+      excessCents: overCents - changeCents
+    };
+  }
+
+  /**
+   * Check a new payment against the balance left to pay
+   * @param {number} remainingCents - Balance left to pay (cents)
+   * @param {Object} payment - { method, amount }
+   * @returns {string|null} Why the payment is refused, or null when it is accepted
+   */
+  static refusal(remainingCents, { method, amount }) {
+    if (remainingCents <= 0) {
+      return 'Sale is already fully paid';
+    }
+
+    if (method !== 'CASH' && toCents(amount) > remainingCents) {
+      return `${method} payments cannot exceed the remaining balance of ${fromCents(remainingCents).toFixed(2)}`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = TenderService;
@@ -0,0 +1,414 @@
+/**
+ * Ticket Exchange Service
+ * Moves an ISSUED ticket to another session and/or seat. The old ticket is kept
+ * as EXCHANGED and linked to its replacement; the original sale line follows the
+ * new ticket so later refunds still go through the original payments. When the
+ * new seat costs more the difference is collected in a sale of its own - taken
+ * like any other payment, through its provider and into the cashier's drawer -
+ * when it costs less the difference is refunded through the original sale.
+ */
+
+const RefundService = require('./refundService');
+const PaymentGateway = require('./paymentGateway');
+const TenderService = require('./tenderService');
+const CashDrawerService = require('./cashDrawerService');
+const HalfPriceService = require('./halfPriceService');
+const { toCents, fromCents } = require('../utils/money');
+
+// Tickets that gave their seat back
+const RELEASED_TICKET_STATUSES = ['REFUNDED', 'EXCHANGED'];
+
+class TicketExchangeService {
+  /**
+   * Find the live sale line a ticket was sold on
+   * @param {Object|null} sale - Sale with items loaded
+   * @param {Object} ticket - Ticket
+   * @returns {Object|null} SaleItem
+   */
+  static findSaleLine(sale, ticket) {
+    if (!sale) return null;
+
+    return sale.items.find(item =>
+      item.sessionId === ticket.sessionId &&
+      item.seatId === ticket.seatId &&
+      item.quantity > item.refundedQuantity
+    ) || null;
+  }
+
+  /**
+   * Work out what changing a ticket's price means for the customer
+   * @param {Object} ticket - Ticket being exchanged (price)
+   * @param {Object|null} saleLine - Its sale line (discountAllocations, refundItems), if any
+   * @param {number} newPriceCents - Price of the new seat (cents)
+   * @returns {Object} { oldPriceCents, newPriceCents, differenceCents, collectCents, refundCents }
+   *   refundCents never exceeds what is left to refund on the sale line
+   */
+  static quote(ticket, saleLine, newPriceCents) {
+    const oldPriceCents = toCents(ticket.price);
+    const differenceCents = newPriceCents - oldPriceCents;
+
+    const refundableCents = saleLine ? RefundService.lineRefundCents(saleLine, 1) : 0;
+
+    return {
+      oldPriceCents,
+      newPriceCents,
+      differenceCents,
+      collectCents: Math.max(0, differenceCents),
+      refundCents: differenceCents < 0 ? Math.min(-differenceCents, refundableCents) : 0
+    };
+  }
+
+  /**
+   * Quote in reais, as returned to clients
+   * @param {Object} quote - Result of quote()
+   * @returns {Object} { oldPrice, newPrice, difference, toCollect, toRefund }
+   */
+  static describeQuote(quote) {
+    return {
+      oldPrice: fromCents(quote.oldPriceCents),
+      newPrice: fromCents(quote.newPriceCents),
+      difference: fromCents(quote.differenceCents),
+      toCollect: fromCents(quote.collectCents),
+      toRefund: fromCents(quote.refundCents)
+    };
+  }
+
+  /**
+   * Exchange a ticket. Runs under a row lock on the target session so the new
+   * seat cannot be sold twice.
+   * @param {Object} client - Prisma client
+   * @param {Object} params - { companyId, ticket, sale, targetSession, seatId, qrCode, newTicketId,
+   *   quote, payment: { method, amount, authCode }, settings, reason, actorCpf, ipAddress, userAgent, now }
+   *   ticket: the ISSUED ticket; sale: its refundable sale (items, payments) or null;
+   *   targetSession: with room (seatMapId, capacity); settings: company settings;
+   *   payment.amount: what was tendered, the difference when left out
+   * @returns {Object} { exchange, ticket, differenceSale, refund }, { conflict } when the seat
+   *   is taken or the target session has no meia-entrada quota left, { refused } when the
+   *   payment does not fit the difference, or { drawerRequired }
+   * @throws {PaymentError} When the provider refuses the payment
+   */
+  static async exchange(client, params) {
+    const {
+      companyId,
+      ticket,
+      quote,
+      payment,
+      settings,
+      reason = null,
+      actorCpf,
+      ipAddress = null,
+      userAgent = null,
+      now = new Date()
+    } = params;
+
+    // Take the difference before touching any ticket, the way a sale takes a payment
+    let tendered = null;
+    let changeCents = 0;
+    let drawer = null;
+    let authorization = null;
+
+    if (quote.collectCents > 0) {
+      tendered = payment.amount !== undefined ? payment.amount : fromCents(quote.collectCents);
+      if (toCents(tendered) < quote.collectCents) {
+        return { refused: `Payment does not cover the difference of ${fromCents(quote.collectCents).toFixed(2)}` };
+      }
+
+      const refusal = TenderService.refusal(quote.collectCents, { method: payment.method, amount: tendered });
+      if (refusal) {
+        return { refused: refusal };
+      }
+      changeCents = toCents(tendered) - quote.collectCents;
+
+      drawer = await CashDrawerService.openSession(client, companyId, actorCpf);
+      if (!drawer && payment.method === 'CASH' && settings.requireCashDrawer) {
+        return { drawerRequired: true };
+      }
+
+      authorization = await PaymentGateway.authorize(payment.method, {
+        amount: tendered,
+        reference: ticket.id,
+        authCode: payment.authCode
+      });
+    }
+
+    // Hand the money back when the exchange does not go through: release the
+    // authorization, or refund it once captured
+    let captured = Boolean(authorization && authorization.captured);
+    const giveBack = async () => {
+      if (!authorization) return;
+
+      try {
+        await PaymentGateway.void({ ...authorization, amount: tendered, capturedAt: captured ? now : null });
+      } catch (error) {
+        console.error(`Could not give back the exchange payment ${authorization.providerRef}:`, error.message);
+      }
+    };
+
+    let result;
+    try {
+      // The difference sale is final, so there is nothing to wait for before capturing
+      if (authorization && !captured) {
+        await PaymentGateway.capture({ ...authorization, amount: tendered, capturedAt: null });
+        captured = true;
+      }
+
+      result = await this.persist(client, {
+        ...params,
+        reason,
+        ipAddress,
+        userAgent,
+        now,
+        tendered,
+        changeCents,
+        drawer,
+        authorization
+      });
+    } catch (error) {
+      await giveBack();
+      throw error;
+    }
+
+    if (result.conflict) {
+      await giveBack();
+    } else if (result.refund) {
+      // The refunded difference goes back through the original providers once committed
+      await RefundService.settle(client, result.refund);
+    }
+
+    return result;
+  }
+
+  /**
+   * Write an exchange whose difference, if any, was already taken
+   * @param {Object} client - Prisma client
+   * @param {Object} params - exchange() params plus { tendered, changeCents, drawer, authorization }
+   * @returns {Object} { exchange, ticket, differenceSale, refund } or { conflict }
+   */
+  static async persist(client, params) {
+    const {
+      companyId,
+      ticket,
+      sale,
+      targetSession,
+      seatId,
+      qrCode,
+      newTicketId,
+      quote,
+      payment,
+      settings,
+      reason,
+      actorCpf,
+      ipAddress,
+      userAgent,
+      now,
+      tendered,
+      changeCents,
+      drawer,
+      authorization
+    } = params;
+
+    return client.$transaction(async (tx) => {
+      await tx.$queryRaw`SELECT id FROM "session" WHERE id = ${targetSession.id}::uuid FOR UPDATE`;
+
+      const taken = await tx.ticket.findFirst({
+        where: {
+          sessionId: targetSession.id,
+          seatMapId: targetSession.room.seatMapId,
+          seatId,
+          status: {
+            notIn: RELEASED_TICKET_STATUSES
+          }
+        },
+        select: { id: true }
+      });
+
+      const held = await tx.seatReservation.findFirst({
+        where: {
+          sessionId: targetSession.id,
+          seatId,
+          expiresAt: {
+            gt: now
+          }
+        },
+        select: { id: true }
+      });
+
+      if (taken || held) {
+        return { conflict: taken ? 'Seat is already taken for this session' : 'Seat is being held by another checkout' };
+      }
+
+      // The ticket keeps its category, so it needs a quota seat in the new session
+      if (targetSession.id !== ticket.sessionId && HalfPriceService.countsTowardQuota(ticket.category)) {
+        const quotaError = await HalfPriceService.reserveQuota(tx, targetSession, 1, settings);
+        if (quotaError) {
+          return { conflict: quotaError };
+        }
+      }
+
+      // Old ticket gives up its seat; fails if it was used or refunded meanwhile
+      const { count } = await tx.ticket.updateMany({
+        where: {
+          id: ticket.id,
+          status: 'ISSUED'
+        },
+        data: {
+          status: 'EXCHANGED',
+          seatHold: null
+        }
+      });
+
+      if (count === 0) {
+        return { conflict: 'Ticket is no longer ISSUED' };
+      }
+
+      const saleLine = this.findSaleLine(sale, ticket);
+
+      let differenceSale = null;
+      if (quote.collectCents > 0) {
+        const amount = fromCents(quote.collectCents);
+        // A drawer closed meanwhile no longer takes payments
+        const drawerSession = drawer ? await CashDrawerService.lockOpen(tx, drawer.id) : null;
+
+        differenceSale = await tx.sale.create({
+          data: {
+            companyId,
+            cashierCpf: actorCpf,
+            buyerCpf: sale ? sale.buyerCpf : null,
+            subTotal: amount,
+            grandTotal: amount,
+            changeGiven: fromCents(changeCents),
+            drawerSessionId: drawerSession ? drawerSession.id : null,
+            status: 'FINALIZED',
+            // Not a seat line: the seat is sold on the original sale's line
+            items: {
+              create: [{
+                companyId,
+                description: `Ticket exchange difference (seat ${seatId})`,
+                quantity: 1,
+                unitPrice: amount,
+                lineTotal: amount
+              }]
+            },
+            payments: {
+              create: [{
+                companyId,
+                method: payment.method,
+                amount: tendered,
+                authCode: (authorization && authorization.authCode) || payment.authCode || null,
+                provider: authorization ? authorization.provider : null,
+                providerRef: authorization ? authorization.providerRef : null,
+                capturedAt: now
+              }]
+            }
+          }
+        });
+
+        if (drawerSession && changeCents > 0) {
+          await tx.cashMovement.create({
+            data: {
+              companyId,
+              sessionId: drawerSession.id,
+              saleId: differenceSale.id,
+              type: 'CHANGE',
+              amount: fromCents(changeCents),
+              actorCpf
+            }
+          });
+        }
+      }
+
+      const newTicket = await tx.ticket.create({
+        data: {
+          id: newTicketId,
+          companyId,
+          sessionId: targetSession.id,
+          seatMapId: targetSession.room.seatMapId,
+          seatId,
+          saleId: ticket.saleId,
+          price: fromCents(quote.newPriceCents),
+          qrCode,
+          status: 'ISSUED',
+          category: ticket.category,
+          proofType: ticket.proofType,
+          proofNumber: ticket.proofNumber
+        },
+        include: {
+          session: {
+            include: {
+              movie: true,
+              room: true
+            }
+          },
+          seat: true
+        }
+      });
+
+      // The original line now stands for the new ticket
+      if (saleLine) {
+        await tx.saleItem.update({
+          where: { id: saleLine.id },
+          data: {
+            sessionId: targetSession.id,
+            seatId
+          }
+        });
+      }
+
+      let refund = null;
+      if (quote.refundCents > 0) {
+        // Amount-only refund of the line: no units come back
+        const result = await RefundService.execute(tx, {
+          companyId,
+          sale,
+          plan: {
+            lines: [{ saleItem: saleLine, quantity: 0, amountCents: quote.refundCents, ticket: null }],
+            totalCents: quote.refundCents
+          },
+          actorCpf,
+          reason: `Ticket exchange difference${reason ? `: ${reason}` : ''}`.slice(0, 500)
+        });
+        refund = result.refund;
+      }
+
+      const exchange = await tx.ticketExchange.create({
+        data: {
+          companyId,
+          oldTicketId: ticket.id,
+          newTicketId: newTicket.id,
+          oldPrice: fromCents(quote.oldPriceCents),
+          newPrice: fromCents(quote.newPriceCents),
+          differenceSaleId: differenceSale ? differenceSale.id : null,
+          refundId: refund ? refund.id : null,
+          reason,
+          actorCpf
+        }
+      });
+
+      await tx.auditLog.create({
+        data: {
+          companyId,
+          actorCpf,
+          action: 'EXCHANGE_TICKET',
+          targetType: 'TICKET',
+          targetId: ticket.id,
+          metadataJson: {
+            exchangeId: exchange.id,
+            newTicketId: newTicket.id,
+            from: { sessionId: ticket.sessionId, seatId: ticket.seatId },
+            to: { sessionId: targetSession.id, seatId },
+            difference: fromCents(quote.differenceCents),
+            differenceSaleId: exchange.differenceSaleId,
+            refundId: exchange.refundId,
+            reason
+          },
+          ipAddress,
+          userAgent
+        }
+      });
+
+      return { exchange, ticket: newTicket, differenceSale, refund };
+    });
+  }
+}
+
+module.exports = TicketExchangeService;
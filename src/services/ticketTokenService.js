@@ -0,0 +1,348 @@
+/**
+ * Ticket Token Service
+ * Issues and verifies the signed tokens printed as ticket QR codes.
+ *
+ * A token is the base64url encoding of a compact binary payload followed by
+ * its Ed25519 signature:
+ *   [format:1][keyVersion:2][ticketId:16][sessionId:16][issuedAt:4][seatIdLength:1][seatId:n][signature:64]
+ * Each company signs with its own key pair. Public keys are published as a
+ * JWK set so door scanners can check tickets offline.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_FORMAT = 1;
+const HEADER_LENGTH = 40;
+const SIGNATURE_LENGTH = 64;
+
+// Cache of decrypted key objects, keyed by `${companyId}:${version}`
+const keyCache = new Map();
+
+const uuidToBytes = (uuid) => Buffer.from(uuid.replace(/-/g, ''), 'hex');
+
+const bytesToUuid = (bytes) => {
+  const hex = bytes.toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+// Private keys are stored encrypted with a key derived from the server secret
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TICKET_KEY_SECRET || process.env.JWT_SECRET || 'fallback-secret')
+  .digest();
+
+const encryptPrivateKey = (der) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(der), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+};
+
+const decryptPrivateKey = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+};
+
+const publicKeyFromRaw = (raw) => crypto.createPublicKey({
+  key: { kty: 'OKP', crv: 'Ed25519', x: raw },
+  format: 'jwk'
+});
+
+class TicketTokenService {
+  /**
+   * Serialize a token payload
+   * @param {Object} payload - { keyVersion, ticketId, sessionId, seatId, issuedAt }
+   * @returns {Buffer} Payload bytes (the signed part of the token)
+   */
+  static encodePayload({ keyVersion, ticketId, sessionId, seatId, issuedAt }) {
+    const seatBytes = Buffer.from(seatId, 'utf8');
+    if (seatBytes.length > 255) {
+      throw new Error('Seat id too long for ticket token');
+    }
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(TOKEN_FORMAT, 0);
+    header.writeUInt16BE(keyVersion, 1);
+    uuidToBytes(ticketId).copy(header, 3);
+    uuidToBytes(sessionId).copy(header, 19);
+    header.writeUInt32BE(Math.floor(issuedAt.getTime() / 1000), 35);
+    header.writeUInt8(seatBytes.length, 39);
+
+    return Buffer.concat([header, seatBytes]);
+  }
+
+  /**
+   * Split a token into its payload and signature without checking the signature
+   * @param {string} token - Scanned token
+   * @returns {Object|null} { keyVersion, ticketId, sessionId, seatId, issuedAt, signed, signature } or null when malformed
+   */
+  static decode(token) {
+    if (typeof token !== 'string' || !/^[A-Za-z0-9_-]+$/.test(token)) {
+      return null;
+    }
+
+    const bytes = Buffer.from(token, 'base64url');
+    if (bytes.length < HEADER_LENGTH + SIGNATURE_LENGTH || bytes.readUInt8(0) !== TOKEN_FORMAT) {
+      return null;
+    }
+
+    const seatLength = bytes.readUInt8(39);
+    const payloadLength = HEADER_LENGTH + seatLength;
+    if (bytes.length !== payloadLength + SIGNATURE_LENGTH) {
+      return null;
+    }
+
+    return {
+      keyVersion: bytes.readUInt16BE(1),
+      ticketId: bytesToUuid(bytes.subarray(3, 19)),
+      sessionId: bytesToUuid(bytes.subarray(19, 35)),
+      issuedAt: new Date(bytes.readUInt32BE(35) * 1000),
+      seatId: bytes.subarray(HEADER_LENGTH, payloadLength).toString('utf8'),
+      signed: bytes.subarray(0, payloadLength),
+      signature: bytes.subarray(payloadLength)
+    };
+  }
+
+  /**
+   * Sign a payload into a token
+   * @param {Object} payload - See encodePayload
+   * @param {KeyObject} privateKey - Ed25519 private key
+   * @returns {string} Token
+   */
+  static sign(payload, privateKey) {
+    const signed = this.encodePayload(payload);
+    const signature = crypto.sign(null, signed, privateKey);
+    return Buffer.concat([signed, signature]).toString('base64url');
+  }
+
+  /**
+   * Check a decoded token's signature
+   * @param {Object} decoded - Result of decode()
+   * @param {KeyObject|string} publicKey - Ed25519 public key (KeyObject or raw base64url)
+   * @returns {boolean} Whether the signature is valid
+   */
+  static verifySignature(decoded, publicKey) {
+    const key = typeof publicKey === 'string' ? publicKeyFromRaw(publicKey) : publicKey;
+    return crypto.verify(null, decoded.signed, key, decoded.signature);
+  }
+
+  /**
+   * Create a new signing key for a company, retiring the current one
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @returns {Object} TicketSigningKey record
+   */
+  static async rotateKey(client, companyId) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const latest = await client.ticketSigningKey.findFirst({
+      where: { companyId },
+      orderBy: { version: 'desc' }
+    });
+
+    await client.ticketSigningKey.updateMany({
+      where: { companyId, isActive: true },
+      data: { isActive: false, retiredAt: new Date() }
+    });
+
+    return client.ticketSigningKey.create({
+      data: {
+        companyId,
+        version: latest ? latest.version + 1 : 1,
+        publicKey: publicKey.export({ format: 'jwk' }).x,
+        privateKey: encryptPrivateKey(privateKey.export({ format: 'der', type: 'pkcs8' }))
+      }
+    });
+  }
+
+  /**
+   * Get the company's active signing key, creating the first one on demand
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @returns {Object} { version, privateKey }
+   */
+  static async getSigningKey(client, companyId) {
+    let key = await client.ticketSigningKey.findFirst({
+      where: { companyId, isActive: true },
+      orderBy: { version: 'desc' }
+    });
+
+    if (!key) {
+      try {
+        key = await this.rotateKey(client, companyId);
+      } catch (error) {
+        // Another request created the first key concurrently
+        if (error.code !== 'P2002') throw error;
+        key = await client.ticketSigningKey.findFirst({
+          where: { companyId },
+          orderBy: { version: 'desc' }
+        });
+      }
+    }
+
+    const cacheKey = `${companyId}:${key.version}`;
+    if (!keyCache.has(cacheKey)) {
+      keyCache.set(cacheKey, crypto.createPrivateKey({
+        key: decryptPrivateKey(key.privateKey),
+        format: 'der',
+        type: 'pkcs8'
+      }));
+    }
+
+    return { version: key.version, privateKey: keyCache.get(cacheKey) };
+  }
+
+  /**
+   * Issue the QR token for a ticket. The ticket id must be chosen by the
+   * caller before the ticket row is created since it is part of the token.
+   * @param {Object} client - Prisma client or transaction
+   * @param {string} companyId - Company UUID
+   * @param {Object} ticket - { id, sessionId, seatId }
+   * @returns {string} Token
+   */
+  static async issue(client, companyId, ticket) {
+    const signingKey = await this.getSigningKey(client, companyId);
+    return this.issueWithKey(signingKey, ticket);
+  }
+
+  /**
+   * Issue a token with a key already loaded by getSigningKey() - lets callers
+   * fetch the key once, outside of a transaction, and sign many tickets
+   * @param {Object} signingKey - { version, privateKey }
+   * @param {Object} ticket - { id, sessionId, seatId }
+   * @returns {string} Token
+   */
+  static issueWithKey({ version, privateKey }, { id, sessionId, seatId }) {
+    return this.sign({
+      keyVersion: version,
+      ticketId: id,
+      sessionId,
+      seatId,
+      issuedAt: new Date()
+    }, privateKey);
+  }
+
+  /**
+   * Published verification keys of a company as a JWK set
+   * @param {Object} client - Prisma client
+   * @param {string} companyId - Company UUID
+   * @returns {Object} { keys: [{ kty, crv, x, kid, alg, use, active }] }
+   */
+  static async getVerificationKeys(client, companyId) {
+    const keys = await client.ticketSigningKey.findMany({
+      where: { companyId },
+      orderBy: { version: 'asc' }
+    });
+
+    return {
+      keys: keys.map(key => ({
+        kty: 'OKP',
+        crv: 'Ed25519',
+        x: key.publicKey,
+        kid: String(key.version),
+        alg: 'EdDSA',
+        use: 'sig',
+        active: key.isActive
+      }))
+    };
+  }
+
+  /**
+   * Verify a scanned token against the ticket, its session and seat
+   * @param {Object} client - Prisma client
+   * @param {string} companyId - Company UUID
+   * @param {string} token - Scanned token
+   * @param {Object} expected - Optional { sessionId, seatId } the scanner expects
+   * @returns {Object} { valid, reason, ticket, legacy }
+   */
+  static async verify(client, companyId, token, expected = {}) {
+    const decoded = this.decode(token);
+    let ticketId;
+
+    if (decoded) {
+      const key = await client.ticketSigningKey.findUnique({
+        where: {
+          companyId_version: {
+            companyId,
+            version: decoded.keyVersion
+          }
+        }
+      });
+
+      if (!key) {
+        return { valid: false, reason: 'UNKNOWN_KEY', ticket: null };
+      }
+
+      if (!this.verifySignature(decoded, key.publicKey)) {
+        return { valid: false, reason: 'INVALID_SIGNATURE', ticket: null };
+      }
+
+      ticketId = decoded.ticketId;
+    }
+
+    // Tickets issued before signed tokens are matched on their stored code
+    const ticket = await client.ticket.findFirst({
+      where: decoded ? { id: ticketId, companyId } : { qrCode: token, companyId },
+      include: {
+        session: {
+          include: {
+            movie: {
+              select: {
+                title: true
+              }
+            },
+            room: {
+              select: {
+                name: true
+              }
+            }
+          }
+        },
+        seat: true
+      }
+    });
+
+    if (!ticket) {
+      return { valid: false, reason: decoded ? 'TICKET_NOT_FOUND' : 'MALFORMED_TOKEN', ticket: null };
+    }
+
+    const result = (valid, reason) => ({ valid, reason, ticket, legacy: !decoded });
+
+    if (decoded && (ticket.qrCode !== token || ticket.sessionId !== decoded.sessionId || ticket.seatId !== decoded.seatId)) {
+      return result(false, 'TOKEN_MISMATCH');
+    }
+
+    if (expected.sessionId && ticket.sessionId !== expected.sessionId) {
+      return result(false, 'WRONG_SESSION');
+    }
+
+    if (expected.seatId && ticket.seatId !== expected.seatId) {
+      return result(false, 'WRONG_SEAT');
+    }
+
+    if (ticket.status === 'REFUNDED') {
+      return result(false, 'TICKET_REFUNDED');
+    }
+
+    if (ticket.status === 'USED') {
+      return result(false, 'TICKET_ALREADY_USED');
+    }
+
+    if (ticket.status === 'NO_SHOW') {
+      return result(false, 'TICKET_NO_SHOW');
+    }
+
+    if (ticket.status === 'EXCHANGED') {
+      return result(false, 'TICKET_EXCHANGED');
+    }
+
+    if (ticket.session.status === 'CANCELED') {
+      return result(false, 'SESSION_CANCELED');
+    }
+
+    return result(true, null);
+  }
+}
+
+module.exports = TicketTokenService;
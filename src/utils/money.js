@@ -0,0 +1,53 @@
+/**
+ * Money Utilities
+ * All money math is done in integer cents to avoid floating point drift
+ */
+
+/**
+ * Convert a decimal amount (number, string or Prisma Decimal) to cents
+ * @param {number|string|Object} value - Amount in reais
+ * @returns {number} Amount in cents
+ */
+const toCents = (value) => Math.round(parseFloat(value || 0) * 100);
+
+/**
+ * Convert cents back to a decimal amount
+ * @param {number} cents - Amount in cents
+ * @returns {number} Amount in reais
+ */
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Split an amount across weights, handing leftover cents to the largest remainders
+ * @param {number} totalCents - Amount to split (cents)
+ * @param {number[]} weights - Relative weights (cents)
+ * @returns {number[]} Share per weight (cents)
+ */
+const distribute = (totalCents, weights) => {
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  if (totalCents <= 0 || weightSum <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map(w => (totalCents * w) / weightSum);
+  const shares = exact.map(Math.floor);
+  let leftover = totalCents - shares.reduce((sum, s) => sum + s, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+
+  for (const { index } of byRemainder) {
+    if (leftover === 0) break;
+    shares[index]++;
+    leftover--;
+  }
+
+  return shares;
+};
+
+module.exports = {
+  toCents,
+  fromCents,
+  distribute
+};
@@ -0,0 +1,182 @@
+/**
+ * Test suite for barcodes
+ * Check digits, equivalent GTINs and barcode changes, and barcodes assigned,
+ * looked up and scanned into sales through the endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const BarcodeService = require('../src/services/barcodeService');
+
+describe('Barcode Service', () => {
+  describe('checkDigit', () => {
+    it.each([
+      ['EAN-13', '400638133393', 1],
+      ['UPC-A', '03600029145', 2],
+      ['EAN-8', '7351353', 7],
+      ['GTIN-14', '1001234567890', 2]
+    ])('should compute the %s check digit', (_type, digits, expected) => {
+      expect(BarcodeService.checkDigit(digits)).toBe(expected);
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept GTINs with a valid check digit', () => {
+      expect(BarcodeService.validate('4006381333931')).toBeNull();
+      expect(BarcodeService.validate('036000291452')).toBeNull();
+      expect(BarcodeService.validate('73513537')).toBeNull();
+    });
+
+    it('should reject a GTIN with a wrong check digit', () => {
+      expect(BarcodeService.validate('4006381333932')).toBe('Barcode 4006381333932 has an invalid check digit');
+      expect(BarcodeService.validate('036000291453')).toMatch(/invalid check digit/);
+    });
+
+    it('should take other codes as in-house labels', () => {
+      expect(BarcodeService.validate('a1b2POP-L')).toBeNull();
+      expect(BarcodeService.validate('1234567890')).toBeNull();
+    });
+
+    it('should reject empty codes and codes with spaces', () => {
+      expect(BarcodeService.validate('')).toBe('Barcode is empty');
+      expect(BarcodeService.validate('POP L')).toMatch(/contains spaces/);
+    });
+  });
+
+  describe('variants', () => {
+    it('should write a UPC-A code with every leading zero a scanner may add', () => {
+      expect(BarcodeService.variants('036000291452')).toEqual(['036000291452', '0036000291452', '00036000291452']);
+      expect(BarcodeService.variants('0036000291452')).toContain('036000291452');
+    });
+
+    it('should leave in-house codes alone', () => {
+      expect(BarcodeService.variants('00POP')).toEqual(['00POP']);
+    });
+  });
+
+  describe('duplicates', () => {
+    it('should treat the EAN-13 form of a UPC-A code as the same barcode', () => {
+      expect(BarcodeService.duplicates(['036000291452', '4006381333931', '0036000291452'])).toEqual(['0036000291452']);
+    });
+
+    it('should find nothing in distinct barcodes', () => {
+      expect(BarcodeService.duplicates(['036000291452', 'POP-L'])).toEqual([]);
+    });
+  });
+
+  describe('diff', () => {
+    it('should add missing barcodes and remove the ones no longer listed', () => {
+      const current = [{ id: 'b1', barcode: '4006381333931' }, { id: 'b2', barcode: 'POP-L' }];
+      expect(BarcodeService.diff(current, ['POP-L', '036000291452'])).toEqual({
+        add: ['036000291452'],
+        remove: ['b1']
+      });
+    });
+  });
+});
+
+describe('Barcodes through the inventory and sale endpoints', () => {
+  const testCNPJ = '30000000000119';
+  const managerCPF = '30000000019';
+  let companyId;
+  let managerToken;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Barcode Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'CODE-TEST');
+    managerToken = AuthService.generateToken(employee);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should give an item a GTIN and an in-house label', async () => {
+    const response = await api('post', '/api/inventory')
+      .send({
+        sku: 'CHOC',
+        name: 'Chocolate',
+        unitPrice: 4,
+        qtyOnHand: 10,
+        reorderLevel: 0,
+        itemType: 'general',
+        barcode: '036000291452',
+        barcodes: ['HOUSE-CHOC']
+      })
+      .expect(201);
+
+    expect(response.body.data.barcodes.map(b => b.barcode)).toEqual(['036000291452', 'HOUSE-CHOC']);
+  });
+
+  it('should refuse a GTIN with a bad check digit or one already assigned', async () => {
+    const invalid = await api('post', '/api/inventory')
+      .send({ sku: 'BAD', name: 'Bad code', unitPrice: 1, qtyOnHand: 0, reorderLevel: 0, itemType: 'general', barcode: '4006381333932' })
+      .expect(400);
+    expect(invalid.body.errors).toEqual(['Barcode 4006381333932 has an invalid check digit']);
+
+    // The EAN-13 a scanner reports for the UPC-A is the same barcode
+    const taken = await api('post', '/api/inventory')
+      .send({ sku: 'COPY', name: 'Copy', unitPrice: 1, qtyOnHand: 0, reorderLevel: 0, itemType: 'general', barcode: '0036000291452' })
+      .expect(409);
+    expect(taken.body.conflicts.map(c => c.sku)).toEqual(['CHOC']);
+  });
+
+  it('should look an item up by any of its barcodes', async () => {
+    const byEan = await api('get', '/api/inventory/barcodes/0036000291452').expect(200);
+    expect(byEan.body.data.sku).toBe('CHOC');
+    expect(byEan.body.data.scannedBarcode).toBe('0036000291452');
+
+    const byLabel = await api('get', '/api/inventory/barcodes/HOUSE-CHOC').expect(200);
+    expect(byLabel.body.data.sku).toBe('CHOC');
+
+    await api('get', '/api/inventory/barcodes/4006381333931').expect(404);
+    await api('get', '/api/inventory/barcodes/4006381333932').expect(400);
+  });
+
+  it('should add scanned items to a sale, one line per item', async () => {
+    const sale = await createTestSale(companyId, managerCPF);
+
+    const first = await api('post', `/api/sales/${sale.id}/scan`).send({ barcode: '0036000291452' }).expect(201);
+    expect(first.body.data.quantity).toBe(1);
+
+    const second = await api('post', `/api/sales/${sale.id}/scan`).send({ barcode: 'HOUSE-CHOC', quantity: 2 }).expect(200);
+    expect(second.body.data.id).toBe(first.body.data.id);
+    expect(second.body.data.quantity).toBe(3);
+    expect(parseFloat(second.body.data.lineTotal)).toBe(12);
+
+    const shortage = await api('post', `/api/sales/${sale.id}/scan`).send({ barcode: 'HOUSE-CHOC', quantity: 8 }).expect(409);
+    expect(shortage.body.available).toBe(10);
+    expect(shortage.body.requested).toBe(11);
+  });
+
+  it('should stop finding a barcode once it is removed from the item', async () => {
+    const response = await api('patch', '/api/inventory/CHOC').send({ barcodes: [] }).expect(200);
+    expect(response.body.data.barcodes.map(b => b.barcode)).toEqual(['036000291452']);
+
+    await api('get', '/api/inventory/barcodes/HOUSE-CHOC').expect(404);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Test suite for bundles (combos)
+ * Recipes, choices, availability and stock moves, and selling and refunding
+ * bundles through the inventory and sale endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const BundleService = require('../src/services/bundleService');
+
+const item = (sku, qtyOnHand, extra = {}) => ({ sku, name: sku, qtyOnHand, isActive: true, ...extra });
+const component = (sku, quantity, qtyOnHand, choiceGroup = null, extra = {}) => ({
+  componentSku: sku,
+  quantity,
+  choiceGroup,
+  component: item(sku, qtyOnHand, extra)
+});
+
+// Large popcorn, two candies and a drink to choose
+const combo = {
+  sku: 'COMBO-1',
+  components: [
+    component('POP-L', 1, 10),
+    component('CANDY', 2, 7),
+    component('COKE', 1, 1, 'drink'),
+    component('GUARANA', 1, 5, 'drink')
+  ]
+};
+
+describe('Bundle Service', () => {
+  describe('validateComponents', () => {
+    it('should accept components that exist and are not bundles', () => {
+      const errors = BundleService.validateComponents('COMBO-1', [{ sku: 'POP-L' }, { sku: 'COKE' }], [item('POP-L', 1), item('COKE', 1)]);
+      expect(errors).toEqual([]);
+    });
+
+    it('should reject missing, nested, self-referencing and repeated components', () => {
+      const errors = BundleService.validateComponents(
+        'COMBO-1',
+        [{ sku: 'COMBO-1' }, { sku: 'NOPE' }, { sku: 'COMBO-2' }, { sku: 'POP-L' }, { sku: 'POP-L' }],
+        [item('POP-L', 1), item('COMBO-2', 0, { bundle: { sku: 'COMBO-2' } })]
+      );
+
+      expect(errors).toEqual([
+        'A bundle cannot contain itself',
+        'Component NOPE not found',
+        'Component COMBO-2 is a bundle; bundles cannot be nested',
+        'Components listed more than once: POP-L'
+      ]);
+    });
+  });
+
+  describe('resolveChoices', () => {
+    it('should take the fixed components plus the chosen option', () => {
+      const { components, chosen } = BundleService.resolveChoices(combo, { drink: 'GUARANA' });
+
+      expect(components.map(c => [c.sku, c.quantity])).toEqual([['POP-L', 1], ['CANDY', 2], ['GUARANA', 1]]);
+      expect(chosen.map(c => c.sku)).toEqual(['GUARANA']);
+    });
+
+    it('should require a valid choice for every group', () => {
+      expect(BundleService.resolveChoices(combo, {}).error).toBe('Choose one of COKE, GUARANA for drink');
+      expect(BundleService.resolveChoices(combo, { drink: 'POP-L' }).error).toBe('Choose one of COKE, GUARANA for drink');
+      expect(BundleService.resolveChoices(combo, { drink: 'COKE', size: 'L' }).error).toBe('Bundle has no choice group size');
+    });
+  });
+
+  describe('availability', () => {
+    it('should be limited by the scarcest component, counting the best option of a choice', () => {
+      const { available, options } = BundleService.availability(combo);
+
+      expect(available).toBe(3); // 7 candies at 2 per combo
+      expect(options.drink).toEqual([
+        { sku: 'COKE', name: 'COKE', available: 1 },
+        { sku: 'GUARANA', name: 'GUARANA', available: 5 }
+      ]);
+    });
+
+    it('should count inactive components as out of stock', () => {
+      const bundle = { components: [component('POP-L', 1, 10, null, { isActive: false })] };
+      expect(BundleService.availability(bundle).available).toBe(0);
+    });
+  });
+
+  describe('shortages', () => {
+    it('should list components without stock for the requested bundles', () => {
+      const { components } = BundleService.resolveChoices(combo, { drink: 'COKE' });
+      const items = combo.components.map(c => c.component);
+
+      expect(BundleService.shortages(components, items, 1)).toEqual([]);
+      expect(BundleService.shortages(components, items, 2)).toEqual([{ sku: 'COKE', available: 1, requested: 2 }]);
+    });
+  });
+
+  describe('stockMoves', () => {
+    it('should move the components recorded on a bundle line', () => {
+      const saleItem = { sku: 'COMBO-1', components: [{ sku: 'POP-L', quantity: 1 }, { sku: 'CANDY', quantity: 2 }] };
+
+      expect(BundleService.stockMoves(saleItem, 3)).toEqual([
+        { sku: 'POP-L', quantity: 3 },
+        { sku: 'CANDY', quantity: 6 }
+      ]);
+    });
+
+    it('should move the SKU of plain lines and nothing for tickets', () => {
+      expect(BundleService.stockMoves({ sku: 'POP-L', components: [] }, 2)).toEqual([{ sku: 'POP-L', quantity: 2 }]);
+      expect(BundleService.stockMoves({ sku: null, sessionId: 's-1' }, 1)).toEqual([]);
+    });
+
+    it('should move nothing for amount-only refunds', () => {
+      expect(BundleService.stockMoves({ sku: 'POP-L' }, 0)).toEqual([]);
+    });
+  });
+});
+
+describe('Bundles through the inventory and sale endpoints', () => {
+  const testCNPJ = '30000000000114';
+  const managerCPF = '30000000014';
+  let companyId;
+  let managerToken;
+  let sale;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  const createItem = (sku, unitPrice, qtyOnHand) => api('post', '/api/inventory')
+    .send({ sku, name: sku, unitPrice, qtyOnHand, reorderLevel: 0, itemType: 'food' })
+    .expect(201);
+
+  const stockOf = async (sku) => (await api('get', `/api/inventory/${sku}`).expect(200)).body.data.qtyOnHand;
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Bundle Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'BUNDLE-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    await createItem('POP-L', 18, 10);
+    await createItem('COKE-500', 8, 3);
+    await createItem('GUARANA-500', 8, 0);
+    await createItem('COMBO-1', 30, 0);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should save a recipe and report how many bundles its components allow', async () => {
+    const response = await api('put', '/api/inventory/COMBO-1/bundle')
+      .send({
+        components: [
+          { sku: 'POP-L' },
+          { sku: 'COKE-500', choiceGroup: 'drink' },
+          { sku: 'GUARANA-500', choiceGroup: 'drink' }
+        ]
+      })
+      .expect(200);
+
+    expect(response.body.data.available).toBe(3);
+    expect(response.body.data.options.drink.map(o => [o.sku, o.available])).toEqual([
+      ['COKE-500', 3],
+      ['GUARANA-500', 0]
+    ]);
+  });
+
+  it('should refuse bundles nested in other bundles', async () => {
+    await createItem('MEGA-COMBO', 50, 0);
+
+    const response = await api('put', '/api/inventory/MEGA-COMBO/bundle')
+      .send({ components: [{ sku: 'COMBO-1' }] })
+      .expect(400);
+
+    expect(response.body.message).toBe('Invalid bundle');
+  });
+
+  it('should refuse a bundle whose chosen component is out of stock', async () => {
+    sale = await createTestSale(companyId, managerCPF);
+
+    const response = await api('post', `/api/sales/${sale.id}/items`)
+      .send({ sku: 'COMBO-1', quantity: 1, choices: { drink: 'GUARANA-500' } })
+      .expect(409);
+
+    expect(response.body.shortages).toEqual([{ sku: 'GUARANA-500', available: 0, requested: 1 }]);
+  });
+
+  it('should take the components out of stock when the sale is finalized', async () => {
+    const line = await api('post', `/api/sales/${sale.id}/items`)
+      .send({ sku: 'COMBO-1', quantity: 2, choices: { drink: 'COKE-500' } })
+      .expect(201);
+
+    expect(line.body.data.components.map(c => [c.sku, c.quantity]).sort()).toEqual([
+      ['COKE-500', 1],
+      ['POP-L', 1]
+    ]);
+
+    const { grandTotal } = await db.sale.findUnique({ where: { id: sale.id } });
+    await api('post', `/api/sales/${sale.id}/payments`)
+      .send({ method: 'CARD', amount: parseFloat(grandTotal), authCode: 'B1' })
+      .expect(201);
+    await api('post', `/api/sales/${sale.id}/finalize`).expect(200);
+
+    expect(await stockOf('POP-L')).toBe(8);
+    expect(await stockOf('COKE-500')).toBe(1);
+    expect(await stockOf('COMBO-1')).toBe(0);
+  });
+
+  it('should put the components back when the bundle is refunded', async () => {
+    await api('post', `/api/sales/${sale.id}/refund`)
+      .send({ reason: 'Customer changed their mind' })
+      .expect(200);
+
+    expect(await stockOf('POP-L')).toBe(10);
+    expect(await stockOf('COKE-500')).toBe(3);
+  });
+});
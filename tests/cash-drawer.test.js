@@ -0,0 +1,193 @@
+/**
+ * Test suite for cash drawers
+ * Expected cash, over/short, the Z-report and opening and closing a drawer
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const CashDrawerService = require('../src/services/cashDrawerService');
+
+describe('Cash Drawer Service', () => {
+  const session = {
+    id: 'a1b2c3d4-0000-0000-0000-000000000000',
+    employeeCpf: '12345678901',
+    employee: { person: { fullName: 'Ana Souza' } },
+    station: { name: 'Till 1' },
+    openingFloat: '200.00',
+    openedAt: new Date('2025-12-21T14:00:00Z'),
+    closedAt: new Date('2025-12-21T22:05:00Z'),
+    countedCash: '276.00',
+    overShort: '-1.50',
+    reviewedAt: null
+  };
+
+  const activity = {
+    sales: [
+      // R$ 42.50 paid with a R$ 50 note: R$ 7.50 change
+      { grandTotal: '42.50', changeGiven: '7.50', payments: [{ method: 'CASH', amount: '50.00' }] },
+      { grandTotal: '30.00', changeGiven: '0.00', payments: [{ method: 'CARD', amount: '30.00' }] },
+      // Split tender, exact
+      { grandTotal: '60.00', changeGiven: '0.00', payments: [{ method: 'CASH', amount: '20.00' }, { method: 'PIX', amount: '40.00' }] },
+      { grandTotal: '25.00', changeGiven: '0.00', payments: [{ method: 'CASH', amount: '25.00' }] }
+    ],
+    refunds: [
+      { amount: '10.00', payments: [{ amount: '10.00', payment: { method: 'CASH' } }] },
+      { amount: '30.00', payments: [{ amount: '30.00', payment: { method: 'CARD' } }] }
+    ],
+    movements: [
+      { type: 'CHANGE', amount: '7.50' },
+      { type: 'DROP', amount: '50.00' },
+      { type: 'PAID_OUT', amount: '0.50' }
+    ]
+  };
+
+  describe('summarize', () => {
+    it('should work out the cash the drawer should hold', () => {
+      const summary = CashDrawerService.summarize(session, activity);
+
+      expect(summary.cashTendered).toBe(95);
+      expect(summary.changeGiven).toBe(7.5);
+      expect(summary.cashRefunds).toBe(10);
+      expect(summary.drops).toBe(50);
+      expect(summary.paidOuts).toBe(0.5);
+      // 200 + 95 - 7.50 - 10 - 50 - 0.50
+      expect(summary.expectedCash).toBe(227);
+    });
+
+    it('should total sales by tender', () => {
+      const summary = CashDrawerService.summarize(session, activity);
+
+      expect(summary.salesCount).toBe(4);
+      expect(summary.salesTotal).toBe(157.5);
+      expect(summary.tenders).toEqual([
+        { method: 'CARD', count: 1, total: 30 },
+        { method: 'CASH', count: 3, total: 95 },
+        { method: 'PIX', count: 1, total: 40 }
+      ]);
+      expect(summary.refundsTotal).toBe(40);
+    });
+
+    it('should expect just the float from an idle drawer', () => {
+      expect(CashDrawerService.summarize(session, { sales: [], refunds: [], movements: [] }).expectedCash).toBe(200);
+    });
+  });
+
+  describe('overShort', () => {
+    it('should be negative when short and positive when over', () => {
+      expect(CashDrawerService.overShort('225.50', 227)).toBe(-1.5);
+      expect(CashDrawerService.overShort(230, '227.00')).toBe(3);
+      expect(CashDrawerService.overShort(227, 227)).toBe(0);
+    });
+  });
+
+  describe('zReport', () => {
+    const report = CashDrawerService.zReport(session, CashDrawerService.summarize(session, activity));
+    const lines = report.trimEnd().split('\n');
+
+    it('should fit a 40-column receipt printer', () => {
+      expect(lines.every(line => line.length <= 40)).toBe(true);
+    });
+
+    it('should show the cash reconciliation', () => {
+      expect(lines).toContain(`Expected cash${'227.00'.padStart(27)}`);
+      expect(lines).toContain(`Over/short${'-1.50'.padStart(30)}`);
+      expect(lines).toContain(`Drops (1)${'-50.00'.padStart(31)}`);
+      expect(report).toMatch(/Cashier\s+Ana Souza/);
+    });
+
+    it('should say when the drawer was not signed off', () => {
+      expect(lines[lines.length - 1]).toBe('NOT SIGNED OFF');
+    });
+  });
+});
+
+describe('Cash drawer endpoints', () => {
+  const testCNPJ = '30000000000121';
+  const managerCPF = '30000000021';
+  let companyId;
+  let managerToken;
+  let drawerId;
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Drawer Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'DRAWER-TEST');
+    managerToken = AuthService.generateToken(employee);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should not open a drawer before clocking in', async () => {
+    const response = await request(app)
+      .post('/api/cash-drawers')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ openingFloat: 100 })
+      .expect(409);
+
+    expect(response.body.message).toBe('Clock in before opening a cash drawer');
+  });
+
+  it('should open a drawer with its float', async () => {
+    await db.timeEntry.create({
+      data: { companyId, employeeCpf: managerCPF, entryType: 'CLOCK_IN' }
+    });
+
+    const response = await request(app)
+      .post('/api/cash-drawers')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ openingFloat: 100 })
+      .expect(201);
+
+    expect(response.body.data.status).toBe('OPEN');
+    drawerId = response.body.data.id;
+  });
+
+  it('should close the drawer against the cash it should hold', async () => {
+    const sale = await createTestSale(companyId, managerCPF, {
+      status: 'FINALIZED',
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }],
+      payments: [{ method: 'CASH', amount: 30 }]
+    });
+    await db.sale.update({ where: { id: sale.id }, data: { drawerSessionId: drawerId } });
+
+    const response = await request(app)
+      .post(`/api/cash-drawers/${drawerId}/close`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ countedCash: 125, notes: 'Five short' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('CLOSED');
+    expect(parseFloat(response.body.data.expectedCash)).toBe(130);
+    expect(parseFloat(response.body.data.overShort)).toBe(-5);
+  });
+
+  it('should not close a drawer twice', async () => {
+    const response = await request(app)
+      .post(`/api/cash-drawers/${drawerId}/close`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ countedCash: 125 })
+      .expect(409);
+
+    expect(response.body.message).toBe('Cash drawer is not open');
+  });
+});
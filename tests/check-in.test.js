@@ -0,0 +1,223 @@
+/**
+ * Test suite for door check-in rules
+ * Entry windows, room checks and re-entry, and admitting a ticket by hand
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSession,
+  cleanupSales,
+  cleanupSessions,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const CheckInService = require('../src/services/checkInService');
+const SettingsService = require('../src/services/settingsService');
+const TicketTokenService = require('../src/services/ticketTokenService');
+
+const MINUTE = 60 * 1000;
+const startTime = new Date('2025-06-01T20:00:00Z');
+const at = (minutesFromStart) => new Date(startTime.getTime() + minutesFromStart * MINUTE);
+
+const buildVerification = (ticketOverrides = {}, sessionOverrides = {}) => {
+  const ticket = {
+    id: 'ticket-1',
+    sessionId: 'session-1',
+    seatId: 'A1',
+    status: 'ISSUED',
+    session: {
+      id: 'session-1',
+      roomId: 'room-1',
+      status: 'SCHEDULED',
+      startTime,
+      endTime: at(120),
+      ...sessionOverrides
+    },
+    ...ticketOverrides
+  };
+
+  const used = ticket.status === 'USED';
+  return { valid: !used, reason: used ? 'TICKET_ALREADY_USED' : null, ticket };
+};
+
+const settings = SettingsService.DEFAULT_SETTINGS;
+const reentrySettings = { ...settings, allowReentry: true, maxReentries: 1 };
+
+describe('Check-in Service', () => {
+  describe('Entry window', () => {
+    it('should admit tickets inside the window', () => {
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings, now: at(-60) }))
+        .toEqual({ result: 'ADMITTED', reason: null });
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings, now: at(30) }))
+        .toEqual({ result: 'ADMITTED', reason: null });
+    });
+
+    it('should reject tickets before the doors open or after they close', () => {
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings, now: at(-61) }).reason)
+        .toBe('TOO_EARLY');
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings, now: at(31) }).reason)
+        .toBe('TOO_LATE');
+    });
+
+    it('should use the company window', () => {
+      const narrow = { ...settings, checkInOpensMinutes: 10, checkInClosesMinutes: 0 };
+
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings: narrow, now: at(-15) }).reason)
+        .toBe('TOO_EARLY');
+      expect(CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-1', settings: narrow, now: at(1) }).reason)
+        .toBe('TOO_LATE');
+    });
+  });
+
+  describe('Ticket and room checks', () => {
+    it('should reject tickets for another room', () => {
+      const outcome = CheckInService.evaluate({ verification: buildVerification(), roomId: 'room-2', settings, now: at(0) });
+
+      expect(outcome).toEqual({ result: 'REJECTED', reason: 'WRONG_ROOM' });
+    });
+
+    it('should reject canceled sessions', () => {
+      const verification = { ...buildVerification({}, { status: 'CANCELED' }), valid: false, reason: 'SESSION_CANCELED' };
+
+      expect(CheckInService.evaluate({ verification, roomId: 'room-1', settings, now: at(0) }).reason)
+        .toBe('SESSION_CANCELED');
+    });
+
+    it('should pass on verification failures', () => {
+      const unknown = { valid: false, reason: 'INVALID_SIGNATURE', ticket: null };
+      const refunded = { ...buildVerification({ status: 'REFUNDED' }), valid: false, reason: 'TICKET_REFUNDED' };
+
+      expect(CheckInService.evaluate({ verification: unknown, roomId: 'room-1', settings, now: at(0) }).reason)
+        .toBe('INVALID_SIGNATURE');
+      expect(CheckInService.evaluate({ verification: refunded, roomId: 'room-1', settings, now: at(0) }).reason)
+        .toBe('TICKET_REFUNDED');
+    });
+  });
+
+  describe('Re-entry', () => {
+    const used = buildVerification({ status: 'USED' });
+
+    it('should reject used tickets when re-entry is disabled', () => {
+      expect(CheckInService.evaluate({ verification: used, roomId: 'room-1', settings, now: at(45) }).reason)
+        .toBe('TICKET_ALREADY_USED');
+    });
+
+    it('should let used tickets back in until the session ends', () => {
+      expect(CheckInService.evaluate({ verification: used, roomId: 'room-1', settings: reentrySettings, now: at(45) }))
+        .toEqual({ result: 'REENTRY', reason: null });
+      expect(CheckInService.evaluate({ verification: used, roomId: 'room-1', settings: reentrySettings, now: at(121) }).reason)
+        .toBe('SESSION_ENDED');
+    });
+
+    it('should enforce the re-entry limit', () => {
+      const outcome = CheckInService.evaluate({
+        verification: used,
+        roomId: 'room-1',
+        settings: reentrySettings,
+        reentryCount: 1,
+        now: at(45)
+      });
+
+      expect(outcome.reason).toBe('REENTRY_LIMIT_REACHED');
+    });
+  });
+
+  it('should summarize door activity', () => {
+    const summary = CheckInService.summarize([
+      { result: 'ADMITTED' },
+      { result: 'ADMITTED' },
+      { result: 'REENTRY' },
+      { result: 'REJECTED', reason: 'WRONG_ROOM' },
+      { result: 'REJECTED', reason: 'WRONG_ROOM' },
+      { result: 'REJECTED', reason: 'TOO_EARLY' }
+    ]);
+
+    expect(summary).toEqual({
+      totalScans: 6,
+      admitted: 2,
+      reentries: 1,
+      rejected: 3,
+      rejectionsByReason: { WRONG_ROOM: 2, TOO_EARLY: 1 }
+    });
+  });
+});
+
+describe('Marking a ticket as used', () => {
+  const testCNPJ = '30000000000105';
+  const usherCPF = '30000000005';
+  let companyId;
+  let usherToken;
+
+  // An ISSUED ticket for seat A1 of a session starting in the given minutes
+  const ticketFor = async (minutesToStart) => {
+    const session = await createTestSession(companyId, { startTime: new Date(Date.now() + minutesToStart * MINUTE) });
+    const signingKey = await TicketTokenService.getSigningKey(db, companyId);
+    const id = crypto.randomUUID();
+
+    return db.ticket.create({
+      data: {
+        id,
+        companyId,
+        sessionId: session.id,
+        seatMapId: session.room.seatMapId,
+        seatId: 'A1',
+        price: 25,
+        qrCode: TicketTokenService.issueWithKey(signingKey, { id, sessionId: session.id, seatId: 'A1' })
+      }
+    });
+  };
+
+  const markUsed = (ticket) => request(app)
+    .patch(`/api/tickets/${ticket.id}/use`)
+    .set('Authorization', `Bearer ${usherToken}`);
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [usherCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupSessions(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Check-in Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(usherCPF, companyId, 'CASHIER', 'CHECKIN-TEST');
+    usherToken = AuthService.generateToken(employee);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupSessions(companyId);
+    await cleanupTestData(companyId, [usherCPF]);
+  });
+
+  it('should keep the door entry window', async () => {
+    const ticket = await ticketFor(3 * 60);
+
+    const response = await markUsed(ticket).expect(400);
+
+    expect(response.body.reason).toBe('TOO_EARLY');
+    expect((await db.ticket.findUnique({ where: { id: ticket.id } })).status).toBe('ISSUED');
+  });
+
+  it('should admit a ticket once and log it like a door scan', async () => {
+    const ticket = await ticketFor(10);
+
+    const admitted = await markUsed(ticket).expect(200);
+    expect(admitted.body.result).toBe('ADMITTED');
+    expect(admitted.body.data.status).toBe('USED');
+
+    const again = await markUsed(ticket).expect(400);
+    expect(again.body.reason).toBe('TICKET_ALREADY_USED');
+
+    const scans = await db.ticketScan.findMany({ where: { ticketId: ticket.id }, orderBy: { scannedAt: 'asc' } });
+    expect(scans.map(scan => [scan.result, scan.deviceId])).toEqual([['ADMITTED', 'manual'], ['REJECTED', 'manual']]);
+  });
+});
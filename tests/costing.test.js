@@ -0,0 +1,227 @@
+/**
+ * Test suite for inventory costing and margins
+ * Weighted-average cost, line cost and margin figures, and costed restocks,
+ * cost capture on finalize and the margin report through the endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const CostingService = require('../src/services/costingService');
+
+const line = (extra = {}) => ({
+  sku: 'POP',
+  quantity: 2,
+  refundedQuantity: 0,
+  lineTotal: '20.00',
+  taxAmount: '1.00',
+  taxIncluded: true,
+  unitCost: '3.0000',
+  discountAllocations: [],
+  ...extra
+});
+
+describe('Costing Service', () => {
+  describe('weightedAverage', () => {
+    it('should average the new units into the stock on hand', () => {
+      expect(CostingService.weightedAverage(10, '2.0000', 30, 3)).toBe(2.75);
+    });
+
+    it('should keep four decimal places', () => {
+      expect(CostingService.weightedAverage(2, 1, 1, 2)).toBe(1.3333);
+    });
+
+    it('should take the new cost when nothing is on hand or the cost is unknown', () => {
+      expect(CostingService.weightedAverage(0, '9.0000', 5, 2)).toBe(2);
+      expect(CostingService.weightedAverage(-3, '9.0000', 5, 2)).toBe(2);
+      expect(CostingService.weightedAverage(10, null, 5, 2)).toBe(2);
+    });
+
+    it('should leave the cost alone for uncosted or outgoing units', () => {
+      expect(CostingService.weightedAverage(10, '2.5000', 5, undefined)).toBe(2.5);
+      expect(CostingService.weightedAverage(10, '2.5000', -5, 4)).toBe(2.5);
+      expect(CostingService.weightedAverage(10, null, 5, null)).toBeNull();
+    });
+  });
+
+  describe('lineUnitCost', () => {
+    const costs = new Map([['POP', '3.0000'], ['COKE', '1.2500'], ['CANDY', null]]);
+
+    it('should cost a plain line at its SKU cost', () => {
+      expect(CostingService.lineUnitCost({ sku: 'POP', components: [] }, costs)).toBe(3);
+    });
+
+    it('should cost a bundle line as the sum of its components', () => {
+      const bundle = { sku: 'COMBO', components: [{ sku: 'POP', quantity: 1 }, { sku: 'COKE', quantity: 2 }] };
+      expect(CostingService.lineUnitCost(bundle, costs)).toBe(5.5);
+    });
+
+    it('should return null for tickets and for lines with an uncosted SKU', () => {
+      expect(CostingService.lineUnitCost({ sku: null, sessionId: 's1', seatId: 'A1' }, costs)).toBeNull();
+      expect(CostingService.lineUnitCost({ sku: 'CANDY' }, costs)).toBeNull();
+      expect(CostingService.lineUnitCost({ sku: 'COMBO', components: [{ sku: 'POP', quantity: 1 }, { sku: 'CANDY', quantity: 1 }] }, costs)).toBeNull();
+    });
+  });
+
+  describe('lineMargin', () => {
+    it('should take discounts and inclusive tax out of revenue', () => {
+      const margin = CostingService.lineMargin(line({ discountAllocations: [{ amount: '2.00' }] }));
+      expect(margin).toEqual({ units: 2, revenueCents: 1700, costCents: 600 });
+    });
+
+    it('should not count tax added on top of the price', () => {
+      const margin = CostingService.lineMargin(line({ taxIncluded: false }));
+      expect(margin.revenueCents).toBe(2000);
+    });
+
+    it('should leave refunded units out of revenue and cost', () => {
+      const margin = CostingService.lineMargin(line({ refundedQuantity: 1 }));
+      expect(margin).toEqual({ units: 1, revenueCents: 950, costCents: 300 });
+    });
+  });
+
+  describe('summarize', () => {
+    it('should report margin over costed lines and uncosted revenue apart', () => {
+      const summary = CostingService.summarize([
+        line(),
+        line({ sku: 'COKE', lineTotal: '10.00', taxAmount: '0', quantity: 1, unitCost: '4.0000' }),
+        line({ sku: 'CANDY', lineTotal: '5.00', taxAmount: '0', quantity: 1, unitCost: null })
+      ]);
+
+      expect(summary).toEqual({
+        units: 4,
+        revenue: 29,
+        costOfGoods: 10,
+        grossMargin: 19,
+        marginPercent: 65.52,
+        uncostedRevenue: 5
+      });
+    });
+  });
+
+  describe('groupBy', () => {
+    it('should summarize each group, highest margin first', () => {
+      const rows = CostingService.groupBy(
+        [line(), line({ sku: 'COKE', lineTotal: '4.00', taxAmount: '0', quantity: 1, unitCost: '1.0000' }), line()],
+        (item) => ({ key: item.sku, sku: item.sku })
+      );
+
+      expect(rows.map(r => [r.sku, r.units, r.grossMargin])).toEqual([['POP', 4, 26], ['COKE', 1, 3]]);
+    });
+  });
+});
+
+describe('Costing through the inventory and sale endpoints', () => {
+  const testCNPJ = '30000000000116';
+  const managerCPF = '30000000016';
+  let companyId;
+  let managerToken;
+  let sale;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  const costOf = async (sku) => {
+    const item = await db.inventoryItem.findUnique({ where: { companyId_sku: { companyId, sku } } });
+    return item.unitCost === null ? null : parseFloat(item.unitCost);
+  };
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Costing Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'COST-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    await api('post', '/api/inventory')
+      .send({ sku: 'CANDY', name: 'Candy', unitPrice: 10, unitCost: 2, qtyOnHand: 10, reorderLevel: 0, itemType: 'food', foodCategory: 'Sweets' })
+      .expect(201);
+    await api('post', '/api/inventory')
+      .send({ sku: 'NOCOST', name: 'No cost', unitPrice: 5, qtyOnHand: 5, reorderLevel: 0, itemType: 'general' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should average the cost of a costed restock into the stock on hand', async () => {
+    await api('post', '/api/inventory/CANDY/adjust')
+      .send({ delta: 10, reason: 'RESTOCK', unitCost: 4 })
+      .expect(201);
+
+    expect(await costOf('CANDY')).toBe(3);
+  });
+
+  it('should capture the cost of each line when the sale is finalized', async () => {
+    sale = await createTestSale(companyId, managerCPF);
+    await api('post', `/api/sales/${sale.id}/items`).send({ sku: 'CANDY', quantity: 2 }).expect(201);
+    await api('post', `/api/sales/${sale.id}/items`).send({ sku: 'NOCOST', quantity: 1 }).expect(201);
+    await api('post', `/api/sales/${sale.id}/payments`).send({ method: 'CASH', amount: 25 }).expect(201);
+    await api('post', `/api/sales/${sale.id}/finalize`).expect(200);
+
+    const items = await db.saleItem.findMany({ where: { saleId: sale.id }, orderBy: { sku: 'asc' } });
+    expect(items.map(i => [i.sku, i.unitCost === null ? null : parseFloat(i.unitCost)])).toEqual([
+      ['CANDY', 3],
+      ['NOCOST', null]
+    ]);
+  });
+
+  it('should report margin at the cost captured, with uncosted lines kept apart', async () => {
+    // A later receipt at a higher cost does not rewrite the sale's margin
+    await api('post', '/api/inventory/CANDY/adjust')
+      .send({ delta: 10, reason: 'RESTOCK', unitCost: 6 })
+      .expect(201);
+    expect(await costOf('CANDY')).toBe(4.0714);
+
+    const response = await api('get', '/api/sales/reports/margin')
+      .query({
+        startDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        endDate: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      })
+      .expect(200);
+
+    expect(response.body.data.summary).toEqual({
+      units: 3,
+      revenue: 20,
+      costOfGoods: 6,
+      grossMargin: 14,
+      marginPercent: 70,
+      uncostedRevenue: 5
+    });
+    expect(response.body.data.groupedData.map(g => [g.sku, g.grossMargin])).toEqual([
+      ['CANDY', 14],
+      ['NOCOST', 0]
+    ]);
+  });
+
+  it('should group margin by item category', async () => {
+    const response = await api('get', '/api/sales/reports/margin')
+      .query({
+        startDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        endDate: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        groupBy: 'category'
+      })
+      .expect(200);
+
+    expect(response.body.data.groupedData.map(g => g.category)).toEqual(['Sweets', 'Uncategorized']);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Test suite for the discount engine - US-030
+ * Pure evaluation tests for PERCENT, AMOUNT and BOGO codes with line targeting
+ */
+
+const DiscountEngine = require('../src/services/discountEngine');
+
+const baseCode = {
+  code: 'TEST',
+  isActive: true,
+  validFrom: new Date(Date.now() - 24 * 60 * 60 * 1000),
+  validTo: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  maxUses: null,
+  currentUses: 0,
+  cpfRangeStart: null,
+  cpfRangeEnd: null,
+  targetSkus: [],
+  targetCategories: [],
+  targetRoomTypes: [],
+  targetSessionIds: []
+};
+
+const popcorn = { id: 'line-1', sku: 'POP-L', category: 'Snacks', quantity: 2, unitPrice: 15, lineTotal: 30 };
+const soda = { id: 'line-2', sku: 'SODA', category: 'Drinks', quantity: 1, unitPrice: 8, lineTotal: 8 };
+const imaxTicket = { id: 'line-3', sessionId: 'session-imax', seatId: 'A1', roomType: 'IMAX', quantity: 1, unitPrice: 40, lineTotal: 40 };
+const twoDTicket = { id: 'line-4', sessionId: 'session-2d', seatId: 'B1', roomType: 'TWO_D', quantity: 1, unitPrice: 25, lineTotal: 25 };
+
+describe('Discount Engine (US-030)', () => {
+  describe('PERCENT codes', () => {
+    it('should discount every line when untargeted', () => {
+      const result = DiscountEngine.evaluate({ ...baseCode, type: 'PERCENT', value: 10 }, [popcorn, soda]);
+
+      expect(result.eligibleSubtotal).toBe(38);
+      expect(result.discountAmount).toBe(3.8);
+      expect(result.allocations).toEqual([
+        { saleItemId: 'line-1', amount: 3 },
+        { saleItemId: 'line-2', amount: 0.8 }
+      ]);
+    });
+
+    it('should only discount targeted categories', () => {
+      const code = { ...baseCode, type: 'PERCENT', value: 50, targetCategories: ['Drinks'] };
+      const result = DiscountEngine.evaluate(code, [popcorn, soda, imaxTicket]);
+
+      expect(result.eligibleSubtotal).toBe(8);
+      expect(result.discountAmount).toBe(4);
+      expect(result.allocations).toEqual([{ saleItemId: 'line-2', amount: 4 }]);
+    });
+  });
+
+  describe('AMOUNT codes', () => {
+    it('should cap the discount at the eligible subtotal', () => {
+      const code = { ...baseCode, type: 'AMOUNT', value: 50, targetSkus: ['SODA'] };
+      const result = DiscountEngine.evaluate(code, [popcorn, soda]);
+
+      expect(result.discountAmount).toBe(8);
+      expect(result.allocations).toEqual([{ saleItemId: 'line-2', amount: 8 }]);
+    });
+
+    it('should respect amounts already taken by earlier discounts', () => {
+      const code = { ...baseCode, type: 'AMOUNT', value: 50, targetSkus: ['SODA'] };
+      const result = DiscountEngine.evaluate(code, [soda], { 'line-2': 5 });
+
+      expect(result.discountAmount).toBe(3);
+    });
+
+    it('should allocate rounding cents so lines add up to the total', () => {
+      const lines = [
+        { id: 'a', sku: 'A', quantity: 1, unitPrice: 10, lineTotal: 10 },
+        { id: 'b', sku: 'B', quantity: 1, unitPrice: 10, lineTotal: 10 },
+        { id: 'c', sku: 'C', quantity: 1, unitPrice: 10, lineTotal: 10 }
+      ];
+      const result = DiscountEngine.evaluate({ ...baseCode, type: 'AMOUNT', value: 10 }, lines);
+      const allocated = result.allocations.reduce((sum, a) => sum + Math.round(a.amount * 100), 0);
+
+      expect(result.discountAmount).toBe(10);
+      expect(allocated).toBe(1000);
+    });
+  });
+
+  describe('BOGO codes', () => {
+    it('should give the cheaper unit of each pair for free', () => {
+      const code = { ...baseCode, type: 'BOGO', value: 100 };
+      const result = DiscountEngine.evaluate(code, [imaxTicket, twoDTicket]);
+
+      expect(result.discountAmount).toBe(25);
+      expect(result.allocations).toEqual([{ saleItemId: 'line-4', amount: 25 }]);
+    });
+
+    it('should pair units within a single line', () => {
+      const code = { ...baseCode, type: 'BOGO', value: 0, targetSkus: ['POP-L'] };
+      const result = DiscountEngine.evaluate(code, [popcorn, soda]);
+
+      expect(result.discountAmount).toBe(15);
+      expect(result.allocations).toEqual([{ saleItemId: 'line-1', amount: 15 }]);
+    });
+
+    it('should apply a partial percentage to the free unit', () => {
+      const code = { ...baseCode, type: 'BOGO', value: 50 };
+      const result = DiscountEngine.evaluate(code, [{ ...popcorn, quantity: 3, lineTotal: 45 }]);
+
+      expect(result.discountAmount).toBe(7.5);
+    });
+  });
+
+  describe('Ticket targeting', () => {
+    it('should match tickets by room type', () => {
+      const code = { ...baseCode, type: 'PERCENT', value: 20, targetRoomTypes: ['IMAX'] };
+
+      expect(DiscountEngine.isLineEligible(code, imaxTicket)).toBe(true);
+      expect(DiscountEngine.isLineEligible(code, twoDTicket)).toBe(false);
+      expect(DiscountEngine.isLineEligible(code, popcorn)).toBe(false);
+    });
+
+    it('should require every configured ticket filter to match', () => {
+      const code = {
+        ...baseCode,
+        type: 'PERCENT',
+        value: 20,
+        targetRoomTypes: ['IMAX'],
+        targetSessionIds: ['session-other']
+      };
+
+      expect(DiscountEngine.isLineEligible(code, imaxTicket)).toBe(false);
+    });
+  });
+
+  describe('Eligibility checks', () => {
+    it('should accept an active code within its validity window', () => {
+      expect(DiscountEngine.checkEligibility(baseCode)).toEqual([]);
+    });
+
+    it('should report expired, inactive and maxed out codes', () => {
+      const errors = DiscountEngine.checkEligibility({
+        ...baseCode,
+        isActive: false,
+        validTo: new Date(Date.now() - 1000),
+        maxUses: 5,
+        currentUses: 5
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        'Discount code is inactive',
+        'Discount code has expired',
+        'Discount code usage limit reached'
+      ]));
+    });
+
+    it('should enforce CPF ranges', () => {
+      const code = { ...baseCode, cpfRangeStart: '10000000000', cpfRangeEnd: '19999999999' };
+
+      expect(DiscountEngine.checkEligibility(code, { customerCpf: '15000000000' })).toEqual([]);
+      expect(DiscountEngine.checkEligibility(code, { customerCpf: '25000000000' }))
+        .toEqual(['Customer CPF not eligible for this discount']);
+      expect(DiscountEngine.checkEligibility(code)).toEqual(['Buyer information required for this discount code']);
+      expect(DiscountEngine.checkEligibility(code, { requireCustomer: false })).toEqual([]);
+    });
+  });
+
+  describe('Previews without a sale', () => {
+    it('should preview an untargeted code against the subtotal', async () => {
+      const code = { ...baseCode, type: 'PERCENT', value: 10 };
+      const { errors, preview } = await DiscountEngine.validate('company-1', code, { subtotal: 50 });
+
+      expect(errors).toEqual([]);
+      expect(preview).toMatchObject({ applicable: true, subtotal: 50, discountAmount: 5, newTotal: 45 });
+    });
+
+    it('should call a targeted code not applicable instead of worth nothing', async () => {
+      const code = { ...baseCode, targetSkus: ['POP-L'] };
+      const { preview } = await DiscountEngine.validate('company-1', code, { subtotal: 50 });
+
+      expect(preview.applicable).toBe(false);
+      expect(preview.reason).toMatch(/^Not applicable without a sale/);
+      expect(preview.discountAmount).toBeNull();
+    });
+
+    it('should only ask for the buyer once there is a sale', async () => {
+      const code = { ...baseCode, cpfRangeStart: '10000000000', cpfRangeEnd: '19999999999' };
+
+      await expect(DiscountEngine.validate('company-1', code, { subtotal: 50 }))
+        .resolves.toHaveProperty('errors', []);
+    });
+  });
+});
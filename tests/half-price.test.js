@@ -0,0 +1,197 @@
+/**
+ * Test suite for meia-entrada rules
+ * Proof checks and quota arithmetic, and the session quota and compliance
+ * report through the ticket, sale and session endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  createTestSession,
+  cleanupSales,
+  cleanupSessions,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const HalfPriceService = require('../src/services/halfPriceService');
+
+const settings = { halfPriceQuotaPercent: 40 };
+const session = { id: 'session-1', room: { capacity: 10 } };
+
+// Transaction double reporting a fixed quota usage
+const fakeTx = (sold, pending) => ({
+  $queryRaw: jest.fn().mockResolvedValue([]),
+  ticket: { count: jest.fn().mockResolvedValue(sold) },
+  saleItem: { aggregate: jest.fn().mockResolvedValue({ _sum: { quantity: pending } }) }
+});
+
+describe('Half Price', () => {
+  describe('checkProof', () => {
+    it('should not ask full price or courtesy tickets for proof', () => {
+      expect(HalfPriceService.checkProof({ category: 'REGULAR' })).toBeNull();
+      expect(HalfPriceService.checkProof({ category: 'COURTESY' })).toBeNull();
+      expect(HalfPriceService.checkProof({})).toBeNull();
+    });
+
+    it('should reject proof on categories that take none', () => {
+      expect(HalfPriceService.checkProof({ category: 'REGULAR', proofType: 'STUDENT_ID', proofNumber: '123' }))
+        .toBe('REGULAR tickets do not take an eligibility proof');
+    });
+
+    it('should require a proof document and number for half-price categories', () => {
+      expect(HalfPriceService.checkProof({ category: 'STUDENT', proofType: 'STUDENT_ID' }))
+        .toBe('STUDENT tickets require proofType and proofNumber');
+      expect(HalfPriceService.checkProof({ category: 'STUDENT', proofType: 'STUDENT_ID', proofNumber: 'CIE-1' })).toBeNull();
+    });
+
+    it('should only accept the documents of each category', () => {
+      expect(HalfPriceService.checkProof({ category: 'SENIOR', proofType: 'STUDENT_ID', proofNumber: '123' }))
+        .toBe('STUDENT_ID is not accepted for SENIOR tickets (accepted: ID_DOCUMENT)');
+      expect(HalfPriceService.checkProof({ category: 'LOW_INCOME_YOUTH', proofType: 'ID_JOVEM', proofNumber: 'J-9' })).toBeNull();
+    });
+  });
+
+  describe('quota', () => {
+    it('should bind students, disabled and ID Jovem holders only', () => {
+      expect(['STUDENT', 'DISABLED', 'LOW_INCOME_YOUTH'].every(c => HalfPriceService.countsTowardQuota(c))).toBe(true);
+      expect(['REGULAR', 'SENIOR', 'TEACHER', 'COURTESY'].some(c => HalfPriceService.countsTowardQuota(c))).toBe(false);
+    });
+
+    it('should round quota seats down', () => {
+      expect(HalfPriceService.quotaSeats(10, settings)).toBe(4);
+      expect(HalfPriceService.quotaSeats(123, settings)).toBe(49);
+      expect(HalfPriceService.quotaSeats(123, { halfPriceQuotaPercent: 0 })).toBe(0);
+    });
+
+    it('should allow tickets while quota is left, counting open sale lines', async () => {
+      const tx = fakeTx(2, 1);
+
+      await expect(HalfPriceService.reserveQuota(tx, session, 1, settings)).resolves.toBeNull();
+      expect(tx.$queryRaw).toHaveBeenCalled();
+    });
+
+    it('should refuse tickets beyond the quota', async () => {
+      await expect(HalfPriceService.reserveQuota(fakeTx(2, 1), session, 2, settings))
+        .resolves.toBe('Meia-entrada quota for this session is exhausted (1 of 4 seats left)');
+    });
+
+    it('should not lock the session when no quota-bound ticket is sold', async () => {
+      const tx = fakeTx(4, 0);
+
+      await expect(HalfPriceService.reserveQuota(tx, session, 0, settings)).resolves.toBeNull();
+      expect(tx.$queryRaw).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Meia-entrada through the ticket and session endpoints', () => {
+  const testCNPJ = '30000000000112';
+  const managerCPF = '30000000012';
+  let companyId;
+  let managerToken;
+  let testSession;
+
+  const student = { category: 'STUDENT', proofType: 'STUDENT_ID', proofNumber: 'RA-2025-001' };
+
+  const sellSeats = (seats) => request(app)
+    .post('/api/tickets/bulk')
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({ sessionId: testSession.id, seatMapId: testSession.room.seatMapId, seats });
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupSessions(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Half Price Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'HALF-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    // Five seats at the default 40% quota: two meia-entrada seats
+    testSession = await createTestSession(companyId, { seats: ['A1', 'A2', 'A3', 'A4', 'A5'] });
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupSessions(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should refuse half-price seats without their proof', async () => {
+    const response = await sellSeats([{ seatId: 'A1', price: 12.5, category: 'STUDENT' }]).expect(400);
+
+    expect(response.body.errors).toEqual(['Seat A1: STUDENT tickets require proofType and proofNumber']);
+  });
+
+  it('should record the category and proof of each ticket', async () => {
+    const response = await sellSeats([
+      { seatId: 'A1', price: 12.5, ...student },
+      { seatId: 'A2', price: 12.5, category: 'SENIOR', proofType: 'ID_DOCUMENT', proofNumber: '12.345.678-9' },
+      { seatId: 'A3', price: 25 }
+    ]).expect(201);
+
+    const tickets = await db.ticket.findMany({ where: { sessionId: testSession.id }, orderBy: { seatId: 'asc' } });
+    expect(tickets.map(t => t.category)).toEqual(['STUDENT', 'SENIOR', 'REGULAR']);
+    expect(tickets[0]).toMatchObject({ proofType: 'STUDENT_ID', proofNumber: 'RA-2025-001' });
+    expect(response.body.success).toBe(true);
+  });
+
+  it('should hold quota seats for lines of open sales and refuse tickets past the quota', async () => {
+    const sale = await createTestSale(companyId, managerCPF);
+
+    await request(app)
+      .post(`/api/sales/${sale.id}/items`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ sessionId: testSession.id, seatId: 'A4', quantity: 1, ...student, proofNumber: 'RA-2025-002' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/tickets')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        sessionId: testSession.id,
+        seatMapId: testSession.room.seatMapId,
+        seatId: 'A5',
+        price: 12.5,
+        category: 'DISABLED',
+        proofType: 'DISABILITY_ID',
+        proofNumber: 'PCD-77'
+      })
+      .expect(409);
+
+    expect(response.body.message).toBe('Meia-entrada quota for this session is exhausted (0 of 2 seats left)');
+  });
+
+  it('should report the quota and the half-price tickets of the session', async () => {
+    const response = await request(app)
+      .get(`/api/sessions/${testSession.id}/half-price-report`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      capacity: 5,
+      quotaPercent: 40,
+      quotaSeats: 2,
+      quotaSold: 1,
+      quotaPending: 1,
+      quotaRemaining: 0,
+      withinQuota: true,
+      byCategory: { STUDENT: 1, SENIOR: 1, REGULAR: 1 },
+      missingProof: 0
+    });
+    expect(response.body.data.halfPriceTickets.map(t => [t.seatId, t.countsTowardQuota])).toEqual([
+      ['A1', true],
+      ['A2', false]
+    ]);
+  });
+});
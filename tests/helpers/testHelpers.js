@@ -84,8 +84,190 @@ async function cleanupTestData(companyId, cpfs = []) {
   }
 }
 
+/**
+ * Create a sale directly, with plain (non-SKU, non-ticket) lines and payments
+ */
+async function createTestSale(companyId, cashierCpf, { status = 'OPEN', lines = [], payments = [] } = {}) {
+  const total = lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0);
+
+  return db.sale.create({
+    data: {
+      companyId,
+      cashierCpf,
+      status,
+      subTotal: total,
+      grandTotal: total,
+      items: {
+        create: lines.map(line => ({
+          companyId,
+          description: line.description,
+          quantity: line.quantity,
+          unitPrice: line.unitPrice,
+          lineTotal: line.unitPrice * line.quantity
+        }))
+      },
+      payments: {
+        create: payments.map(payment => ({
+          companyId,
+          method: payment.method,
+          amount: payment.amount,
+          capturedAt: new Date()
+        }))
+      }
+    },
+    include: {
+      items: true,
+      payments: true
+    }
+  });
+}
+
+/**
+ * Create a session of a new movie in a new room, with the given seats in row A onwards
+ */
+async function createTestSession(companyId, { startTime = new Date(Date.now() + 60 * 60 * 1000), roomType = 'TWO_D', basePrice = 25, seats = ['A1', 'A2'] } = {}) {
+  const seatMap = await db.seatMap.create({
+    data: {
+      companyId,
+      name: `Test map ${Date.now()}`,
+      rows: 1,
+      cols: seats.length,
+      seats: {
+        create: seats.map(id => ({ id, rowLabel: id.charAt(0), number: parseInt(id.slice(1), 10) }))
+      }
+    }
+  });
+
+  const room = await db.room.create({
+    data: {
+      companyId,
+      name: `Test room ${seatMap.id.slice(0, 8)}`,
+      capacity: seats.length,
+      roomType,
+      seatMapId: seatMap.id
+    }
+  });
+
+  const movie = await db.movie.create({
+    data: { companyId, title: 'Test Movie', durationMin: 120 }
+  });
+
+  return db.session.create({
+    data: {
+      companyId,
+      movieId: movie.id,
+      roomId: room.id,
+      startTime,
+      endTime: new Date(startTime.getTime() + 2 * 60 * 60 * 1000),
+      basePrice
+    },
+    include: { room: true }
+  });
+}
+
+/**
+ * Clean up a company's sales and everything recorded against them
+ */
+async function cleanupSales(companyId) {
+  const steps = [
+    () => db.auditLog.deleteMany({ where: { companyId } }),
+    () => db.idempotencyKey.deleteMany({ where: { companyId } }),
+    () => db.ticketScan.deleteMany({ where: { companyId } }),
+    () => db.ticketExchange.deleteMany({ where: { companyId } }),
+    () => db.seatReservation.deleteMany({ where: { companyId } }),
+    () => db.ticket.deleteMany({ where: { companyId } }),
+    () => db.pixCharge.deleteMany({ where: { companyId } }),
+    () => db.cashMovement.deleteMany({ where: { companyId } }),
+    () => db.refundPayment.deleteMany({ where: { refund: { companyId } } }),
+    () => db.refundItem.deleteMany({ where: { refund: { companyId } } }),
+    () => db.storeCredit.deleteMany({ where: { companyId } }),
+    () => db.refund.deleteMany({ where: { companyId } }),
+    () => db.payment.deleteMany({ where: { companyId } }),
+    () => db.sessionCancellationFailure.deleteMany({ where: { sale: { companyId } } }),
+    () => db.saleItem.deleteMany({ where: { companyId } }),
+    () => db.sale.deleteMany({ where: { companyId } }),
+    () => db.cashDrawerSession.deleteMany({ where: { companyId } }),
+    () => db.timeEntry.deleteMany({ where: { companyId } }),
+    () => db.companySettings.deleteMany({ where: { companyId } })
+  ];
+
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Clean up a company's sessions, rooms, seat maps, movies and pricing rules (after cleanupSales)
+ */
+async function cleanupSessions(companyId) {
+  const steps = [
+    () => db.pricingRule.deleteMany({ where: { companyId } }),
+    () => db.sessionCancellation.deleteMany({ where: { companyId } }),
+    () => db.session.deleteMany({ where: { companyId } }),
+    () => db.room.deleteMany({ where: { companyId } }),
+    () => db.seat.deleteMany({ where: { seatMap: { companyId } } }),
+    () => db.seatMap.deleteMany({ where: { companyId } }),
+    () => db.movie.deleteMany({ where: { companyId } }),
+    () => db.ticketSigningKey.deleteMany({ where: { companyId } })
+  ];
+
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
+/**
+ * Clean up a company's inventory items, their stock records, locations and
+ * purchasing (after cleanupSales)
+ */
+async function cleanupInventory(companyId) {
+  const steps = [
+    () => db.purchaseReceiptLine.deleteMany({ where: { companyId } }),
+    () => db.purchaseReceipt.deleteMany({ where: { companyId } }),
+    () => db.purchaseOrderLine.deleteMany({ where: { companyId } }),
+    () => db.purchaseOrder.deleteMany({ where: { companyId } }),
+    () => db.supplierItem.deleteMany({ where: { companyId } }),
+    () => db.stockTakeCount.deleteMany({ where: { companyId } }),
+    () => db.stockTakeLine.deleteMany({ where: { companyId } }),
+    () => db.stockTake.deleteMany({ where: { companyId } }),
+    () => db.inventoryAdjustment.deleteMany({ where: { companyId } }),
+    () => db.stockTransfer.deleteMany({ where: { companyId } }),
+    () => db.inventoryLot.deleteMany({ where: { companyId } }),
+    () => db.locationStock.deleteMany({ where: { companyId } }),
+    () => db.inventoryBarcode.deleteMany({ where: { companyId } }),
+    () => db.bundle.deleteMany({ where: { companyId } }),
+    () => db.food.deleteMany({ where: { companyId } }),
+    () => db.collectable.deleteMany({ where: { companyId } }),
+    () => db.inventoryItem.deleteMany({ where: { companyId } }),
+    () => db.supplier.deleteMany({ where: { companyId } }),
+    () => db.posStation.deleteMany({ where: { companyId } }),
+    () => db.stockLocation.deleteMany({ where: { companyId } })
+  ];
+
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (error) {
+      // Ignore cleanup errors
+    }
+  }
+}
+
 module.exports = {
   createTestCompany,
   createTestEmployee,
+  createTestSale,
+  createTestSession,
+  cleanupSales,
+  cleanupSessions,
+  cleanupInventory,
   cleanupTestData
 };
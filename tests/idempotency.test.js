@@ -0,0 +1,262 @@
+/**
+ * Test suite for Idempotency-Key handling
+ * Request fingerprints, key claims and expiry, and a payment retried with its key
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const IdempotencyService = require('../src/services/idempotencyService');
+const PaymentGateway = require('../src/services/paymentGateway');
+const { idempotent } = require('../src/middleware/idempotency');
+
+const NOW = new Date('2025-01-01T12:00:00Z');
+const REQUEST = {
+  companyId: 'c1',
+  employeeCpf: '12345678901',
+  key: 'retry-1',
+  method: 'POST',
+  path: '/api/sales/s1/payments',
+  requestHash: 'hash-1',
+  now: NOW
+};
+
+const duplicate = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+// Client whose key table already holds the given record
+const clientWith = (existing) => ({
+  idempotencyKey: {
+    create: jest.fn()
+      .mockRejectedValueOnce(duplicate())
+      .mockImplementation(({ data }) => Promise.resolve({ id: 'new', ...data })),
+    findUnique: jest.fn().mockResolvedValue(existing),
+    deleteMany: jest.fn().mockResolvedValue({ count: 1 })
+  }
+});
+
+const record = (fields) => ({
+  id: 'k1',
+  requestHash: 'hash-1',
+  responseStatus: 201,
+  responseBody: { success: true },
+  createdAt: new Date(NOW.getTime() - 60 * 1000),
+  expiresAt: new Date(NOW.getTime() + 60 * 60 * 1000),
+  ...fields
+});
+
+describe('Idempotency Service', () => {
+  describe('fingerprint', () => {
+    it('should match the same request and tell others apart', () => {
+      const base = { method: 'post', path: '/api/sales/s1/payments', body: Buffer.from('{"amount":10}') };
+      const hash = IdempotencyService.fingerprint(base);
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(IdempotencyService.fingerprint({ ...base, method: 'POST' })).toBe(hash);
+      expect(IdempotencyService.fingerprint({ ...base, body: Buffer.from('{"amount":20}') })).not.toBe(hash);
+      expect(IdempotencyService.fingerprint({ ...base, path: '/api/sales/s2/payments' })).not.toBe(hash);
+    });
+
+    it('should fingerprint requests without a body', () => {
+      expect(IdempotencyService.fingerprint({ method: 'POST', path: '/api/sales/s1/finalize' }))
+        .toBe(IdempotencyService.fingerprint({ method: 'POST', path: '/api/sales/s1/finalize', body: '' }));
+    });
+  });
+
+  describe('begin', () => {
+    it('should claim a new key until the TTL', async () => {
+      const client = { idempotencyKey: { create: jest.fn(({ data }) => Promise.resolve({ id: 'k1', ...data })) } };
+
+      const { started } = await IdempotencyService.begin(client, REQUEST);
+      expect(started.key).toBe('retry-1');
+      expect(started.expiresAt).toEqual(new Date(NOW.getTime() + IdempotencyService.TTL_HOURS * 60 * 60 * 1000));
+    });
+
+    it('should replay the stored response of a retry', async () => {
+      await expect(IdempotencyService.begin(clientWith(record()), REQUEST))
+        .resolves.toEqual({ replay: { status: 201, body: { success: true } } });
+    });
+
+    it('should refuse the key for a different request', async () => {
+      await expect(IdempotencyService.begin(clientWith(record({ requestHash: 'hash-2' })), REQUEST))
+        .resolves.toEqual({ conflict: true });
+    });
+
+    it('should report a request still running', async () => {
+      await expect(IdempotencyService.begin(clientWith(record({ responseStatus: null, responseBody: null })), REQUEST))
+        .resolves.toEqual({ inProgress: true });
+    });
+
+    it('should reuse an expired key', async () => {
+      const client = clientWith(record({ expiresAt: new Date(NOW.getTime() - 1000) }));
+
+      const result = await IdempotencyService.begin(client, REQUEST);
+      expect(result.started).toBeDefined();
+      expect(client.idempotencyKey.deleteMany).toHaveBeenCalledWith({ where: { id: 'k1', responseStatus: 201 } });
+    });
+
+    it('should take over a key whose request was abandoned', async () => {
+      const client = clientWith(record({
+        responseStatus: null,
+        createdAt: new Date(NOW.getTime() - (IdempotencyService.STALE_SECONDS + 1) * 1000)
+      }));
+
+      await expect(IdempotencyService.begin(client, REQUEST)).resolves.toHaveProperty('started');
+    });
+
+    it('should wait out a request held up by slow payment provider calls', async () => {
+      const client = clientWith(record({
+        responseStatus: null,
+        createdAt: new Date(NOW.getTime() - 3 * PaymentGateway.AUTHORIZE_TIMEOUT_MS)
+      }));
+
+      await expect(IdempotencyService.begin(client, REQUEST)).resolves.toEqual({ inProgress: true });
+    });
+  });
+
+  describe('complete', () => {
+    it('should store the response as it was sent', async () => {
+      const client = { idempotencyKey: { update: jest.fn().mockResolvedValue({}) } };
+
+      await IdempotencyService.complete(client, 'k1', 201, { data: { paidAt: NOW }, total: 10 });
+
+      const { data } = client.idempotencyKey.update.mock.calls[0][0];
+      expect(data.responseStatus).toBe(201);
+      expect(data.responseBody).toEqual({ data: { paidAt: NOW.toISOString() }, total: 10 });
+    });
+  });
+
+  describe('expire', () => {
+    it('should delete keys past their expiry', async () => {
+      const client = { idempotencyKey: { deleteMany: jest.fn().mockResolvedValue({ count: 3 }) } };
+
+      await expect(IdempotencyService.expire(client, { now: NOW })).resolves.toEqual({ expired: 3 });
+      expect(client.idempotencyKey.deleteMany).toHaveBeenCalledWith({ where: { expiresAt: { lt: NOW } } });
+    });
+  });
+});
+
+describe('idempotent middleware', () => {
+  const response = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  it('should let requests without a key through', async () => {
+    const next = jest.fn();
+
+    await idempotent({ get: () => undefined }, response(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should reject malformed keys', async () => {
+    const res = response();
+    const next = jest.fn();
+
+    await idempotent({ get: () => 'has spaces' }, res, next);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(next).not.toHaveBeenCalled();
+
+    await idempotent({ get: () => 'x'.repeat(256) }, res, next);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should store the response before sending it', async () => {
+    let store;
+    jest.spyOn(IdempotencyService, 'begin').mockResolvedValue({ started: { id: 'k1' } });
+    jest.spyOn(IdempotencyService, 'complete').mockReturnValue(new Promise(resolve => { store = resolve; }));
+
+    const res = response();
+    const send = res.json;
+    res.statusCode = 201;
+    res.on = jest.fn();
+    const req = {
+      get: () => 'retry-1',
+      employee: { companyId: 'c1', cpf: '12345678901' },
+      method: 'POST',
+      baseUrl: '/api/sales',
+      path: '/s1/payments'
+    };
+
+    await idempotent(req, res, () => res.json({ success: true }));
+    expect(IdempotencyService.complete).toHaveBeenCalledWith(expect.anything(), 'k1', 201, { success: true });
+    expect(send).not.toHaveBeenCalled();
+
+    store();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(send).toHaveBeenCalledWith({ success: true });
+
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Idempotency-Key on the payments endpoint', () => {
+  const testCNPJ = '30000000000125';
+  const cashierCPF = '30000000025';
+  let companyId;
+  let cashierToken;
+  let sale;
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [cashierCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Idempotency Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(cashierCPF, companyId, 'CASHIER', 'IDEMPOTENCY-TEST');
+    cashierToken = AuthService.generateToken(employee);
+
+    sale = await createTestSale(companyId, cashierCPF, {
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }]
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [cashierCPF]);
+  });
+
+  const pay = (key, body) => request(app)
+    .post(`/api/sales/${sale.id}/payments`)
+    .set('Authorization', `Bearer ${cashierToken}`)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  it('should replay a retried payment instead of taking it again', async () => {
+    const first = await pay('pay-1', { method: 'CASH', amount: 10 }).expect(201);
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+    // Retried as soon as the answer arrives
+    const retry = await pay('pay-1', { method: 'CASH', amount: 10 }).expect(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.id).toBe(first.body.data.id);
+    expect(retry.body.remainingBalance).toBe(20);
+
+    const payments = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(payments).toHaveLength(1);
+  });
+
+  it('should refuse the key for a different payment', async () => {
+    const response = await pay('pay-1', { method: 'CASH', amount: 15 }).expect(422);
+
+    expect(response.body.message).toBe('Idempotency-Key was already used for a different request');
+  });
+
+  it('should reject a malformed key', async () => {
+    await pay('has spaces', { method: 'CASH', amount: 10 }).expect(400);
+  });
+});
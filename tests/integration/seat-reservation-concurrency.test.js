@@ -0,0 +1,178 @@
+/**
+ * Integration Test: Concurrent Seat Reservations
+ * Many checkouts race for the same seats; exactly one may win each seat
+ */
+
+const request = require('supertest');
+const app = require('../../src/server');
+const { db } = require('../../src/database/prisma');
+const { createTestCompany, createTestEmployee } = require('../helpers/testHelpers');
+const { AuthService } = require('../../src/middleware/auth-multitenant');
+
+const CNPJ = '55667788000199';
+const CASHIER_CPF = '10000000061';
+const CONTENDERS = 10;
+
+describe('Integration: Concurrent Seat Reservations', () => {
+  let companyId;
+  let cashierToken;
+  let seatMapId;
+  let sessionId;
+
+  const reserve = (seatIds, reservationToken) => request(app)
+    .post('/api/seat-reservations/reserve')
+    .set('Authorization', `Bearer ${cashierToken}`)
+    .send({ sessionId, seatIds, reservationToken });
+
+  const cleanup = async (cId) => {
+    await db.seatReservation.deleteMany({ where: { companyId: cId } });
+    await db.ticket.deleteMany({ where: { companyId: cId } });
+    await db.session.deleteMany({ where: { companyId: cId } });
+    await db.movie.deleteMany({ where: { companyId: cId } });
+    await db.room.deleteMany({ where: { companyId: cId } });
+
+    const seatMaps = await db.seatMap.findMany({ where: { companyId: cId }, select: { id: true } });
+    for (const seatMap of seatMaps) {
+      await db.seat.deleteMany({ where: { seatMapId: seatMap.id } });
+    }
+
+    await db.seatMap.deleteMany({ where: { companyId: cId } });
+    await db.employee.deleteMany({ where: { companyId: cId } });
+    await db.companySubscription.deleteMany({ where: { companyId: cId } });
+    await db.company.delete({ where: { id: cId } });
+  };
+
+  beforeAll(async () => {
+    const existingCompany = await db.company.findFirst({ where: { cnpj: CNPJ } });
+    if (existingCompany) {
+      await cleanup(existingCompany.id);
+    }
+    await db.person.deleteMany({ where: { cpf: CASHIER_CPF } }).catch(() => {});
+
+    const company = await createTestCompany(CNPJ, 'Concurrency Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(CASHIER_CPF, companyId, 'CASHIER', 'CONC');
+    cashierToken = AuthService.generateToken(employee);
+
+    const seatMap = await db.seatMap.create({
+      data: { companyId, name: 'Concurrency Layout', rows: 1, cols: 4 }
+    });
+    seatMapId = seatMap.id;
+
+    await db.seat.createMany({
+      data: [1, 2, 3, 4].map(number => ({ id: `A${number}`, seatMapId, rowLabel: 'A', number }))
+    });
+
+    const room = await db.room.create({
+      data: { companyId, name: 'Concurrency Room', capacity: 4, roomType: 'TWO_D', seatMapId }
+    });
+
+    const movie = await db.movie.create({
+      data: { companyId, title: 'Concurrency Movie', durationMin: 100 }
+    });
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const session = await db.session.create({
+      data: {
+        companyId,
+        movieId: movie.id,
+        roomId: room.id,
+        startTime,
+        endTime: new Date(startTime.getTime() + 115 * 60 * 1000)
+      }
+    });
+    sessionId = session.id;
+  });
+
+  afterEach(async () => {
+    await db.seatReservation.deleteMany({ where: { companyId } });
+    await db.ticket.deleteMany({ where: { companyId } });
+  });
+
+  afterAll(async () => {
+    try {
+      if (companyId) {
+        await cleanup(companyId);
+      }
+      await db.person.deleteMany({ where: { cpf: CASHIER_CPF } }).catch(() => {});
+      await db.$disconnect();
+    } catch (error) {
+      console.error('Cleanup error:', error.message);
+    }
+  });
+
+  it('should give a contested seat to exactly one checkout', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: CONTENDERS }, (_, i) => reserve(['A1'], `race-single-${i}`))
+    );
+
+    const winners = responses.filter(r => r.status === 201);
+    const losers = responses.filter(r => r.status === 409);
+
+    expect(winners).toHaveLength(1);
+    expect(losers).toHaveLength(CONTENDERS - 1);
+    losers.forEach(r => expect(r.body.seats.held).toEqual(['A1']));
+
+    const reservations = await db.seatReservation.findMany({ where: { companyId, sessionId } });
+    expect(reservations).toHaveLength(1);
+    expect(reservations[0].reservationToken).toBe(winners[0].body.data[0].reservationToken);
+  });
+
+  it('should never split overlapping multi-seat requests', async () => {
+    const requests = Array.from({ length: CONTENDERS }, (_, i) =>
+      reserve(i % 2 === 0 ? ['A1', 'A2'] : ['A2', 'A3'], `race-multi-${i}`)
+    );
+    const responses = await Promise.all(requests);
+
+    const reservations = await db.seatReservation.findMany({ where: { companyId, sessionId } });
+    const byToken = reservations.reduce((acc, r) => {
+      acc[r.reservationToken] = (acc[r.reservationToken] || []).concat(r.seatId);
+      return acc;
+    }, {});
+
+    // A2 is in every request, so only one checkout can hold anything
+    expect(responses.filter(r => r.status === 201)).toHaveLength(1);
+    expect(Object.keys(byToken)).toHaveLength(1);
+    expect(Object.values(byToken)[0]).toHaveLength(2);
+  });
+
+  it('should report sold, held and free seats on conflict', async () => {
+    await db.ticket.create({
+      data: {
+        companyId,
+        sessionId,
+        seatMapId,
+        seatId: 'A1',
+        price: 20,
+        qrCode: `concurrency-${Date.now()}`
+      }
+    });
+    await reserve(['A2'], 'holder').expect(201);
+
+    const response = await reserve(['A1', 'A2', 'A3'], 'latecomer').expect(409);
+
+    expect(response.body.seats).toEqual({ sold: ['A1'], held: ['A2'], free: ['A3'], unknown: [] });
+    expect(await db.seatReservation.count({ where: { reservationToken: 'latecomer' } })).toBe(0);
+  });
+
+  it('should let one checkout take over an expired hold', async () => {
+    await db.seatReservation.create({
+      data: {
+        companyId,
+        sessionId,
+        seatMapId,
+        seatId: 'A4',
+        reservationToken: 'expired-holder',
+        expiresAt: new Date(Date.now() - 60 * 1000)
+      }
+    });
+
+    const responses = await Promise.all(
+      Array.from({ length: CONTENDERS }, (_, i) => reserve(['A4'], `race-expired-${i}`))
+    );
+
+    expect(responses.filter(r => r.status === 201)).toHaveLength(1);
+    expect(await db.seatReservation.count({ where: { companyId, sessionId, seatId: 'A4' } })).toBe(1);
+  });
+});
@@ -414,7 +414,8 @@ describe('Integration: Ticket Purchase Flow', () => {
         .get(`/api/sales/${saleId}`)
         .set('Authorization', `Bearer ${cashierToken}`);
 
-      const totalToPay = saleCheck.body.data.totalAmount || 60.00;
+      // Card payments are capped at the balance, so pay exactly what is due
+      const totalToPay = parseFloat(saleCheck.body.data.grandTotal);
 
       const response = await request(app)
         .post(`/api/sales/${saleId}/payments`)
@@ -145,6 +145,10 @@ describe('Inventory Audit and Management (US-019, US-020, US-021)', () => {
   afterAll(async () => {
     // Cleanup
     await db.inventoryAdjustment.deleteMany({ where: { companyId } });
+    await db.inventoryLot.deleteMany({ where: { companyId } });
+    await db.locationStock.deleteMany({ where: { companyId } });
+    await db.stockLocation.deleteMany({ where: { companyId } });
+    await db.inventoryBarcode.deleteMany({ where: { companyId } });
     await db.food.deleteMany({ where: { companyId } });
     await db.collectable.deleteMany({ where: { companyId } });
     await db.inventoryItem.deleteMany({ where: { companyId } });
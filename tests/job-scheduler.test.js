@@ -0,0 +1,68 @@
+/**
+ * Test suite for the background job scheduler
+ * Next run times, registered jobs and claiming a job between instances
+ */
+
+const JobScheduler = require('../src/services/jobScheduler');
+
+describe('Job Scheduler', () => {
+  describe('Next run', () => {
+    it('should add the interval to interval jobs', () => {
+      const from = new Date('2025-06-01T12:00:00');
+
+      expect(JobScheduler.computeNextRun({ everySeconds: 60 }, from)).toEqual(new Date('2025-06-01T12:01:00'));
+    });
+
+    it('should run daily jobs later the same day when the time is still ahead', () => {
+      const from = new Date('2025-06-01T01:15:00');
+
+      expect(JobScheduler.computeNextRun({ dailyAt: '03:00' }, from)).toEqual(new Date('2025-06-01T03:00:00'));
+    });
+
+    it('should run daily jobs the next day once the time has passed', () => {
+      expect(JobScheduler.computeNextRun({ dailyAt: '03:00' }, new Date('2025-06-01T03:00:00')))
+        .toEqual(new Date('2025-06-02T03:00:00'));
+      expect(JobScheduler.computeNextRun({ dailyAt: '03:00' }, new Date('2025-06-30T22:00:00')))
+        .toEqual(new Date('2025-07-01T03:00:00'));
+    });
+  });
+
+  describe('Registered jobs', () => {
+    it('should give every job a schedule and a task', () => {
+      for (const definition of Object.values(JobScheduler.jobs)) {
+        expect(Boolean(definition.everySeconds) !== Boolean(definition.dailyAt)).toBe(true);
+        expect(typeof definition.run).toBe('function');
+        expect(definition.description).toBeTruthy();
+      }
+    });
+
+    it('should fit job names in the scheduled_job table', () => {
+      Object.keys(JobScheduler.jobs).forEach(name => expect(name.length).toBeLessThanOrEqual(50));
+    });
+  });
+
+  describe('Claiming a job', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const client = (count) => ({
+      scheduledJob: { updateMany: jest.fn().mockResolvedValue({ count }) },
+      jobRun: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) }
+    });
+
+    it('should fail the runs left RUNNING by an instance whose lock expired', async () => {
+      const db = client(1);
+
+      await expect(JobScheduler.claim(db, 'expire-seat-reservations', { now })).resolves.toBe(true);
+      expect(db.jobRun.updateMany).toHaveBeenCalledWith({
+        where: { jobName: 'expire-seat-reservations', status: 'RUNNING' },
+        data: expect.objectContaining({ status: 'FAILED', finishedAt: now })
+      });
+    });
+
+    it('should leave the runs alone while another instance holds the lock', async () => {
+      const db = client(0);
+
+      await expect(JobScheduler.claim(db, 'expire-seat-reservations', { now })).resolves.toBe(false);
+      expect(db.jobRun.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Test suite for stock locations
+ * Transfer shortages, per-location low-stock alerts and stock checks, and
+ * locations, stations, transfers and station sales through the endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const LocationService = require('../src/services/locationService');
+
+describe('Location Service', () => {
+  describe('shortages', () => {
+    it('should find nothing when the source holds every line', () => {
+      const quantities = new Map([['POP-L', 10], ['SODA-M', 4]]);
+      expect(LocationService.shortages([{ sku: 'POP-L', quantity: 10 }, { sku: 'SODA-M', quantity: 1 }], quantities)).toEqual([]);
+    });
+
+    it('should report SKUs the source does not hold enough of', () => {
+      const quantities = new Map([['POP-L', 3]]);
+      expect(LocationService.shortages([{ sku: 'POP-L', quantity: 5 }, { sku: 'WATER', quantity: 1 }], quantities)).toEqual([
+        { sku: 'POP-L', available: 3, requested: 5 },
+        { sku: 'WATER', available: 0, requested: 1 }
+      ]);
+    });
+
+    it('should add up lines of the same SKU', () => {
+      const quantities = new Map([['POP-L', 5]]);
+      expect(LocationService.shortages([{ sku: 'POP-L', quantity: 3 }, { sku: 'POP-L', quantity: 3 }], quantities)).toEqual([
+        { sku: 'POP-L', available: 5, requested: 6 }
+      ]);
+    });
+  });
+
+  describe('lowStock', () => {
+    const rows = [
+      { sku: 'POP-L', qtyOnHand: 2, reorderLevel: 10 },
+      { sku: 'SODA-M', qtyOnHand: 8, reorderLevel: 10 },
+      { sku: 'CANDY', qtyOnHand: 0, reorderLevel: 5 },
+      { sku: 'WATER', qtyOnHand: 50, reorderLevel: 10 },
+      { sku: 'NACHOS', qtyOnHand: 0, reorderLevel: null }
+    ];
+
+    it('should alert rows at or below their level, emptiest first', () => {
+      expect(LocationService.lowStock(rows).map(r => r.sku)).toEqual(['CANDY', 'POP-L', 'SODA-M']);
+    });
+
+    it('should never alert rows without a level', () => {
+      expect(LocationService.lowStock(rows).find(r => r.sku === 'NACHOS')).toBeUndefined();
+    });
+
+    it('should prioritize and size each alert', () => {
+      const alerts = LocationService.lowStock(rows);
+      expect(alerts.map(a => [a.sku, a.priority, a.shortBy])).toEqual([
+        ['CANDY', 'CRITICAL', 5],
+        ['POP-L', 'HIGH', 8],
+        ['SODA-M', 'MEDIUM', 2]
+      ]);
+    });
+  });
+
+  describe('atLocation', () => {
+    it('should replace company totals with the stock at the location', () => {
+      const items = [{ sku: 'POP-L', name: 'Large Popcorn', qtyOnHand: 100 }, { sku: 'SODA-M', qtyOnHand: 40 }];
+      expect(LocationService.atLocation(items, new Map([['POP-L', 6]]))).toEqual([
+        { sku: 'POP-L', name: 'Large Popcorn', qtyOnHand: 6 },
+        { sku: 'SODA-M', qtyOnHand: 0 }
+      ]);
+      expect(items[0].qtyOnHand).toBe(100);
+    });
+  });
+});
+
+describe('Stock locations through the endpoints', () => {
+  const testCNPJ = '30000000000120';
+  const managerCPF = '30000000020';
+  let companyId;
+  let managerToken;
+  let mainId;
+  let kioskId;
+  let stationId;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  const stockAt = async (locationId) => {
+    const response = await api('get', `/api/stock-locations/${locationId}/stock`).expect(200);
+    return response.body.data.stock.map(row => [row.sku, row.qtyOnHand]);
+  };
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Location Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'LOC-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    await api('post', '/api/inventory')
+      .send({ sku: 'WATER', name: 'Water', unitPrice: 3, qtyOnHand: 20, reorderLevel: 0, itemType: 'general' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should keep stock received without a location at the default one', async () => {
+    const response = await api('get', '/api/stock-locations').expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].isDefault).toBe(true);
+    expect(response.body.data[0].unitsOnHand).toBe(20);
+    mainId = response.body.data[0].id;
+  });
+
+  it('should create a location and a station selling from it', async () => {
+    const location = await api('post', '/api/stock-locations').send({ name: 'Kiosk' }).expect(201);
+    expect(location.body.data.isDefault).toBe(false);
+    kioskId = location.body.data.id;
+
+    await api('post', '/api/stock-locations').send({ name: 'Kiosk' }).expect(409);
+
+    const station = await api('post', '/api/stations').send({ name: 'Kiosk till', locationId: kioskId }).expect(201);
+    expect(station.body.data.location.name).toBe('Kiosk');
+    stationId = station.body.data.id;
+  });
+
+  it('should move stock between locations without changing the item total', async () => {
+    const response = await api('post', '/api/stock-locations/transfers')
+      .send({ fromLocationId: mainId, toLocationId: kioskId, lines: [{ sku: 'WATER', quantity: 8 }] })
+      .expect(201);
+
+    expect(response.body.data.adjustments).toEqual([{ sku: 'WATER', delta: 8 }]);
+    expect(await stockAt(mainId)).toEqual([['WATER', 12]]);
+    expect(await stockAt(kioskId)).toEqual([['WATER', 8]]);
+
+    const item = await db.inventoryItem.findUnique({ where: { companyId_sku: { companyId, sku: 'WATER' } } });
+    expect(item.qtyOnHand).toBe(20);
+
+    const transfers = await api('get', '/api/stock-locations/transfers').query({ locationId: kioskId }).expect(200);
+    expect(transfers.body.pagination.total).toBe(1);
+  });
+
+  it('should refuse a transfer the source cannot cover or to the same location', async () => {
+    const response = await api('post', '/api/stock-locations/transfers')
+      .send({ fromLocationId: kioskId, toLocationId: mainId, lines: [{ sku: 'WATER', quantity: 30 }] })
+      .expect(409);
+    expect(response.body.shortages).toEqual([{ sku: 'WATER', available: 8, requested: 30 }]);
+
+    await api('post', '/api/stock-locations/transfers')
+      .send({ fromLocationId: mainId, toLocationId: mainId, lines: [{ sku: 'WATER', quantity: 1 }] })
+      .expect(400);
+  });
+
+  it('should sell from the location of the station the sale is rung up at', async () => {
+    const created = await api('post', '/api/sales').send({ stationId }).expect(201);
+    const saleId = created.body.data.id;
+    expect(created.body.data.locationId).toBe(kioskId);
+
+    await api('post', `/api/sales/${saleId}/items`).send({ sku: 'WATER', quantity: 9 }).expect(409);
+    await api('post', `/api/sales/${saleId}/items`).send({ sku: 'WATER', quantity: 5 }).expect(201);
+    await api('post', `/api/sales/${saleId}/payments`).send({ method: 'CASH', amount: 15 }).expect(201);
+    await api('post', `/api/sales/${saleId}/finalize`).expect(200);
+
+    expect(await stockAt(mainId)).toEqual([['WATER', 12]]);
+    expect(await stockAt(kioskId)).toEqual([['WATER', 3]]);
+  });
+
+  it('should alert on stock at or below a location\'s own reorder level', async () => {
+    await api('put', `/api/stock-locations/${kioskId}/stock/WATER`).send({ reorderLevel: 10 }).expect(200);
+
+    const response = await api('get', `/api/stock-locations/${kioskId}/stock`).query({ lowStock: true }).expect(200);
+
+    expect(response.body.data.stock.map(row => [row.sku, row.shortBy, row.priority])).toEqual([['WATER', 7, 'HIGH']]);
+    expect(response.body.data.summary.lowStock).toBe(1);
+  });
+
+  it('should refuse to deactivate a location still holding stock', async () => {
+    const response = await api('patch', `/api/stock-locations/${kioskId}`).send({ isActive: false }).expect(409);
+
+    expect(response.body.unitsOnHand).toBe(3);
+  });
+});
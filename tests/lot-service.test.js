@@ -0,0 +1,219 @@
+/**
+ * Test suite for inventory lots
+ * FEFO consumption, expiry dates and value at risk, and lots received, sold
+ * and written off through the inventory and sale endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const LotService = require('../src/services/lotService');
+
+const lot = (id, expiryDate, quantity, receivedAt = '2025-01-01T10:00:00Z', extra = {}) => ({
+  id,
+  sku: 'POP',
+  lotCode: null,
+  expiryDate: expiryDate ? new Date(`${expiryDate}T00:00:00Z`) : null,
+  quantity,
+  unitCost: null,
+  receivedAt: new Date(receivedAt),
+  ...extra
+});
+
+describe('Lot Service', () => {
+  describe('fefo', () => {
+    it('should put the earliest expiry first and undated lots last', () => {
+      const ordered = LotService.fefo([
+        lot('undated', null, 5),
+        lot('april', '2025-04-01', 5),
+        lot('march', '2025-03-01', 5)
+      ]);
+      expect(ordered.map(l => l.id)).toEqual(['march', 'april', 'undated']);
+    });
+
+    it('should use the oldest receipt between lots expiring the same day', () => {
+      const ordered = LotService.fefo([
+        lot('newer', '2025-03-01', 5, '2025-02-01T10:00:00Z'),
+        lot('older', '2025-03-01', 5, '2025-01-15T10:00:00Z')
+      ]);
+      expect(ordered.map(l => l.id)).toEqual(['older', 'newer']);
+    });
+  });
+
+  describe('planConsumption', () => {
+    const lots = [lot('april', '2025-04-01', 10), lot('march', '2025-03-01', 4), lot('empty', '2025-02-01', 0)];
+
+    it('should empty the first-expiring lot before touching the next', () => {
+      const takes = LotService.planConsumption(lots, 6);
+      expect(takes.map(t => [t.lot.id, t.quantity])).toEqual([['march', 4], ['april', 2]]);
+    });
+
+    it('should take only what the lots hold and leave the rest to unlotted stock', () => {
+      const takes = LotService.planConsumption(lots, 20);
+      expect(takes.map(t => [t.lot.id, t.quantity])).toEqual([['march', 4], ['april', 10]]);
+    });
+
+    it('should take nothing for nothing', () => {
+      expect(LotService.planConsumption(lots, 0)).toEqual([]);
+    });
+  });
+
+  describe('daysRemaining', () => {
+    const now = new Date(2025, 2, 9, 22, 30);
+
+    it('should count calendar days whatever the time of day', () => {
+      expect(LotService.daysRemaining(new Date('2025-03-10T00:00:00Z'), now)).toBe(1);
+      expect(LotService.daysRemaining(new Date('2025-03-09T00:00:00Z'), now)).toBe(0);
+      expect(LotService.daysRemaining(new Date('2025-03-01T00:00:00Z'), now)).toBe(-8);
+    });
+
+    it('should give today as a date-only value', () => {
+      expect(LotService.today(now).toISOString()).toBe('2025-03-09T00:00:00.000Z');
+    });
+  });
+
+  describe('urgency', () => {
+    it.each([
+      [-1, 'EXPIRED', 'WRITE_OFF'],
+      [0, 'CRITICAL', 'REMOVE_IMMEDIATELY'],
+      [5, 'HIGH', 'DISCOUNT_OR_REMOVE'],
+      [10, 'MEDIUM', 'MONITOR'],
+      [30, 'LOW', 'MONITOR']
+    ])('should rate %i day(s) left as %s', (days, priority, action) => {
+      expect(LotService.urgency(days)).toEqual({ priority, action });
+    });
+  });
+
+  describe('describe', () => {
+    const now = new Date(2025, 2, 9, 12, 0);
+
+    it('should value a lot at its own cost', () => {
+      const entry = LotService.describe(
+        lot('a', '2025-03-11', 12, undefined, { unitCost: '2.3333', item: { name: 'Popcorn', unitCost: '9.0000' } }),
+        now
+      );
+
+      expect(entry).toMatchObject({
+        lotId: 'a',
+        name: 'Popcorn',
+        quantity: 12,
+        daysRemaining: 2,
+        priority: 'CRITICAL',
+        unitCost: 2.3333,
+        valueAtRisk: 28
+      });
+    });
+
+    it('should fall back to the item cost, and to no value without one', () => {
+      expect(LotService.describe(lot('b', '2025-03-20', 3, undefined, { item: { name: 'Popcorn', unitCost: '1.5000' } }), now).valueAtRisk).toBe(4.5);
+      expect(LotService.describe(lot('c', '2025-03-20', 3, undefined, { item: { name: 'Popcorn', unitCost: null } }), now).valueAtRisk).toBeNull();
+    });
+  });
+});
+
+describe('Lots through the inventory and sale endpoints', () => {
+  const testCNPJ = '30000000000117';
+  const managerCPF = '30000000017';
+  const cashierCPF = '30000000117';
+  let companyId;
+  let managerToken;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF, cashierCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Lot Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'LOT-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    await api('post', '/api/inventory')
+      .send({ sku: 'JUICE', name: 'Juice', unitPrice: 6, qtyOnHand: 0, reorderLevel: 0, itemType: 'food', foodCategory: 'Drinks' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF, cashierCPF]);
+  });
+
+  it('should list lots received through adjustments first-expired-first-out', async () => {
+    await api('post', '/api/inventory/JUICE/adjust')
+      .send({ delta: 5, reason: 'RESTOCK', lotCode: 'LATE', expiryDate: inDays(30) })
+      .expect(201);
+    await api('post', '/api/inventory/JUICE/adjust')
+      .send({ delta: 5, reason: 'RESTOCK', lotCode: 'SOON', expiryDate: inDays(5) })
+      .expect(201);
+    await api('post', '/api/inventory/JUICE/adjust')
+      .send({ delta: 3, reason: 'RESTOCK' })
+      .expect(201);
+
+    const response = await api('get', '/api/inventory/JUICE/lots').expect(200);
+
+    expect(response.body.data.qtyOnHand).toBe(13);
+    expect(response.body.data.unlottedQty).toBe(3);
+    expect(response.body.data.lots.map(l => [l.lotCode, l.quantity, l.daysRemaining])).toEqual([
+      ['SOON', 5, 5],
+      ['LATE', 5, 30]
+    ]);
+  });
+
+  it('should take the units sold from the lot expiring first', async () => {
+    const sale = await createTestSale(companyId, managerCPF);
+    await api('post', `/api/sales/${sale.id}/items`).send({ sku: 'JUICE', quantity: 6 }).expect(201);
+    await api('post', `/api/sales/${sale.id}/payments`).send({ method: 'CASH', amount: 36 }).expect(201);
+    await api('post', `/api/sales/${sale.id}/finalize`).expect(200);
+
+    const response = await api('get', '/api/inventory/JUICE/lots').expect(200);
+
+    expect(response.body.data.qtyOnHand).toBe(7);
+    expect(response.body.data.unlottedQty).toBe(3);
+    expect(response.body.data.lots.map(l => [l.lotCode, l.quantity])).toEqual([['LATE', 4]]);
+  });
+
+  it('should write off expired lots at their cost and leave the rest', async () => {
+    await api('post', '/api/inventory/JUICE/adjust')
+      .send({ delta: 2, reason: 'RESTOCK', lotCode: 'OLD', expiryDate: inDays(-3), unitCost: 1.5 })
+      .expect(201);
+
+    const response = await api('post', '/api/inventory/lots/write-off-expired').expect(200);
+
+    expect(response.body.data.writtenOff.map(l => [l.lotCode, l.quantity, l.valueAtRisk])).toEqual([['OLD', 2, 3]]);
+    expect(response.body.data.totalQuantity).toBe(2);
+    expect(response.body.data.totalValue).toBe(3);
+
+    const adjustments = await db.inventoryAdjustment.findMany({ where: { companyId, sku: 'JUICE', reason: 'EXPIRY' } });
+    expect(adjustments.map(a => a.delta)).toEqual([-2]);
+
+    const lots = await api('get', '/api/inventory/JUICE/lots').expect(200);
+    expect(lots.body.data.qtyOnHand).toBe(7);
+    expect(lots.body.data.lots.map(l => l.lotCode)).toEqual(['LATE']);
+  });
+
+  it('should refuse a write-off from a cashier', async () => {
+    const { employee } = await createTestEmployee(cashierCPF, companyId, 'CASHIER', 'LOT-CSH');
+    await request(app)
+      .post('/api/inventory/lots/write-off-expired')
+      .set('Authorization', `Bearer ${AuthService.generateToken(employee)}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * Test suite for payment providers
+ * Provider routing, the simulator, the card terminal adapter, and canceling
+ * and refunding sales through the provider that took their payments
+ */
+
+const http = require('http');
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const PaymentGateway = require('../src/services/paymentGateway');
+const SimulatorProvider = require('../src/services/paymentProviders/simulatorProvider');
+const CardTerminalProvider = require('../src/services/paymentProviders/cardTerminalProvider');
+const { PaymentError } = PaymentGateway;
+
+describe('Payment Gateway', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('providerName', () => {
+    it('should take cash and other tenders by hand', () => {
+      process.env.PAYMENT_CARD_PROVIDER = 'simulator';
+      expect(PaymentGateway.providerName('CASH')).toBeNull();
+      expect(PaymentGateway.providerName('OTHER')).toBeNull();
+    });
+
+    it('should route card and PIX to their configured provider', () => {
+      process.env.PAYMENT_CARD_PROVIDER = 'card-terminal';
+      process.env.PAYMENT_PIX_PROVIDER = 'manual';
+      expect(PaymentGateway.providerName('CARD')).toBe('card-terminal');
+      expect(PaymentGateway.providerName('PIX')).toBeNull();
+    });
+  });
+
+  describe('authorize', () => {
+    it('should return nothing for tenders taken by hand', async () => {
+      delete process.env.PAYMENT_CARD_PROVIDER;
+      await expect(PaymentGateway.authorize('CARD', { amount: 10 })).resolves.toBeNull();
+    });
+
+    it('should tag the authorization with its provider', async () => {
+      process.env.PAYMENT_CARD_PROVIDER = 'simulator';
+      PaymentGateway.register(new SimulatorProvider({ mode: 'approve' }));
+
+      const authorization = await PaymentGateway.authorize('CARD', { amount: 42.5, reference: 'sale-1' });
+      expect(authorization.provider).toBe('simulator');
+      expect(authorization.providerRef).toMatch(/^SIM-/);
+      expect(authorization.authCode).toMatch(/^\d{6}$/);
+      expect(authorization.captured).toBe(false);
+    });
+
+    it('should fail with a 402 when declined', async () => {
+      process.env.PAYMENT_CARD_PROVIDER = 'simulator';
+      PaymentGateway.register(new SimulatorProvider({ mode: 'decline' }));
+
+      await expect(PaymentGateway.authorize('CARD', { amount: 10 })).rejects.toMatchObject({
+        name: 'PaymentError',
+        code: 'DECLINED',
+        status: 402
+      });
+    });
+  });
+
+  describe('capture and void', () => {
+    const provider = {
+      name: 'recorder',
+      capture: jest.fn(),
+      void: jest.fn(),
+      refund: jest.fn(async () => ({ providerRef: 'R-1' }))
+    };
+
+    beforeAll(() => PaymentGateway.register(provider));
+    beforeEach(() => jest.clearAllMocks());
+
+    it('should leave hand-taken and captured payments alone on capture', async () => {
+      await PaymentGateway.capture({ provider: null, amount: '10.00' });
+      await PaymentGateway.capture({ provider: 'recorder', providerRef: 'T-1', amount: '10.00', capturedAt: new Date() });
+      expect(provider.capture).not.toHaveBeenCalled();
+
+      await PaymentGateway.capture({ provider: 'recorder', providerRef: 'T-1', amount: '10.00', capturedAt: null });
+      expect(provider.capture).toHaveBeenCalledWith({ providerRef: 'T-1', amountCents: 1000 });
+    });
+
+    it('should void an authorization but refund a captured payment', async () => {
+      await PaymentGateway.void({ id: 'p-1', provider: 'recorder', providerRef: 'T-1', amount: '10.00', capturedAt: null });
+      expect(provider.void).toHaveBeenCalledTimes(1);
+      expect(provider.refund).not.toHaveBeenCalled();
+
+      await PaymentGateway.void({ id: 'p-1', provider: 'recorder', providerRef: 'T-1', amount: '10.00', capturedAt: new Date() });
+      expect(provider.refund).toHaveBeenCalledWith({ providerRef: 'T-1', amountCents: 1000, reference: 'p-1' });
+    });
+
+    it('should refund through the provider that took the payment', async () => {
+      await expect(PaymentGateway.refund({ provider: 'recorder', providerRef: 'T-1' }, 500, 'refund-1')).resolves.toBe('R-1');
+      await expect(PaymentGateway.refund({ provider: null }, 500, 'refund-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('SimulatorProvider', () => {
+    it('should reject unknown modes', () => {
+      expect(() => new SimulatorProvider({ mode: 'maybe' })).toThrow('Unknown payment simulator mode');
+    });
+
+    it('should time out when told to', async () => {
+      await expect(new SimulatorProvider({ mode: 'timeout' }).refund({})).rejects.toMatchObject({ code: 'TIMEOUT', status: 504 });
+    });
+  });
+
+  describe('CardTerminalProvider', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const parsed = JSON.parse(body || '{}');
+          requests.push({ url: req.url, body: parsed, auth: req.headers.authorization });
+
+          if (req.url === '/slow') return;
+
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify(parsed.amount === 666
+            ? { approved: false, message: 'Insufficient funds' }
+            : { approved: true, id: 'T-100', authCode: '123456' }));
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should authorize at the terminal', async () => {
+      const terminal = new CardTerminalProvider({ baseUrl, apiKey: 'k' });
+
+      await expect(terminal.authorize({ amountCents: 4250, reference: 'sale-1' })).resolves.toEqual({
+        providerRef: 'T-100',
+        authCode: '123456',
+        captured: false
+      });
+      expect(requests[requests.length - 1]).toEqual({
+        url: '/transactions',
+        body: { amount: 4250, reference: 'sale-1' },
+        auth: 'Bearer k'
+      });
+    });
+
+    it('should pass on the terminal decline message', async () => {
+      const terminal = new CardTerminalProvider({ baseUrl });
+      await expect(terminal.authorize({ amountCents: 666 })).rejects.toThrow(new PaymentError('DECLINED', 'Insufficient funds'));
+    });
+
+    it('should time out when the terminal does not answer', async () => {
+      const terminal = new CardTerminalProvider({ baseUrl, timeoutMs: 50 });
+      await expect(terminal.call('/slow', {})).rejects.toMatchObject({ code: 'TIMEOUT' });
+    });
+
+    it('should be unavailable when not configured', async () => {
+      const terminal = new CardTerminalProvider({ baseUrl: '' });
+      await expect(terminal.void({ providerRef: 'T-1' })).rejects.toMatchObject({ code: 'UNAVAILABLE', status: 502 });
+    });
+  });
+});
+
+describe('Provider payments through the sale endpoints', () => {
+  const testCNPJ = '30000000000123';
+  const managerCPF = '30000000023';
+  let companyId;
+  let managerToken;
+
+  const provider = {
+    name: 'endpoint-recorder',
+    capture: jest.fn(),
+    void: jest.fn(),
+    refund: jest.fn(async () => ({ providerRef: 'R-1' }))
+  };
+
+  // A sale paid by card through the recording provider
+  const cardSale = async (status, capturedAt) => {
+    const sale = await createTestSale(companyId, managerCPF, {
+      status,
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }]
+    });
+    await db.payment.create({
+      data: {
+        companyId,
+        saleId: sale.id,
+        method: 'CARD',
+        amount: 30,
+        provider: provider.name,
+        providerRef: 'T-1',
+        capturedAt
+      }
+    });
+
+    return sale;
+  };
+
+  beforeAll(async () => {
+    PaymentGateway.register(provider);
+
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Gateway Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'GATEWAY-TEST');
+    managerToken = AuthService.generateToken(employee);
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  const cancel = (sale) => request(app)
+    .post(`/api/sales/${sale.id}/cancel`)
+    .set('Authorization', `Bearer ${managerToken}`)
+    .send({ reason: 'Customer left' });
+
+  it('should record a payment the provider will not void and retry it on the next cancel', async () => {
+    const sale = await cardSale('OPEN', null);
+    provider.void.mockRejectedValueOnce(new PaymentError('UNAVAILABLE', 'Terminal offline'));
+
+    const canceled = await cancel(sale).expect(200);
+    expect(canceled.body.data.status).toBe('CANCELED');
+    expect(canceled.body.failedPayments).toBe(1);
+
+    const [failed] = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(failed).toMatchObject({ voidedAt: null, voidError: 'Terminal offline' });
+    expect(failed.voidFailedAt).not.toBeNull();
+
+    const retried = await cancel(sale).expect(200);
+    expect(retried.body.failedPayments).toBe(0);
+    const [voided] = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(voided).toMatchObject({ voidFailedAt: null, voidError: null });
+    expect(voided.voidedAt).not.toBeNull();
+
+    await cancel(sale).expect(400);
+  });
+
+  it('should send finalized sales to a refund instead of canceling them', async () => {
+    const sale = await cardSale('FINALIZED', new Date());
+
+    const response = await cancel(sale).expect(400);
+
+    expect(response.body.message).toBe('Finalized sales cannot be canceled; refund them instead');
+    expect(provider.refund).not.toHaveBeenCalled();
+    const [payment] = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(payment.voidedAt).toBeNull();
+  });
+
+  it('should void the payments of a canceled sale', async () => {
+    const sale = await cardSale('OPEN', null);
+
+    await cancel(sale).expect(200);
+
+    expect(provider.void).toHaveBeenCalledWith({ providerRef: 'T-1', amountCents: 3000 });
+    const payments = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(payments.every(p => p.voidedAt !== null)).toBe(true);
+  });
+
+  it('should record a refund the provider refused and return it on retry', async () => {
+    const sale = await cardSale('FINALIZED', new Date());
+    provider.refund.mockRejectedValueOnce(new PaymentError('DECLINED', 'Refund refused'));
+
+    const refunded = await request(app)
+      .post(`/api/sales/${sale.id}/refund`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ reason: 'Wrong movie' })
+      .expect(200);
+
+    expect(refunded.body.data.status).toBe('REFUNDED');
+    expect(refunded.body.refund.payments[0].status).toBe('FAILED');
+
+    const retried = await request(app)
+      .post(`/api/sales/${sale.id}/refunds/${refunded.body.refund.id}/retry`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(retried.body.data.payments[0]).toMatchObject({ status: 'COMPLETED', providerRef: 'R-1' });
+    expect(provider.refund).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,324 @@
+/**
+ * Test suite for PIX charges
+ * BR Codes, webhook signatures, confirmation guards and expiry, and a charge paid
+ * through the PSP webhook
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const BrCodeService = require('../src/services/brCodeService');
+const PixChargeService = require('../src/services/pixChargeService');
+const PaymentGateway = require('../src/services/paymentGateway');
+const SimulatorProvider = require('../src/services/paymentProviders/simulatorProvider');
+const { PaymentError } = PaymentGateway;
+
+const TXID = '0123456789abcdef0123456789abcdef';
+
+describe('BR Code Service', () => {
+  it('should checksum the Central Bank example', () => {
+    const example = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-426655440000' +
+      '5204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***6304';
+
+    expect(BrCodeService.crc16(example)).toBe('1D3D');
+  });
+
+  it('should build a dynamic code that reads back', () => {
+    const payload = BrCodeService.build({
+      location: 'https://psp.example.com/qr/v2/abc',
+      amount: 25,
+      merchantName: 'Cine Centro',
+      merchantCity: 'Sao Paulo',
+      txid: TXID
+    });
+
+    const fields = BrCodeService.parse(payload);
+    expect(fields['01']).toBe('12');
+    expect(fields['26']).toEqual({ '00': 'br.gov.bcb.pix', 25: 'psp.example.com/qr/v2/abc' });
+    expect(fields['53']).toBe('986');
+    expect(fields['54']).toBe('25.00');
+    expect(fields['62']).toEqual({ '05': TXID });
+  });
+
+  it('should build a static code with the key', () => {
+    const fields = BrCodeService.parse(BrCodeService.build({ key: 'pix@example.com', merchantName: 'Cine' }));
+
+    expect(fields['01']).toBeUndefined();
+    expect(fields['26']['01']).toBe('pix@example.com');
+    expect(fields['54']).toBeUndefined();
+    expect(fields['62']).toEqual({ '05': '***' });
+  });
+
+  it('should write names and cities in plain upper case within their limits', () => {
+    const fields = BrCodeService.parse(BrCodeService.build({
+      key: 'k',
+      merchantName: 'Cinépolis Ação & Cia - Unidade Paulista',
+      merchantCity: 'São José dos Campos'
+    }));
+
+    expect(fields['59']).toBe('CINEPOLIS ACAO  CIA  UNID');
+    expect(fields['60']).toBe('SAO JOSE DOS CA');
+  });
+
+  it('should reject a payload whose checksum does not match', () => {
+    const payload = BrCodeService.build({ key: 'k', amount: 10, merchantName: 'Cine' });
+
+    expect(BrCodeService.parse(payload.replace('10.00', '90.00'))).toBeNull();
+    expect(BrCodeService.parse('nonsense')).toBeNull();
+  });
+});
+
+describe('PIX Charge Service', () => {
+  describe('webhook signature', () => {
+    const body = Buffer.from(JSON.stringify({ pix: [{ txid: TXID }] }));
+
+    it('should accept a body signed with the secret', () => {
+      const signature = PixChargeService.sign(body, 'secret');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(PixChargeService.verifySignature(body, signature, 'secret')).toBe(true);
+    });
+
+    it('should reject other secrets, altered bodies and missing signatures', () => {
+      const signature = PixChargeService.sign(body, 'secret');
+
+      expect(PixChargeService.verifySignature(body, signature, 'other')).toBe(false);
+      expect(PixChargeService.verifySignature(Buffer.concat([body, Buffer.from(' ')]), signature, 'secret')).toBe(false);
+      expect(PixChargeService.verifySignature(body, undefined, 'secret')).toBe(false);
+      expect(PixChargeService.verifySignature(body, 'sha256=abc', 'secret')).toBe(false);
+    });
+
+    it('should trust nothing without a secret', () => {
+      expect(PixChargeService.verifySignature(body, PixChargeService.sign(body, 'secret'), '')).toBe(false);
+    });
+  });
+
+  describe('confirm', () => {
+    const client = (charge) => ({
+      pixCharge: {
+        findUnique: jest.fn().mockResolvedValue(charge),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 }),
+        update: jest.fn().mockResolvedValue({})
+      },
+      $transaction: jest.fn()
+    });
+
+    it('should ignore a PIX for a charge that is not ours', async () => {
+      const db = client(null);
+
+      await expect(PixChargeService.confirm(db, { txid: TXID, endToEndId: 'E1', valor: '10.00' }))
+        .resolves.toEqual({ status: 'UNKNOWN' });
+      expect(db.$transaction).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a redelivered PIX', async () => {
+      const db = client({ txid: TXID, amount: '10.00', endToEndId: 'E1' });
+
+      await expect(PixChargeService.confirm(db, { txid: TXID, endToEndId: 'E1', valor: '10.00' }))
+        .resolves.toEqual({ status: 'DUPLICATE' });
+      expect(db.$transaction).not.toHaveBeenCalled();
+    });
+
+    describe('for another amount', () => {
+      const provider = {
+        name: 'pix-recorder',
+        refund: jest.fn(async () => ({ providerRef: 'D1' }))
+      };
+      const charge = { id: 'charge-1', txid: TXID, amount: '10.00', endToEndId: null, provider: provider.name };
+
+      beforeEach(() => {
+        PaymentGateway.register(provider);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+        provider.refund.mockClear();
+      });
+
+      it('should record the PIX on the charge and give it back', async () => {
+        const db = client(charge);
+
+        await expect(PixChargeService.confirm(db, { txid: TXID, endToEndId: 'E1', valor: '9.99' }))
+          .resolves.toEqual({ status: 'MISMATCH', returned: true });
+        expect(db.$transaction).not.toHaveBeenCalled();
+        expect(db.pixCharge.updateMany.mock.calls[0][0]).toMatchObject({
+          where: { id: 'charge-1', endToEndId: null },
+          data: { status: 'CANCELED', endToEndId: 'E1', receivedAmount: '9.99', returnReason: 'PIX was 9.99, not 10.00' }
+        });
+        expect(provider.refund).toHaveBeenCalledWith({ providerRef: 'E1', amountCents: 999, reference: 'charge-1' });
+        expect(db.pixCharge.update.mock.calls[0][0].data.returnedAt).toBeInstanceOf(Date);
+      });
+
+      it('should keep the error of a PIX the provider would not take back', async () => {
+        const db = client(charge);
+        provider.refund.mockRejectedValueOnce(new PaymentError('UNAVAILABLE', 'PSP down'));
+
+        await expect(PixChargeService.confirm(db, { txid: TXID, endToEndId: 'E1', valor: '9.99' }))
+          .resolves.toEqual({ status: 'MISMATCH', returned: false });
+        expect(db.pixCharge.update).toHaveBeenCalledWith({ where: { id: 'charge-1' }, data: { returnError: 'PSP down' } });
+      });
+
+      it('should give a redelivered PIX back only once', async () => {
+        const db = client(charge);
+        db.pixCharge.updateMany.mockResolvedValue({ count: 0 });
+
+        await expect(PixChargeService.confirm(db, { txid: TXID, endToEndId: 'E1', valor: '9.99' }))
+          .resolves.toEqual({ status: 'DUPLICATE' });
+        expect(provider.refund).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('expire', () => {
+    it('should expire active charges past their expiry', async () => {
+      const now = new Date('2025-01-01T12:00:00Z');
+      const db = { pixCharge: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) } };
+
+      await expect(PixChargeService.expire(db, { companyId: 'c1', now })).resolves.toEqual({ expired: 2 });
+      expect(db.pixCharge.updateMany).toHaveBeenCalledWith({
+        where: { companyId: 'c1', status: 'ACTIVE', expiresAt: { lt: now } },
+        data: { status: 'EXPIRED' }
+      });
+    });
+  });
+});
+
+describe('PIX charges through the gateway', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should need a PIX provider', async () => {
+    process.env.PAYMENT_PIX_PROVIDER = 'manual';
+
+    await expect(PaymentGateway.createCharge({ txid: TXID, amountCents: 1000 }))
+      .rejects.toMatchObject({ code: 'UNAVAILABLE' });
+  });
+
+  it('should create a payable code with the simulator', async () => {
+    process.env.PAYMENT_PIX_PROVIDER = 'simulator';
+    PaymentGateway.register(new SimulatorProvider());
+
+    const charge = await PaymentGateway.createCharge({
+      txid: TXID,
+      amountCents: 3150,
+      merchantName: 'Cine Centro',
+      merchantCity: 'Recife'
+    });
+
+    expect(charge.provider).toBe('simulator');
+    expect(charge.location).toContain(TXID);
+    const fields = BrCodeService.parse(charge.brCode);
+    expect(fields['54']).toBe('31.50');
+    expect(fields['62']['05']).toBe(TXID);
+  });
+
+  it('should surface a declined charge', async () => {
+    process.env.PAYMENT_PIX_PROVIDER = 'simulator';
+    PaymentGateway.register(new SimulatorProvider({ mode: 'decline' }));
+
+    await expect(PaymentGateway.createCharge({ txid: TXID, amountCents: 1000, merchantName: 'Cine' }))
+      .rejects.toBeInstanceOf(PaymentError);
+    PaymentGateway.register(new SimulatorProvider());
+  });
+});
+
+describe('PIX webhook endpoint', () => {
+  const testCNPJ = '30000000000124';
+  const cashierCPF = '30000000024';
+  const secret = 'webhook-test-secret';
+  const env = { ...process.env };
+  let companyId;
+  let cashierToken;
+  let sale;
+  let charge;
+
+  beforeAll(async () => {
+    process.env.PAYMENT_PIX_PROVIDER = 'simulator';
+    process.env.PIX_WEBHOOK_SECRET = secret;
+    PaymentGateway.register(new SimulatorProvider());
+
+    await cleanupTestData(null, [cashierCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'PIX Test Cinema');
+    companyId = company.id;
+    await db.companySettings.create({ data: { companyId, pixKey: 'pix@example.com' } });
+
+    const { employee } = await createTestEmployee(cashierCPF, companyId, 'CASHIER', 'PIX-TEST');
+    cashierToken = AuthService.generateToken(employee);
+
+    sale = await createTestSale(companyId, cashierCPF, {
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }]
+    });
+  });
+
+  afterAll(async () => {
+    process.env = { ...env };
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [cashierCPF]);
+  });
+
+  const deliver = (payload, signature) => {
+    const body = JSON.stringify(payload);
+
+    return request(app)
+      .post('/api/pix/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-webhook-signature', signature === undefined ? PixChargeService.sign(body, secret) : signature)
+      .send(body);
+  };
+
+  it('should charge the balance of the sale', async () => {
+    const response = await request(app)
+      .post(`/api/sales/${sale.id}/pix-charges`)
+      .set('Authorization', `Bearer ${cashierToken}`)
+      .expect(201);
+
+    charge = response.body.data;
+    expect(Number(charge.amount)).toBe(30);
+    expect(BrCodeService.parse(charge.brCode)['54']).toBe('30.00');
+  });
+
+  it('should refuse a delivery without a valid signature', async () => {
+    const payload = { pix: [{ endToEndId: 'E1', txid: charge.txid, valor: '30.00' }] };
+
+    await deliver(payload, 'sha256=forged').expect(401);
+    await deliver(payload, '').expect(401);
+  });
+
+  it('should record the PIX once however often it is delivered', async () => {
+    const payload = { pix: [{ endToEndId: 'E1', txid: charge.txid, valor: '30.00' }] };
+
+    const first = await deliver(payload).expect(200);
+    expect(first.body.data).toEqual([{ endToEndId: 'E1', status: 'RECORDED' }]);
+
+    const again = await deliver(payload).expect(200);
+    expect(again.body.data).toEqual([{ endToEndId: 'E1', status: 'DUPLICATE' }]);
+
+    const payments = await db.payment.findMany({ where: { saleId: sale.id } });
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ method: 'PIX', providerRef: 'E1' });
+  });
+
+  it('should ignore a PIX for a charge that is not ours', async () => {
+    const response = await deliver({ pix: [{ endToEndId: 'E2', txid: TXID, valor: '30.00' }] }).expect(200);
+
+    expect(response.body.data).toEqual([{ endToEndId: 'E2', status: 'UNKNOWN' }]);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * Test suite for the pricing engine
+ * Rule matching and price evaluation, and rule versions and quotes through the pricing endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSession,
+  cleanupSales,
+  cleanupSessions,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const PricingEngine = require('../src/services/pricingEngine');
+
+const rule = (overrides) => ({
+  id: overrides.ruleKey,
+  version: 1,
+  name: overrides.ruleKey,
+  priority: 100,
+  weekdays: [],
+  timeFrom: null,
+  timeTo: null,
+  categories: [],
+  movieIds: [],
+  roomTypes: [],
+  minOccupancy: null,
+  maxOccupancy: null,
+  ...overrides
+});
+
+const matinee = rule({ ruleKey: 'matinee', type: 'TIME_WINDOW', adjustment: 'PERCENT', value: '-20.00', weekdays: [1, 2, 3, 4], timeFrom: '12:00', timeTo: '17:00' });
+const lateNight = rule({ ruleKey: 'late-night', type: 'TIME_WINDOW', adjustment: 'AMOUNT', value: '-3.00', timeFrom: '22:00', timeTo: '02:00' });
+const halfPrice = rule({ ruleKey: 'meia', type: 'CATEGORY', adjustment: 'PERCENT', value: '-50.00', categories: ['STUDENT', 'SENIOR', 'TEACHER'], priority: 200 });
+const premiere = rule({ ruleKey: 'premiere', type: 'MOVIE_PREMIUM', adjustment: 'AMOUNT', value: '5.00', movieIds: ['movie-1'] });
+const surge = rule({ ruleKey: 'surge', type: 'OCCUPANCY', adjustment: 'PERCENT', value: '10.00', minOccupancy: '80.00' });
+const vipFlat = rule({ ruleKey: 'vip-flat', type: 'TIME_WINDOW', adjustment: 'FIXED_PRICE', value: '60.00', weekdays: [5, 6], roomTypes: ['VIP'], priority: 10 });
+
+// Tuesday 14:30
+const context = (overrides = {}) => ({
+  weekday: 2,
+  time: '14:30',
+  movieId: 'movie-2',
+  roomType: 'TWO_D',
+  category: 'REGULAR',
+  occupancy: 0,
+  ...overrides
+});
+
+describe('Pricing Engine', () => {
+  describe('buildContext', () => {
+    it('should read weekday and time from the session start', () => {
+      const session = { startTime: new Date(2025, 11, 9, 9, 5), movieId: 'movie-1', room: { roomType: 'IMAX' } };
+
+      expect(PricingEngine.buildContext(session, { category: 'STUDENT', occupancy: 42.5 })).toEqual({
+        weekday: 2,
+        time: '09:05',
+        movieId: 'movie-1',
+        roomType: 'IMAX',
+        category: 'STUDENT',
+        occupancy: 42.5
+      });
+    });
+  });
+
+  describe('matches', () => {
+    it('should match weekday and time windows', () => {
+      expect(PricingEngine.matches(matinee, context())).toBe(true);
+      expect(PricingEngine.matches(matinee, context({ time: '17:00' }))).toBe(false);
+      expect(PricingEngine.matches(matinee, context({ weekday: 6 }))).toBe(false);
+    });
+
+    it('should wrap time windows past midnight', () => {
+      expect(PricingEngine.matches(lateNight, context({ time: '23:15' }))).toBe(true);
+      expect(PricingEngine.matches(lateNight, context({ time: '01:30' }))).toBe(true);
+      expect(PricingEngine.matches(lateNight, context({ time: '14:30' }))).toBe(false);
+    });
+
+    it('should match categories, movies and room types', () => {
+      expect(PricingEngine.matches(halfPrice, context({ category: 'SENIOR' }))).toBe(true);
+      expect(PricingEngine.matches(halfPrice, context())).toBe(false);
+      expect(PricingEngine.matches(premiere, context({ movieId: 'movie-1' }))).toBe(true);
+      expect(PricingEngine.matches(premiere, context())).toBe(false);
+      expect(PricingEngine.matches(vipFlat, context({ weekday: 5, roomType: 'VIP' }))).toBe(true);
+      expect(PricingEngine.matches(vipFlat, context({ weekday: 5 }))).toBe(false);
+    });
+
+    it('should match occupancy tiers with an inclusive lower bound', () => {
+      const tier = rule({ ruleKey: 'tier', type: 'OCCUPANCY', adjustment: 'PERCENT', value: '-10.00', minOccupancy: '0.00', maxOccupancy: '30.00' });
+
+      expect(PricingEngine.matches(surge, context({ occupancy: 80 }))).toBe(true);
+      expect(PricingEngine.matches(surge, context({ occupancy: 79.99 }))).toBe(false);
+      expect(PricingEngine.matches(tier, context({ occupancy: 29.99 }))).toBe(true);
+      expect(PricingEngine.matches(tier, context({ occupancy: 30 }))).toBe(false);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should return the base price when no rule matches', () => {
+      expect(PricingEngine.evaluate(3000, [matinee, halfPrice], context({ weekday: 0 }))).toEqual({
+        baseCents: 3000,
+        priceCents: 3000,
+        steps: []
+      });
+    });
+
+    it('should apply rules in priority order on the running price', () => {
+      const result = PricingEngine.evaluate(
+        3000,
+        [halfPrice, premiere, matinee],
+        context({ movieId: 'movie-1', category: 'STUDENT' })
+      );
+
+      // (30 - 20% = 24) + 5 = 29, then half price
+      expect(result.steps.map(s => [s.ruleKey, s.beforeCents, s.afterCents])).toEqual([
+        ['matinee', 3000, 2400],
+        ['premiere', 2400, 2900],
+        ['meia', 2900, 1450]
+      ]);
+      expect(result.priceCents).toBe(1450);
+    });
+
+    it('should let a fixed price replace what came before', () => {
+      const result = PricingEngine.evaluate(4000, [surge, vipFlat], context({ weekday: 6, roomType: 'VIP', occupancy: 90 }));
+
+      expect(result.steps.map(s => s.ruleKey)).toEqual(['vip-flat', 'surge']);
+      expect(result.priceCents).toBe(6600);
+    });
+
+    it('should never go below zero', () => {
+      const result = PricingEngine.evaluate(200, [lateNight], context({ time: '23:00' }));
+
+      expect(result.priceCents).toBe(0);
+    });
+  });
+
+  describe('validateRule', () => {
+    it('should accept complete rules', () => {
+      [matinee, lateNight, halfPrice, premiere, surge, vipFlat].forEach(r => {
+        expect(PricingEngine.validateRule(r)).toEqual([]);
+      });
+    });
+
+    it('should require the condition of each rule type', () => {
+      expect(PricingEngine.validateRule({ ...matinee, weekdays: [], timeFrom: null, timeTo: null })).toEqual(['Time window rules need weekdays or a time window']);
+      expect(PricingEngine.validateRule({ ...halfPrice, categories: [] })).toEqual(['Category rules need at least one ticket category']);
+      expect(PricingEngine.validateRule({ ...premiere, movieIds: [] })).toEqual(['Movie premium rules need at least one movie']);
+      expect(PricingEngine.validateRule({ ...surge, minOccupancy: null })).toEqual(['Occupancy rules need minOccupancy and/or maxOccupancy']);
+    });
+
+    it('should reject inconsistent values', () => {
+      expect(PricingEngine.validateRule({ ...matinee, timeTo: null })).toEqual(['timeFrom and timeTo must be given together']);
+      expect(PricingEngine.validateRule({ ...surge, maxOccupancy: '50.00' })).toEqual(['minOccupancy cannot exceed maxOccupancy']);
+      expect(PricingEngine.validateRule({ ...matinee, value: -120 })).toEqual(['Percent adjustment cannot lower the price by more than 100%']);
+      expect(PricingEngine.validateRule({ ...vipFlat, value: -1 })).toEqual(['Fixed price cannot be negative']);
+    });
+  });
+});
+
+describe('Pricing rules through the pricing endpoints', () => {
+  const testCNPJ = '30000000000111';
+  const managerCPF = '30000000011';
+  let companyId;
+  let managerToken;
+  let session;
+
+  const studentRule = {
+    ruleKey: 'student-discount',
+    name: 'Student discount',
+    type: 'CATEGORY',
+    adjustment: 'PERCENT',
+    value: -50,
+    categories: ['STUDENT']
+  };
+
+  const quote = (category) => request(app)
+    .get('/api/pricing/quote')
+    .query({ sessionId: session.id, category })
+    .set('Authorization', `Bearer ${managerToken}`)
+    .expect(200);
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupSessions(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Pricing Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'PRICING-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    session = await createTestSession(companyId, { basePrice: 30 });
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupSessions(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should create a rule and refuse a second one with the same key', async () => {
+    const response = await request(app)
+      .post('/api/pricing/rules')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(studentRule)
+      .expect(201);
+
+    expect(response.body.data).toMatchObject({ ruleKey: 'student-discount', version: 1, effectiveTo: null });
+
+    await request(app)
+      .post('/api/pricing/rules')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send(studentRule)
+      .expect(409);
+  });
+
+  it('should refuse a rule without the condition its type is about', async () => {
+    const response = await request(app)
+      .post('/api/pricing/rules')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ ...studentRule, ruleKey: 'no-categories', categories: [] })
+      .expect(400);
+
+    expect(response.body.errors).toEqual(['Category rules need at least one ticket category']);
+  });
+
+  it('should quote the base price and explain the rules applied', async () => {
+    const regular = await quote('REGULAR');
+    expect(regular.body.data).toMatchObject({ basePrice: 30, price: 30, appliedRules: [] });
+
+    const student = await quote('STUDENT');
+    expect(student.body.data.price).toBe(15);
+    expect(student.body.data.appliedRules).toEqual([
+      expect.objectContaining({ ruleKey: 'student-discount', version: 1, priceBefore: 30, priceAfter: 15 })
+    ]);
+  });
+
+  it('should keep earlier versions on record when a rule changes', async () => {
+    const { ruleKey, ...fields } = studentRule;
+
+    const updated = await request(app)
+      .put(`/api/pricing/rules/${ruleKey}`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({ ...fields, value: -40 })
+      .expect(200);
+
+    expect(updated.body.data.version).toBe(2);
+
+    const versions = await request(app)
+      .get(`/api/pricing/rules/${ruleKey}/versions`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(versions.body.data.map(v => v.version)).toEqual([2, 1]);
+    expect(versions.body.data[1].effectiveTo).not.toBeNull();
+
+    const student = await quote('STUDENT');
+    expect(student.body.data.price).toBe(18);
+    expect(student.body.data.appliedRules[0].version).toBe(2);
+  });
+
+  it('should stop applying a retired rule', async () => {
+    await request(app)
+      .delete('/api/pricing/rules/student-discount')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    await request(app)
+      .delete('/api/pricing/rules/student-discount')
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(409);
+
+    const student = await quote('STUDENT');
+    expect(student.body.data).toMatchObject({ price: 30, appliedRules: [] });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Test suite for purchase orders
+ * Reorder drafts, receipts and order totals, and suppliers, drafts from low
+ * stock and receiving through the purchasing endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  cleanupSales,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const PurchasingService = require('../src/services/purchasingService');
+
+const line = (sku, quantityOrdered, quantityReceived = 0, unitCost = '2.50') => ({
+  id: `line-${sku}`,
+  sku,
+  quantityOrdered,
+  quantityReceived,
+  unitCost
+});
+
+const order = (status, lines) => ({ id: 'po-1', status, lines });
+
+describe('Purchasing Service', () => {
+  describe('onOrder', () => {
+    it('should sum outstanding units per SKU across orders', () => {
+      const onOrder = PurchasingService.onOrder([line('POP', 10, 4), line('POP', 5), line('COKE', 6, 6)]);
+      expect(onOrder.get('POP')).toBe(11);
+      expect(onOrder.get('COKE')).toBe(0);
+    });
+  });
+
+  describe('planReorder', () => {
+    const items = [
+      { sku: 'POP', name: 'Popcorn', qtyOnHand: 2, reorderLevel: 20, preferredSupplierId: 's1' },
+      { sku: 'COKE', name: 'Coke', qtyOnHand: 0, reorderLevel: 12, preferredSupplierId: 's1' },
+      { sku: 'CANDY', name: 'Candy', qtyOnHand: 1, reorderLevel: 5, preferredSupplierId: 's2' },
+      { sku: 'PIN', name: 'Pin', qtyOnHand: 0, reorderLevel: 3, preferredSupplierId: null }
+    ];
+
+    it('should group items into one draft per preferred supplier', () => {
+      const { drafts, unassigned } = PurchasingService.planReorder(items, [
+        { supplierId: 's1', sku: 'POP', unitCost: '3.10' }
+      ]);
+
+      expect(drafts).toEqual([
+        {
+          supplierId: 's1',
+          lines: [
+            { sku: 'POP', quantityOrdered: 18, unitCost: 3.1 },
+            { sku: 'COKE', quantityOrdered: 12, unitCost: 0 }
+          ]
+        },
+        { supplierId: 's2', lines: [{ sku: 'CANDY', quantityOrdered: 4, unitCost: 0 }] }
+      ]);
+      expect(unassigned).toEqual([{ sku: 'PIN', name: 'Pin', quantity: 3 }]);
+    });
+
+    it('should not reorder what is already on open orders', () => {
+      const { drafts } = PurchasingService.planReorder(items, [], new Map([['POP', 10], ['CANDY', 4]]));
+
+      expect(drafts).toHaveLength(1);
+      expect(drafts[0].lines.map(l => [l.sku, l.quantityOrdered])).toEqual([['POP', 8], ['COKE', 12]]);
+    });
+
+    it('should skip items sitting exactly at their reorder level', () => {
+      const { drafts, unassigned } = PurchasingService.planReorder(
+        [{ sku: 'POP', name: 'Popcorn', qtyOnHand: 20, reorderLevel: 20, preferredSupplierId: 's1' }],
+        []
+      );
+      expect(drafts).toEqual([]);
+      expect(unassigned).toEqual([]);
+    });
+  });
+
+  describe('planReceipt', () => {
+    const submitted = order('SUBMITTED', [line('POP', 10, 4), line('COKE', 6)]);
+
+    it('should default the cost to the ordered cost', () => {
+      const { errors, lines } = PurchasingService.planReceipt(submitted, [
+        { sku: 'POP', quantity: 6 },
+        { sku: 'COKE', quantity: 2, unitCost: 2.75 }
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(lines.map(l => [l.line.sku, l.quantity, l.unitCost])).toEqual([['POP', 6, 2.5], ['COKE', 2, 2.75]]);
+    });
+
+    it('should reject more than is outstanding and SKUs not on the order', () => {
+      const { errors } = PurchasingService.planReceipt(submitted, [
+        { sku: 'POP', quantity: 7 },
+        { sku: 'CANDY', quantity: 1 }
+      ]);
+
+      expect(errors).toEqual([
+        'Only 6 unit(s) of POP are outstanding',
+        'CANDY is not on this purchase order'
+      ]);
+    });
+
+    it('should reject repeated SKUs', () => {
+      const { errors } = PurchasingService.planReceipt(submitted, [
+        { sku: 'POP', quantity: 1 },
+        { sku: 'POP', quantity: 1 }
+      ]);
+      expect(errors).toEqual(['SKUs listed more than once: POP']);
+    });
+
+    it.each(['DRAFT', 'RECEIVED', 'CANCELED'])('should reject receipts against a %s order', (status) => {
+      const { errors, lines } = PurchasingService.planReceipt(order(status, submitted.lines), [{ sku: 'POP', quantity: 1 }]);
+      expect(errors).toEqual([`Cannot receive against a ${status} purchase order`]);
+      expect(lines).toEqual([]);
+    });
+  });
+
+  describe('statusAfterReceipt', () => {
+    const partial = order('PARTIALLY_RECEIVED', [line('POP', 10, 4), line('COKE', 6)]);
+
+    it('should stay partially received while units are outstanding', () => {
+      const { lines } = PurchasingService.planReceipt(partial, [{ sku: 'POP', quantity: 6 }]);
+      expect(PurchasingService.statusAfterReceipt(partial, lines)).toBe('PARTIALLY_RECEIVED');
+    });
+
+    it('should close the order once everything has arrived', () => {
+      const { lines } = PurchasingService.planReceipt(partial, [
+        { sku: 'POP', quantity: 6 },
+        { sku: 'COKE', quantity: 6 }
+      ]);
+      expect(PurchasingService.statusAfterReceipt(partial, lines)).toBe('RECEIVED');
+    });
+  });
+
+  describe('totals', () => {
+    it('should value the order at ordered cost and receipts at the cost paid', () => {
+      const totals = PurchasingService.totals({
+        lines: [line('POP', 10, 4, '2.50'), line('COKE', 3, 0, '1.99')],
+        receipts: [{ lines: [{ quantity: 4, unitCost: '2.45' }] }]
+      });
+
+      expect(totals).toEqual({ orderedTotal: 30.97, receivedTotal: 9.8 });
+    });
+  });
+});
+
+describe('Purchasing through the supplier and purchase order endpoints', () => {
+  const testCNPJ = '30000000000115';
+  const managerCPF = '30000000015';
+  let companyId;
+  let managerToken;
+  let supplier;
+  let purchaseOrder;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  const receive = (lines) => api('post', `/api/purchase-orders/${purchaseOrder.id}/receipts`)
+    .send({ lines, invoiceNumber: '000123' });
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Purchasing Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'PURCHASE-TEST');
+    managerToken = AuthService.generateToken(employee);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should register a supplier once per CNPJ', async () => {
+    const response = await api('post', '/api/suppliers')
+      .send({ name: 'Distribuidora Pipoca', taxId: '11222333000181', leadTimeDays: 3 })
+      .expect(201);
+
+    supplier = response.body.data;
+
+    await api('post', '/api/suppliers')
+      .send({ name: 'Pipoca Again', taxId: '11222333000181' })
+      .expect(409);
+  });
+
+  it('should draft orders for low stock from the preferred supplier at its catalog cost', async () => {
+    await api('post', '/api/inventory')
+      .send({ sku: 'SYRUP', name: 'Syrup', unitPrice: 9, qtyOnHand: 2, reorderLevel: 10, preferredSupplierId: supplier.id, itemType: 'general' })
+      .expect(201);
+    await api('post', '/api/inventory')
+      .send({ sku: 'NAPKIN', name: 'Napkins', unitPrice: 1, qtyOnHand: 0, reorderLevel: 5, itemType: 'general' })
+      .expect(201);
+    await api('put', `/api/suppliers/${supplier.id}/items/SYRUP`)
+      .send({ unitCost: 4.5 })
+      .expect(200);
+
+    const response = await api('post', '/api/purchase-orders/from-low-stock').expect(201);
+
+    expect(response.body.data.purchaseOrders).toHaveLength(1);
+    purchaseOrder = response.body.data.purchaseOrders[0];
+    expect(purchaseOrder).toMatchObject({ supplierId: supplier.id, status: 'DRAFT', orderedTotal: 36 });
+    expect(purchaseOrder.lines.map(l => [l.sku, l.quantityOrdered])).toEqual([['SYRUP', 8]]);
+    expect(response.body.data.unassigned).toEqual([{ sku: 'NAPKIN', name: 'Napkins', quantity: 5 }]);
+  });
+
+  it('should receive only against submitted orders', async () => {
+    const draft = await receive([{ sku: 'SYRUP', quantity: 5 }]).expect(400);
+    expect(draft.body.errors).toEqual(['Cannot receive against a DRAFT purchase order']);
+
+    await api('post', `/api/purchase-orders/${purchaseOrder.id}/submit`).expect(200);
+  });
+
+  it('should stock a delivery at the cost paid and keep the rest outstanding', async () => {
+    const response = await receive([{ sku: 'SYRUP', quantity: 5, unitCost: 5 }]).expect(201);
+
+    expect(response.body.data.purchaseOrder).toMatchObject({ status: 'PARTIALLY_RECEIVED', receivedTotal: 25 });
+    expect(response.body.data.purchaseOrder.lines[0].outstanding).toBe(3);
+
+    const item = await db.inventoryItem.findUnique({ where: { companyId_sku: { companyId, sku: 'SYRUP' } } });
+    expect(item.qtyOnHand).toBe(7);
+
+    const supplierItem = await db.supplierItem.findUnique({ where: { supplierId_sku: { supplierId: supplier.id, sku: 'SYRUP' } } });
+    expect(parseFloat(supplierItem.unitCost)).toBe(5);
+  });
+
+  it('should refuse more than is outstanding', async () => {
+    const response = await receive([{ sku: 'SYRUP', quantity: 4 }]).expect(400);
+
+    expect(response.body.errors).toEqual(['Only 3 unit(s) of SYRUP are outstanding']);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Test suite for partial refunds
+ * Refund amounts, payment allocation, request validation and the refund endpoint
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const RefundService = require('../src/services/refundService');
+const PaymentGateway = require('../src/services/paymentGateway');
+const { PaymentError } = PaymentGateway;
+
+const popcorn = {
+  id: 'item-1',
+  description: 'Popcorn L',
+  sku: 'POP-L',
+  quantity: 3,
+  refundedQuantity: 0,
+  lineTotal: '30.00',
+  taxAmount: '0.00',
+  taxIncluded: true,
+  discountAllocations: [{ amount: '1.00' }],
+  refundItems: []
+};
+
+const ticketItem = {
+  id: 'item-2',
+  description: 'Ticket A1',
+  sessionId: 'session-1',
+  seatId: 'A1',
+  quantity: 1,
+  refundedQuantity: 0,
+  lineTotal: '25.00',
+  taxAmount: '0.00',
+  taxIncluded: true,
+  discountAllocations: [],
+  refundItems: []
+};
+
+const future = new Date(Date.now() + 60 * 60 * 1000);
+const past = new Date(Date.now() - 60 * 60 * 1000);
+
+const buildSale = (overrides = {}) => ({
+  id: 'sale-1',
+  items: [popcorn, ticketItem],
+  payments: [],
+  tickets: [
+    { id: 'ticket-1', sessionId: 'session-1', seatId: 'A1', status: 'ISSUED', session: { startTime: future } }
+  ],
+  ...overrides
+});
+
+describe('Refund Service', () => {
+  describe('Line amounts', () => {
+    it('should refund the discounted price per unit', () => {
+      expect(RefundService.lineRefundCents(popcorn, 1)).toBe(967);
+    });
+
+    it('should give the last units whatever is left of the line', () => {
+      const partlyRefunded = {
+        ...popcorn,
+        refundedQuantity: 2,
+        refundItems: [{ amount: '9.67' }, { amount: '9.67' }]
+      };
+
+      expect(RefundService.lineRefundCents(partlyRefunded, 1)).toBe(966);
+    });
+
+    it('should include tax added on top of the price', () => {
+      const taxed = { ...ticketItem, taxAmount: '1.25', taxIncluded: false };
+
+      expect(RefundService.lineNetCents(taxed)).toBe(2625);
+    });
+  });
+
+  describe('Payment allocation', () => {
+    it('should return money to card/PIX payments before cash', () => {
+      const payments = [
+        { id: 'pay-cash', method: 'CASH', amount: '50.00', paidAt: new Date('2025-01-01T10:00:00Z'), refunds: [] },
+        { id: 'pay-card', method: 'CARD', amount: '20.00', paidAt: new Date('2025-01-01T10:01:00Z'), refunds: [] }
+      ];
+
+      expect(RefundService.allocatePayments(payments, 3000)).toEqual([
+        { paymentId: 'pay-card', method: 'CARD', amountCents: 2000 },
+        { paymentId: 'pay-cash', method: 'CASH', amountCents: 1000 }
+      ]);
+    });
+
+    it('should skip what earlier refunds already returned', () => {
+      const payments = [
+        { id: 'pay-card', method: 'CARD', amount: '20.00', paidAt: new Date(), refunds: [{ amount: '15.00' }] },
+        { id: 'pay-pix', method: 'PIX', amount: '20.00', paidAt: new Date(), refunds: [] }
+      ];
+
+      expect(RefundService.allocatePayments(payments, 1000)).toEqual([
+        { paymentId: 'pay-card', method: 'CARD', amountCents: 500 },
+        { paymentId: 'pay-pix', method: 'PIX', amountCents: 500 }
+      ]);
+    });
+  });
+
+  describe('Planning', () => {
+    it('should plan SKU and ticket lines', () => {
+      const plan = RefundService.plan(buildSale(), [
+        { saleItemId: 'item-1', quantity: 1 },
+        { saleItemId: 'item-2', quantity: 1 }
+      ]);
+
+      expect(plan.errors).toEqual([]);
+      expect(plan.totalCents).toBe(3467);
+      expect(plan.lines[1].ticket.id).toBe('ticket-1');
+    });
+
+    it('should reject quantities beyond what is left to refund', () => {
+      const plan = RefundService.plan(buildSale(), [{ saleItemId: 'item-1', quantity: 4 }]);
+
+      expect(plan.errors).toEqual(['Only 3 unit(s) of "Popcorn L" can still be refunded']);
+    });
+
+    it('should reject used tickets and sessions that already started', () => {
+      const usedSale = buildSale({
+        tickets: [{ id: 'ticket-1', sessionId: 'session-1', seatId: 'A1', status: 'USED', session: { startTime: future } }]
+      });
+      const startedSale = buildSale({
+        tickets: [{ id: 'ticket-1', sessionId: 'session-1', seatId: 'A1', status: 'ISSUED', session: { startTime: past } }]
+      });
+
+      expect(RefundService.plan(usedSale, [{ saleItemId: 'item-2', quantity: 1 }]).errors)
+        .toEqual(['Cannot refund a used ticket (seat A1)']);
+      expect(RefundService.plan(startedSale, [{ saleItemId: 'item-2', quantity: 1 }]).errors)
+        .toEqual(['Cannot refund ticket for session that has already started (seat A1)']);
+    });
+
+    it('should refund tickets of a canceled session even once used or started', () => {
+      const canceledSale = buildSale({
+        tickets: [{ id: 'ticket-1', sessionId: 'session-1', seatId: 'A1', status: 'USED', session: { startTime: past, status: 'CANCELED' } }]
+      });
+
+      const plan = RefundService.plan(canceledSale, [{ saleItemId: 'item-2', quantity: 1 }]);
+
+      expect(plan.errors).toEqual([]);
+      expect(plan.totalCents).toBe(2500);
+    });
+
+    it('should reject items from another sale', () => {
+      const plan = RefundService.plan(buildSale(), [{ saleItemId: 'item-x', quantity: 1 }]);
+
+      expect(plan.errors).toEqual(['Sale item item-x not found in this sale']);
+    });
+  });
+
+  describe('Settling provider refunds', () => {
+    const client = () => ({ refundPayment: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) } });
+    const refundPayment = (id, provider, status = 'PENDING') => ({
+      id,
+      paymentId: `payment-${id}`,
+      amount: '10.00',
+      status,
+      payment: { method: 'CARD', provider, providerRef: `T-${id}` }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record each provider refund on its own, even when one fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(PaymentGateway, 'refund')
+        .mockResolvedValueOnce('R-1')
+        .mockRejectedValueOnce(new PaymentError('DECLINED', 'Refund refused'));
+      const db = client();
+      const refund = { payments: [refundPayment('rp-1', 'card-terminal'), refundPayment('rp-2', 'pix')] };
+
+      await expect(RefundService.settle(db, refund)).resolves.toEqual({ failed: 1 });
+
+      expect(PaymentGateway.refund).toHaveBeenCalledWith(refund.payments[0].payment, 1000, 'rp-1');
+      expect(db.refundPayment.updateMany).toHaveBeenCalledTimes(2);
+      expect(db.refundPayment.updateMany.mock.calls[0][0]).toMatchObject({
+        where: { id: 'rp-1', status: 'PENDING' },
+        data: { status: 'COMPLETED', providerRef: 'R-1' }
+      });
+      expect(refund.payments[1]).toMatchObject({ status: 'FAILED', failureReason: 'Refund refused' });
+    });
+
+    it('should leave settled payments alone and retry failed ones only when asked', async () => {
+      jest.spyOn(PaymentGateway, 'refund').mockResolvedValue('R-2');
+      const db = client();
+      const refund = { payments: [refundPayment('rp-1', 'card-terminal', 'COMPLETED'), refundPayment('rp-2', 'pix', 'FAILED')] };
+
+      await RefundService.settle(db, refund);
+      expect(PaymentGateway.refund).not.toHaveBeenCalled();
+
+      await expect(RefundService.settle(db, refund, { retryFailed: true })).resolves.toEqual({ failed: 0 });
+      expect(PaymentGateway.refund).toHaveBeenCalledTimes(1);
+      expect(refund.payments[1].status).toBe('COMPLETED');
+    });
+  });
+});
+
+describe('Partial refund endpoint', () => {
+  const testCNPJ = '30000000000103';
+  const managerCPF = '30000000003';
+  let companyId;
+  let managerToken;
+  let sale;
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Refund Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'REFUND-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    sale = await createTestSale(companyId, managerCPF, {
+      status: 'FINALIZED',
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }],
+      payments: [{ method: 'CASH', amount: 30 }]
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should refund part of a line back to the cash it was paid with', async () => {
+    const response = await request(app)
+      .post(`/api/sales/${sale.id}/refunds`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        reason: 'Customer returned one popcorn',
+        items: [{ saleItemId: sale.items[0].id, quantity: 1 }]
+      })
+      .expect(201);
+
+    expect(response.body.saleStatus).toBe('PARTIALLY_REFUNDED');
+    expect(parseFloat(response.body.data.amount)).toBe(15);
+    expect(response.body.data.payments).toHaveLength(1);
+    expect(response.body.data.payments[0].status).toBe('COMPLETED');
+  });
+
+  it('should refuse more than is left to refund', async () => {
+    const response = await request(app)
+      .post(`/api/sales/${sale.id}/refunds`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .send({
+        reason: 'Customer returned both',
+        items: [{ saleItemId: sale.items[0].id, quantity: 2 }]
+      })
+      .expect(400);
+
+    expect(response.body.message).toBe('Only 1 unit(s) of "Popcorn L" can still be refunded');
+  });
+
+  it('should list the refund on the sale', async () => {
+    const response = await request(app)
+      .get(`/api/sales/${sale.id}/refunds`)
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.data[0].items[0].quantity).toBe(1);
+  });
+});
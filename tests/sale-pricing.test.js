@@ -0,0 +1,200 @@
+/**
+ * Test suite for server-side sale line pricing
+ * Line descriptions and price override approval, and priced lines, overrides
+ * and the override report through the sale endpoints
+ */
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  createTestSession,
+  cleanupSales,
+  cleanupSessions,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const SalePricingService = require('../src/services/salePricingService');
+
+const session = {
+  startTime: new Date(2025, 11, 12, 19, 30),
+  movie: { title: 'Central do Brasil' },
+  room: { name: 'Sala 3' }
+};
+
+const cashier = { cpf: '11111111111', companyId: 'company-1', role: 'CASHIER' };
+const manager = { cpf: '22222222222', companyId: 'company-1', role: 'MANAGER' };
+
+// Client double returning one employee record
+const clientWith = (employee) => ({
+  employee: { findFirst: jest.fn().mockResolvedValue(employee) }
+});
+
+describe('Sale Pricing', () => {
+  describe('line resolution', () => {
+    it('should price inventory lines from the catalog', () => {
+      expect(SalePricingService.resolveItemLine({ name: 'Pipoca Grande', unitPrice: '24.90' })).toEqual({
+        unitPrice: 24.9,
+        description: 'Pipoca Grande'
+      });
+    });
+
+    it('should describe tickets with movie, room, start and seat', () => {
+      expect(SalePricingService.ticketDescription(session, 'F7'))
+        .toBe('Ticket: Central do Brasil - Sala 3 12/12 19:30 - seat F7');
+      expect(SalePricingService.ticketDescription(session, 'F8', 'STUDENT'))
+        .toBe('Ticket (student): Central do Brasil - Sala 3 12/12 19:30 - seat F8');
+    });
+  });
+
+  describe('override approval', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('gerente123', 4);
+    });
+
+    it('should let managers approve their own overrides', async () => {
+      await expect(SalePricingService.approveOverride(clientWith(null), manager))
+        .resolves.toEqual({ approverCpf: manager.cpf });
+    });
+
+    it('should not let cashiers approve their own overrides', async () => {
+      await expect(SalePricingService.approveOverride(clientWith(null), cashier))
+        .resolves.toEqual({ error: 'Price overrides must be approved by a manager' });
+    });
+
+    it('should accept a manager approving with their credentials', async () => {
+      const client = clientWith({ ...manager, passwordHash });
+
+      await expect(SalePricingService.approveOverride(client, cashier, { approverEmployeeId: 'MGR001', approverPassword: 'gerente123' }))
+        .resolves.toEqual({ approverCpf: manager.cpf });
+      expect(client.employee.findFirst).toHaveBeenCalledWith({
+        where: { companyId: 'company-1', employeeId: 'MGR001', isActive: true }
+      });
+    });
+
+    it('should reject wrong passwords and unknown approvers alike', async () => {
+      const expected = { error: 'Invalid approver credentials' };
+
+      await expect(SalePricingService.approveOverride(clientWith({ ...manager, passwordHash }), cashier, { approverEmployeeId: 'MGR001', approverPassword: 'wrong' }))
+        .resolves.toEqual(expected);
+      await expect(SalePricingService.approveOverride(clientWith(null), cashier, { approverEmployeeId: 'MGR999', approverPassword: 'gerente123' }))
+        .resolves.toEqual(expected);
+    });
+
+    it('should reject approvers who are not managers', async () => {
+      const client = clientWith({ ...cashier, cpf: '33333333333', passwordHash });
+
+      await expect(SalePricingService.approveOverride(client, cashier, { approverEmployeeId: 'CSH002', approverPassword: 'gerente123' }))
+        .resolves.toEqual({ error: 'Price overrides must be approved by a manager' });
+    });
+  });
+});
+
+describe('Sale line pricing through the sale endpoints', () => {
+  const testCNPJ = '30000000000113';
+  const managerCPF = '30000000013';
+  const cashierCPF = '30000000113';
+  let companyId;
+  let manager;
+  let managerToken;
+  let cashierToken;
+  let testSession;
+  let sale;
+
+  const addTicket = (token, seatId, extra = {}) => request(app)
+    .post(`/api/sales/${sale.id}/items`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ sessionId: testSession.id, seatId, quantity: 1, ...extra });
+
+  const override = (approval = {}) => ({
+    priceOverride: { unitPrice: 20, reason: 'Damaged seat', ...approval }
+  });
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF, cashierCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupSessions(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Sale Pricing Test Cinema');
+    companyId = company.id;
+
+    ({ employee: manager } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'PRICE-MGR'));
+    managerToken = AuthService.generateToken(manager);
+    const { employee: cashier } = await createTestEmployee(cashierCPF, companyId, 'CASHIER', 'PRICE-CSH');
+    cashierToken = AuthService.generateToken(cashier);
+
+    testSession = await createTestSession(companyId, { basePrice: 25, seats: ['A1', 'A2', 'A3'] });
+    sale = await createTestSale(companyId, cashierCPF);
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupSessions(companyId);
+    await cleanupTestData(companyId, [managerCPF, cashierCPF]);
+  });
+
+  it('should price and describe lines on the server, whatever the client sends', async () => {
+    const response = await addTicket(cashierToken, 'A1', { unitPrice: 1, description: 'Cheap seat' }).expect(201);
+
+    expect(parseFloat(response.body.data.unitPrice)).toBe(25);
+    expect(parseFloat(response.body.data.listPrice)).toBe(25);
+    expect(response.body.data.priceOverridden).toBe(false);
+    expect(response.body.data.description).toMatch(/^Ticket: Test Movie - .* - seat A1$/);
+  });
+
+  it('should refuse a cashier override without a manager approving it', async () => {
+    const response = await addTicket(cashierToken, 'A2', override()).expect(403);
+    expect(response.body.message).toBe('Price overrides must be approved by a manager');
+
+    const wrongPassword = await addTicket(cashierToken, 'A2', override({
+      approverEmployeeId: manager.employeeId,
+      approverPassword: 'not-the-password'
+    })).expect(403);
+    expect(wrongPassword.body.message).toBe('Invalid approver credentials');
+  });
+
+  it('should take a cashier override a manager approved', async () => {
+    const response = await addTicket(cashierToken, 'A2', override({
+      approverEmployeeId: manager.employeeId,
+      approverPassword: 'password123'
+    })).expect(201);
+
+    expect(response.body.data).toMatchObject({
+      priceOverridden: true,
+      overrideReason: 'Damaged seat',
+      overrideApprovedByCpf: managerCPF
+    });
+    expect(parseFloat(response.body.data.unitPrice)).toBe(20);
+  });
+
+  it('should list overrides with their approver and the difference from list price', async () => {
+    const response = await request(app)
+      .get('/api/sales/reports/price-overrides')
+      .query({
+        startDate: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+        endDate: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      })
+      .set('Authorization', `Bearer ${managerToken}`)
+      .expect(200);
+
+    expect(response.body.data.summary).toEqual({ overriddenLines: 1, totalDifference: -5 });
+    expect(response.body.data.lines[0]).toMatchObject({
+      seatId: 'A2',
+      listPrice: 25,
+      unitPrice: 20,
+      reason: 'Damaged seat',
+      cashierCpf: cashierCPF,
+      approvedByCpf: managerCPF
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Test suite for seat reservation conflicts
+ * Pure classification tests - concurrency is covered in tests/integration
+ */
+
+const SeatReservationService = require('../src/services/seatReservationService');
+
+const now = new Date('2025-06-01T20:00:00Z');
+const later = new Date(now.getTime() + 10 * 60 * 1000);
+const earlier = new Date(now.getTime() - 60 * 1000);
+
+describe('Seat Reservation Service', () => {
+  const state = {
+    existingSeatIds: ['A1', 'A2', 'A3', 'A4', 'A5'],
+    tickets: [{ seatId: 'A1' }],
+    reservations: [
+      { seatId: 'A2', reservationToken: 'other', expiresAt: later },
+      { seatId: 'A3', reservationToken: 'other', expiresAt: earlier },
+      { seatId: 'A4', reservationToken: 'mine', expiresAt: later }
+    ],
+    reservationToken: 'mine',
+    now
+  };
+
+  it('should sort seats into sold, held, free and unknown', () => {
+    expect(SeatReservationService.classify(['A1', 'A2', 'A3', 'A4', 'A5', 'Z9'], state)).toEqual({
+      sold: ['A1'],
+      held: ['A2'],
+      free: ['A3', 'A4', 'A5'],
+      unknown: ['Z9']
+    });
+  });
+
+  it('should treat expired holds and own holds as free', () => {
+    const seats = SeatReservationService.classify(['A3', 'A4'], state);
+
+    expect(seats.free).toEqual(['A3', 'A4']);
+    expect(seats.held).toEqual([]);
+  });
+
+  it('should report a sold seat as sold even if someone holds it', () => {
+    const seats = SeatReservationService.classify(['A2'], {
+      ...state,
+      tickets: [{ seatId: 'A2' }]
+    });
+
+    expect(seats.sold).toEqual(['A2']);
+    expect(seats.held).toEqual([]);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Test suite for the session cancellation cascade
+ * Refund requests, customer outreach lists, and how failing sales and runs are
+ * retried (against a mocked client)
+ */
+
+const SessionCancellationService = require('../src/services/sessionCancellationService');
+
+const buyer = (cpf, fullName) => ({
+  person: {
+    cpf,
+    fullName,
+    email: `${cpf}@example.com`,
+    phone: '11999990000'
+  }
+});
+
+describe('Session Cancellation', () => {
+  describe('Refund request', () => {
+    it('should cover what is left of the session lines only', () => {
+      const sale = {
+        items: [
+          { id: 'item-1', sessionId: 'session-1', seatId: 'A1', quantity: 1, refundedQuantity: 0 },
+          { id: 'item-2', sessionId: 'session-1', seatId: 'A2', quantity: 1, refundedQuantity: 1 },
+          { id: 'item-3', sessionId: 'session-2', seatId: 'B1', quantity: 1, refundedQuantity: 0 },
+          { id: 'item-4', sku: 'POP-L', sessionId: null, quantity: 2, refundedQuantity: 0 }
+        ]
+      };
+
+      expect(SessionCancellationService.refundRequest(sale, 'session-1')).toEqual([
+        { saleItemId: 'item-1', quantity: 1 }
+      ]);
+    });
+  });
+
+  describe('Affected customers', () => {
+    it('should group tickets by buyer with their contacts, seats and credits', () => {
+      const tickets = [
+        { seatId: 'A1', status: 'REFUNDED', sale: { id: 'sale-1', buyer: buyer('11111111111', 'Ana Souza') } },
+        { seatId: 'A2', status: 'REFUNDED', sale: { id: 'sale-1', buyer: buyer('11111111111', 'Ana Souza') } },
+        { seatId: 'B1', status: 'REFUNDED', sale: { id: 'sale-2', buyer: buyer('22222222222', 'Bruno Lima') } }
+      ];
+      const credits = [{ code: 'SC-AAAA2222', amount: '50.00', customerCpf: '11111111111' }];
+
+      const { customers, ticketsWithoutContact } = SessionCancellationService.groupCustomers(tickets, credits);
+
+      expect(ticketsWithoutContact).toBe(0);
+      expect(customers).toHaveLength(2);
+      expect(customers[0]).toMatchObject({
+        cpf: '11111111111',
+        email: '11111111111@example.com',
+        phone: '11999990000',
+        seats: ['A1', 'A2'],
+        saleIds: ['sale-1'],
+        storeCredits: [{ code: 'SC-AAAA2222', amount: 50 }]
+      });
+      expect(customers[1].storeCredits).toEqual([]);
+    });
+
+    it('should count tickets sold without an identified buyer', () => {
+      const tickets = [
+        { seatId: 'C1', status: 'REFUNDED', sale: { id: 'sale-3', buyer: null } },
+        { seatId: 'C2', status: 'REFUNDED', sale: null }
+      ];
+
+      expect(SessionCancellationService.groupCustomers(tickets)).toEqual({
+        customers: [],
+        ticketsWithoutContact: 2
+      });
+    });
+  });
+
+  describe('Failing sales', () => {
+    const now = new Date('2025-06-01T12:00:00Z');
+    const cancellation = {
+      id: 'cancellation-1',
+      companyId: 'company-1',
+      sessionId: 'session-1',
+      policy: 'FULL_REFUND',
+      status: 'RUNNING',
+      failedRuns: 0
+    };
+
+    // Live tickets by sale; processing a sale refunds its tickets unless it is set to fail
+    const client = ({ liveSaleIds, failing = [], failures = [], state = cancellation }) => {
+      const live = [...liveSaleIds];
+      jest.spyOn(SessionCancellationService, 'removeOpenSaleItems').mockResolvedValue();
+      jest.spyOn(SessionCancellationService, 'complete').mockResolvedValue();
+      jest.spyOn(SessionCancellationService, 'nextLiveTicket').mockImplementation(async (db, sessionId, skipped) => {
+        const saleId = live.find(id => !skipped.includes(id));
+        return saleId === undefined ? null : { saleId };
+      });
+      jest.spyOn(SessionCancellationService, 'processSale').mockImplementation(async (db, c, saleId) => {
+        if (failing.includes(saleId)) throw new Error('Payment method cannot be refunded');
+        live.splice(live.indexOf(saleId), 1);
+      });
+
+      return {
+        live,
+        sessionCancellation: {
+          findUnique: jest.fn().mockResolvedValue(state),
+          update: jest.fn().mockResolvedValue(state)
+        },
+        sessionCancellationFailure: {
+          findMany: jest.fn().mockResolvedValue(failures),
+          upsert: jest.fn().mockResolvedValue({}),
+          deleteMany: jest.fn().mockResolvedValue({ count: 1 })
+        },
+        ticket: {
+          count: jest.fn().mockImplementation(async () => live.length)
+        }
+      };
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record a failing sale and go on with the sales behind it', async () => {
+      const db = client({ liveSaleIds: ['sale-1', 'sale-2', 'sale-3'], failing: ['sale-1'] });
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(db.live).toEqual(['sale-1']);
+      expect(db.sessionCancellationFailure.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: {
+          cancellationId: cancellation.id,
+          saleId: 'sale-1',
+          attempts: 1,
+          lastError: 'Payment method cannot be refunded',
+          nextAttemptAt: new Date('2025-06-01T12:01:00Z')
+        }
+      }));
+      expect(db.sessionCancellation.update).toHaveBeenCalledWith({
+        where: { id: cancellation.id },
+        data: { lastError: 'Sale sale-1: Payment method cannot be refunded' }
+      });
+      expect(SessionCancellationService.complete).not.toHaveBeenCalled();
+    });
+
+    it('should leave a sale waiting for its retry alone', async () => {
+      const db = client({
+        liveSaleIds: ['sale-1', 'sale-2'],
+        failures: [{ saleId: 'sale-1', attempts: 2, nextAttemptAt: new Date('2025-06-01T12:02:00Z') }]
+      });
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(SessionCancellationService.processSale).toHaveBeenCalledTimes(1);
+      expect(db.live).toEqual(['sale-1']);
+    });
+
+    it('should wait twice as long after each failed attempt', async () => {
+      const db = client({
+        liveSaleIds: ['sale-1'],
+        failing: ['sale-1'],
+        failures: [{ saleId: 'sale-1', attempts: 2, nextAttemptAt: now }]
+      });
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(db.sessionCancellationFailure.upsert.mock.calls[0][0].update).toMatchObject({
+        attempts: 3,
+        nextAttemptAt: new Date('2025-06-01T12:04:00Z')
+      });
+    });
+
+    it('should stop retrying a sale once it runs out of attempts', async () => {
+      const db = client({
+        liveSaleIds: ['sale-1'],
+        failing: ['sale-1'],
+        failures: [{ saleId: 'sale-1', attempts: 4, nextAttemptAt: now }]
+      });
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(db.sessionCancellationFailure.upsert.mock.calls[0][0].update).toMatchObject({
+        attempts: 5,
+        nextAttemptAt: null
+      });
+    });
+
+    it('should clear the failure of a sale refunded on a retry', async () => {
+      const db = client({
+        liveSaleIds: ['sale-1'],
+        failures: [{ saleId: 'sale-1', attempts: 1, nextAttemptAt: now }]
+      });
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(db.sessionCancellationFailure.deleteMany).toHaveBeenCalledWith({
+        where: { cancellationId: cancellation.id, saleId: 'sale-1' }
+      });
+      expect(SessionCancellationService.complete).toHaveBeenCalled();
+    });
+
+    it('should count failed runs and put off the next one', async () => {
+      const db = client({ liveSaleIds: ['sale-1'], state: { ...cancellation, failedRuns: 2 } });
+      SessionCancellationService.removeOpenSaleItems.mockRejectedValue(new Error('Connection lost'));
+
+      await SessionCancellationService.process(db, cancellation.id, { now });
+
+      expect(db.sessionCancellation.update).toHaveBeenCalledWith({
+        where: { id: cancellation.id },
+        data: {
+          lastError: 'Connection lost',
+          failedRuns: { increment: 1 },
+          nextRunAt: new Date('2025-06-01T12:04:00Z')
+        }
+      });
+    });
+
+    it('should keep tickets sold outside a sale when skipping sales', async () => {
+      const findFirst = jest.fn().mockResolvedValue(null);
+
+      await SessionCancellationService.nextLiveTicket({ ticket: { findFirst } }, 'session-1', ['sale-1']);
+
+      expect(findFirst.mock.calls[0][0].where.OR).toEqual([
+        { saleId: null },
+        { saleId: { notIn: ['sale-1'] } }
+      ]);
+    });
+  });
+
+  describe('Policies', () => {
+    it('should offer refund, store credit and exchange', () => {
+      expect(SessionCancellationService.policies).toEqual(['FULL_REFUND', 'STORE_CREDIT', 'EXCHANGE']);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Test suite for automatic session lifecycle rules
+ * Transition rules, due transitions and the sales cutoff at finalize
+ */
+
+const SessionLifecycleService = require('../src/services/sessionLifecycleService');
+const SaleFinalizationService = require('../src/services/saleFinalizationService');
+const SaleTotals = require('../src/services/saleTotals');
+const SettingsService = require('../src/services/settingsService');
+const CashDrawerService = require('../src/services/cashDrawerService');
+const TicketTokenService = require('../src/services/ticketTokenService');
+const PaymentGateway = require('../src/services/paymentGateway');
+
+const settings = {
+  sessionStartLeadMinutes: 15,
+  salesCutoffMinutes: 0
+};
+
+const session = (status, overrides = {}) => ({
+  id: 'session-1',
+  companyId: 'company-1',
+  status,
+  startTime: new Date('2025-06-01T20:00:00Z'),
+  endTime: new Date('2025-06-01T22:00:00Z'),
+  ...overrides
+});
+
+const at = (time) => new Date(`2025-06-01T${time}:00Z`);
+
+describe('Session Lifecycle', () => {
+  describe('Transition rules', () => {
+    it('should only start scheduled sessions close to their start time', () => {
+      expect(SessionLifecycleService.checkTransition(session('SCHEDULED'), 'IN_PROGRESS', { settings, now: at('19:50') }))
+        .toBeNull();
+      expect(SessionLifecycleService.checkTransition(session('SCHEDULED'), 'IN_PROGRESS', { settings, now: at('19:30') }))
+        .toBe('Session start time is too far in the future');
+      expect(SessionLifecycleService.checkTransition(session('COMPLETED'), 'IN_PROGRESS', { settings, now: at('20:00') }))
+        .toBe('Can only start scheduled sessions');
+    });
+
+    it('should only complete sessions in progress and never cancel completed ones', () => {
+      expect(SessionLifecycleService.checkTransition(session('SCHEDULED'), 'COMPLETED', { settings }))
+        .toBe('Can only complete sessions that are in progress');
+      expect(SessionLifecycleService.checkTransition(session('COMPLETED'), 'CANCELED', { settings }))
+        .toBe('Cannot cancel completed sessions');
+      expect(SessionLifecycleService.checkTransition(session('IN_PROGRESS'), 'CANCELED', { settings }))
+        .toBeNull();
+    });
+
+    it('should not move canceled sessions anywhere', () => {
+      expect(SessionLifecycleService.checkTransition(session('CANCELED'), 'SCHEDULED', { settings }))
+        .toBe('Session is already canceled');
+      expect(SessionLifecycleService.checkTransition(session('CANCELED'), 'CANCELED', { settings }))
+        .toBe('Session is already canceled');
+    });
+  });
+
+  describe('Due transitions', () => {
+    it('should start sessions at their start time and complete them at their end time', () => {
+      expect(SessionLifecycleService.dueTransition(session('SCHEDULED'), at('19:59'))).toBeNull();
+      expect(SessionLifecycleService.dueTransition(session('SCHEDULED'), at('20:00'))).toBe('IN_PROGRESS');
+      expect(SessionLifecycleService.dueTransition(session('IN_PROGRESS'), at('21:00'))).toBeNull();
+      expect(SessionLifecycleService.dueTransition(session('IN_PROGRESS'), at('22:00'))).toBe('COMPLETED');
+    });
+
+    it('should leave canceled and completed sessions alone', () => {
+      expect(SessionLifecycleService.dueTransition(session('CANCELED'), at('23:00'))).toBeNull();
+      expect(SessionLifecycleService.dueTransition(session('COMPLETED'), at('23:00'))).toBeNull();
+    });
+  });
+
+  describe('Sales cutoff', () => {
+    it('should close sales at the start time by default', () => {
+      expect(SessionLifecycleService.salesClosedReason(session('SCHEDULED'), settings, at('19:59'))).toBeNull();
+      expect(SessionLifecycleService.salesClosedReason(session('SCHEDULED'), settings, at('20:00')))
+        .toBe('Ticket sales for this session are closed');
+    });
+
+    it('should keep selling after the start while within a positive cutoff', () => {
+      const late = { ...settings, salesCutoffMinutes: 20 };
+
+      expect(SessionLifecycleService.salesClosedReason(session('IN_PROGRESS'), late, at('20:10'))).toBeNull();
+      expect(SessionLifecycleService.salesClosedReason(session('IN_PROGRESS'), late, at('20:20'))).not.toBeNull();
+    });
+
+    it('should close sales before the start with a negative cutoff', () => {
+      const early = { ...settings, salesCutoffMinutes: -30 };
+
+      expect(SessionLifecycleService.salesClosedReason(session('SCHEDULED'), early, at('19:45'))).not.toBeNull();
+    });
+
+    it('should never sell tickets for canceled or completed sessions', () => {
+      expect(SessionLifecycleService.salesClosedReason(session('CANCELED'), settings, at('10:00')))
+        .toBe('Ticket sales are closed for canceled sessions');
+      expect(SessionLifecycleService.salesClosedReason(session('COMPLETED'), settings, at('10:00')))
+        .toBe('Ticket sales are closed for completed sessions');
+    });
+  });
+
+  describe('Finalizing sales', () => {
+    const upcoming = session('SCHEDULED', { startTime: new Date(Date.now() + 60 * 60 * 1000), room: { seatMapId: 'map-1' } });
+    const line = { sessionId: 'session-1', seatId: 'A1' };
+
+    const client = (sessions, taken = null) => ({
+      $queryRaw: jest.fn().mockResolvedValue([]),
+      session: { findMany: jest.fn().mockResolvedValue(sessions) },
+      ticket: { findFirst: jest.fn().mockResolvedValue(taken) }
+    });
+
+    it('should issue tickets for seats still free in sessions still selling', async () => {
+      const db = client([upcoming]);
+
+      await expect(SaleFinalizationService.ticketConflict(db, 'company-1', [line], settings, { lock: true }))
+        .resolves.toBeNull();
+      expect(db.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(db.ticket.findFirst.mock.calls[0][0].where.OR)
+        .toEqual([{ sessionId: 'session-1', seatMapId: 'map-1', seatId: 'A1' }]);
+    });
+
+    it('should refuse tickets of a session canceled since they were added', async () => {
+      const db = client([{ ...upcoming, status: 'CANCELED' }]);
+
+      await expect(SaleFinalizationService.ticketConflict(db, 'company-1', [line], settings))
+        .resolves.toBe('Ticket sales are closed for canceled sessions');
+      expect(db.ticket.findFirst).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a seat another sale has sold meanwhile', async () => {
+      const db = client([upcoming], { seatId: 'A1' });
+
+      await expect(SaleFinalizationService.ticketConflict(db, 'company-1', [line], settings))
+        .resolves.toBe('Seat A1 was already sold for this session');
+    });
+
+    describe('with a card payment to capture', () => {
+      const provider = {
+        name: 'finalize-recorder',
+        capture: jest.fn(),
+        refund: jest.fn(async () => ({ providerRef: 'R-1' }))
+      };
+      const payment = { id: 'p1', saleId: 'sale-1', method: 'CARD', amount: 30, provider: provider.name, providerRef: 'T-1', capturedAt: null };
+
+      const saleClient = () => {
+        const db = {
+          sale: {
+            findFirst: jest.fn().mockResolvedValue({
+              id: 'sale-1',
+              items: [{ id: 'i1', quantity: 1, sessionId: 'session-1', seatId: 'A1', components: [] }],
+              payments: [payment]
+            })
+          },
+          payment: { update: jest.fn().mockResolvedValue({}) }
+        };
+        db.$transaction = jest.fn(fn => fn(db));
+        return db;
+      };
+
+      beforeEach(() => {
+        PaymentGateway.register(provider);
+        jest.clearAllMocks();
+        jest.spyOn(SaleTotals, 'recalculate').mockResolvedValue({ grandTotal: 30 });
+        jest.spyOn(TicketTokenService, 'getSigningKey').mockResolvedValue({});
+        jest.spyOn(SettingsService, 'get').mockResolvedValue(settings);
+        jest.spyOn(CashDrawerService, 'openSession').mockResolvedValue(null);
+        jest.spyOn(SaleFinalizationService, 'ticketConflict').mockResolvedValue(null);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => jest.restoreAllMocks());
+
+      const finalize = (db) => SaleFinalizationService.finalize(db, { companyId: 'company-1', saleId: 'sale-1', actorCpf: '12345678901' });
+
+      it('should give back a payment captured before the seat was sold to another sale', async () => {
+        jest.spyOn(SaleFinalizationService, 'close').mockResolvedValue({ conflict: 'Seat A1 was already sold for this session' });
+        const db = saleClient();
+
+        await expect(finalize(db)).resolves.toEqual({ conflict: 'Seat A1 was already sold for this session' });
+        expect(provider.capture).toHaveBeenCalledWith({ providerRef: 'T-1', amountCents: 3000 });
+        expect(provider.refund).toHaveBeenCalledWith({ providerRef: 'T-1', amountCents: 3000, reference: 'p1' });
+        expect(db.payment.update.mock.calls[1][0].data).toMatchObject({
+          voidedByCpf: '12345678901',
+          voidReason: 'Sale could not be finalized: Seat A1 was already sold for this session'
+        });
+      });
+
+      it('should give back captured payments when finalizing fails', async () => {
+        jest.spyOn(SaleFinalizationService, 'close').mockRejectedValue(new Error('Deadlock'));
+        const db = saleClient();
+
+        await expect(finalize(db)).rejects.toThrow('Deadlock');
+        expect(provider.refund).toHaveBeenCalledTimes(1);
+      });
+
+      it('should record a payment the provider will not give back', async () => {
+        jest.spyOn(SaleFinalizationService, 'close').mockResolvedValue({ conflict: 'Session not found' });
+        provider.refund.mockRejectedValueOnce(new PaymentGateway.PaymentError('UNAVAILABLE', 'Provider down'));
+        const db = saleClient();
+
+        await finalize(db);
+        expect(db.payment.update.mock.calls[1][0].data).toMatchObject({ voidError: 'Provider down' });
+      });
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Test suite for stock takes
+ * Count tallies, variances and the corrections posted, and stock takes opened,
+ * counted, approved and canceled through the endpoints
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  cleanupInventory,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const StockTakeService = require('../src/services/stockTakeService');
+
+const line = (sku, snapshotQty, extra = {}) => ({ sku, snapshotQty, postedDelta: null, ...extra });
+const count = (sku, quantity, countedByCpf = '11111111111') => ({ sku, quantity, countedByCpf });
+
+const items = new Map([
+  ['POP', { sku: 'POP', name: 'Popcorn', qtyOnHand: 20, unitCost: '2.5000' }],
+  ['COKE', { sku: 'COKE', name: 'Coke', qtyOnHand: 7, unitCost: '1.2000' }],
+  ['CANDY', { sku: 'CANDY', name: 'Candy', qtyOnHand: 4, unitCost: null }]
+]);
+
+describe('Stock Take Service', () => {
+  describe('tally', () => {
+    it('should add up counts of the same SKU from different employees', () => {
+      const tally = StockTakeService.tally([count('POP', 10), count('COKE', 3), count('POP', 8, '22222222222')]);
+      expect(Object.fromEntries(tally)).toEqual({ POP: 18, COKE: 3 });
+    });
+  });
+
+  describe('variances', () => {
+    it('should compare the count against the stock expected when the SKU was counted', () => {
+      const rows = StockTakeService.variances([line('POP', 22)], [count('POP', 18)], items);
+
+      expect(rows).toEqual([{
+        sku: 'POP',
+        name: 'Popcorn',
+        snapshotQty: 22,
+        countedQty: 18,
+        variance: -4,
+        qtyOnHand: 20,
+        movedSinceCount: -2,
+        unitCost: 2.5,
+        valueImpact: -10
+      }]);
+    });
+
+    it('should leave the value out for items without a cost', () => {
+      const [row] = StockTakeService.variances([line('CANDY', 4)], [count('CANDY', 5)], items);
+      expect(row).toMatchObject({ variance: 1, unitCost: null, valueImpact: null });
+    });
+
+    it('should list SKUs in order and show what was posted once approved', () => {
+      const rows = StockTakeService.variances(
+        [line('POP', 20, { postedDelta: 0 }), line('COKE', 7, { postedDelta: 2 })],
+        [count('COKE', 9), count('POP', 20)],
+        items
+      );
+
+      expect(rows.map(r => [r.sku, r.variance, r.postedDelta])).toEqual([['COKE', 2, 2], ['POP', 0, 0]]);
+    });
+  });
+
+  describe('summarize', () => {
+    it('should total units over and short and the net value', () => {
+      const rows = StockTakeService.variances(
+        [line('POP', 22), line('COKE', 7), line('CANDY', 3)],
+        [count('POP', 18), count('COKE', 10), count('CANDY', 4)],
+        items
+      );
+
+      expect(StockTakeService.summarize(rows)).toEqual({
+        skusCounted: 3,
+        skusWithVariance: 3,
+        unitsOver: 4,
+        unitsShort: 4,
+        valueImpact: -6.4,
+        uncostedSkus: 1
+      });
+    });
+
+    it('should not count matching SKUs as variances', () => {
+      const rows = StockTakeService.variances([line('POP', 20)], [count('POP', 20)], items);
+      expect(StockTakeService.summarize(rows)).toMatchObject({ skusCounted: 1, skusWithVariance: 0, valueImpact: 0 });
+    });
+  });
+
+  describe('postingDelta', () => {
+    it('should post the variance on top of the current stock', () => {
+      expect(StockTakeService.postingDelta(-4, 20)).toBe(-4);
+      expect(StockTakeService.postingDelta(3, 0)).toBe(3);
+    });
+
+    it('should not take stock below zero when units sold during the count were already missing', () => {
+      expect(StockTakeService.postingDelta(-5, 2)).toBe(-2);
+      expect(StockTakeService.postingDelta(-5, -1)).toBe(0);
+    });
+  });
+});
+
+describe('Stock takes through the endpoints', () => {
+  const testCNPJ = '30000000000118';
+  const managerCPF = '30000000018';
+  let companyId;
+  let managerToken;
+  let stockTakeId;
+
+  const api = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${managerToken}`);
+
+  const qtyOf = async (sku) => {
+    const item = await db.inventoryItem.findUnique({ where: { companyId_sku: { companyId, sku } } });
+    return item.qtyOnHand;
+  };
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [managerCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupInventory(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Stock Take Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(managerCPF, companyId, 'MANAGER', 'TAKE-TEST');
+    managerToken = AuthService.generateToken(employee);
+
+    await api('post', '/api/inventory')
+      .send({ sku: 'NUTS', name: 'Nuts', unitPrice: 8, unitCost: 2, qtyOnHand: 10, reorderLevel: 0, itemType: 'general' })
+      .expect(201);
+    await api('post', '/api/inventory')
+      .send({ sku: 'SODA', name: 'Soda', unitPrice: 5, qtyOnHand: 4, reorderLevel: 0, itemType: 'general' })
+      .expect(201);
+    await api('post', '/api/inventory')
+      .send({ sku: 'CUPS', name: 'Cups', unitPrice: 1, qtyOnHand: 50, reorderLevel: 0, itemType: 'general' })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await cleanupInventory(companyId);
+    await cleanupTestData(companyId, [managerCPF]);
+  });
+
+  it('should open one stock take per location at a time', async () => {
+    const response = await api('post', '/api/stock-takes').send({ name: 'Monthly count' }).expect(201);
+    stockTakeId = response.body.data.id;
+    expect(response.body.data.status).toBe('OPEN');
+
+    await api('post', '/api/stock-takes').send({ name: 'Second count' }).expect(409);
+  });
+
+  it('should refuse counts for unknown items', async () => {
+    const response = await api('post', `/api/stock-takes/${stockTakeId}/counts`)
+      .send({ counts: [{ sku: 'NOPE', quantity: 1 }] })
+      .expect(400);
+
+    expect(response.body.errors).toEqual(['Inventory item NOPE not found']);
+  });
+
+  it('should add counts up and report the variance of each SKU', async () => {
+    await api('post', `/api/stock-takes/${stockTakeId}/counts`)
+      .send({ counts: [{ sku: 'NUTS', quantity: 6 }, { sku: 'SODA', quantity: 5 }] })
+      .expect(201);
+    await api('post', `/api/stock-takes/${stockTakeId}/counts`)
+      .send({ counts: [{ sku: 'NUTS', quantity: 2 }] })
+      .expect(201);
+
+    const response = await api('get', `/api/stock-takes/${stockTakeId}`).expect(200);
+
+    expect(response.body.data.variances.map(v => [v.sku, v.snapshotQty, v.countedQty, v.variance, v.valueImpact])).toEqual([
+      ['NUTS', 10, 8, -2, -4],
+      ['SODA', 4, 5, 1, null]
+    ]);
+    expect(response.body.data.summary).toEqual({
+      skusCounted: 2,
+      skusWithVariance: 2,
+      unitsOver: 1,
+      unitsShort: 2,
+      valueImpact: -4,
+      uncostedSkus: 1
+    });
+  });
+
+  it('should drop a SKU whose only count is removed', async () => {
+    const counted = await api('post', `/api/stock-takes/${stockTakeId}/counts`)
+      .send({ counts: [{ sku: 'CUPS', quantity: 40 }] })
+      .expect(201);
+    const cupsCount = counted.body.data.counts.find(c => c.sku === 'CUPS');
+
+    const response = await api('delete', `/api/stock-takes/${stockTakeId}/counts/${cupsCount.id}`).expect(200);
+
+    expect(response.body.data.variances.map(v => v.sku)).toEqual(['NUTS', 'SODA']);
+  });
+
+  it('should post the variances as count corrections on approval', async () => {
+    const response = await api('post', `/api/stock-takes/${stockTakeId}/approve`).expect(200);
+
+    expect(response.body.data.status).toBe('APPROVED');
+    expect(response.body.data.variances.map(v => [v.sku, v.postedDelta])).toEqual([
+      ['NUTS', -2],
+      ['SODA', 1]
+    ]);
+    expect(await qtyOf('NUTS')).toBe(8);
+    expect(await qtyOf('SODA')).toBe(5);
+    expect(await qtyOf('CUPS')).toBe(50);
+
+    const adjustments = await db.inventoryAdjustment.findMany({
+      where: { companyId, reason: 'COUNT_CORRECTION' },
+      orderBy: { sku: 'asc' }
+    });
+    expect(adjustments.map(a => [a.sku, a.delta])).toEqual([
+      ['NUTS', -2],
+      ['SODA', 1]
+    ]);
+
+    await api('post', `/api/stock-takes/${stockTakeId}/counts`)
+      .send({ counts: [{ sku: 'NUTS', quantity: 1 }] })
+      .expect(409);
+  });
+
+  it('should cancel an open stock take without touching stock', async () => {
+    const opened = await api('post', '/api/stock-takes').send({ name: 'Canceled count' }).expect(201);
+    await api('post', `/api/stock-takes/${opened.body.data.id}/counts`)
+      .send({ counts: [{ sku: 'CUPS', quantity: 1 }] })
+      .expect(201);
+
+    const response = await api('post', `/api/stock-takes/${opened.body.data.id}/cancel`).expect(200);
+    expect(response.body.data.status).toBe('CANCELED');
+    expect(await qtyOf('CUPS')).toBe(50);
+
+    await api('post', `/api/stock-takes/${opened.body.data.id}/cancel`).expect(409);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Test suite for the tax engine
+ * Pure calculation tests for inclusive/exclusive ISS and ICMS rates
+ */
+
+const TaxEngine = require('../src/services/taxEngine');
+
+const rates = {
+  TICKET: { itemClass: 'TICKET', taxType: 'ISS', rate: '5.00', isInclusive: true },
+  FOOD: { itemClass: 'FOOD', taxType: 'ICMS', rate: '18.00', isInclusive: false }
+};
+
+const ticket = { id: 'line-1', sessionId: 'session-1', seatId: 'A1', itemClass: 'TICKET', quantity: 1, unitPrice: 21, lineTotal: 21 };
+const popcorn = { id: 'line-2', sku: 'POP-L', itemClass: 'FOOD', quantity: 2, unitPrice: 25, lineTotal: 50 };
+const poster = { id: 'line-3', sku: 'POSTER', itemClass: 'COLLECTABLE', quantity: 1, unitPrice: 30, lineTotal: 30 };
+
+describe('Tax Engine', () => {
+  describe('computeTax', () => {
+    it('should extract tax contained in an inclusive price', () => {
+      expect(TaxEngine.computeTax(2100, 5, true)).toBe(100);
+    });
+
+    it('should add tax on top of an exclusive price', () => {
+      expect(TaxEngine.computeTax(5000, 18, false)).toBe(900);
+    });
+
+    it('should not tax zero amounts or zero rates', () => {
+      expect(TaxEngine.computeTax(0, 18, false)).toBe(0);
+      expect(TaxEngine.computeTax(5000, 0, true)).toBe(0);
+    });
+  });
+
+  describe('calculate', () => {
+    it('should tax each line by its item class', () => {
+      const result = TaxEngine.calculate([ticket, popcorn, poster], rates);
+
+      expect(result.lines).toEqual([
+        { saleItemId: 'line-1', taxType: 'ISS', taxRate: 5, taxAmount: 1, taxIncluded: true },
+        { saleItemId: 'line-2', taxType: 'ICMS', taxRate: 18, taxAmount: 9, taxIncluded: false },
+        { saleItemId: 'line-3', taxType: null, taxRate: 0, taxAmount: 0, taxIncluded: true }
+      ]);
+      expect(result.taxTotal).toBe(10);
+      expect(result.exclusiveTaxTotal).toBe(9);
+    });
+
+    it('should tax line totals net of their discounts', () => {
+      const result = TaxEngine.calculate([popcorn], rates, { 'line-2': 10 });
+
+      expect(result.lines[0].taxAmount).toBe(7.2);
+    });
+  });
+
+  describe('summarize', () => {
+    it('should group stored line taxes by bucket', () => {
+      const items = [
+        { taxType: 'ISS', taxAmount: '1.00', taxIncluded: true, lineTotal: '21.00', discountAllocations: [] },
+        { taxType: 'ICMS', taxAmount: '7.20', taxIncluded: false, lineTotal: '50.00', discountAllocations: [{ amount: '10.00' }] },
+        { taxType: 'ICMS', taxAmount: '0.92', taxIncluded: true, lineTotal: '6.00' },
+        { taxType: null, taxAmount: '0.00', taxIncluded: true, lineTotal: '30.00' }
+      ];
+
+      expect(TaxEngine.summarize(items)).toEqual([
+        { taxType: 'ISS', taxableAmount: 21, taxAmount: 1, inclusiveAmount: 1, exclusiveAmount: 0 },
+        { taxType: 'ICMS', taxableAmount: 46, taxAmount: 8.12, inclusiveAmount: 0.92, exclusiveAmount: 7.2 }
+      ]);
+    });
+  });
+});
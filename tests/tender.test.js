@@ -0,0 +1,133 @@
+/**
+ * Test suite for split tender
+ * Overpayment rules, change and voided payments, and paying a sale in parts
+ */
+
+const request = require('supertest');
+const app = require('../src/server');
+const { db } = require('../src/database/prisma');
+const { AuthService } = require('../src/middleware/auth-multitenant');
+const {
+  createTestCompany,
+  createTestEmployee,
+  createTestSale,
+  cleanupSales,
+  cleanupTestData
+} = require('./helpers/testHelpers');
+const TenderService = require('../src/services/tenderService');
+
+describe('Tender Service', () => {
+  describe('balance', () => {
+    it('should give back what cash paid over the total as change', () => {
+      expect(TenderService.balance('42.50', [{ method: 'CASH', amount: '50.00' }])).toEqual({
+        paidCents: 5000,
+        remainingCents: 0,
+        changeCents: 750,
+        excessCents: 0
+      });
+    });
+
+    it('should add up a split tender', () => {
+      const payments = [{ method: 'PIX', amount: '40.00' }, { method: 'CASH', amount: '10.00' }];
+      expect(TenderService.balance('60.00', payments)).toEqual({
+        paidCents: 5000,
+        remainingCents: 1000,
+        changeCents: 0,
+        excessCents: 0
+      });
+    });
+
+    it('should never give back more cash than was tendered', () => {
+      // The total went down after a card payment
+      const payments = [{ method: 'CARD', amount: '15.00' }, { method: 'CASH', amount: '2.00' }];
+      const balance = TenderService.balance('10.00', payments);
+
+      expect(balance.changeCents).toBe(200);
+      expect(balance.excessCents).toBe(500);
+    });
+
+    it('should skip voided payments', () => {
+      const payments = [
+        { method: 'CARD', amount: '30.00', voidedAt: new Date('2025-12-22T15:00:00Z') },
+        { method: 'CASH', amount: '20.00', voidedAt: null }
+      ];
+      expect(TenderService.balance('30.00', payments).remainingCents).toBe(1000);
+    });
+  });
+
+  describe('refusal', () => {
+    it('should let cash go over the balance', () => {
+      expect(TenderService.refusal(4250, { method: 'CASH', amount: 50 })).toBeNull();
+    });
+
+    it('should cap card and PIX at the balance', () => {
+      expect(TenderService.refusal(4250, { method: 'CARD', amount: 42.5 })).toBeNull();
+      expect(TenderService.refusal(4250, { method: 'PIX', amount: 42.51 }))
+        .toBe('PIX payments cannot exceed the remaining balance of 42.50');
+      expect(TenderService.refusal(4250, { method: 'OTHER', amount: 50 })).not.toBeNull();
+    });
+
+    it('should take nothing more once the sale is paid', () => {
+      expect(TenderService.refusal(0, { method: 'CASH', amount: 1 })).toBe('Sale is already fully paid');
+    });
+  });
+});
+
+describe('Split tender endpoint', () => {
+  const testCNPJ = '30000000000122';
+  const cashierCPF = '30000000022';
+  let companyId;
+  let cashierToken;
+  let sale;
+
+  beforeAll(async () => {
+    await cleanupTestData(null, [cashierCPF]);
+    const existingCompany = await db.company.findFirst({ where: { cnpj: testCNPJ } });
+    if (existingCompany) {
+      await cleanupSales(existingCompany.id);
+      await cleanupTestData(existingCompany.id);
+    }
+
+    const company = await createTestCompany(testCNPJ, 'Tender Test Cinema');
+    companyId = company.id;
+
+    const { employee } = await createTestEmployee(cashierCPF, companyId, 'CASHIER', 'TENDER-TEST');
+    cashierToken = AuthService.generateToken(employee);
+
+    sale = await createTestSale(companyId, cashierCPF, {
+      lines: [{ description: 'Popcorn L', quantity: 2, unitPrice: 15 }]
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupSales(companyId);
+    await cleanupTestData(companyId, [cashierCPF]);
+  });
+
+  const pay = (body) => request(app)
+    .post(`/api/sales/${sale.id}/payments`)
+    .set('Authorization', `Bearer ${cashierToken}`)
+    .send(body);
+
+  it('should refuse a card payment over the balance', async () => {
+    const response = await pay({ method: 'CARD', amount: 40, authCode: 'A1' }).expect(400);
+
+    expect(response.body.message).toBe('CARD payments cannot exceed the remaining balance of 30.00');
+    expect(response.body.remainingBalance).toBe(30);
+  });
+
+  it('should take the sale in parts and give change out of cash', async () => {
+    const card = await pay({ method: 'CARD', amount: 20, authCode: 'A2' }).expect(201);
+    expect(card.body.remainingBalance).toBe(10);
+
+    const cash = await pay({ method: 'CASH', amount: 50 }).expect(201);
+    expect(cash.body.remainingBalance).toBe(0);
+    expect(cash.body.change).toBe(40);
+  });
+
+  it('should refuse payments once the sale is paid', async () => {
+    const response = await pay({ method: 'CASH', amount: 5 }).expect(400);
+
+    expect(response.body.message).toBe('Sale is already fully paid');
+  });
+});
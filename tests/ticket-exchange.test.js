@@ -0,0 +1,140 @@
+/**
+ * Test suite for ticket exchanges
+ * Exchange sale lines, quotes and collecting the price difference
+ */
+
+const TicketExchangeService = require('../src/services/ticketExchangeService');
+const CashDrawerService = require('../src/services/cashDrawerService');
+const PaymentGateway = require('../src/services/paymentGateway');
+
+const ticket = {
+  id: 'ticket-1',
+  sessionId: 'session-1',
+  seatId: 'A1',
+  price: '25.00'
+};
+
+const saleLine = {
+  id: 'item-1',
+  sessionId: 'session-1',
+  seatId: 'A1',
+  quantity: 1,
+  refundedQuantity: 0,
+  lineTotal: '25.00',
+  taxAmount: '0.00',
+  taxIncluded: true,
+  discountAllocations: [{ amount: '5.00' }],
+  refundItems: []
+};
+
+describe('Ticket Exchange', () => {
+  describe('Sale line', () => {
+    it('should find the line the ticket was sold on', () => {
+      const sale = {
+        items: [
+          { id: 'item-0', sessionId: 'session-1', seatId: 'A1', quantity: 1, refundedQuantity: 1 },
+          saleLine
+        ]
+      };
+
+      expect(TicketExchangeService.findSaleLine(sale, ticket)).toBe(saleLine);
+      expect(TicketExchangeService.findSaleLine(null, ticket)).toBeNull();
+    });
+  });
+
+  describe('Quote', () => {
+    it('should collect the difference when the new seat costs more', () => {
+      const quote = TicketExchangeService.quote(ticket, saleLine, 3500);
+
+      expect(quote).toEqual({
+        oldPriceCents: 2500,
+        newPriceCents: 3500,
+        differenceCents: 1000,
+        collectCents: 1000,
+        refundCents: 0
+      });
+    });
+
+    it('should refund the difference when the new seat costs less', () => {
+      const quote = TicketExchangeService.quote(ticket, { ...saleLine, discountAllocations: [] }, 1800);
+
+      expect(quote.differenceCents).toBe(-700);
+      expect(quote.refundCents).toBe(700);
+      expect(quote.collectCents).toBe(0);
+    });
+
+    it('should never refund more than was paid for the line', () => {
+      // Paid 20.00 after the discount, new seat costs 2.00
+      expect(TicketExchangeService.quote(ticket, saleLine, 200).refundCents).toBe(2000);
+    });
+
+    it('should refund nothing for tickets sold outside a sale', () => {
+      expect(TicketExchangeService.quote(ticket, null, 1000).refundCents).toBe(0);
+    });
+
+    it('should describe quotes in reais', () => {
+      const quote = TicketExchangeService.quote(ticket, saleLine, 3550);
+
+      expect(TicketExchangeService.describeQuote(quote)).toEqual({
+        oldPrice: 25,
+        newPrice: 35.5,
+        difference: 10.5,
+        toCollect: 10.5,
+        toRefund: 0
+      });
+    });
+  });
+
+  describe('Collecting the difference', () => {
+    const env = { ...process.env };
+    const provider = {
+      name: 'exchange-recorder',
+      authorize: jest.fn(async () => ({ providerRef: 'T-9', authCode: 'A9', captured: false })),
+      capture: jest.fn(),
+      void: jest.fn(),
+      refund: jest.fn(async () => ({}))
+    };
+    const quote = TicketExchangeService.quote(ticket, saleLine, 3500);
+
+    const exchange = () => TicketExchangeService.exchange({}, {
+      companyId: 'company-1',
+      ticket,
+      quote,
+      payment: { method: 'CARD' },
+      settings: { requireCashDrawer: false },
+      actorCpf: '12345678901'
+    });
+
+    beforeEach(() => {
+      process.env.PAYMENT_CARD_PROVIDER = provider.name;
+      PaymentGateway.register(provider);
+      jest.clearAllMocks();
+      jest.spyOn(CashDrawerService, 'openSession').mockResolvedValue(null);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+      jest.restoreAllMocks();
+    });
+
+    it('should release the authorization when the capture fails', async () => {
+      provider.capture.mockRejectedValueOnce(new PaymentGateway.PaymentError('UNAVAILABLE', 'Terminal offline'));
+      const persist = jest.spyOn(TicketExchangeService, 'persist');
+
+      await expect(exchange()).rejects.toThrow('Terminal offline');
+      expect(provider.void).toHaveBeenCalledWith({ providerRef: 'T-9', amountCents: 1000 });
+      expect(provider.refund).not.toHaveBeenCalled();
+      expect(persist).not.toHaveBeenCalled();
+    });
+
+    it('should refund the captured difference when the exchange cannot be written', async () => {
+      jest.spyOn(TicketExchangeService, 'persist').mockRejectedValue(new Error('Deadlock'));
+
+      await expect(exchange()).rejects.toThrow('Deadlock');
+      expect(provider.capture).toHaveBeenCalled();
+      expect(provider.refund).toHaveBeenCalledWith(expect.objectContaining({ providerRef: 'T-9', amountCents: 1000 }));
+      expect(provider.void).not.toHaveBeenCalled();
+    });
+  });
+});
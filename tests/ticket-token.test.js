@@ -0,0 +1,65 @@
+/**
+ * Test suite for signed ticket QR tokens
+ * Encoding, signing and verifying the QR tokens printed on tickets
+ */
+
+const crypto = require('crypto');
+const TicketTokenService = require('../src/services/ticketTokenService');
+
+const ticket = {
+  id: '3f1c2a9e-8d4b-4c2a-9f1e-2b7d6a5c4e3f',
+  sessionId: 'a8b7c6d5-e4f3-4a2b-9c1d-0e9f8a7b6c5d',
+  seatId: 'H12'
+};
+
+describe('Ticket Token Service', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const rawPublicKey = publicKey.export({ format: 'jwk' }).x;
+  const signingKey = { version: 3, privateKey };
+
+  it('should round-trip the ticket payload', () => {
+    const token = TicketTokenService.issueWithKey(signingKey, ticket);
+    const decoded = TicketTokenService.decode(token);
+
+    expect(decoded.keyVersion).toBe(3);
+    expect(decoded.ticketId).toBe(ticket.id);
+    expect(decoded.sessionId).toBe(ticket.sessionId);
+    expect(decoded.seatId).toBe('H12');
+    expect(Math.abs(decoded.issuedAt.getTime() - Date.now())).toBeLessThan(5000);
+  });
+
+  it('should fit in the ticket qr_code column', () => {
+    const token = TicketTokenService.issueWithKey(signingKey, { ...ticket, seatId: 'AA9999' });
+
+    expect(token.length).toBeLessThanOrEqual(255);
+    expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+  });
+
+  it('should verify with the published raw public key', () => {
+    const token = TicketTokenService.issueWithKey(signingKey, ticket);
+
+    expect(TicketTokenService.verifySignature(TicketTokenService.decode(token), rawPublicKey)).toBe(true);
+  });
+
+  it('should reject tampered tokens', () => {
+    const token = TicketTokenService.issueWithKey(signingKey, ticket);
+    const bytes = Buffer.from(token, 'base64url');
+    bytes[bytes.length - 65] ^= 0x01; // Flip a bit of the seat id
+    const tampered = TicketTokenService.decode(bytes.toString('base64url'));
+
+    expect(TicketTokenService.verifySignature(tampered, rawPublicKey)).toBe(false);
+  });
+
+  it('should reject tokens signed by another key', () => {
+    const other = crypto.generateKeyPairSync('ed25519');
+    const token = TicketTokenService.issueWithKey({ version: 3, privateKey: other.privateKey }, ticket);
+
+    expect(TicketTokenService.verifySignature(TicketTokenService.decode(token), rawPublicKey)).toBe(false);
+  });
+
+  it('should not decode legacy or malformed codes', () => {
+    expect(TicketTokenService.decode('TKT-1234abcd-5678efgh-A1-1700000000000')).toBeNull();
+    expect(TicketTokenService.decode('abc')).toBeNull();
+    expect(TicketTokenService.decode(null)).toBeNull();
+  });
+});